@@ -4,6 +4,8 @@ import { StatusBar } from 'expo-status-bar';
 import { PhotoProvider } from './src/contexts/PhotoContext';
 import { ListingProvider } from './src/contexts/ListingContext';
 import { TemplateProvider } from './src/contexts/TemplateContext';
+import { BusinessPolicyProvider } from './src/contexts/BusinessPolicyContext';
+import { PackageDefaultsProvider } from './src/contexts/PackageDefaultsContext';
 import MainNavigator from './src/navigation/MainNavigator';
 
 export default function App() {
@@ -11,10 +13,14 @@ export default function App() {
     <PhotoProvider>
       <ListingProvider>
         <TemplateProvider>
-          <NavigationContainer>
-            <MainNavigator />
-            <StatusBar style="auto" />
-          </NavigationContainer>
+          <BusinessPolicyProvider>
+            <PackageDefaultsProvider>
+              <NavigationContainer>
+                <MainNavigator />
+                <StatusBar style="auto" />
+              </NavigationContainer>
+            </PackageDefaultsProvider>
+          </BusinessPolicyProvider>
         </TemplateProvider>
       </ListingProvider>
     </PhotoProvider>
@@ -0,0 +1,59 @@
+/**
+ * /api/analyze with VISION_PROVIDER=mock returns each listing type's fixture as a valid listing
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { silenceServerLogs, useTempStores, createTestUser, startApp, createPhotoHostApp, analyzePhotos } = require('./testServer');
+const { readValidatedListing } = require('../src/utils/schemaValidator');
+const { listPromptVersions } = require('../src/services/promptRegistry');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'src', 'fixtures', 'vision');
+const LISTING_TYPES = listPromptVersions().map(({ listingType }) => listingType);
+
+let photoHost;
+let server;
+let removeStores;
+let headers;
+
+before(async () => {
+  silenceServerLogs();
+  removeStores = useTempStores();
+  photoHost = await startApp(createPhotoHostApp());
+  process.env.VISION_PROVIDER = 'mock';
+  process.env.EXTERNAL_PHOTO_HOST_URL = photoHost.url;
+  server = await startApp(require('../new-server'));
+  ({ headers } = await createTestUser());
+});
+
+after(async () => {
+  await Promise.all([server.close(), photoHost.close()]);
+  removeStores();
+});
+
+LISTING_TYPES.forEach((listingType) => {
+  test(`the ${listingType} fixture is analyzed into a valid listing without repairs`, async () => {
+    const fixture = fs.readFileSync(path.join(FIXTURES_DIR, `${listingType}.json`), 'utf8');
+    assert.deepStrictEqual(readValidatedListing(fixture, listingType), JSON.parse(fixture));
+
+    const { status, body } = await analyzePhotos(server.url, listingType, { headers });
+
+    assert.strictEqual(status, 200, JSON.stringify(body.validationErrors || body.error));
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.listingType, listingType);
+    assert.strictEqual(body.attempts, 1);
+    assert.deepStrictEqual(body.listing, JSON.parse(fixture));
+    assert.deepStrictEqual(readValidatedListing(body.listing, listingType), body.listing);
+    assert.ok(body.hostedPhotos.every(photo => photo.url));
+  });
+});
+
+test('auto analyzes as a general listing', async () => {
+  const { status, body } = await analyzePhotos(server.url, 'auto', { headers });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.listingType, 'GENERAL_LISTING');
+});
@@ -0,0 +1,113 @@
+/**
+ * /api/analyze re-asks the model when its JSON fails the listing schema
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { silenceServerLogs, useTempStores, createTestUser, startApp, createPhotoHostApp, analyzePhotos } = require('./testServer');
+
+const validListing = {
+  title: 'Vintage Brass Desk Lamp',
+  price: 24.99,
+  condition: 'Used',
+  category: 'Home & Garden',
+  description: 'Working brass desk lamp with light patina.'
+};
+
+// Stand-in for OpenAI's chat completions - answers with the queued replies in order
+const modelReplies = [];
+const modelRequests = [];
+const openAiApp = express();
+openAiApp.use(express.json({ limit: '10mb' }));
+openAiApp.post('/v1/chat/completions', (req, res) => {
+  modelRequests.push(req.body);
+  res.json({
+    id: `chatcmpl-${modelRequests.length}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: req.body.model,
+    choices: [{ index: 0, message: { role: 'assistant', content: modelReplies.shift() }, finish_reason: 'stop' }]
+  });
+});
+
+let openAi;
+let photoHost;
+let server;
+let removeStores;
+let headers;
+
+before(async () => {
+  silenceServerLogs();
+  removeStores = useTempStores();
+  openAi = await startApp(openAiApp);
+  photoHost = await startApp(createPhotoHostApp());
+  process.env.OPENAI_API_KEY = 'test-key';
+  process.env.OPENAI_BASE_URL = `${openAi.url}/v1`;
+  process.env.EXTERNAL_PHOTO_HOST_URL = photoHost.url;
+  process.env.AI_REPAIR_RETRIES = '2';
+  server = await startApp(require('../new-server'));
+  ({ headers } = await createTestUser());
+});
+
+after(async () => {
+  await Promise.all([server.close(), openAi.close(), photoHost.close()]);
+  removeStores();
+});
+
+beforeEach(() => {
+  modelReplies.length = 0;
+  modelRequests.length = 0;
+});
+
+test('a valid first answer is returned without a repair', async () => {
+  modelReplies.push(JSON.stringify(validListing));
+
+  const { status, body } = await analyzePhotos(server.url, 'GENERAL_LISTING', { headers });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.listing, validListing);
+  assert.strictEqual(body.attempts, 1);
+  assert.strictEqual(modelRequests.length, 1);
+  assert.strictEqual(body.hostedPhotos[0].url, 'https://photos.example.com/uploads/photo_1.jpg');
+});
+
+test('an invalid answer is sent back with its validation errors and the repaired listing returned', async () => {
+  const invalidReply = JSON.stringify({ ...validListing, price: 'about $25', description: undefined });
+  modelReplies.push(`Sure! ${invalidReply}`, JSON.stringify(validListing));
+
+  const { status, body } = await analyzePhotos(server.url, 'GENERAL_LISTING', { headers });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.listing, validListing);
+  assert.strictEqual(body.attempts, 2);
+
+  const repairMessages = modelRequests[1].messages.slice(1);
+  assert.strictEqual(repairMessages[0].role, 'assistant');
+  assert.strictEqual(repairMessages[0].content, `Sure! ${invalidReply}`);
+  assert.match(repairMessages[1].content, /listing\.price must be number \(got string\)/);
+  assert.match(repairMessages[1].content, /listing\.description is required/);
+});
+
+test('answers that are not JSON are repaired too', async () => {
+  modelReplies.push('I could not find a listing in these photos.', JSON.stringify(validListing));
+
+  const { status, body } = await analyzePhotos(server.url, 'GENERAL_LISTING', { headers });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.attempts, 2);
+  assert.match(modelRequests[1].messages[2].content, /Response is not valid JSON/);
+});
+
+test('a listing still invalid after every repair is rejected with its errors', async () => {
+  modelReplies.push(...Array(3).fill(JSON.stringify({ ...validListing, condition: 'Mint' })));
+
+  const { status, body } = await analyzePhotos(server.url, 'GENERAL_LISTING', { headers });
+
+  assert.strictEqual(status, 422);
+  assert.strictEqual(body.success, false);
+  assert.strictEqual(body.error, 'AI response failed validation after 3 attempt(s)');
+  assert.deepStrictEqual(body.validationErrors, ['listing.condition must be one of: New, New other (see details), Seller refurbished, Used, For parts or not working (got "Mint")']);
+  assert.strictEqual(modelRequests.length, 3);
+});
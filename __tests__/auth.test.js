@@ -0,0 +1,113 @@
+/**
+ * API tokens, admin-only routes and the eBay account check
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceServerLogs, useTempStores, createTestUser, startApp } = require('./testServer');
+
+let server;
+let removeStores;
+let admin;
+let member;
+
+before(async () => {
+  silenceServerLogs();
+  removeStores = useTempStores();
+  server = await startApp(require('../new-server'));
+  admin = await createTestUser({ name: 'admin', isAdmin: true, ebayToken: 'admin-ebay-token' });
+  member = await createTestUser({ name: 'member' });
+});
+
+after(async () => {
+  await server.close();
+  removeStores();
+});
+
+/**
+ * Call the server
+ * @returns {Promise<Object>} { status, body }
+ */
+async function call(path, { method = 'GET', headers = {}, body } = {}) {
+  const response = await fetch(`${server.url}${path}`, {
+    method,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the health check needs no token', async () => {
+  const { status, body } = await call('/api/health');
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.status, 'ok');
+});
+
+test('requests without a Bearer token are refused', async () => {
+  const missing = await call('/api/me');
+  const wrongScheme = await call('/api/me', { headers: { Authorization: `Basic ${member.apiToken}` } });
+
+  [missing, wrongScheme].forEach(({ status, body }) => {
+    assert.strictEqual(status, 401);
+    assert.strictEqual(body.error, 'API token required (Authorization: Bearer <token>)');
+  });
+});
+
+test('unknown tokens are refused', async () => {
+  const { status, body } = await call('/api/me', { headers: { Authorization: 'Bearer not-a-real-token' } });
+
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.error, 'Invalid API token');
+});
+
+test('a valid token signs the request in as its user, without the token hash', async () => {
+  const { status, body } = await call('/api/me', { headers: member.headers });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.user.id, member.user.id);
+  assert.strictEqual(body.user.name, 'member');
+  assert.strictEqual(body.user.tokenHash, undefined);
+  assert.strictEqual(body.ebay.connected, false);
+});
+
+test('user management is for admins only', async () => {
+  const asMember = await call('/api/users', { headers: member.headers });
+  const asAdmin = await call('/api/users', { headers: admin.headers });
+
+  assert.strictEqual(asMember.status, 403);
+  assert.strictEqual(asMember.body.error, 'Only admins can manage users');
+  assert.strictEqual(asAdmin.status, 200);
+  assert.deepStrictEqual(asAdmin.body.users.map(user => user.name), ['admin', 'member']);
+  assert.ok(asAdmin.body.users.every(user => user.tokenHash === undefined));
+});
+
+test('eBay routes need a connected eBay account', async () => {
+  const { status, body } = await call('/api/list-to-ebay-with-urls', {
+    method: 'POST',
+    headers: member.headers,
+    body: { title: 'Vintage Brass Desk Lamp', price: 24.99, hostedPhotoUrls: ['https://photos.example.com/lamp.jpg'] }
+  });
+
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.error, 'No eBay account connected');
+  assert.strictEqual(body.message, 'Connect an eBay account for member in Settings before using eBay');
+});
+
+test('a rotated token replaces the old one straight away', async () => {
+  const user = await createTestUser({ name: 'rotating' });
+  const { status, body } = await call(`/api/users/${user.user.id}/token`, { method: 'POST', headers: admin.headers });
+
+  assert.strictEqual(status, 200);
+  assert.notStrictEqual(body.apiToken, user.apiToken);
+  assert.strictEqual((await call('/api/me', { headers: user.headers })).status, 401);
+  assert.strictEqual((await call('/api/me', { headers: { Authorization: `Bearer ${body.apiToken}` } })).status, 200);
+});
+
+test('a deleted user\'s token stops working', async () => {
+  const user = await createTestUser({ name: 'leaving' });
+
+  assert.strictEqual((await call(`/api/users/${user.user.id}`, { method: 'DELETE', headers: admin.headers })).status, 200);
+  assert.strictEqual((await call('/api/me', { headers: user.headers })).status, 401);
+});
@@ -0,0 +1,105 @@
+/**
+ * Parsing the mock eBay Trading API's Success, Warning and Failure responses
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceServerLogs, startApp } = require('./testServer');
+const { createMockEbayTradingApp } = require('../mock-ebay-server');
+const { buildEbayXMLRequest, callEbayTradingAPI, parseEbayResponse, toVerifyAddItemRequest, parseEbayVerifyResponse } = require('../src/services/ebayApi');
+
+const EBAY_CREDENTIALS = { authToken: 'mock-token' };
+const PHOTO_URL = 'https://photos.example.com/uploads/lamp.jpg';
+
+const listing = {
+  title: 'Vintage Brass Desk Lamp',
+  price: 24.99,
+  condition: 'Good',
+  category: 'Collectibles',
+  categoryId: '112581',
+  description: 'Working brass desk lamp with light patina.',
+  itemSpecifics: { Brand: 'Unbranded' },
+  listingType: 'GENERAL_LISTING'
+};
+
+const ALL_FEES = [
+  { name: 'InsertionFee', amount: 0.35, currency: 'USD' },
+  { name: 'FeaturedFee', amount: 0, currency: 'USD' },
+  { name: 'GalleryFee', amount: 0, currency: 'USD' },
+  { name: 'ListingDesignerFee', amount: 0, currency: 'USD' },
+  { name: 'SubtitleFee', amount: 0, currency: 'USD' }
+];
+
+let mockEbay;
+
+before(async () => {
+  silenceServerLogs();
+  mockEbay = await startApp(createMockEbayTradingApp());
+  process.env.EBAY_TRADING_API_URL = `${mockEbay.url}/ws/api.dll`;
+});
+
+after(async () => {
+  await mockEbay.close();
+});
+
+test('a Success response is parsed with every fee in the breakdown', async () => {
+  const result = await parseEbayResponse(await callEbayTradingAPI(buildEbayXMLRequest(listing, [PHOTO_URL]), 'AddItem', EBAY_CREDENTIALS));
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.ack, 'Success');
+  assert.match(result.itemId, /^\d+$/);
+  assert.strictEqual(result.url, `https://www.ebay.com/itm/${result.itemId}`);
+  assert.deepStrictEqual(result.fees, { insertionFee: 0.35, total: 0.35, currency: 'USD', breakdown: ALL_FEES });
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.warnings, []);
+  assert.ok(Date.parse(result.endTime) > Date.parse(result.startTime));
+});
+
+test('a Warning response is a success that keeps the warnings', async () => {
+  const xmlResponse = await callEbayTradingAPI(buildEbayXMLRequest({ ...listing, itemSpecifics: {} }, [PHOTO_URL]), 'AddItem', EBAY_CREDENTIALS);
+  const result = await parseEbayResponse(xmlResponse);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.ack, 'Warning');
+  assert.deepStrictEqual(result.fees.breakdown, ALL_FEES);
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.warnings, [{
+    severity: 'Warning',
+    code: '21919303',
+    shortMessage: 'Item specifics are missing.',
+    longMessage: 'Add item specifics to help buyers find your item.',
+    classification: 'RequestError',
+    parameters: []
+  }]);
+});
+
+test('a Failure response joins every error message and has no fees', async () => {
+  const xmlRequest = buildEbayXMLRequest(listing, []).replace(/<ConditionID>\d+<\/ConditionID>/, '');
+  const result = await parseEbayResponse(await callEbayTradingAPI(xmlRequest, 'AddItem', EBAY_CREDENTIALS));
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.ack, 'Failure');
+  assert.strictEqual(result.fees, undefined);
+  assert.deepStrictEqual(result.errors.map(error => error.code), ['21916884', '21919136']);
+  assert.strictEqual(result.error, 'The condition you selected is required for this category. Please add ConditionID. To list an item, include at least one picture (PictureDetails.PictureURL).');
+  assert.strictEqual(result.message, `eBay listing failed: ${result.error}`);
+});
+
+test('a VerifyAddItem Failure is a completed check of an invalid listing', async () => {
+  const xmlRequest = toVerifyAddItemRequest(buildEbayXMLRequest({ ...listing, title: 'x'.repeat(81) }, [PHOTO_URL]));
+  const result = await parseEbayVerifyResponse(await callEbayTradingAPI(xmlRequest, 'VerifyAddItem', EBAY_CREDENTIALS));
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.ack, 'Failure');
+  assert.strictEqual(result.fees, null);
+  assert.deepStrictEqual(result.errors.map(error => error.longMessage), ['The title may be no more than 80 characters. Your title has 81 characters.']);
+});
+
+test('XML that is not a Trading API response is not a success', async () => {
+  const result = await parseEbayResponse('<html>Service Unavailable');
+
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /^Failed to parse eBay response/);
+});
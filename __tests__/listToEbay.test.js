@@ -0,0 +1,300 @@
+/**
+ * The listing routes against the mock eBay Trading API (mock-ebay-server.js)
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { silenceServerLogs, useTempStores, createTestUser, startApp, createPhotoHostApp, jpegPhoto } = require('./testServer');
+const { createMockEbayTradingApp } = require('../mock-ebay-server');
+const { buildEbayXMLRequest, callEbayTradingAPI, parseEbayResponse, verifyEbayListing } = require('../src/services/ebayApi');
+
+const EBAY_CREDENTIALS = { authToken: 'mock-token' };
+const PHOTO_URL = 'https://photos.example.com/uploads/book.jpg';
+const LONG_TITLE = 'Vintage Brass Desk Lamp '.repeat(4).trim();
+// Leaf categories in the mock's category tree (src/fixtures/taxonomy/categoryTree.json)
+const LAMPS_CATEGORY_ID = '112581';
+const BOOKS_CATEGORY_ID = '261186';
+const COOKIE_JARS_CATEGORY_ID = '13906';
+
+const generalListing = {
+  title: 'Vintage Brass Desk Lamp',
+  price: 24.99,
+  condition: 'Good',
+  category: 'Collectibles',
+  description: 'Working brass desk lamp with light patina.',
+  itemSpecifics: { Brand: 'Unbranded' },
+  listingType: 'GENERAL_LISTING'
+};
+
+const bookListing = {
+  title: 'The Hobbit by J.R.R. Tolkien Hardcover',
+  author: 'J.R.R. Tolkien',
+  price: 14.99,
+  condition: 'Very Good',
+  category: 'Books > Fiction & Literature',
+  categoryId: BOOKS_CATEGORY_ID,
+  format: 'Hardcover',
+  language: 'English',
+  photos: [PHOTO_URL]
+};
+
+let mockEbay;
+let mockEbayApp;
+let photoHost;
+let server;
+let removeStores;
+let headers;
+
+before(async () => {
+  silenceServerLogs();
+  removeStores = useTempStores();
+  mockEbayApp = createMockEbayTradingApp();
+  mockEbay = await startApp(mockEbayApp);
+  photoHost = await startApp(createPhotoHostApp());
+  process.env.EBAY_TRADING_API_URL = `${mockEbay.url}/ws/api.dll`;
+  // Category suggestions and the category tree come from the mock's Taxonomy API
+  process.env.EBAY_REST_API_URL = mockEbay.url;
+  process.env.EBAY_OAUTH_BASE_URL = mockEbay.url;
+  process.env.EBAY_APP_ID = 'mock';
+  process.env.EBAY_CERT_ID = 'mock';
+  process.env.EXTERNAL_PHOTO_HOST_URL = photoHost.url;
+  server = await startApp(require('../new-server'));
+  ({ headers } = await createTestUser({ ebayToken: EBAY_CREDENTIALS.authToken }));
+});
+
+after(async () => {
+  await Promise.all([server.close(), mockEbay.close(), photoHost.close()]);
+  removeStores();
+});
+
+/**
+ * POST JSON to the server
+ * @returns {Promise<Object>} { status, body }
+ */
+async function postJson(path, body) {
+  const response = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * POST a listing and base64 photos as form fields, the way /api/list-to-ebay takes them
+ * @returns {Promise<Object>} { status, body }
+ */
+async function postListingWithPhotos(listing, photos = [jpegPhoto()]) {
+  const form = new FormData();
+  form.append('listing', JSON.stringify(listing));
+  form.append('photoCount', String(photos.length));
+  photos.forEach((photo, index) => {
+    form.append(`photo_${index}`, JSON.stringify({ data: photo.toString('base64'), name: `photo_${index}.jpg`, type: 'image/jpeg' }));
+  });
+
+  const response = await fetch(`${server.url}/api/list-to-ebay`, { method: 'POST', body: form, headers });
+  return { status: response.status, body: await response.json() };
+}
+
+const listedItem = (itemId) => mockEbayApp.locals.items.get(itemId);
+
+test('list-to-ebay hosts the photos and lists the item', async () => {
+  const { status, body } = await postListingWithPhotos(generalListing);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.data.ack, 'Success');
+  assert.strictEqual(body.data.photoUpload.successfulUploads, 1);
+  assert.strictEqual(listedItem(body.data.itemId).title, generalListing.title);
+});
+
+test('list-to-ebay-with-urls lists the item with the hosted photos', async () => {
+  const { status, body } = await postJson('/api/list-to-ebay-with-urls', { ...generalListing, hostedPhotoUrls: [PHOTO_URL] });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.ack, 'Success');
+  assert.strictEqual(body.data.url, `https://www.ebay.com/itm/${body.data.itemId}`);
+  assert.strictEqual(listedItem(body.data.itemId).price, generalListing.price);
+});
+
+test('a listing eBay accepts with a warning is still listed', async () => {
+  const { status, body } = await postJson('/api/list-to-ebay-with-urls', { ...generalListing, itemSpecifics: {}, hostedPhotoUrls: [PHOTO_URL] });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.data.ack, 'Warning');
+  assert.ok(listedItem(body.data.itemId));
+});
+
+test('list-book-to-ebay lists the book', async () => {
+  const { status, body } = await postJson('/api/list-book-to-ebay', bookListing);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(listedItem(body.itemId).title, bookListing.title);
+  assert.deepStrictEqual(body.bookData, { title: bookListing.title, author: bookListing.author, price: bookListing.price });
+});
+
+test('titles over 80 characters fail on every listing route', async () => {
+  const tooLong = `The title may be no more than 80 characters. Your title has ${LONG_TITLE.length} characters.`;
+  const results = [
+    await postListingWithPhotos({ ...generalListing, title: LONG_TITLE }),
+    await postJson('/api/list-to-ebay-with-urls', { ...generalListing, title: LONG_TITLE, hostedPhotoUrls: [PHOTO_URL] }),
+    await postJson('/api/list-book-to-ebay', { ...bookListing, title: LONG_TITLE })
+  ];
+
+  results.forEach(({ status, body }) => {
+    assert.strictEqual(status, 500);
+    assert.strictEqual(body.success, false);
+    assert.strictEqual(body.error, tooLong);
+  });
+});
+
+test('photo URLs eBay can\'t fetch fail the listing', async () => {
+  const { status, body } = await postJson('/api/list-to-ebay-with-urls', { ...generalListing, hostedPhotoUrls: ['photos/book.jpg'] });
+
+  assert.strictEqual(status, 500);
+  assert.strictEqual(body.error, 'PictureURL values must be fully qualified http or https URLs.');
+});
+
+test('listings without a picked category go in the top suggested leaf category', async () => {
+  const { status, body } = await postJson('/api/list-to-ebay-with-urls', { ...generalListing, hostedPhotoUrls: [PHOTO_URL] });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(listedItem(body.data.itemId).categoryId, LAMPS_CATEGORY_ID);
+});
+
+test('categories that aren\'t leaves of the category tree are refused before calling eBay', async () => {
+  const itemCount = mockEbayApp.locals.items.size;
+  const results = [
+    // Home & Garden, which has subcategories
+    await postJson('/api/list-to-ebay-with-urls', { ...generalListing, categoryId: '11700', hostedPhotoUrls: [PHOTO_URL] }),
+    // Not in the tree - the old Fiction & Literature fallback
+    await postJson('/api/list-book-to-ebay', { ...bookListing, categoryId: '377' }),
+    // No suggestion matches, and the keyword fallback (377) isn't in the tree either
+    await postJson('/api/list-book-to-ebay', { ...bookListing, categoryId: undefined })
+  ];
+
+  assert.deepStrictEqual(results.map(({ status }) => status), [400, 400, 400]);
+  assert.deepStrictEqual(results.map(({ body }) => body.error), [
+    '"Home & Garden" has subcategories - pick a more specific category',
+    '377 is not an eBay category - pick one of the suggested categories',
+    `Couldn't find an eBay category for "${bookListing.title}" - pick one on the listing card`
+  ]);
+  assert.strictEqual(mockEbayApp.locals.items.size, itemCount);
+});
+
+test('item specifics the category needs are refused with what to fix, before calling eBay', async () => {
+  const itemCount = mockEbayApp.locals.items.size;
+  const { status, body } = await postJson('/api/list-book-to-ebay', {
+    ...bookListing,
+    item_specifics: { 'Book Title': 'The Hobbit', Author: 'J.R.R. Tolkien', Format: 'Scroll' }
+  });
+
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /^"Scroll" isn't a Format eBay takes in this category/);
+  assert.deepStrictEqual(body.invalidItemSpecifics, [{ name: 'Format', value: 'Scroll' }]);
+  assert.deepStrictEqual(body.missingItemSpecifics, ['Language']);
+  assert.strictEqual(mockEbayApp.locals.items.size, itemCount);
+});
+
+test('item specifics are sent unchecked, with a warning, when the aspects can\'t be fetched', async () => {
+  const restApiUrl = process.env.EBAY_REST_API_URL;
+  // Nothing listens on the discard port, so the Taxonomy API call fails; the saved category tree still works
+  process.env.EBAY_REST_API_URL = 'http://127.0.0.1:9';
+  try {
+    const { status, body } = await postJson('/api/list-to-ebay-with-urls', { ...generalListing, categoryId: COOKIE_JARS_CATEGORY_ID, hostedPhotoUrls: [PHOTO_URL] });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.ok(listedItem(body.data.itemId));
+    assert.deepStrictEqual(body.data.warnings.map(warning => warning.code), ['ItemSpecificsNotChecked']);
+  } finally {
+    process.env.EBAY_REST_API_URL = restApiUrl;
+  }
+});
+
+test('AddItem requests without a category, condition or photo fail', async () => {
+  const request = buildEbayXMLRequest({ ...generalListing, categoryId: LAMPS_CATEGORY_ID }, [PHOTO_URL]);
+  const cases = {
+    'The category selected is not a leaf category. Please select a valid category.': request.replace(/<CategoryID>\d+<\/CategoryID>/, ''),
+    'The condition you selected is required for this category. Please add ConditionID.': request.replace(/<ConditionID>\d+<\/ConditionID>/, ''),
+    'To list an item, include at least one picture (PictureDetails.PictureURL).': buildEbayXMLRequest({ ...generalListing, categoryId: LAMPS_CATEGORY_ID }, [])
+  };
+
+  for (const [error, xmlRequest] of Object.entries(cases)) {
+    const result = await parseEbayResponse(await callEbayTradingAPI(xmlRequest, 'AddItem', EBAY_CREDENTIALS));
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.ack, 'Failure');
+    assert.strictEqual(result.error, error);
+  }
+});
+
+test('listings without photos are rejected before calling eBay', async () => {
+  const itemCount = mockEbayApp.locals.items.size;
+  const results = [
+    await postJson('/api/list-to-ebay-with-urls', { ...generalListing, hostedPhotoUrls: [] }),
+    await postJson('/api/list-book-to-ebay', { ...bookListing, photos: [] })
+  ];
+
+  results.forEach(({ status }) => assert.strictEqual(status, 400));
+  assert.strictEqual(mockEbayApp.locals.items.size, itemCount);
+});
+
+test('validateOnly checks a listing with VerifyAddItem without listing it', async () => {
+  const itemCount = mockEbayApp.locals.items.size;
+  const { status, body } = await postJson('/api/list-to-ebay-with-urls', { ...generalListing, hostedPhotoUrls: [PHOTO_URL], validateOnly: true });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.validateOnly, true);
+  assert.strictEqual(body.valid, true);
+  assert.strictEqual(body.ack, 'Success');
+  assert.deepStrictEqual(body.errors, []);
+  assert.deepStrictEqual(body.warnings, []);
+  assert.strictEqual(body.fees.insertionFee, 0.35);
+  assert.strictEqual(body.fees.total, 0.35);
+  assert.strictEqual(mockEbayApp.locals.items.size, itemCount);
+});
+
+test('VerifyAddItem warnings leave the listing valid', async () => {
+  const { status, body } = await postJson('/api/list-to-ebay-with-urls', { ...generalListing, itemSpecifics: {}, hostedPhotoUrls: [PHOTO_URL], validateOnly: 'true' });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.valid, true);
+  assert.strictEqual(body.ack, 'Warning');
+  assert.deepStrictEqual(body.warnings.map(warning => warning.code), ['21919303']);
+});
+
+test('VerifyAddItem failures come back as a completed check with eBay\'s errors', async () => {
+  const itemCount = mockEbayApp.locals.items.size;
+  const results = [
+    await postJson('/api/list-to-ebay-with-urls', { ...generalListing, title: LONG_TITLE, hostedPhotoUrls: [PHOTO_URL], validateOnly: true }),
+    await postJson('/api/list-book-to-ebay', { ...bookListing, title: LONG_TITLE, validateOnly: true })
+  ];
+
+  results.forEach(({ status, body }) => {
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.success, true);
+    assert.strictEqual(body.valid, false);
+    assert.strictEqual(body.ack, 'Failure');
+    assert.deepStrictEqual(body.errors.map(error => error.code), ['70']);
+    assert.strictEqual(body.fees, null);
+  });
+  assert.strictEqual(mockEbayApp.locals.items.size, itemCount);
+});
+
+test('VerifyAddItem reports a missing category, condition and photo together', async () => {
+  const request = buildEbayXMLRequest({ ...generalListing, categoryId: LAMPS_CATEGORY_ID }, [])
+    .replace(/<CategoryID>\d+<\/CategoryID>/, '')
+    .replace(/<ConditionID>\d+<\/ConditionID>/, '');
+
+  const result = await verifyEbayListing(request, EBAY_CREDENTIALS);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.ack, 'Failure');
+  assert.deepStrictEqual(result.errors.map(error => error.code).sort(), ['21916884', '21919136', '87']);
+});
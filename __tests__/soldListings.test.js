@@ -0,0 +1,64 @@
+/**
+ * Sold items are per user, and ones synced before user accounts go to the first user to sync
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { silenceServerLogs, useTempStores, createTestUser, startApp } = require('./testServer');
+const { createMockEbayTradingApp } = require('../mock-ebay-server');
+
+// Synced from the server's one eBay account before user accounts, so they have no userId
+const LEGACY_SOLD_LISTINGS = [
+  { id: 'legacy-1', itemId: '110000000801', title: 'Dune by Frank Herbert Paperback', soldPrice: 7.5, currency: 'USD', quantity: 1, soldDate: '2026-01-10T12:00:00.000Z' },
+  { id: 'legacy-2', itemId: '110000000802', title: 'Abbey Road LP', soldPrice: 22, currency: 'USD', quantity: 1, soldDate: '2026-02-03T12:00:00.000Z' }
+];
+
+let mockEbay;
+let server;
+let removeStores;
+let alice;
+let bob;
+
+before(async () => {
+  silenceServerLogs();
+  removeStores = useTempStores();
+  fs.writeFileSync(process.env.SOLD_LISTING_STORE_PATH, JSON.stringify({ soldListings: LEGACY_SOLD_LISTINGS }));
+
+  mockEbay = await startApp(createMockEbayTradingApp());
+  process.env.EBAY_TRADING_API_URL = `${mockEbay.url}/ws/api.dll`;
+  server = await startApp(require('../new-server'));
+  alice = await createTestUser({ name: 'alice', ebayToken: 'alice-token' });
+  bob = await createTestUser({ name: 'bob', ebayToken: 'bob-token' });
+});
+
+after(async () => {
+  await Promise.all([server.close(), mockEbay.close()]);
+  removeStores();
+});
+
+const soldListingIds = async (user) => {
+  const response = await fetch(`${server.url}/api/sold-listings`, { headers: user.headers });
+  return (await response.json()).soldListings.map(soldListing => soldListing.id);
+};
+
+test('sold items from before user accounts go to the first user to sync', async () => {
+  assert.deepStrictEqual(await soldListingIds(bob), ['legacy-2', 'legacy-1']);
+
+  const response = await fetch(`${server.url}/api/sold-listings/sync`, {
+    method: 'POST',
+    headers: { ...alice.headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ days: 30 })
+  });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.ok(body.synced > 0);
+  assert.strictEqual(body.added, body.synced);
+  assert.ok(body.soldListings.every(soldListing => soldListing.userId === alice.user.id));
+  assert.ok(['legacy-1', 'legacy-2'].every(id => body.soldListings.some(soldListing => soldListing.id === id)));
+
+  assert.deepStrictEqual(await soldListingIds(bob), []);
+  assert.strictEqual((await soldListingIds(alice)).length, body.synced + LEGACY_SOLD_LISTINGS.length);
+});
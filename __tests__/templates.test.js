@@ -0,0 +1,91 @@
+/**
+ * /api/templates keeps each user's templates to themselves
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { silenceServerLogs, useTempStores, createTestUser, startApp } = require('./testServer');
+
+const LEGACY_TEMPLATE_ID = 'legacy-template';
+
+let server;
+let removeStores;
+let alice;
+let bob;
+
+before(async () => {
+  silenceServerLogs();
+  removeStores = useTempStores();
+
+  // Saved before user accounts, so it has no userId
+  fs.writeFileSync(process.env.TEMPLATE_STORE_PATH, JSON.stringify({
+    templates: [{ id: LEGACY_TEMPLATE_ID, name: 'Shared house style', listingType: null, title: '[TITLE]', description: '', category: '', condition: '', shipping: '' }]
+  }));
+
+  server = await startApp(require('../new-server'));
+  alice = await createTestUser({ name: 'alice' });
+  bob = await createTestUser({ name: 'bob' });
+});
+
+after(async () => {
+  await server.close();
+  removeStores();
+});
+
+/**
+ * Call the templates API as a user
+ * @returns {Promise<Object>} { status, body }
+ */
+async function callTemplates(user, method, path = '', body) {
+  const response = await fetch(`${server.url}/api/templates${path}`, {
+    method,
+    headers: { ...user.headers, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const templateIds = async (user) => (await callTemplates(user, 'GET')).body.templates.map(template => template.id);
+
+test('templates are only listed for the user who saved them', async () => {
+  const { status, body } = await callTemplates(alice, 'POST', '', { name: 'Alice books', listingType: 'BOOK_ITEM', title: '[TITLE] by [AUTHOR]' });
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.template.userId, alice.user.id);
+  assert.ok((await templateIds(alice)).includes(body.template.id));
+  assert.ok(!(await templateIds(bob)).includes(body.template.id));
+});
+
+test('other users can\'t change or delete a template', async () => {
+  const { body } = await callTemplates(alice, 'POST', '', { name: 'Alice records' });
+  const templateId = body.template.id;
+
+  assert.strictEqual((await callTemplates(bob, 'PUT', `/${templateId}`, { name: 'Taken' })).status, 404);
+  assert.strictEqual((await callTemplates(bob, 'DELETE', `/${templateId}`)).status, 404);
+
+  const updated = await callTemplates(alice, 'PUT', `/${templateId}`, { name: 'Alice LPs' });
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual(updated.body.template.name, 'Alice LPs');
+  assert.strictEqual((await callTemplates(alice, 'DELETE', `/${templateId}`)).status, 200);
+});
+
+test('the client can\'t set who a template belongs to', async () => {
+  const { body } = await callTemplates(bob, 'POST', '', { name: 'Bob general', userId: alice.user.id });
+
+  assert.strictEqual(body.template.userId, bob.user.id);
+  assert.ok(!(await templateIds(alice)).includes(body.template.id));
+});
+
+test('templates from before user accounts are shared until a user edits one', async () => {
+  assert.ok((await templateIds(alice)).includes(LEGACY_TEMPLATE_ID));
+  assert.ok((await templateIds(bob)).includes(LEGACY_TEMPLATE_ID));
+
+  const { status, body } = await callTemplates(bob, 'PUT', `/${LEGACY_TEMPLATE_ID}`, { title: '[TITLE] - [CONDITION]' });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.template.userId, bob.user.id);
+  assert.ok(!(await templateIds(alice)).includes(LEGACY_TEMPLATE_ID));
+  assert.strictEqual((await callTemplates(alice, 'DELETE', `/${LEGACY_TEMPLATE_ID}`)).status, 404);
+});
@@ -0,0 +1,122 @@
+/**
+ * Helpers for the server route tests
+ * Set the environment before requiring new-server.js - it reads it at load time.
+ */
+
+const { mock } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Keep the server's request logging out of the test output
+ */
+function silenceServerLogs() {
+  ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+}
+
+/**
+ * Point the server's JSON stores at a temp directory, so tests never touch data/
+ * @returns {Function} Removes the directory
+ */
+function useTempStores() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'listing-tests-'));
+  process.env.LISTING_STORE_PATH = path.join(dir, 'listings.json');
+  process.env.TEMPLATE_STORE_PATH = path.join(dir, 'templates.json');
+  process.env.SOLD_LISTING_STORE_PATH = path.join(dir, 'soldListings.json');
+  process.env.USER_STORE_PATH = path.join(dir, 'users.json');
+  process.env.EBAY_CREDENTIAL_STORE_PATH = path.join(dir, 'ebayCredentials.json');
+  process.env.SELLER_SETTINGS_STORE_PATH = path.join(dir, 'sellerSettings.json');
+  process.env.CATEGORY_TREE_STORE_PATH = path.join(dir, 'categoryTree.json');
+
+  return () => fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Create a user in the (temp) user store to call the server as
+ * @param {Object} options - { name, isAdmin, ebayToken } - ebayToken connects an eBay account
+ * @returns {Promise<Object>} { user, apiToken, headers } - headers hold the Authorization header
+ */
+async function createTestUser({ name = 'tester', isAdmin = false, ebayToken = null } = {}) {
+  const userStore = require('../src/services/userStore');
+  const ebayCredentialStore = require('../src/services/ebayCredentialStore');
+
+  const { user, apiToken } = await userStore.createUser({ name, isAdmin });
+  if (ebayToken) {
+    await ebayCredentialStore.saveEbayCredentials(user.id, { authToken: ebayToken, ebayUsername: `${name}-seller` });
+  }
+
+  return { user, apiToken, headers: { Authorization: `Bearer ${apiToken}` } };
+}
+
+/**
+ * Listen on an ephemeral port
+ * @param {Object} app - Express app
+ * @returns {Promise<Object>} { url, close }
+ */
+function startApp(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Stand-in for the external photo host (EXTERNAL_PHOTO_HOST_URL) that hosts every upload
+ * @returns {Object} Express app - POST / returns { url }
+ */
+function createPhotoHostApp() {
+  const app = express();
+  let uploads = 0;
+
+  app.post('/', (req, res) => {
+    uploads++;
+    res.json({ url: `https://photos.example.com/uploads/photo_${uploads}.jpg` });
+  });
+
+  return app;
+}
+
+/**
+ * A JPEG that is only a header - enough for the server, which never decodes photos
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Buffer} JPEG file
+ */
+function jpegPhoto(width = 1600, height = 1600) {
+  const startOfFrame = [0xFF, 0xC0, 0x00, 0x11, 0x08, height >> 8, height & 0xFF, width >> 8, width & 0xFF, 0x03, 0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01];
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), Buffer.from(startOfFrame), Buffer.alloc(64), Buffer.from([0xFF, 0xD9])]);
+}
+
+/**
+ * Send photos to /api/analyze
+ * @param {string} url - Server URL
+ * @param {string} listingType - Listing type field
+ * @param {Object} options - { photos, headers }
+ * @returns {Promise<Object>} { status, body }
+ */
+async function analyzePhotos(url, listingType, { photos = [jpegPhoto()], headers = {} } = {}) {
+  const form = new FormData();
+  form.append('listingType', listingType);
+  photos.forEach((photo, index) => {
+    form.append('photos', new Blob([photo], { type: 'image/jpeg' }), `photo_${index}.jpg`);
+  });
+
+  const response = await fetch(`${url}/api/analyze`, { method: 'POST', body: form, headers });
+  return { status: response.status, body: await response.json() };
+}
+
+module.exports = {
+  silenceServerLogs,
+  useTempStores,
+  createTestUser,
+  startApp,
+  createPhotoHostApp,
+  jpegPhoto,
+  analyzePhotos
+};
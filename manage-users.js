@@ -0,0 +1,108 @@
+/**
+ * Manage the lister server's users from the command line
+ * Creates the first admin (the API can't be used until one exists) and connects
+ * each user's eBay account. Works on the same data files as the server.
+ *
+ * Usage:
+ *   npm run users -- add <name> [--admin]
+ *   npm run users -- list
+ *   npm run users -- rotate <name>
+ *   npm run users -- remove <name>
+ *   npm run users -- ebay-token <name> <eBay User Token> [eBay username]
+ */
+
+require('dotenv').config();
+const userStore = require('./src/services/userStore');
+const ebayCredentialStore = require('./src/services/ebayCredentialStore');
+const sellerSettingsStore = require('./src/services/sellerSettingsStore');
+
+const USAGE = `Usage:
+  npm run users -- add <name> [--admin]      Create a user and print their API token
+  npm run users -- list                      List users and their eBay connections
+  npm run users -- rotate <name>             Replace a user's API token
+  npm run users -- remove <name>             Delete a user and their eBay credentials
+  npm run users -- ebay-token <name> <token> [ebayUsername]
+                                             Connect a user's eBay account`;
+
+const findUserOrExit = (name) => {
+  const user = userStore.findUserByName(name || '');
+  if (!user) {
+    console.error(`❌ No user named "${name}"`);
+    process.exit(1);
+  }
+  return user;
+};
+
+const printToken = (user, apiToken) => {
+  console.log(`🔑 API token for ${user.name} (shown once - enter it in the app under Settings → Server):`);
+  console.log(`   ${apiToken}`);
+};
+
+const commands = {
+  async add(args) {
+    const name = args.filter(arg => arg !== '--admin').join(' ');
+    const data = { name, isAdmin: args.includes('--admin') };
+
+    const validationErrors = userStore.validateUser(data);
+    if (validationErrors.length > 0) {
+      console.error(`❌ ${validationErrors.join(', ')}`);
+      process.exit(1);
+    }
+
+    const { user, apiToken } = await userStore.createUser(data);
+    console.log(`👤 Created ${user.isAdmin ? 'admin' : 'user'} ${user.name} (${user.id})`);
+    printToken(user, apiToken);
+  },
+
+  async list() {
+    const users = userStore.listUsers();
+    if (users.length === 0) {
+      console.log('👤 No users yet - add one with: npm run users -- add <name> --admin');
+      return;
+    }
+
+    users.forEach(user => {
+      const ebay = ebayCredentialStore.describeEbayCredentials(user.id);
+      const ebayStatus = ebay.connected ? `eBay: ${ebay.ebayUsername || 'connected'}` : 'eBay: not connected';
+      console.log(`👤 ${user.name}${user.isAdmin ? ' (admin)' : ''} - ${ebayStatus} - last seen ${user.lastSeenAt || 'never'}`);
+    });
+  },
+
+  async rotate([name]) {
+    const { user, apiToken } = await userStore.rotateUserToken(findUserOrExit(name).id);
+    printToken(user, apiToken);
+  },
+
+  async remove([name]) {
+    const user = findUserOrExit(name);
+    await userStore.deleteUser(user.id);
+    await ebayCredentialStore.deleteEbayCredentials(user.id);
+    await sellerSettingsStore.deleteSellerSettings(user.id);
+    console.log(`🗑️ Deleted ${user.name}`);
+  },
+
+  async 'ebay-token'([name, authToken, ebayUsername]) {
+    const user = findUserOrExit(name);
+    const validationErrors = ebayCredentialStore.validateEbayCredentials({ authToken, ebayUsername });
+    if (validationErrors.length > 0) {
+      console.error(`❌ ${validationErrors.join(', ')}`);
+      process.exit(1);
+    }
+
+    await ebayCredentialStore.saveEbayCredentials(user.id, { authToken, ebayUsername });
+    console.log(`✅ eBay account connected for ${user.name}`);
+  }
+};
+
+const [commandName, ...args] = process.argv.slice(2);
+const command = commands[commandName];
+
+if (!command) {
+  console.log(USAGE);
+  process.exit(commandName ? 1 : 0);
+}
+
+command(args).catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,777 @@
+/**
+ * Mock eBay Trading API
+ * Local stand-in for https://api.ebay.com/ws/api.dll so the listing routes can
+ * be run end-to-end without a sandbox account.
+ *
+ * Usage:
+ *   npm run mock:ebay
+ *   EBAY_TRADING_API_URL=http://localhost:3001/ws/api.dll npm run server
+ *
+ * Supports AddItem, VerifyAddItem, ReviseItem, EndItem and their fixed-price
+ * variants (ReviseFixedPriceItem, EndFixedPriceItem), GetMyeBaySelling's SoldList
+ * and GetUser. Items are kept in memory, so revise/end calls only know about items
+ * added since startup. The sold list starts with a few seeded sales; sell a
+ * mock item with POST /items/:itemId/sell.
+ *
+ * Also stands in for eBay OAuth (EBAY_OAUTH_BASE_URL=http://localhost:3001): the
+ * consent page grants access straight away and redirects to the server's callback.
+ * The Account API's business policy lists (EBAY_REST_API_URL=http://localhost:3001)
+ * return a few seeded policies, and AddItem rejects SellerProfiles IDs it doesn't know.
+ * The Taxonomy API serves a small category tree (src/fixtures/taxonomy/categoryTree.json)
+ * and suggests its categories by the words they share with the query; AddItem rejects
+ * categories from that tree that have subcategories. Item aspects come from
+ * src/fixtures/taxonomy/itemAspects.json, and AddItem rejects items missing a required one.
+ */
+
+const express = require('express');
+const { CONDITION_GROUPS, getConditionGroup } = require('./src/constants/conditions');
+const { flattenCategoryTree, searchCategories } = require('./src/services/ebayTaxonomy');
+const MOCK_CATEGORY_TREE = require('./src/fixtures/taxonomy/categoryTree.json');
+const MOCK_ITEM_ASPECTS = require('./src/fixtures/taxonomy/itemAspects.json');
+
+const MOCK_EBAY_PORT = process.env.MOCK_EBAY_PORT || 3001;
+const COMPATIBILITY_LEVEL = '967';
+const MOCK_SELLER_ID = 'mock_seller';
+// Where the consent page redirects when the RuName isn't a URL (real RuNames never are)
+const MOCK_OAUTH_CALLBACK_URL = process.env.MOCK_EBAY_OAUTH_CALLBACK_URL || 'http://localhost:3000/api/ebay/oauth/callback';
+// Seconds; set MOCK_EBAY_ACCESS_TOKEN_TTL low to exercise token refresh
+const MOCK_ACCESS_TOKEN_TTL = parseInt(process.env.MOCK_EBAY_ACCESS_TOKEN_TTL, 10) || 7200;
+const MOCK_REFRESH_TOKEN_TTL = 47304000; // 18 months, like eBay
+const VALID_CONDITION_IDS = ['1000', '1500', '1750', '2000', '2010', '2020', '2030', '2500', '2750', '3000', '4000', '5000', '6000', '7000'];
+const VALID_ENDING_REASONS = ['Incorrect', 'LostOrBroken', 'NotAvailable', 'OtherListingError', 'SellToHighBidder', 'Sold'];
+
+// Retired categories eBay maps to a replacement when CategoryMappingAllowed is true
+const REMAPPED_CATEGORIES = {
+  '377': '261186' // Fiction & Literature -> Books
+};
+
+// Mock category tree by ID, for suggestions and the leaf category check
+const MOCK_CATEGORIES = new Map(flattenCategoryTree(MOCK_CATEGORY_TREE.rootCategoryNode).map(category => [category.categoryId, category]));
+
+// Category names for the IDs the listing builders use
+const CATEGORY_NAMES = {
+  '1': 'Collectibles',
+  '309': 'VHS Tapes',
+  '377': 'Fiction & Literature',
+  '617': 'DVDs & Blu-ray Discs',
+  '11450': 'Children & Young Adults',
+  '29792': 'Nonfiction',
+  '58058': 'Computers/Tablets & Networking',
+  '172562': 'Textbooks',
+  '176985': 'CDs',
+  '261186': 'Books'
+};
+
+// Sales already on the account when the mock starts (soldDaysAgo is relative to startup)
+const SEEDED_SALES = [
+  { itemId: '110000000901', title: 'The Hobbit by J.R.R. Tolkien Hardcover 1997 Houghton Mifflin', price: 14.99, categoryId: '261186', soldDaysAgo: 2, views: 87, watchers: 4 },
+  { itemId: '110000000902', title: 'Fleetwood Mac - Rumours CD 1977 Warner Bros. Records', price: 9.5, categoryId: '176985', soldDaysAgo: 9, views: 41, watchers: 2 },
+  { itemId: '110000000903', title: 'The Matrix DVD 1999 Widescreen Keanu Reeves', price: 6.99, categoryId: '617', soldDaysAgo: 75, views: 23, watchers: 1 }
+];
+
+// Business policies on the mock seller's account, in the Account API's shape
+const MOCK_BUSINESS_POLICIES = {
+  payment_policy: {
+    listKey: 'paymentPolicies',
+    idKey: 'paymentPolicyId',
+    policies: [
+      { paymentPolicyId: '6001000001', name: 'eBay Payments', description: 'Immediate payment required', immediatePay: true, categoryTypes: [{ name: 'ALL_EXCLUDING_MOTORS_VEHICLES', default: true }] }
+    ]
+  },
+  fulfillment_policy: {
+    listKey: 'fulfillmentPolicies',
+    idKey: 'fulfillmentPolicyId',
+    policies: [
+      {
+        fulfillmentPolicyId: '6002000001',
+        name: 'Free Media Mail',
+        description: 'Books, CDs and DVDs',
+        handlingTime: { value: 1, unit: 'DAY' },
+        shippingOptions: [{ optionType: 'DOMESTIC', shippingServices: [{ shippingServiceCode: 'USPSMedia', freeShipping: true }] }],
+        categoryTypes: [{ name: 'ALL_EXCLUDING_MOTORS_VEHICLES', default: true }]
+      },
+      {
+        fulfillmentPolicyId: '6002000002',
+        name: 'Ground Advantage - Buyer Pays',
+        description: '',
+        handlingTime: { value: 3, unit: 'DAY' },
+        shippingOptions: [{ optionType: 'DOMESTIC', shippingServices: [{ shippingServiceCode: 'USPSGroundAdvantage', freeShipping: false }] }],
+        categoryTypes: [{ name: 'ALL_EXCLUDING_MOTORS_VEHICLES', default: false }]
+      }
+    ]
+  },
+  return_policy: {
+    listKey: 'returnPolicies',
+    idKey: 'returnPolicyId',
+    policies: [
+      { returnPolicyId: '6003000001', name: '30 Day Returns', description: '', returnsAccepted: true, returnPeriod: { value: 30, unit: 'DAY' }, returnShippingCostPayer: 'BUYER', categoryTypes: [{ name: 'ALL_EXCLUDING_MOTORS_VEHICLES', default: true }] },
+      { returnPolicyId: '6003000002', name: 'No Returns', description: '', returnsAccepted: false, categoryTypes: [{ name: 'ALL_EXCLUDING_MOTORS_VEHICLES', default: false }] }
+    ]
+  }
+};
+
+// SellerProfiles element and ID tag for each policy list
+const SELLER_PROFILE_TAGS = {
+  payment_policy: ['SellerPaymentProfile', 'PaymentProfileID'],
+  fulfillment_policy: ['SellerShippingProfile', 'ShippingProfileID'],
+  return_policy: ['SellerReturnProfile', 'ReturnProfileID']
+};
+
+// Fees returned for every listing (USD)
+const MOCK_FEES = {
+  InsertionFee: 0.35,
+  FeaturedFee: 0,
+  GalleryFee: 0,
+  ListingDesignerFee: 0,
+  SubtitleFee: 0
+};
+
+/**
+ * Read the raw inner XML of the first matching element
+ * @param {string} xml - XML document
+ * @param {string} tag - Element name
+ * @returns {string|null} Inner XML, or null if missing
+ */
+function getInnerXml(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${tag}>`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Read the text of the first matching XML element (entities and CDATA unwrapped)
+ * @param {string} xml - XML document
+ * @param {string} tag - Element name
+ * @returns {string|null} Element text, or null if missing
+ */
+function getTag(xml, tag) {
+  const innerXml = getInnerXml(xml, tag);
+  if (innerXml === null) return null;
+
+  const cdata = innerXml.trim().match(/^<!\[CDATA\[([\s\S]*)\]\]>$/);
+  if (cdata) return cdata[1].trim();
+
+  return innerXml.trim()
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the text of every matching XML element
+ * @param {string} xml - XML document
+ * @param {string} tag - Element name
+ * @returns {Array} Element texts
+ */
+function getAllTags(xml, tag) {
+  const matches = xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${tag}>`, 'g'));
+  return Array.from(matches, match => match[1].trim());
+}
+
+/**
+ * Escape text for an XML element
+ * @param {string} text - Raw text
+ * @returns {string} XML-safe text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build an eBay Errors element
+ * @param {Object} issue - { code, shortMessage, longMessage, severity }
+ * @returns {string} Errors XML
+ */
+function buildErrorXml({ code, shortMessage, longMessage, severity }) {
+  return `
+  <Errors>
+    <ShortMessage>${shortMessage}</ShortMessage>
+    <LongMessage>${longMessage}</LongMessage>
+    <ErrorCode>${code}</ErrorCode>
+    <SeverityCode>${severity}</SeverityCode>
+    <ErrorClassification>RequestError</ErrorClassification>
+  </Errors>`;
+}
+
+/**
+ * Build a Trading API response document
+ * Ack is Failure if any issue is an Error, Warning if any is a Warning, otherwise Success
+ * @param {string} callName - Trading API call name
+ * @param {Array} issues - Errors and warnings
+ * @param {string} body - Call-specific XML (ItemID, Fees, ...)
+ * @returns {string} Response XML
+ */
+function buildResponseXml(callName, issues, body = '') {
+  const hasErrors = issues.some(issue => issue.severity === 'Error');
+  const ack = hasErrors ? 'Failure' : issues.length > 0 ? 'Warning' : 'Success';
+
+  // eBay lists errors before warnings
+  const sortedIssues = [...issues].sort((a, b) => (a.severity === 'Error' ? 0 : 1) - (b.severity === 'Error' ? 0 : 1));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<${callName}Response xmlns="urn:ebay:apis:eBLBaseComponents">
+  <Timestamp>${new Date().toISOString()}</Timestamp>
+  <Ack>${ack}</Ack>${sortedIssues.map(buildErrorXml).join('')}
+  <Version>${COMPATIBILITY_LEVEL}</Version>
+  <Build>mock-ebay-server</Build>${hasErrors ? '' : body}
+</${callName}Response>`;
+}
+
+/**
+ * Build the Fees element
+ * @returns {string} Fees XML
+ */
+function buildFeesXml() {
+  const fees = Object.entries(MOCK_FEES);
+  const total = fees.reduce((sum, [, amount]) => sum + amount, 0);
+
+  return `
+  <Fees>${[...fees, ['ListingFee', total]].map(([name, amount]) => `
+    <Fee>
+      <Name>${name}</Name>
+      <Fee currencyID="USD">${amount.toFixed(2)}</Fee>
+    </Fee>`).join('')}
+  </Fees>`;
+}
+
+/**
+ * Build the CategoryID element eBay returns when it remapped the listing's category
+ * @param {string} itemXml - Contents of the Item element
+ * @returns {string} CategoryID XML, or '' if the category was kept
+ */
+function buildRemappedCategoryXml(itemXml) {
+  const categoryId = getTag(getInnerXml(itemXml, 'PrimaryCategory') || '', 'CategoryID');
+  const remappedId = REMAPPED_CATEGORIES[categoryId];
+
+  if (!remappedId || getTag(itemXml, 'CategoryMappingAllowed') !== 'true') {
+    return '';
+  }
+
+  return `
+  <CategoryID>${remappedId}</CategoryID>`;
+}
+
+/**
+ * Validate the Item of an AddItem/VerifyAddItem request
+ * @param {string} itemXml - Contents of the Item element
+ * @returns {Array} Errors and warnings
+ */
+function validateNewItem(itemXml) {
+  const issues = [];
+  const title = getTag(itemXml, 'Title');
+  const categoryId = getTag(getInnerXml(itemXml, 'PrimaryCategory') || '', 'CategoryID');
+  const conditionId = getTag(itemXml, 'ConditionID');
+  const startPrice = parseFloat(getTag(itemXml, 'StartPrice'));
+  const pictureUrls = getAllTags(itemXml, 'PictureURL');
+
+  if (!title) {
+    issues.push({ code: '37', severity: 'Error', shortMessage: 'Input data is invalid.', longMessage: 'Input data for tag &lt;Item.Title&gt; is invalid or missing. Please check API documentation.' });
+  } else if (title.length > 80) {
+    issues.push({ code: '70', severity: 'Error', shortMessage: 'Title is too long.', longMessage: `The title may be no more than 80 characters. Your title has ${title.length} characters.` });
+  }
+
+  if (!categoryId || !/^\d+$/.test(categoryId) || MOCK_CATEGORIES.get(categoryId)?.leaf === false) {
+    issues.push({ code: '87', severity: 'Error', shortMessage: 'The category is not valid.', longMessage: 'The category selected is not a leaf category. Please select a valid category.' });
+  }
+
+  if (!conditionId) {
+    issues.push({ code: '21916884', severity: 'Error', shortMessage: 'Condition is required for this category.', longMessage: 'The condition you selected is required for this category. Please add ConditionID.' });
+  } else if (!VALID_CONDITION_IDS.includes(conditionId) ||
+    (getConditionGroup(null, categoryId) === 'MEDIA' && !CONDITION_GROUPS.MEDIA.conditions.some(condition => condition.id === conditionId))) {
+    issues.push({ code: '21917121', severity: 'Error', shortMessage: 'Item condition is not valid.', longMessage: `The item condition value ${conditionId} is not valid for this category.` });
+  }
+
+  if (conditionId === '1000' && getTag(itemXml, 'ConditionDescription')) {
+    issues.push({ code: '21917092', severity: 'Warning', shortMessage: 'Condition description was dropped.', longMessage: 'Condition descriptions are not shown for new items, so it was removed.' });
+  }
+
+  if (pictureUrls.length === 0) {
+    issues.push({ code: '21919136', severity: 'Error', shortMessage: 'Listing requires a picture.', longMessage: 'To list an item, include at least one picture (PictureDetails.PictureURL).' });
+  } else if (pictureUrls.some(url => !/^https?:\/\//.test(url))) {
+    issues.push({ code: '21919137', severity: 'Error', shortMessage: 'Picture URL is invalid.', longMessage: 'PictureURL values must be fully qualified http or https URLs.' });
+  }
+
+  if (!getTag(itemXml, 'PostalCode') && !getTag(itemXml, 'Location')) {
+    issues.push({ code: '10019', severity: 'Error', shortMessage: 'Item location is missing.', longMessage: 'Please enter a postal code or a city and state for the item location.' });
+  }
+
+  if (!Number.isFinite(startPrice) || startPrice <= 0) {
+    issues.push({ code: '73', severity: 'Error', shortMessage: 'Invalid price.', longMessage: 'The price must be a valid amount greater than 0.' });
+  }
+
+  const sellerProfilesXml = getInnerXml(itemXml, 'SellerProfiles') || '';
+  Object.entries(SELLER_PROFILE_TAGS).forEach(([resource, [profileTag, idTag]]) => {
+    const profileId = getTag(getInnerXml(sellerProfilesXml, profileTag) || '', idTag);
+    const { policies, idKey } = MOCK_BUSINESS_POLICIES[resource];
+    if (profileId && !policies.some(policy => policy[idKey] === profileId)) {
+      issues.push({ code: '21919476', severity: 'Error', shortMessage: 'Business policy is not valid.', longMessage: `${idTag} ${profileId} is not one of your business policies.` });
+    }
+  });
+
+  const itemSpecificsXml = getInnerXml(itemXml, 'ItemSpecifics');
+  const requiredAspects = (MOCK_ITEM_ASPECTS[REMAPPED_CATEGORIES[categoryId] || categoryId]?.aspects || [])
+    .filter(aspect => aspect.aspectConstraint.aspectRequired)
+    .map(aspect => aspect.localizedAspectName);
+  if (requiredAspects.length > 0) {
+    const specifiedNames = getAllTags(itemSpecificsXml || '', 'NameValueList')
+      .filter(nameValueXml => getTag(nameValueXml, 'Value'))
+      .map(nameValueXml => getTag(nameValueXml, 'Name'));
+    requiredAspects.filter(name => !specifiedNames.includes(name)).forEach(name => {
+      issues.push({ code: '21919303', severity: 'Error', shortMessage: 'Item specific is missing.', longMessage: `The item specific ${name} is missing. Add ${name} to this listing, enter a valid value, and then try again.` });
+    });
+  } else if (!itemSpecificsXml) {
+    issues.push({ code: '21919303', severity: 'Warning', shortMessage: 'Item specifics are missing.', longMessage: 'Add item specifics to help buyers find your item.' });
+  }
+
+  return issues;
+}
+
+/**
+ * Build the SoldList element for one page of sales
+ * @param {Array} sales - Sales on this page
+ * @param {number} totalEntries - Sales in the requested period
+ * @param {number} totalPages - Pages in the requested period
+ * @returns {string} SoldList XML
+ */
+function buildSoldListXml(sales, totalEntries, totalPages) {
+  return `
+  <SoldList>
+    <OrderTransactionArray>${sales.map(sale => `
+      <OrderTransaction>
+        <Transaction>
+          <Buyer><UserID>mock_buyer</UserID></Buyer>
+          <CreatedDate>${sale.soldDate}</CreatedDate>
+          <Item>
+            <ItemID>${sale.itemId}</ItemID>
+            <Title>${escapeXml(sale.title)}</Title>
+            <PrimaryCategory>
+              <CategoryID>${sale.categoryId}</CategoryID>
+              <CategoryName>${escapeXml(CATEGORY_NAMES[sale.categoryId] || `Category ${sale.categoryId}`)}</CategoryName>
+            </PrimaryCategory>
+            <SellingStatus><CurrentPrice currencyID="USD">${sale.price.toFixed(2)}</CurrentPrice></SellingStatus>
+            <HitCount>${sale.views}</HitCount>
+            <WatchCount>${sale.watchers}</WatchCount>
+          </Item>
+          <QuantityPurchased>${sale.quantity}</QuantityPurchased>
+          <TransactionID>${sale.transactionId}</TransactionID>
+          <TotalPrice currencyID="USD">${(sale.price * sale.quantity).toFixed(2)}</TotalPrice>
+        </Transaction>
+      </OrderTransaction>`).join('')}
+    </OrderTransactionArray>
+    <PaginationResult>
+      <TotalNumberOfPages>${totalPages}</TotalNumberOfPages>
+      <TotalNumberOfEntries>${totalEntries}</TotalNumberOfEntries>
+    </PaginationResult>
+  </SoldList>`;
+}
+
+/**
+ * Create the mock Trading API Express app
+ * Exported so tests can start it on a random port
+ * @returns {Object} Express app (with the in-memory stores at app.locals.items, app.locals.sales and app.locals.oauth)
+ */
+function createMockEbayTradingApp() {
+  const app = express();
+  const items = new Map();
+  const oauth = {
+    codes: new Set(),
+    accessTokens: new Map(), // token -> expiry (ms)
+    refreshTokens: new Set()
+  };
+  let nextTokenId = 1;
+  let nextItemId = 110000000001;
+  let nextTransactionId = 2000000001;
+
+  const sales = SEEDED_SALES.map(({ soldDaysAgo, ...sale }) => ({
+    ...sale,
+    quantity: 1,
+    transactionId: String(nextTransactionId++),
+    soldDate: new Date(Date.now() - soldDaysAgo * 24 * 60 * 60 * 1000).toISOString()
+  }));
+
+  app.locals.items = items;
+  app.locals.sales = sales;
+  app.locals.oauth = oauth;
+  app.use('/items', express.json());
+  app.use('/identity', express.urlencoded({ extended: false }));
+  app.use(express.text({ type: '*/*', limit: '5mb' }));
+
+  // Consent page - grants access straight away
+  app.get('/oauth2/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, state } = req.query;
+    if (!clientId || !redirectUri || responseType !== 'code') {
+      return res.status(400).send('client_id, redirect_uri and response_type=code are required');
+    }
+
+    const code = `mock-code-${nextTokenId++}`;
+    oauth.codes.add(code);
+    console.log(`🧪 Mock eBay consent granted (${code})`);
+
+    const callbackUrl = new URL(/^https?:\/\//.test(redirectUri) ? redirectUri : MOCK_OAUTH_CALLBACK_URL);
+    callbackUrl.searchParams.set('code', code);
+    if (state) callbackUrl.searchParams.set('state', state);
+    res.redirect(callbackUrl.toString());
+  });
+
+  // Token endpoint - authorization_code, refresh_token and client_credentials grants
+  app.post('/identity/v1/oauth2/token', (req, res) => {
+    if (!/^Basic \S+/.test(req.get('Authorization') || '')) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'client authentication failed' });
+    }
+
+    const { grant_type: grantType, code, refresh_token: refreshToken } = req.body || {};
+    const issueAccessToken = () => {
+      const accessToken = `mock-access-${nextTokenId++}`;
+      oauth.accessTokens.set(accessToken, Date.now() + MOCK_ACCESS_TOKEN_TTL * 1000);
+      return accessToken;
+    };
+
+    if (grantType === 'authorization_code' && oauth.codes.delete(code)) {
+      const newRefreshToken = `mock-refresh-${nextTokenId++}`;
+      oauth.refreshTokens.add(newRefreshToken);
+      console.log('🧪 Mock eBay OAuth code exchanged');
+      return res.json({
+        access_token: issueAccessToken(),
+        expires_in: MOCK_ACCESS_TOKEN_TTL,
+        refresh_token: newRefreshToken,
+        refresh_token_expires_in: MOCK_REFRESH_TOKEN_TTL,
+        token_type: 'User Access Token'
+      });
+    }
+
+    if (grantType === 'client_credentials') {
+      console.log('🧪 Mock eBay OAuth application token issued');
+      return res.json({
+        access_token: issueAccessToken(),
+        expires_in: MOCK_ACCESS_TOKEN_TTL,
+        token_type: 'Application Access Token'
+      });
+    }
+
+    if (grantType === 'refresh_token' && oauth.refreshTokens.has(refreshToken)) {
+      console.log('🧪 Mock eBay OAuth access token refreshed');
+      return res.json({
+        access_token: issueAccessToken(),
+        expires_in: MOCK_ACCESS_TOKEN_TTL,
+        token_type: 'User Access Token'
+      });
+    }
+
+    res.status(400).json({ error: 'invalid_grant', error_description: 'the provided authorization grant code or refresh token is invalid or was issued to another client' });
+  });
+
+  // REST APIs take a user or application access token from the token endpoint
+  const requireAccessToken = (req, res, next) => {
+    const accessToken = (req.get('Authorization') || '').replace(/^Bearer\s+/, '');
+    const expiresAt = oauth.accessTokens.get(accessToken);
+    if (!expiresAt || expiresAt <= Date.now()) {
+      return res.status(401).json({
+        errors: [{ errorId: 1001, domain: 'OAuth', category: 'REQUEST', message: 'Invalid access token', longMessage: 'Invalid access token. Check the value of the Authorization HTTP request header.' }]
+      });
+    }
+    next();
+  };
+
+  // Account API business policy lists (payment_policy, fulfillment_policy, return_policy)
+  app.get('/sell/account/v1/:resource', requireAccessToken, (req, res) => {
+    const policyList = MOCK_BUSINESS_POLICIES[req.params.resource];
+    if (!policyList) {
+      return res.status(404).json({ errors: [{ errorId: 2002, domain: 'ACCESS', category: 'REQUEST', message: 'Resource not found' }] });
+    }
+    if (!req.query.marketplace_id) {
+      return res.status(400).json({ errors: [{ errorId: 20401, domain: 'API_ACCOUNT', category: 'REQUEST', message: 'Missing field marketplaceId.' }] });
+    }
+
+    console.log(`🧪 Mock eBay ${req.params.resource} list`);
+    res.json({ total: policyList.policies.length, [policyList.listKey]: policyList.policies });
+  });
+
+  // Taxonomy API - one category tree, for EBAY_US
+  app.get('/commerce/taxonomy/v1/get_default_category_tree_id', requireAccessToken, (req, res) => {
+    if (req.query.marketplace_id !== 'EBAY_US') {
+      return res.status(400).json({ errors: [{ errorId: 62000, domain: 'API_TAXONOMY', category: 'REQUEST', message: `The specified marketplace ID ${req.query.marketplace_id || ''} was not found.` }] });
+    }
+    res.json({ categoryTreeId: MOCK_CATEGORY_TREE.categoryTreeId, categoryTreeVersion: MOCK_CATEGORY_TREE.categoryTreeVersion });
+  });
+
+  const requireMockCategoryTree = (req, res, next) => {
+    if (req.params.categoryTreeId !== MOCK_CATEGORY_TREE.categoryTreeId) {
+      return res.status(404).json({ errors: [{ errorId: 62004, domain: 'API_TAXONOMY', category: 'REQUEST', message: 'The specified category tree ID was not found.' }] });
+    }
+    next();
+  };
+
+  app.get('/commerce/taxonomy/v1/category_tree/:categoryTreeId', requireAccessToken, requireMockCategoryTree, (req, res) => {
+    console.log('🧪 Mock eBay category tree downloaded');
+    res.json(MOCK_CATEGORY_TREE);
+  });
+
+  app.get('/commerce/taxonomy/v1/category_tree/:categoryTreeId/get_category_suggestions', requireAccessToken, requireMockCategoryTree, (req, res) => {
+    if (!req.query.q) {
+      return res.status(400).json({ errors: [{ errorId: 62002, domain: 'API_TAXONOMY', category: 'REQUEST', message: 'Missing q parameter.' }] });
+    }
+
+    const matches = searchCategories(MOCK_CATEGORIES, req.query.q, 10);
+    console.log(`🧪 Mock eBay category suggestions for "${req.query.q}": ${matches.length}`);
+    if (matches.length === 0) {
+      return res.status(204).end();
+    }
+
+    res.json({
+      categoryTreeId: MOCK_CATEGORY_TREE.categoryTreeId,
+      categoryTreeVersion: MOCK_CATEGORY_TREE.categoryTreeVersion,
+      categorySuggestions: matches.map(({ category, ancestors }) => ({
+        category: { categoryId: category.categoryId, categoryName: category.categoryName },
+        // eBay lists the parent first
+        categoryTreeNodeAncestors: ancestors.map((ancestor, level) => ({
+          categoryId: ancestor.categoryId,
+          categoryName: ancestor.categoryName,
+          categoryTreeNodeLevel: level + 1
+        })).reverse(),
+        categoryTreeNodeLevel: ancestors.length + 1,
+        relevancy: 'HIGH'
+      }))
+    });
+  });
+
+  app.get('/commerce/taxonomy/v1/category_tree/:categoryTreeId/get_item_aspects_for_category', requireAccessToken, requireMockCategoryTree, (req, res) => {
+    const category = MOCK_CATEGORIES.get(req.query.category_id);
+    if (!category) {
+      return res.status(400).json({ errors: [{ errorId: 62005, domain: 'API_TAXONOMY', category: 'REQUEST', message: `The specified category ID ${req.query.category_id || ''} was not found.` }] });
+    }
+    if (!category.leaf) {
+      return res.status(400).json({ errors: [{ errorId: 62006, domain: 'API_TAXONOMY', category: 'REQUEST', message: 'The specified category ID is not a leaf category.' }] });
+    }
+
+    console.log(`🧪 Mock eBay item aspects for category ${category.categoryId}`);
+    res.json(MOCK_ITEM_ASPECTS[category.categoryId] || { aspects: [] });
+  });
+
+  const handlers = {
+    AddItem: (xml) => {
+      const itemXml = getInnerXml(xml, 'Item') || '';
+      const issues = validateNewItem(itemXml);
+
+      if (issues.some(issue => issue.severity === 'Error')) {
+        return { issues };
+      }
+
+      const itemId = String(nextItemId++);
+      const startTime = new Date();
+      items.set(itemId, {
+        itemId,
+        title: getTag(itemXml, 'Title'),
+        price: parseFloat(getTag(itemXml, 'StartPrice')),
+        quantity: parseInt(getTag(itemXml, 'Quantity'), 10) || 1,
+        categoryId: REMAPPED_CATEGORIES[getTag(itemXml, 'CategoryID')] || getTag(itemXml, 'CategoryID'),
+        status: 'Active',
+        startTime: startTime.toISOString()
+      });
+
+      return {
+        issues,
+        body: `
+  <ItemID>${itemId}</ItemID>
+  <StartTime>${startTime.toISOString()}</StartTime>
+  <EndTime>${new Date(startTime.getTime() + 30 * 24 * 60 * 60 * 1000).toISOString()}</EndTime>${buildFeesXml()}${buildRemappedCategoryXml(itemXml)}`
+      };
+    },
+
+    VerifyAddItem: (xml) => {
+      const itemXml = getInnerXml(xml, 'Item') || '';
+      const issues = validateNewItem(itemXml);
+
+      return {
+        issues,
+        body: `
+  <ItemID>0</ItemID>${buildFeesXml()}${buildRemappedCategoryXml(itemXml)}`
+      };
+    },
+
+    ReviseItem: (xml) => {
+      const itemXml = getInnerXml(xml, 'Item') || '';
+      const itemId = getTag(itemXml, 'ItemID');
+      const item = items.get(itemId);
+
+      if (!item || item.status !== 'Active') {
+        return { issues: [{ code: '17', severity: 'Error', shortMessage: 'This item cannot be accessed.', longMessage: 'This item cannot be accessed because the listing has been deleted, is a Half.com listing, or you are not the seller.' }] };
+      }
+
+      const title = getTag(itemXml, 'Title');
+      if (title && title.length > 80) {
+        return { issues: [{ code: '70', severity: 'Error', shortMessage: 'Title is too long.', longMessage: `The title may be no more than 80 characters. Your title has ${title.length} characters.` }] };
+      }
+
+      const startPrice = getTag(itemXml, 'StartPrice');
+      if (startPrice !== null && !(parseFloat(startPrice) > 0)) {
+        return { issues: [{ code: '73', severity: 'Error', shortMessage: 'Invalid price.', longMessage: 'The price must be a valid amount greater than 0.' }] };
+      }
+
+      const quantity = getTag(itemXml, 'Quantity');
+      const description = getTag(itemXml, 'Description');
+      if (title) item.title = title;
+      if (startPrice) item.price = parseFloat(startPrice);
+      if (quantity) item.quantity = parseInt(quantity, 10);
+      if (description) item.description = description;
+
+      return {
+        issues: [],
+        body: `
+  <ItemID>${itemId}</ItemID>${buildFeesXml()}`
+      };
+    },
+
+    EndItem: (xml) => {
+      const itemId = getTag(xml, 'ItemID');
+      const endingReason = getTag(xml, 'EndingReason');
+      const item = items.get(itemId);
+
+      if (!item || item.status !== 'Active') {
+        return { issues: [{ code: '1047', severity: 'Error', shortMessage: 'Auction closed.', longMessage: 'The auction has already been closed.' }] };
+      }
+
+      if (!VALID_ENDING_REASONS.includes(endingReason)) {
+        return { issues: [{ code: '37', severity: 'Error', shortMessage: 'Input data is invalid.', longMessage: 'Input data for tag &lt;EndingReason&gt; is invalid or missing. Please check API documentation.' }] };
+      }
+
+      item.status = 'Ended';
+      item.endTime = new Date().toISOString();
+
+      return {
+        issues: [],
+        body: `
+  <EndTime>${item.endTime}</EndTime>`
+      };
+    },
+
+    GetMyeBaySelling: (xml) => {
+      const soldListXml = getInnerXml(xml, 'SoldList');
+      if (soldListXml === null || getTag(soldListXml, 'Include') === 'false') {
+        return { issues: [], body: '' };
+      }
+
+      const days = Math.min(parseInt(getTag(soldListXml, 'DurationInDays'), 10) || 30, 60);
+      const perPage = parseInt(getTag(soldListXml, 'EntriesPerPage'), 10) || 25;
+      const page = parseInt(getTag(soldListXml, 'PageNumber'), 10) || 1;
+      const since = Date.now() - days * 24 * 60 * 60 * 1000;
+
+      const inPeriod = sales
+        .filter(sale => new Date(sale.soldDate).getTime() >= since)
+        .sort((a, b) => new Date(b.soldDate) - new Date(a.soldDate));
+      const totalPages = Math.ceil(inPeriod.length / perPage);
+
+      return {
+        issues: [],
+        body: buildSoldListXml(inPeriod.slice((page - 1) * perPage, page * perPage), inPeriod.length, totalPages)
+      };
+    },
+
+    GetUser: () => ({
+      issues: [],
+      body: `
+  <User>
+    <UserID>${MOCK_SELLER_ID}</UserID>
+  </User>`
+    })
+  };
+
+  // Fixed-price listings use the same revise/end logic
+  handlers.ReviseFixedPriceItem = handlers.ReviseItem;
+  handlers.EndFixedPriceItem = handlers.EndItem;
+
+  app.post('/ws/api.dll', (req, res) => {
+    const xml = typeof req.body === 'string' ? req.body : '';
+    const rootMatch = xml.match(/<(\w+)Request[\s>]/);
+    const callName = req.get('X-EBAY-API-CALL-NAME') || (rootMatch && rootMatch[1]);
+
+    console.log(`🧪 Mock eBay ${callName || 'unknown call'}`);
+    res.type('text/xml');
+
+    const handler = handlers[callName];
+    if (!handler) {
+      return res.send(buildResponseXml(callName || 'Unknown', [
+        { code: '2', severity: 'Error', shortMessage: 'Unsupported API call.', longMessage: `The API call "${callName}" is not supported by the mock Trading API.` }
+      ]));
+    }
+
+    // OAuth access tokens come in a header; Auth'n'Auth User Tokens in RequesterCredentials
+    const iafToken = req.get('X-EBAY-API-IAF-TOKEN');
+    if (iafToken) {
+      const expiresAt = oauth.accessTokens.get(iafToken);
+      if (!expiresAt) {
+        return res.send(buildResponseXml(callName, [
+          { code: '21916984', severity: 'Error', shortMessage: 'Invalid IAF token.', longMessage: 'IAF token supplied is invalid.' }
+        ]));
+      }
+      if (expiresAt <= Date.now()) {
+        return res.send(buildResponseXml(callName, [
+          { code: '21917053', severity: 'Error', shortMessage: 'Expired IAF token.', longMessage: 'IAF token supplied is expired.' }
+        ]));
+      }
+    } else if (!getTag(xml, 'eBayAuthToken')) {
+      return res.send(buildResponseXml(callName, [
+        { code: '931', severity: 'Error', shortMessage: 'Auth token is invalid.', longMessage: 'Validation of the authentication token in API request failed.' }
+      ]));
+    }
+
+    const { issues, body } = handler(xml);
+    res.send(buildResponseXml(callName, issues, body));
+  });
+
+  // Inspect items created since startup
+  app.get('/items', (req, res) => {
+    res.json({ items: Array.from(items.values()), sales });
+  });
+
+  // Test hook - a buyer purchases an active item ({ quantity } in the body, default 1)
+  app.post('/items/:itemId/sell', (req, res) => {
+    const item = items.get(req.params.itemId);
+    const quantity = parseInt(req.body?.quantity, 10) || 1;
+
+    if (!item || item.status !== 'Active') {
+      return res.status(404).json({ error: `No active mock item ${req.params.itemId}` });
+    }
+    if (quantity > item.quantity) {
+      return res.status(400).json({ error: `Only ${item.quantity} available` });
+    }
+
+    const sale = {
+      itemId: item.itemId,
+      title: item.title,
+      price: item.price,
+      categoryId: item.categoryId,
+      quantity,
+      transactionId: String(nextTransactionId++),
+      soldDate: new Date().toISOString(),
+      views: 0,
+      watchers: 0
+    };
+    sales.push(sale);
+
+    item.quantity -= quantity;
+    if (item.quantity === 0) {
+      item.status = 'Completed';
+    }
+
+    res.json({ sale, item });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  createMockEbayTradingApp().listen(MOCK_EBAY_PORT, () => {
+    console.log(`🧪 Mock eBay Trading API running at http://localhost:${MOCK_EBAY_PORT}/ws/api.dll`);
+    console.log(`🧪 Point the server at it with EBAY_TRADING_API_URL=http://localhost:${MOCK_EBAY_PORT}/ws/api.dll`);
+    console.log(`🧪 Mock eBay OAuth: EBAY_OAUTH_BASE_URL=http://localhost:${MOCK_EBAY_PORT} (consent redirects to ${MOCK_OAUTH_CALLBACK_URL})`);
+  });
+}
+
+module.exports = {
+  createMockEbayTradingApp
+};
@@ -1,37 +1,205 @@
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
-const OpenAI = require('openai');
-const { createEbayListing, hostPhotoToServer } = require('./src/services/ebayApi');
+const { createEbayListing, hostPhotoToServer, getEbayUser, getEbayCategoryID } = require('./src/services/ebayApi');
+const { getPrompt, getItemAspectsPrompt, resolveListingType, listPromptVersions } = require('./src/services/promptRegistry');
+const { validateListing, extractJsonObject } = require('./src/utils/schemaValidator');
+const { createVisionProvider } = require('./src/services/visionProvider');
+const { EBAY_ENDING_REASONS } = require('./src/constants/ebayEndingReasons');
+const { getDefaultPackageDetails, normalizePackageDetails } = require('./src/constants/packageDetails');
+const {
+  normalizeCondition,
+  getDefaultCondition,
+  getConditionOptions,
+  MAX_CONDITION_DESCRIPTION_LENGTH
+} = require('./src/constants/conditions');
+const listingStore = require('./src/services/listingStore');
+const templateStore = require('./src/services/templateStore');
+const soldListingStore = require('./src/services/soldListingStore');
+const userStore = require('./src/services/userStore');
+const ebayCredentialStore = require('./src/services/ebayCredentialStore');
+const sellerSettingsStore = require('./src/services/sellerSettingsStore');
+const ebayOAuth = require('./src/services/ebayOAuth');
+const { getBusinessPolicies, clearBusinessPolicyCache, normalizeBusinessPolicyIds } = require('./src/services/businessPolicies');
+const { getCategoryTree, getCategorySuggestions, buildCategoryQuery, findCategory, getItemAspects } = require('./src/services/ebayTaxonomy');
+const { hasAspectValue, findAspect, checkItemSpecifics } = require('./src/constants/itemAspects');
+const { PHOTO_REQUIREMENTS, checkPhotoRequirements } = require('./src/constants/photoRequirements');
+const { readImageSize } = require('./src/utils/imageSize');
 require('dotenv').config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// How many times to re-ask the model when its JSON fails schema validation
+const AI_REPAIR_RETRIES = parseInt(process.env.AI_REPAIR_RETRIES, 10) || 2;
+
+// Initialize the vision model provider (VISION_PROVIDER=openai|mock)
+const visionProvider = createVisionProvider();
+
+// Routes anyone on the network can call - everything else needs an API token
+// (eBay's consent page redirects the browser to the OAuth callback, so it can't send one)
+const PUBLIC_PATHS = ['/api/health', '/api/ebay/oauth/callback'];
 
 // Middleware
+// The app doesn't need CORS; browser clients (e.g. Expo web) must be listed in CORS_ORIGINS
 app.use(cors({
-  origin: '*', // Allow all origins for development
+  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : false,
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 app.use(express.json());
+app.use(authenticate);
+
+/**
+ * Check the request's API token (Authorization: Bearer <token>) and set req.user
+ */
+async function authenticate(req, res, next) {
+  if (PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  try {
+    const [scheme, apiToken] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !apiToken) {
+      return res.status(401).json({ success: false, error: 'API token required (Authorization: Bearer <token>)' });
+    }
+
+    const user = await userStore.authenticateToken(apiToken);
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'Invalid API token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('❌ Error checking API token:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Only let admins through (user management)
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user.isAdmin) {
+    return res.status(403).json({ success: false, error: 'Only admins can manage users' });
+  }
+  next();
+}
+
+/**
+ * Load the user's eBay credentials into req.ebayCredentials, or stop if they haven't connected eBay
+ */
+function requireEbayAccount(req, res, next) {
+  const credentials = ebayCredentialStore.getEbayCredentials(req.user.id);
+  if (!credentials) {
+    return res.status(403).json({
+      success: false,
+      error: 'No eBay account connected',
+      message: `Connect an eBay account for ${req.user.name} in Settings before using eBay`
+    });
+  }
+  if (ebayCredentialStore.describeEbayCredentials(req.user.id).expired) {
+    return res.status(403).json({
+      success: false,
+      error: 'eBay authorization expired',
+      message: `Reconnect the eBay account for ${req.user.name} in Settings`
+    });
+  }
+
+  req.ebayCredentials = credentials;
+  next();
+}
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({ 
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit per file
-    fieldSize: 10 * 1024 * 1024, // 10MB limit per field (for base64 data)
+    fileSize: PHOTO_REQUIREMENTS.maxFileSize, // eBay's 12MB limit per photo
+    fieldSize: Math.ceil(PHOTO_REQUIREMENTS.maxFileSize * 4 / 3) + 1024, // A base64 photo and its JSON wrapper
     fields: 20, // Allow up to 20 form fields
+  },
+  // Files arrive one after another - note each one so a photo over the size limit can be named
+  fileFilter: (req, file, cb) => {
+    req.receivedFilenames = [...(req.receivedFilenames || []), file.originalname];
+    cb(null, true);
   }
 });
 
+const uploadPhotos = upload.array('photos');
+
+/**
+ * Receive the photos for /api/analyze
+ * A photo over eBay's size limit stops the upload, so it's answered here like the other photo checks
+ */
+function receivePhotos(req, res, next) {
+  uploadPhotos(req, res, (error) => {
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      // The upload stopped at the photo being received
+      const index = Math.max((req.receivedFilenames || []).length - 1, 0);
+      const photoError = {
+        index,
+        filename: req.receivedFilenames?.[index] || `photo_${index}.jpg`,
+        width: null,
+        height: null,
+        fileSize: null, // Not known - the rest of the photo wasn't read
+        ...checkPhotoRequirements({ fileSize: PHOTO_REQUIREMENTS.maxFileSize + 1 })
+      };
+      console.log(`❌ Photo rejected: ${photoError.filename}: ${photoError.errors.join(', ')}`);
+      return res.status(400).json({
+        success: false,
+        error: "Some photos don't meet eBay's requirements",
+        photoErrors: [photoError]
+      });
+    }
+    next(error);
+  });
+}
+
+/**
+ * Check uploaded photos against eBay's requirements - the same checks the app runs when photos are added
+ * @param {Array} files - Multer files, or decoded base64 photos ({ buffer, originalFilename })
+ * @returns {Array} Per photo { index, filename, width, height, fileSize, isValid, errors, warnings }
+ */
+function checkUploadedPhotos(files) {
+  return files.map((file, index) => {
+    const size = readImageSize(file.buffer);
+    const fileSize = file.size || file.buffer.length;
+    const check = size
+      ? checkPhotoRequirements({ width: size.width, height: size.height, fileSize })
+      : { isValid: false, errors: ["Couldn't read the photo - send a JPEG, PNG, GIF or WebP image"], warnings: [] };
+
+    return {
+      index,
+      filename: file.originalname || file.originalFilename || `photo_${index}.jpg`,
+      width: size ? size.width : null,
+      height: size ? size.height : null,
+      fileSize,
+      ...check
+    };
+  });
+}
+
+/**
+ * The 400 response for photos eBay won't take, or null if they're all fine
+ * @param {Array} files - Photos as checkUploadedPhotos takes them
+ * @returns {Object|null} { success: false, error, photoErrors }
+ */
+function readPhotoErrors(files) {
+  const photoErrors = checkUploadedPhotos(files).filter(check => !check.isValid);
+  if (photoErrors.length === 0) {
+    return null;
+  }
+
+  console.log('❌ Photos rejected:', photoErrors.map(check => `${check.filename}: ${check.errors.join(', ')}`));
+  return {
+    success: false,
+    error: "Some photos don't meet eBay's requirements",
+    photoErrors
+  };
+}
+
 /**
  * Process photos and convert to base64 for OpenAI
  */
@@ -52,116 +220,141 @@ async function processPhotos(files) {
 }
 
 /**
- * Get the appropriate prompt based on listing type
- */
-function getPrompt(listingType, imageCount) {
-  // For now, we'll use the prompt passed from the client
-  // This function can be expanded later for server-side prompt selection
-  return null; // Will use client-provided prompt
-}
-
-/**
- * Call OpenAI Vision API
+ * Call the configured vision model provider
+ * @param {string} prompt - Prompt text sent with the photos
+ * @param {Array} imageContents - OpenAI image_url content parts
+ * @param {string} listingType - Listing type being analyzed (used by the mock provider)
+ * @param {Array} followUpMessages - Extra chat messages (e.g. repair requests) sent after the photos
  */
-async function callOpenAI(prompt, imageContents) {
+async function callVisionModel(prompt, imageContents, listingType, followUpMessages = []) {
   try {
-    console.log('🤖 Calling OpenAI with prompt length:', prompt.length);
+    console.log(`🤖 Calling ${visionProvider.name} (${visionProvider.model}) with prompt length:`, prompt.length);
     console.log('🤖 Image count:', imageContents.length);
     
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o", // Updated to latest model
-      messages: [
-        {
-          role: "user",
-          content: [
-            { type: "text", text: prompt },
-            ...imageContents
-          ]
-        }
-      ],
-      max_tokens: 2000,
-      temperature: 0.1,
+    const content = await visionProvider.analyze({
+      prompt,
+      imageContents,
+      followUpMessages,
+      listingType
     });
 
-    console.log('✅ OpenAI response received');
-    return response.choices[0].message.content;
+    console.log(`✅ ${visionProvider.name} response received`);
+    return content;
   } catch (error) {
-    console.error('❌ OpenAI API error:', error);
-    throw new Error(`OpenAI API error: ${error.message}`);
+    console.error(`❌ ${visionProvider.name} API error:`, error);
+    throw new Error(`Vision model error (${visionProvider.name}): ${error.message}`);
   }
 }
 
 /**
- * Parse and clean OpenAI response
+ * Parse OpenAI response and validate it against the listing type's schema
+ * @param {string} aiResponse - Raw model text
+ * @param {string} listingType - Listing type used to pick the schema
+ * @returns {Object} { listing, valid, errors }
  */
-function parseAndCleanResponse(aiResponse) {
+function parseAndValidateResponse(aiResponse, listingType) {
+  console.log('📄 Raw AI Response (first 500 chars):', aiResponse?.substring(0, 500));
+
+  let listing;
   try {
-    console.log('📄 Raw AI Response (first 500 chars):', aiResponse?.substring(0, 500));
-    console.log('📄 Raw AI Response (full):', aiResponse);
-    
-    if (!aiResponse || typeof aiResponse !== 'string') {
-      throw new Error('Invalid response from OpenAI - not a string');
-    }
-    
-    // Try to extract JSON from the response - look for complete JSON objects
-    let jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      console.log('❌ No JSON pattern found. Trying to parse entire response...');
-      // Sometimes OpenAI returns just JSON without extra text
-      try {
-        const listing = JSON.parse(aiResponse.trim());
-        console.log('📋 Parsed entire response as JSON:', listing);
-        return listing;
-      } catch (e) {
-        throw new Error('No JSON found in response');
+    listing = extractJsonObject(aiResponse);
+  } catch (error) {
+    console.error('❌ Error parsing response:', error.message);
+    return { listing: null, valid: false, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  // Accept other names for the same condition (e.g. "Used" for a book) instead of re-asking the model
+  if (listing && typeof listing === 'object') {
+    listing.condition = normalizeCondition(listing.condition, listingType) || listing.condition;
+  }
+
+  const { valid, errors } = validateListing(listing, listingType);
+  if (valid) {
+    console.log('📋 Parsed and validated listing data:', listing);
+  } else {
+    console.log('⚠️ Listing failed schema validation:', errors);
+  }
+
+  return { listing, valid, errors };
+}
+
+/**
+ * Call OpenAI and re-ask with the validation errors until the JSON matches the schema
+ * @param {Object} prompt - Prompt from the registry ({ text, version })
+ * @param {Array} imageContents - OpenAI image_url content parts
+ * @param {string} listingType - Listing type used to pick the schema
+ * @returns {Promise<Object>} { listing, valid, errors, rawResponse, attempts }
+ */
+async function analyzeWithRepair(prompt, imageContents, listingType) {
+  let rawResponse = await callVisionModel(prompt.text, imageContents, listingType);
+  let result = parseAndValidateResponse(rawResponse, listingType);
+  let attempts = 1;
+
+  while (!result.valid && attempts <= AI_REPAIR_RETRIES) {
+    console.log(`🔧 Repair attempt ${attempts}/${AI_REPAIR_RETRIES} for ${listingType} listing`);
+
+    const repairMessages = [
+      { role: "assistant", content: rawResponse },
+      {
+        role: "user",
+        content: `Your JSON failed validation with these errors:\n- ${result.errors.join('\n- ')}\n\nReturn the corrected JSON in the exact format requested. Only return the JSON. No preamble or follow-up message.`
       }
-    }
+    ];
 
-    const listing = JSON.parse(jsonMatch[0]);
-    console.log('📋 Parsed listing data:', listing);
-    
-    return listing;
-  } catch (error) {
-    console.error('❌ Error parsing response:', error);
-    console.log('❌ Full raw response for debugging:', JSON.stringify(aiResponse));
-    throw new Error(`Failed to parse OpenAI response: ${error.message}`);
+    rawResponse = await callVisionModel(prompt.text, imageContents, listingType, repairMessages);
+    result = parseAndValidateResponse(rawResponse, listingType);
+    attempts++;
   }
+
+  return { ...result, rawResponse, attempts };
 }
 
 // Just one clean endpoint
-app.post("/api/analyze", upload.array('photos'), async (req, res) => {
+app.post("/api/analyze", receivePhotos, async (req, res) => {
   try {
     console.log('📥 Received analyze request from:', req.get('origin') || req.ip);
     console.log('Files:', req.files?.length || 0);
     console.log('Body keys:', Object.keys(req.body));
     console.log('Headers:', req.headers['content-type']);
 
-    const { listingType = "auto", prompt } = req.body;
+    const { listingType: requestedType = "auto" } = req.body;
     const photos = req.files;
 
     if (!photos || photos.length === 0) {
       return res.status(400).json({ error: 'No photos provided' });
     }
 
-    if (!prompt) {
-      return res.status(400).json({ error: 'No prompt provided' });
+    if (req.body.prompt) {
+      console.log('⚠️ Ignoring client-supplied prompt - prompts are selected by the server');
+    }
+
+    const listingType = resolveListingType(requestedType);
+    if (!listingType) {
+      return res.status(400).json({ error: `Unsupported listing type: ${requestedType}` });
+    }
+
+    // Photos eBay won't take aren't worth an analysis - say which ones and why
+    const photoErrors = readPhotoErrors(photos);
+    if (photoErrors) {
+      return res.status(400).json(photoErrors);
     }
 
     console.log(`🔍 Processing ${photos.length} photos for ${listingType} listing`);
 
-    // Process photos for OpenAI
+    // Process photos for the vision model
     const imageContents = await processPhotos(photos);
 
-    // Get appropriate prompt (using client-provided for now)
-    const finalPrompt = prompt;
+    // Get the server-owned prompt for this listing type
+    const prompt = getPrompt(listingType, photos.length);
+    console.log(`📝 Using ${listingType} prompt v${prompt.version}`);
 
-    // 🚀 Run OpenAI analysis and GameSighter uploads SIMULTANEOUSLY
-    console.log('🚀 Starting OpenAI analysis and GameSighter uploads simultaneously...');
+    // 🚀 Run vision analysis and GameSighter uploads SIMULTANEOUSLY
+    console.log('🚀 Starting vision analysis and GameSighter uploads simultaneously...');
     
     const startTime = Date.now();
     
-    // Create OpenAI promise
-    const openaiPromise = callOpenAI(finalPrompt, imageContents);
+    // Create vision promise - validates the JSON and repairs it if needed
+    const analysisPromise = analyzeWithRepair(prompt, imageContents, listingType);
     
     // Create GameSighter upload promises for ALL photos at once
     const uploadPromises = photos.map((photo, index) => {
@@ -182,14 +375,14 @@ app.post("/api/analyze", upload.array('photos'), async (req, res) => {
       }));
     });
 
-    // Wait for BOTH OpenAI and ALL GameSighter uploads to complete
-    const [aiResponse, uploadResults] = await Promise.all([
-      openaiPromise,
+    // Wait for BOTH the vision model and ALL GameSighter uploads to complete
+    const [analysis, uploadResults] = await Promise.all([
+      analysisPromise,
       Promise.all(uploadPromises)
     ]);
 
     const totalTime = Date.now() - startTime;
-    console.log(`⚡ Completed OpenAI + ${photos.length} uploads simultaneously in ${totalTime}ms`);
+    console.log(`⚡ Completed vision analysis + ${photos.length} uploads simultaneously in ${totalTime}ms`);
 
     // Process upload results
     const hostedPhotos = uploadResults.map(result => {
@@ -211,13 +404,54 @@ app.post("/api/analyze", upload.array('photos'), async (req, res) => {
       }
     });
 
-    console.log(`🎉 Successfully got OpenAI response and uploaded ${hostedPhotos.filter(p => p.url).length}/${photos.length} photos`);
+    // eBay's categories for the generated title and category text, best first
+    const categorySuggestions = analysis.valid ? await suggestListingCategories(analysis.listing) : [];
+
+    // The item specifics eBay wants in the top category, with the ones the photos show filled in
+    const itemAspects = categorySuggestions[0]
+      ? await fillItemAspects(analysis, prompt, imageContents, listingType, categorySuggestions[0])
+      : null;
+
+    const historyRecord = await recordHistory('analyze call', () => listingStore.recordAnalysis({
+      userId: req.user.id,
+      listingType,
+      promptVersion: prompt.version,
+      photoCount: photos.length,
+      hostedPhotos,
+      listing: analysis.listing,
+      categorySuggestions,
+      rawResponse: analysis.rawResponse,
+      attempts: analysis.attempts,
+      valid: analysis.valid,
+      validationErrors: analysis.errors
+    }));
+
+    if (!analysis.valid) {
+      console.error(`❌ Listing still invalid after ${analysis.attempts} attempt(s):`, analysis.errors);
+      return res.status(422).json({
+        success: false,
+        error: `AI response failed validation after ${analysis.attempts} attempt(s)`,
+        validationErrors: analysis.errors,
+        rawResponse: analysis.rawResponse,
+        listingType: listingType,
+        hostedPhotos: hostedPhotos,
+        historyId: historyRecord?.id
+      });
+    }
+
+    console.log(`🎉 Successfully got vision response and uploaded ${hostedPhotos.filter(p => p.url).length}/${photos.length} photos`);
     res.json({ 
       success: true, 
-      rawResponse: aiResponse,
+      listing: analysis.listing,
+      rawResponse: analysis.rawResponse,
+      attempts: analysis.attempts,
       listingType: listingType,
+      promptVersion: prompt.version,
       photoCount: photos.length,
-      hostedPhotos: hostedPhotos
+      hostedPhotos: hostedPhotos,
+      categorySuggestions,
+      itemAspects,
+      historyId: historyRecord?.id
     });
 
   } catch (error) {
@@ -230,11 +464,19 @@ app.post("/api/analyze", upload.array('photos'), async (req, res) => {
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
+    service: 'ebay-auto-lister', // Lets the app's server discovery tell this server apart
     timestamp: new Date().toISOString(),
-    openaiConfigured: !!process.env.OPENAI_API_KEY 
+    openaiConfigured: !!process.env.OPENAI_API_KEY,
+    visionProvider: visionProvider.name,
+    visionModel: visionProvider.model
   });
 });
 
+// Prompt versions currently served by the registry
+app.get('/api/prompts', (req, res) => {
+  res.json({ prompts: listPromptVersions() });
+});
+
 // Simple test endpoint
 app.post('/api/test', (req, res) => {
   console.log('📥 Test endpoint hit!');
@@ -242,7 +484,7 @@ app.post('/api/test', (req, res) => {
 });
 
 // eBay listing endpoint
-app.post('/api/list-to-ebay', upload.none(), async (req, res) => {
+app.post('/api/list-to-ebay', upload.none(), requireEbayAccount, async (req, res) => {
   try {
     console.log('📥 Received eBay listing request');
     console.log('Body keys:', Object.keys(req.body));
@@ -300,10 +542,49 @@ app.post('/api/list-to-ebay', upload.none(), async (req, res) => {
       return res.status(400).json({ error: 'No valid photos found' });
     }
 
+    // The same checks /api/analyze runs on uploaded photos
+    const photoErrors = readPhotoErrors(photos);
+    if (photoErrors) {
+      return res.status(400).json(photoErrors);
+    }
+
+    const listingCategory = await readListingCategory(parsedListing, parsedListing.listingType);
+    if (listingCategory.error) {
+      return res.status(400).json({ error: listingCategory.error });
+    }
+
+    const listingCondition = readListingCondition(parsedListing, parsedListing.listingType, listingCategory.categoryId);
+    if (listingCondition.error) {
+      return res.status(400).json({ error: listingCondition.error });
+    }
+
+    const listingSpecifics = await readItemSpecifics(parsedListing.itemSpecifics || parsedListing.item_specifics, listingCategory.categoryId);
+    if (listingSpecifics.error) {
+      return res.status(400).json({ error: listingSpecifics.error, invalidItemSpecifics: listingSpecifics.invalidItemSpecifics, missingItemSpecifics: listingSpecifics.missingItemSpecifics });
+    }
+
+    Object.assign(parsedListing, listingCategory, listingCondition, { itemSpecifics: listingSpecifics.itemSpecifics });
+    parsedListing.businessPolicies = normalizeBusinessPolicyIds(parsedListing.businessPolicies);
+    parsedListing.packageDetails = normalizePackageDetails(
+      parsedListing.packageDetails || parsedListing.package_details,
+      getDefaultPackageDetails(parsedListing.listingType)
+    );
+
     console.log(`📤 Creating eBay listing: ${parsedListing.title} with ${photos.length} photos`);
 
     // Create eBay listing - this will upload photos to GameSighter and get URLs
-    const ebayResult = await createEbayListing(parsedListing, photos);
+    const ebayResult = addItemSpecificsWarning(
+      await createEbayListing(parsedListing, photos, req.ebayCredentials, sellerSettingsStore.getSellerSettings(req.user.id)),
+      listingSpecifics
+    );
+
+    await recordHistory('post attempt', () => listingStore.recordPostAttempt(req.body.historyId, {
+      userId: req.user.id,
+      route: 'list-to-ebay',
+      listingType: parsedListing.listingType,
+      submitted: parsedListing,
+      result: ebayResult
+    }));
 
     if (ebayResult.success) {
       console.log('✅ eBay listing created successfully:', ebayResult.itemId);
@@ -317,6 +598,8 @@ app.post('/api/list-to-ebay', upload.none(), async (req, res) => {
       res.status(500).json({
         success: false,
         error: ebayResult.error,
+        errors: ebayResult.errors || [],
+        warnings: ebayResult.warnings || [],
         message: ebayResult.message || 'Failed to create eBay listing'
       });
     }
@@ -332,7 +615,7 @@ app.post('/api/list-to-ebay', upload.none(), async (req, res) => {
 });
 
 // eBay listing endpoint with pre-hosted photo URLs
-app.post('/api/list-to-ebay-with-urls', async (req, res) => {
+app.post('/api/list-to-ebay-with-urls', requireEbayAccount, async (req, res) => {
   try {
     console.log('📥 Received eBay listing request with hosted URLs');
     console.log('Body keys:', Object.keys(req.body));
@@ -340,13 +623,15 @@ app.post('/api/list-to-ebay-with-urls', async (req, res) => {
     const {
       title,
       price,
-      condition,
       category,
       description,
       itemSpecifics,
       listingType,
-      hostedPhotoUrls
+      hostedPhotoUrls,
+      businessPolicies,
+      packageDetails
     } = req.body;
+    const validateOnly = isValidateOnly(req.body);
 
     if (!title || !price) {
       return res.status(400).json({ error: 'Missing required listing fields (title, price)' });
@@ -356,21 +641,56 @@ app.post('/api/list-to-ebay-with-urls', async (req, res) => {
       return res.status(400).json({ error: 'No hosted photo URLs provided' });
     }
 
-    console.log(`📤 Creating eBay listing: ${title} with ${hostedPhotoUrls.length} pre-hosted photos`);
+    const listingCategory = await readListingCategory(req.body, listingType || 'GENERAL_LISTING');
+    if (listingCategory.error) {
+      return res.status(400).json({ error: listingCategory.error });
+    }
+
+    const listingCondition = readListingCondition(req.body, listingType || 'GENERAL_LISTING', listingCategory.categoryId);
+    if (listingCondition.error) {
+      return res.status(400).json({ error: listingCondition.error });
+    }
+
+    const listingSpecifics = await readItemSpecifics(itemSpecifics, listingCategory.categoryId);
+    if (listingSpecifics.error) {
+      return res.status(400).json({ error: listingSpecifics.error, invalidItemSpecifics: listingSpecifics.invalidItemSpecifics, missingItemSpecifics: listingSpecifics.missingItemSpecifics });
+    }
+
+    console.log(`📤 ${validateOnly ? 'Verifying' : 'Creating'} eBay listing: ${title} with ${hostedPhotoUrls.length} pre-hosted photos`);
 
     // Create listing data structure that ebayApi.js expects
     const listingData = {
       title,
       price,
-      condition,
+      ...listingCondition,
       category,
+      ...listingCategory,
       description,
-      itemSpecifics: itemSpecifics || {},
-      listingType: listingType || 'GENERAL_LISTING'
+      itemSpecifics: listingSpecifics.itemSpecifics,
+      listingType: listingType || 'GENERAL_LISTING',
+      businessPolicies: normalizeBusinessPolicyIds(businessPolicies),
+      packageDetails: normalizePackageDetails(packageDetails, getDefaultPackageDetails(listingType))
     };
 
     // Call createEbayListing but pass hosted URLs directly instead of photos to upload
-    const ebayResult = await createEbayListingWithUrls(listingData, hostedPhotoUrls);
+    const ebayResult = addItemSpecificsWarning(await createEbayListingWithUrls(listingData, hostedPhotoUrls, {
+      validateOnly,
+      credentials: req.ebayCredentials,
+      seller: sellerSettingsStore.getSellerSettings(req.user.id)
+    }), listingSpecifics);
+
+    await recordHistory('post attempt', () => listingStore.recordPostAttempt(req.body.historyId, {
+      userId: req.user.id,
+      route: 'list-to-ebay-with-urls',
+      listingType: listingData.listingType,
+      validateOnly,
+      submitted: listingData,
+      result: ebayResult
+    }));
+
+    if (validateOnly) {
+      return sendVerifyResult(res, ebayResult);
+    }
 
     if (ebayResult.success) {
       console.log('✅ eBay listing created successfully:', ebayResult.itemId);
@@ -384,6 +704,8 @@ app.post('/api/list-to-ebay-with-urls', async (req, res) => {
       res.status(500).json({
         success: false,
         error: ebayResult.error,
+        errors: ebayResult.errors || [],
+        warnings: ebayResult.warnings || [],
         message: ebayResult.message || 'Failed to create eBay listing'
       });
     }
@@ -399,7 +721,7 @@ app.post('/api/list-to-ebay-with-urls', async (req, res) => {
 });
 
 // Book-specific eBay listing endpoint
-app.post("/api/list-book-to-ebay", async (req, res) => {
+app.post("/api/list-book-to-ebay", requireEbayAccount, async (req, res) => {
   try {
     console.log('📖 Received book listing request');
     console.log('📖 Request body keys:', Object.keys(req.body));
@@ -414,6 +736,7 @@ app.post("/api/list-book-to-ebay", async (req, res) => {
     });
 
     const bookData = req.body;
+    const validateOnly = isValidateOnly(bookData);
 
     // Validate book-specific fields
     if (!bookData.title) {
@@ -437,28 +760,47 @@ app.post("/api/list-book-to-ebay", async (req, res) => {
       });
     }
 
+    const bookCategory = await readListingCategory(bookData, 'BOOK_ITEM');
+    if (bookCategory.error) {
+      return res.status(400).json({ success: false, error: bookCategory.error });
+    }
+
+    const bookCondition = readListingCondition(bookData, 'BOOK_ITEM', bookCategory.categoryId);
+    if (bookCondition.error) {
+      return res.status(400).json({ success: false, error: bookCondition.error });
+    }
+
+    const bookSpecifics = await readItemSpecifics(bookData.item_specifics || {
+      'Book Title': bookData.bookTitle || bookData.title,
+      'Author': bookData.author,
+      'Format': bookData.format,
+      'Language': bookData.language,
+      'Topic': bookData.topic,
+      'Publisher': bookData.publisher,
+      'Publication Year': bookData.publicationYear,
+      'ISBN': bookData.isbn
+    }, bookCategory.categoryId);
+    if (bookSpecifics.error) {
+      return res.status(400).json({ success: false, error: bookSpecifics.error, invalidItemSpecifics: bookSpecifics.invalidItemSpecifics, missingItemSpecifics: bookSpecifics.missingItemSpecifics });
+    }
+
     // Format book data for eBay API
     const formattedBookListing = {
       title: bookData.title,
       price: parseFloat(bookData.price),
-      condition: bookData.condition || 'Used',
+      ...bookCondition,
       category: bookData.category || 'Books & Magazines > Fiction & Literature',
+      ...bookCategory,
       description: bookData.description || `${bookData.title} by ${bookData.author}. From a smoke-free home. Fast shipping with tracking.`,
       
       // Book-specific item specifics
-      item_specifics: bookData.item_specifics || {
-        'Author': bookData.author,
-        'Format': bookData.format || 'Hardcover',
-        'Language': bookData.language || 'English',
-        'Topic': bookData.topic || 'General',
-        'Publisher': bookData.publisher || '',
-        'Publication Year': bookData.publicationYear || '',
-        'ISBN': bookData.isbn || ''
-      },
+      item_specifics: bookSpecifics.itemSpecifics,
       
       shipping: bookData.shipping || 'USPS Media Mail',
       quantity: parseInt(bookData.quantity) || 1,
-      listingType: 'BOOK_ITEM'
+      listingType: 'BOOK_ITEM',
+      businessPolicies: normalizeBusinessPolicyIds(bookData.businessPolicies),
+      packageDetails: normalizePackageDetails(bookData.packageDetails, getDefaultPackageDetails('BOOK_ITEM'))
     };
 
     console.log('📖 Formatted book listing for eBay:', {
@@ -466,12 +808,30 @@ app.post("/api/list-book-to-ebay", async (req, res) => {
       price: formattedBookListing.price,
       condition: formattedBookListing.condition,
       category: formattedBookListing.category,
+      categoryId: formattedBookListing.categoryId,
       itemSpecificsCount: Object.keys(formattedBookListing.item_specifics).length,
       photoUrls: bookData.photos
     });
 
     // Create eBay listing using book-specific data
-    const ebayResult = await createEbayBookListing(formattedBookListing, bookData.photos);
+    const ebayResult = addItemSpecificsWarning(await createEbayBookListing(formattedBookListing, bookData.photos, {
+      validateOnly,
+      credentials: req.ebayCredentials,
+      seller: sellerSettingsStore.getSellerSettings(req.user.id)
+    }), bookSpecifics);
+
+    await recordHistory('post attempt', () => listingStore.recordPostAttempt(bookData.historyId, {
+      userId: req.user.id,
+      route: 'list-book-to-ebay',
+      listingType: 'BOOK_ITEM',
+      validateOnly,
+      submitted: formattedBookListing,
+      result: ebayResult
+    }));
+
+    if (validateOnly) {
+      return sendVerifyResult(res, ebayResult);
+    }
 
     if (ebayResult.success) {
       console.log('✅ Book listed successfully on eBay:', ebayResult);
@@ -480,6 +840,11 @@ app.post("/api/list-book-to-ebay", async (req, res) => {
         listingId: ebayResult.listingId,
         itemId: ebayResult.itemId,
         fees: ebayResult.fees,
+        url: ebayResult.url,
+        warnings: ebayResult.warnings,
+        startTime: ebayResult.startTime,
+        endTime: ebayResult.endTime,
+        categoryId: ebayResult.categoryId,
         message: 'Book listed successfully on eBay',
         bookData: {
           title: formattedBookListing.title,
@@ -492,6 +857,8 @@ app.post("/api/list-book-to-ebay", async (req, res) => {
       res.status(500).json({
         success: false,
         error: ebayResult.error,
+        errors: ebayResult.errors || [],
+        warnings: ebayResult.warnings || [],
         message: ebayResult.message || 'Failed to list book on eBay'
       });
     }
@@ -506,21 +873,836 @@ app.post("/api/list-book-to-ebay", async (req, res) => {
   }
 });
 
-// Helper function to create eBay listing with pre-hosted URLs
-async function createEbayListingWithUrls(listing, hostedPhotoUrls) {
+// Book lot eBay listing endpoint
+app.post("/api/list-book-lot-to-ebay", requireEbayAccount, async (req, res) => {
+  try {
+    console.log('📚 Received book lot listing request');
+    console.log('📚 Lot data preview:', {
+      title: req.body.title,
+      price: req.body.price,
+      condition: req.body.condition,
+      bookCount: req.body.books?.length || 0,
+      photoCount: req.body.photos?.length || 0
+    });
+
+    const lotData = req.body;
+
+    // Validate lot-specific fields
+    if (!lotData.title) {
+      return res.status(400).json({
+        success: false,
+        error: 'Lot title is required'
+      });
+    }
+
+    if (!lotData.books || lotData.books.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one book is required in a lot'
+      });
+    }
+
+    if (!lotData.photos || lotData.photos.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Lot photos are required'
+      });
+    }
+
+    const lotCategory = await readListingCategory(lotData, 'BOOK_LOTS');
+    if (lotCategory.error) {
+      return res.status(400).json({ success: false, error: lotCategory.error });
+    }
+
+    const lotCondition = readListingCondition(lotData, 'BOOK_LOTS', lotCategory.categoryId);
+    if (lotCondition.error) {
+      return res.status(400).json({ success: false, error: lotCondition.error });
+    }
+
+    // A lot's title stands in for the book title, and its books are by various authors unless the card says otherwise
+    const lotItemSpecifics = lotData.item_specifics || {};
+    const lotSpecifics = await readItemSpecifics({
+      ...lotItemSpecifics,
+      'Book Title': lotItemSpecifics['Book Title'] || lotData.title,
+      'Author': lotItemSpecifics.Author || 'Various',
+      'Language': lotItemSpecifics.Language || 'English'
+    }, lotCategory.categoryId);
+    if (lotSpecifics.error) {
+      return res.status(400).json({ success: false, error: lotSpecifics.error, invalidItemSpecifics: lotSpecifics.invalidItemSpecifics, missingItemSpecifics: lotSpecifics.missingItemSpecifics });
+    }
+
+    const formattedLotListing = {
+      title: lotData.title,
+      price: parseFloat(lotData.price),
+      ...lotCondition,
+      category: lotData.category || 'Books & Magazines > Books',
+      ...lotCategory,
+      description: lotData.description || `Lot of ${lotData.books.length} books. From a smoke-free home. Fast shipping with tracking.`,
+      books: lotData.books.filter(book => book && book.title),
+      item_specifics: lotSpecifics.itemSpecifics,
+      listingType: 'BOOK_LOTS',
+      businessPolicies: normalizeBusinessPolicyIds(lotData.businessPolicies),
+      packageDetails: normalizePackageDetails(lotData.packageDetails, getDefaultPackageDetails('BOOK_LOTS'))
+    };
+
+    const ebayResult = addItemSpecificsWarning(await createEbayBookLotListing(formattedLotListing, lotData.photos, {
+      credentials: req.ebayCredentials,
+      seller: sellerSettingsStore.getSellerSettings(req.user.id)
+    }), lotSpecifics);
+
+    await recordHistory('post attempt', () => listingStore.recordPostAttempt(lotData.historyId, {
+      userId: req.user.id,
+      route: 'list-book-lot-to-ebay',
+      listingType: 'BOOK_LOTS',
+      submitted: formattedLotListing,
+      result: ebayResult
+    }));
+
+    if (ebayResult.success) {
+      console.log('✅ Book lot listed successfully on eBay:', ebayResult.itemId);
+      res.json({
+        success: true,
+        itemId: ebayResult.itemId,
+        fees: ebayResult.fees,
+        url: ebayResult.url,
+        warnings: ebayResult.warnings,
+        startTime: ebayResult.startTime,
+        endTime: ebayResult.endTime,
+        categoryId: ebayResult.categoryId,
+        message: `Lot of ${formattedLotListing.books.length} books listed successfully on eBay`
+      });
+    } else {
+      console.error('❌ Failed to list book lot on eBay:', ebayResult);
+      res.status(500).json({
+        success: false,
+        error: ebayResult.error,
+        errors: ebayResult.errors || [],
+        warnings: ebayResult.warnings || [],
+        message: ebayResult.message || 'Failed to list book lot on eBay'
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Error in book lot listing endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Internal server error while listing book lot'
+    });
+  }
+});
+
+// Revise a live fixed-price listing (ReviseFixedPriceItem)
+app.post("/api/revise-ebay-listing/:itemId", requireEbayAccount, async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { title, price, quantity, description } = req.body;
+    console.log(`✏️ Received revise request for eBay item ${itemId}:`, Object.keys(req.body));
+
+    if (!/^\d+$/.test(itemId)) {
+      return res.status(400).json({ success: false, error: 'A numeric eBay ItemID is required' });
+    }
+
+    // Only send the fields that were changed
+    const changes = {};
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim() || title.length > 80) {
+        return res.status(400).json({ success: false, error: 'Title must be 1-80 characters' });
+      }
+      changes.title = title.trim();
+    }
+    if (price !== undefined) {
+      if (!(parseFloat(price) > 0)) {
+        return res.status(400).json({ success: false, error: 'Price must be greater than 0' });
+      }
+      changes.price = parseFloat(price);
+    }
+    if (quantity !== undefined) {
+      if (!Number.isInteger(Number(quantity)) || Number(quantity) < 1) {
+        return res.status(400).json({ success: false, error: 'Quantity must be a whole number of at least 1' });
+      }
+      changes.quantity = Number(quantity);
+    }
+    if (description !== undefined) {
+      changes.description = description;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ success: false, error: 'No changes provided (title, price, quantity or description)' });
+    }
+
+    const { buildReviseFixedPriceItemXMLRequest, callEbayTradingAPI, parseEbayResponse } = require('./src/services/ebayApi');
+    const xmlRequest = buildReviseFixedPriceItemXMLRequest(itemId, changes);
+    const ebayResponse = await callEbayTradingAPI(xmlRequest, 'ReviseFixedPriceItem', req.ebayCredentials);
+    const ebayResult = await parseEbayResponse(ebayResponse);
+
+    await recordHistory('revision', () => listingStore.recordEbayUpdate(itemId, 'revised', {
+      success: ebayResult.success,
+      changes,
+      fees: ebayResult.fees || null,
+      errors: ebayResult.errors || [],
+      error: ebayResult.error
+    }, req.user.id));
+
+    if (ebayResult.success) {
+      console.log(`✅ eBay item ${itemId} revised:`, Object.keys(changes));
+      res.json({
+        success: true,
+        itemId,
+        changes,
+        fees: ebayResult.fees,
+        warnings: ebayResult.warnings,
+        message: 'Listing updated on eBay'
+      });
+    } else {
+      console.error(`❌ Failed to revise eBay item ${itemId}:`, ebayResult.error);
+      res.status(500).json({
+        success: false,
+        error: ebayResult.error,
+        errors: ebayResult.errors || [],
+        warnings: ebayResult.warnings || [],
+        message: ebayResult.message || 'Failed to revise eBay listing'
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Error in revise listing endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Internal server error while revising listing'
+    });
+  }
+});
+
+// End a live fixed-price listing (EndFixedPriceItem)
+app.post("/api/end-ebay-listing/:itemId", requireEbayAccount, async (req, res) => {
   try {
-    const { buildEbayXMLRequest, callEbayTradingAPI, parseEbayResponse } = require('./src/services/ebayApi');
+    const { itemId } = req.params;
+    const { endingReason } = req.body;
+    console.log(`🛑 Received end request for eBay item ${itemId} (${endingReason})`);
+
+    if (!/^\d+$/.test(itemId)) {
+      return res.status(400).json({ success: false, error: 'A numeric eBay ItemID is required' });
+    }
+
+    const validReasons = EBAY_ENDING_REASONS.map(reason => reason.value);
+    if (!validReasons.includes(endingReason)) {
+      return res.status(400).json({ success: false, error: `endingReason must be one of: ${validReasons.join(', ')}` });
+    }
+
+    const { buildEndFixedPriceItemXMLRequest, callEbayTradingAPI, parseEbayResponse } = require('./src/services/ebayApi');
+    const xmlRequest = buildEndFixedPriceItemXMLRequest(itemId, endingReason);
+    const ebayResponse = await callEbayTradingAPI(xmlRequest, 'EndFixedPriceItem', req.ebayCredentials);
+    const ebayResult = await parseEbayResponse(ebayResponse);
+
+    await recordHistory('end', () => listingStore.recordEbayUpdate(itemId, 'ended', {
+      success: ebayResult.success,
+      endingReason,
+      endTime: ebayResult.endTime,
+      errors: ebayResult.errors || [],
+      error: ebayResult.error
+    }, req.user.id));
+
+    if (ebayResult.success) {
+      console.log(`✅ eBay item ${itemId} ended at ${ebayResult.endTime}`);
+      res.json({
+        success: true,
+        itemId,
+        endingReason,
+        endTime: ebayResult.endTime,
+        message: 'Listing ended on eBay'
+      });
+    } else {
+      console.error(`❌ Failed to end eBay item ${itemId}:`, ebayResult.error);
+      res.status(500).json({
+        success: false,
+        error: ebayResult.error,
+        errors: ebayResult.errors || [],
+        message: ebayResult.message || 'Failed to end eBay listing'
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Error in end listing endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Internal server error while ending listing'
+    });
+  }
+});
+
+// Listing history - everything analyzed and posted, newest first
+app.get('/api/listings', (req, res) => {
+  const { status } = req.query;
+  const limit = parseInt(req.query.limit, 10) || undefined;
+  const listings = listingStore.listListingRecords({ userId: req.user.id, status, limit });
+
+  res.json({ success: true, count: listings.length, listings });
+});
+
+// One listing with its full history (analysis, edits, eBay checks, posts, revisions)
+app.get('/api/listings/:id', (req, res) => {
+  const record = listingStore.getListingRecord(req.params.id, { userId: req.user.id });
+
+  if (!record) {
+    return res.status(404).json({ success: false, error: `No listing history with ID ${req.params.id}` });
+  }
+
+  res.json({ success: true, listing: record });
+});
+
+// The user's saved listing templates (?listingType=BOOK_ITEM for one type plus any-type templates)
+app.get('/api/templates', (req, res) => {
+  const templates = templateStore.listTemplates({ userId: req.user.id, listingType: req.query.listingType });
+  res.json({ success: true, templates });
+});
+
+app.post('/api/templates', async (req, res) => {
+  try {
+    const validationErrors = templateStore.validateTemplate(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ success: false, error: validationErrors.join(', '), validationErrors });
+    }
+
+    const template = await templateStore.createTemplate(req.body, req.user.id);
+    console.log(`📝 Template created: ${template.name}`);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    console.error('❌ Error creating template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/templates/:id', async (req, res) => {
+  try {
+    const validationErrors = templateStore.validateTemplate(req.body, { partial: true });
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ success: false, error: validationErrors.join(', '), validationErrors });
+    }
+
+    const template = await templateStore.updateTemplate(req.params.id, req.body, req.user.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: `No template with ID ${req.params.id}` });
+    }
+
+    console.log(`📝 Template updated: ${template.name}`);
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('❌ Error updating template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/templates/:id', async (req, res) => {
+  try {
+    const deleted = await templateStore.deleteTemplate(req.params.id, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `No template with ID ${req.params.id}` });
+    }
+
+    console.log(`🗑️ Template deleted: ${req.params.id}`);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error('❌ Error deleting template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The user's sold items for reference when pricing new listings
+app.get('/api/sold-listings', (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || undefined;
+  const soldListings = soldListingStore.listSoldListings({ userId: req.user.id, limit });
+  res.json({ success: true, soldListings });
+});
+
+// Pull the user's sold items from their eBay account (GetMyeBaySelling SoldList) into the sold-listings store
+app.post('/api/sold-listings/sync', requireEbayAccount, async (req, res) => {
+  try {
+    const days = req.body.days === undefined ? 60 : parseInt(req.body.days, 10);
+    if (!(days >= 1 && days <= 60)) {
+      return res.status(400).json({ success: false, error: 'days must be between 1 and 60' });
+    }
+
+    console.log(`💰 Syncing sold items from eBay (last ${days} days)`);
+    const { getEbaySoldListings } = require('./src/services/ebayApi');
+    const ebayResult = await getEbaySoldListings({ days, credentials: req.ebayCredentials });
+
+    if (!ebayResult.success) {
+      console.error('❌ Failed to sync sold items:', ebayResult.error);
+      return res.status(500).json({
+        success: false,
+        error: ebayResult.error,
+        errors: ebayResult.errors || [],
+        message: ebayResult.message || 'Failed to get sold items from eBay'
+      });
+    }
+
+    const added = await soldListingStore.saveSoldListings(req.user.id, ebayResult.soldListings);
+    console.log(`✅ Synced ${ebayResult.soldListings.length} sold item(s), ${added} new`);
+    res.json({
+      success: true,
+      synced: ebayResult.soldListings.length,
+      added,
+      syncedAt: new Date().toISOString(),
+      soldListings: soldListingStore.listSoldListings({ userId: req.user.id })
+    });
+  } catch (error) {
+    console.error('❌ Error syncing sold items:', error);
+    res.status(500).json({ success: false, error: error.message, message: 'Internal server error while syncing sold items' });
+  }
+});
+
+// The user's payment, shipping and return business policies from the eBay Account API (cached; ?refresh=true to re-read)
+app.get('/api/business-policies', requireEbayAccount, async (req, res) => {
+  try {
+    const result = await getBusinessPolicies(req.ebayCredentials, { refresh: req.query.refresh === 'true' });
+    if (!result.success) {
+      return res.status(502).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error getting business policies:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// eBay category suggestions for search text, e.g. a listing's title (?q=...&limit=5)
+app.get('/api/category-suggestions', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    if (!q.trim()) {
+      return res.status(400).json({ success: false, error: 'q is required' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 10);
+    const result = await getCategorySuggestions(q, { limit });
+    if (!result.success) {
+      return res.status(502).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error getting category suggestions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The item specifics eBay requires or recommends in a category
+app.get('/api/category-aspects/:categoryId', async (req, res) => {
+  try {
+    const result = await getItemAspects(req.params.categoryId);
+    if (!result.success) {
+      return res.status(/^\d+$/.test(req.params.categoryId) ? 502 : 400).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Error getting item aspects:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The signed-in user, their eBay connection and where they ship from
+app.get('/api/me', (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+    ebay: ebayCredentialStore.describeEbayCredentials(req.user.id),
+    seller: sellerSettingsStore.getSellerSettings(req.user.id)
+  });
+});
+
+// Item location and handling time sent with each of the user's listings
+app.get('/api/me/seller-settings', (req, res) => {
+  res.json({ success: true, seller: sellerSettingsStore.getSellerSettings(req.user.id) });
+});
+
+app.put('/api/me/seller-settings', async (req, res) => {
+  try {
+    const validationErrors = sellerSettingsStore.validateSellerSettings(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ success: false, error: validationErrors.join(', '), validationErrors });
+    }
+
+    const seller = await sellerSettingsStore.saveSellerSettings(req.user.id, req.body);
+    console.log(`📍 Seller settings saved for ${req.user.name}`);
+    res.json({ success: true, seller });
+  } catch (error) {
+    console.error('❌ Error saving seller settings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Connect the user's eBay account with an eBay User Token instead of OAuth (e.g. for the mock)
+app.put('/api/me/ebay-credentials', async (req, res) => {
+  try {
+    const validationErrors = ebayCredentialStore.validateEbayCredentials(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ success: false, error: validationErrors.join(', '), validationErrors });
+    }
+
+    const ebay = await ebayCredentialStore.saveEbayCredentials(req.user.id, req.body);
+    clearBusinessPolicyCache(req.user.id);
+    console.log(`🔑 eBay account connected for ${req.user.name}`);
+    res.json({ success: true, ebay });
+  } catch (error) {
+    console.error('❌ Error saving eBay credentials:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/me/ebay-credentials', async (req, res) => {
+  try {
+    const deleted = await ebayCredentialStore.deleteEbayCredentials(req.user.id);
+    clearBusinessPolicyCache(req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'No eBay account connected' });
+    }
+
+    console.log(`🔑 eBay account disconnected for ${req.user.name}`);
+    res.json({ success: true, ebay: ebayCredentialStore.describeEbayCredentials(req.user.id) });
+  } catch (error) {
+    console.error('❌ Error removing eBay credentials:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// User management (admins only) - new API tokens are only ever shown in these responses
+app.get('/api/users', requireAdmin, (req, res) => {
+  const users = userStore.listUsers().map(user => ({
+    ...user,
+    ebay: ebayCredentialStore.describeEbayCredentials(user.id)
+  }));
+  res.json({ success: true, users });
+});
+
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const validationErrors = userStore.validateUser(req.body);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ success: false, error: validationErrors.join(', '), validationErrors });
+    }
+
+    const { user, apiToken } = await userStore.createUser(req.body);
+    console.log(`👤 User created: ${user.name}${user.isAdmin ? ' (admin)' : ''}`);
+    res.status(201).json({ success: true, user, apiToken });
+  } catch (error) {
+    console.error('❌ Error creating user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/users/:id/token', requireAdmin, async (req, res) => {
+  try {
+    const rotated = await userStore.rotateUserToken(req.params.id);
+    if (!rotated) {
+      return res.status(404).json({ success: false, error: `No user with ID ${req.params.id}` });
+    }
+
+    console.log(`👤 API token rotated for ${rotated.user.name}`);
+    res.json({ success: true, user: rotated.user, apiToken: rotated.apiToken });
+  } catch (error) {
+    console.error('❌ Error rotating API token:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ success: false, error: "You can't delete your own user" });
+    }
+
+    const deleted = await userStore.deleteUser(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: `No user with ID ${req.params.id}` });
+    }
+    await ebayCredentialStore.deleteEbayCredentials(req.params.id);
+    await sellerSettingsStore.deleteSellerSettings(req.params.id);
+    clearBusinessPolicyCache(req.params.id);
+
+    console.log(`👤 User deleted: ${req.params.id}`);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error('❌ Error deleting user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Start connecting the user's eBay account - the app opens the returned eBay consent page
+app.post('/api/ebay/oauth/start', (req, res) => {
+  if (!ebayOAuth.isOAuthConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: 'eBay sign-in is not set up on the server (EBAY_APP_ID, EBAY_CERT_ID and EBAY_RUNAME are required)'
+    });
+  }
+
+  res.json({ success: true, url: ebayOAuth.createConsentUrl(req.user.id) });
+});
+
+// eBay sends the browser here after the consent page (the RuName's accept and decline URLs)
+app.get('/api/ebay/oauth/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  const userId = ebayOAuth.consumeState(state);
+
+  if (!userId) {
+    return res.status(400).send(renderOAuthResultPage('Link Expired', 'This eBay sign-in link has expired or was already used. Tap "Connect eBay Account" in the app to try again.'));
+  }
+  if (error || !code) {
+    console.log(`🔑 eBay consent declined for user ${userId}: ${error || 'no code'}`);
+    return res.status(400).send(renderOAuthResultPage('eBay Not Connected', 'eBay access was not granted. You can try again from Settings in the app.'));
+  }
+
+  try {
+    const tokens = await ebayOAuth.exchangeAuthorizationCode(code);
+    const ebayUser = await getEbayUser({ userId, authType: 'oauth', ...tokens });
+    const ebay = await ebayCredentialStore.saveOAuthTokens(userId, { ...tokens, ebayUsername: ebayUser.ebayUsername || null });
+    clearBusinessPolicyCache(userId);
+
+    console.log(`🔑 eBay account ${ebay.ebayUsername || '(unknown user ID)'} connected with OAuth for user ${userId}`);
+    res.send(renderOAuthResultPage('eBay Connected', `${ebay.ebayUsername || 'Your eBay account'} is connected. You can close this page and go back to the app.`));
+  } catch (oauthError) {
+    console.error('❌ eBay OAuth token exchange failed:', oauthError.message);
+    res.status(502).send(renderOAuthResultPage('eBay Not Connected', `eBay sign-in failed: ${oauthError.message}`));
+  }
+});
+
+// Small page for the browser the consent flow ends in
+function renderOAuthResultPage(title, message) {
+  const escapeHtml = (text) => String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: -apple-system, sans-serif; padding: 32px; text-align: center;">
+  <h2>${escapeHtml(title)}</h2>
+  <p>${escapeHtml(message)}</p>
+</body>
+</html>`;
+}
+
+// Save to the listing history without ever failing the request it belongs to
+async function recordHistory(description, recordFn) {
+  try {
+    return await recordFn();
+  } catch (error) {
+    console.error(`❌ Could not record ${description} in listing history:`, error.message);
+    return null;
+  }
+}
+
+// Whether a listing request asks for a VerifyAddItem dry run instead of AddItem
+function isValidateOnly(body) {
+  return body.validateOnly === true || body.validateOnly === 'true';
+}
+
+// A listing's condition (one the listing type accepts, or its default) and condition notes
+// Returns { error } for a condition eBay wouldn't take rather than posting a different one
+function readListingCondition(listing, listingType, categoryId) {
+  const condition = listing.condition ? normalizeCondition(listing.condition, listingType, categoryId) : getDefaultCondition(listingType);
+  if (!condition) {
+    return { error: `"${listing.condition}" is not a condition for this listing. Use one of: ${getConditionOptions(listingType, categoryId).join(', ')}` };
+  }
+
+  const notes = listing.conditionDescription ?? listing.condition_notes;
+  const conditionDescription = typeof notes === 'string' ? notes.trim().slice(0, MAX_CONDITION_DESCRIPTION_LENGTH) : '';
+  return { condition, conditionDescription };
+}
+
+// Check a CategoryID against the saved category tree - eBay only lists items in leaf categories
+// Returns { categoryId }, or { error } if it isn't a leaf category or the tree can't be loaded
+async function checkLeafCategory(categoryId) {
+  // undefined when the category tree can't be loaded, null when it doesn't have the ID
+  const category = await findCategory(categoryId);
+  if (category === undefined) {
+    return { error: `Couldn't check eBay category ${categoryId} - the eBay category tree isn't available` };
+  }
+  if (category === null) {
+    return { error: `${categoryId} is not an eBay category - pick one of the suggested categories` };
+  }
+  if (!category.leaf) {
+    return { error: `"${category.categoryPath}" has subcategories - pick a more specific category` };
+  }
+  return { categoryId: category.categoryId, categoryPath: category.categoryPath };
+}
+
+// The listing's eBay category: the categoryId picked on the card, else eBay's top suggestion for
+// its title and category text, else the few categories getEbayCategoryID knows - whichever it is,
+// it must be a leaf in the saved category tree
+// Returns { categoryId }, or { error } asking the user to pick a category rather than guessing one
+async function readListingCategory(listing, listingType) {
+  const requested = listing.categoryId;
+  if (requested !== undefined && requested !== null && requested !== '') {
+    if (!/^\d+$/.test(String(requested))) {
+      return { error: `categoryId must be a numeric eBay CategoryID (got "${requested}")` };
+    }
+
+    const picked = await checkLeafCategory(String(requested));
+    return picked.error ? { error: picked.error } : { categoryId: picked.categoryId };
+  }
+
+  const suggestions = await getCategorySuggestions(buildCategoryQuery(listing), { limit: 1 });
+  const candidates = [suggestions.suggestions?.[0]?.categoryId, getEbayCategoryID(listing.category, listingType)]
+    .filter((categoryId, index, all) => categoryId && all.indexOf(categoryId) === index);
+
+  for (const candidate of candidates) {
+    const category = await checkLeafCategory(candidate);
+    if (!category.error) {
+      console.log(`🗂️ No category picked - using ${category.categoryPath}`);
+      return { categoryId: category.categoryId };
+    }
+    console.log(`⚠️ Not using category ${candidate}: ${category.error}`);
+  }
+
+  return { error: `Couldn't find an eBay category for "${listing.title}" - pick one on the listing card` };
+}
+
+// eBay's category suggestions for a generated listing - empty if the Taxonomy API can't be
+// reached, so analyzing still works and the card lets the user search instead
+async function suggestListingCategories(listing) {
+  const result = await getCategorySuggestions(buildCategoryQuery(listing));
+  return result.success ? result.suggestions : [];
+}
+
+// Ask the model, with the same photos, for the item specifics eBay requires or recommends in
+// the listing's top suggested category that the listing doesn't have yet, and add the ones that
+// match what eBay accepts to listing.item_specifics
+// Returns { categoryId, aspects } for the card, or null when eBay's aspects can't be fetched -
+// a failed follow-up is logged and the listing is kept as it is
+async function fillItemAspects(analysis, prompt, imageContents, listingType, category) {
+  const aspectsResult = await getItemAspects(category.categoryId);
+  if (!aspectsResult.success) {
+    return null;
+  }
+
+  const { aspects } = aspectsResult;
+  const itemSpecifics = analysis.listing.item_specifics || {};
+  const known = checkItemSpecifics(aspects, itemSpecifics).itemSpecifics;
+  const unfilled = aspects.filter(aspect => !hasAspectValue(known[aspect.name]));
+
+  if (unfilled.length > 0) {
+    const aspectsPrompt = getItemAspectsPrompt(category.categoryPath, unfilled);
+    console.log(`🏷️ Asking for ${unfilled.length} item specific(s) with item aspects prompt v${aspectsPrompt.version}`);
+
+    try {
+      const rawResponse = await callVisionModel(prompt.text, imageContents, listingType, [
+        { role: 'assistant', content: analysis.rawResponse },
+        { role: 'user', content: aspectsPrompt.text }
+      ]);
+      const answered = checkItemSpecifics(unfilled, extractJsonObject(rawResponse)?.item_specifics);
+      const added = unfilled.filter(aspect => hasAspectValue(answered.itemSpecifics[aspect.name]));
+
+      added.forEach(aspect => {
+        itemSpecifics[aspect.name] = answered.itemSpecifics[aspect.name];
+      });
+      analysis.listing.item_specifics = itemSpecifics;
+      console.log(`🏷️ Filled ${added.length}/${unfilled.length} item specific(s)${answered.invalid.length ? `, ${answered.invalid.length} value(s) eBay wouldn't take` : ''}`);
+    } catch (error) {
+      console.error('⚠️ Could not fill item specifics:', error.message);
+    }
+  }
+
+  return { categoryId: aspectsResult.categoryId, aspects };
+}
+
+// A listing's item specifics, checked against its category's aspects - names and allowed values
+// in eBay's spelling. Returns { itemSpecifics }, or { error, invalidItemSpecifics, missingItemSpecifics }
+// for values eBay doesn't allow ([{ name, value }]) or required ones that are missing ([names]).
+// When the aspects can't be fetched the specifics are sent unchecked, with { warning } to pass on
+// to the user (see addItemSpecificsWarning) - eBay still checks them itself.
+async function readItemSpecifics(itemSpecifics, categoryId) {
+  const aspectsResult = await getItemAspects(categoryId);
+  if (!aspectsResult.success) {
+    console.log(`⚠️ Sending item specifics unchecked: ${aspectsResult.error}`);
+    return {
+      itemSpecifics: itemSpecifics || {},
+      warning: {
+        code: 'ItemSpecificsNotChecked',
+        severity: 'Warning',
+        shortMessage: 'Item specifics were not checked.',
+        longMessage: `Couldn't get eBay's item specifics for this category, so they weren't checked before sending - eBay may still ask for changes. (${aspectsResult.error})`
+      }
+    };
+  }
+
+  const checked = checkItemSpecifics(aspectsResult.aspects, itemSpecifics);
+  if (checked.invalid.length > 0) {
+    const { name, value } = checked.invalid[0];
+    const { values } = findAspect(aspectsResult.aspects, name);
+    return {
+      error: `"${value}" isn't a ${name} eBay takes in this category. Use one of: ${values.slice(0, 10).join(', ')}${values.length > 10 ? ', ...' : ''}`,
+      invalidItemSpecifics: checked.invalid,
+      missingItemSpecifics: checked.missing
+    };
+  }
+  if (checked.missing.length > 0) {
+    return {
+      error: `eBay requires ${checked.missing.join(', ')} in this category - fill ${checked.missing.length === 1 ? 'it' : 'them'} in on the listing card`,
+      invalidItemSpecifics: [],
+      missingItemSpecifics: checked.missing
+    };
+  }
+
+  return { itemSpecifics: checked.itemSpecifics };
+}
+
+// Add readItemSpecifics' warning (item specifics sent unchecked) to eBay's warnings for the post or check
+function addItemSpecificsWarning(ebayResult, specifics) {
+  if (specifics.warning) {
+    ebayResult.warnings = [...(ebayResult.warnings || []), specifics.warning];
+  }
+  return ebayResult;
+}
+
+// Send a VerifyAddItem result - eBay errors are part of a successful check, not a server error
+function sendVerifyResult(res, verifyResult) {
+  if (!verifyResult.success) {
+    console.error('❌ eBay verify failed:', verifyResult.error);
+    return res.status(500).json({
+      success: false,
+      validateOnly: true,
+      error: verifyResult.error,
+      message: verifyResult.message || 'Failed to check listing with eBay'
+    });
+  }
+
+  console.log(`🔎 eBay verify ${verifyResult.ack}: ${verifyResult.errors.length} error(s), ${verifyResult.warnings.length} warning(s)`);
+  res.json({
+    success: true,
+    validateOnly: true,
+    valid: verifyResult.valid,
+    ack: verifyResult.ack,
+    errors: verifyResult.errors,
+    warnings: verifyResult.warnings,
+    fees: verifyResult.fees,
+    categoryId: verifyResult.categoryId
+  });
+}
+
+// Helper function to create eBay listing with pre-hosted URLs, on options.credentials' eBay account,
+// shipping from options.seller's location
+// With options.validateOnly the same XML is sent as VerifyAddItem and nothing is listed
+async function createEbayListingWithUrls(listing, hostedPhotoUrls, options = {}) {
+  try {
+    const { buildEbayXMLRequest, callEbayTradingAPI, parseEbayResponse, verifyEbayListing } = require('./src/services/ebayApi');
     
     console.log(`📤 Creating eBay listing with ${hostedPhotoUrls.length} pre-hosted photos`);
     
     // Build eBay XML request with pre-hosted photo URLs
-    const xmlRequest = buildEbayXMLRequest(listing, hostedPhotoUrls);
+    const xmlRequest = buildEbayXMLRequest(listing, hostedPhotoUrls, options.seller);
+
+    if (options.validateOnly) {
+      return await verifyEbayListing(xmlRequest, options.credentials);
+    }
     
     // Call eBay Trading API
-    const ebayResponse = await callEbayTradingAPI(xmlRequest);
+    const ebayResponse = await callEbayTradingAPI(xmlRequest, 'AddItem', options.credentials);
     
     // Parse response and return result
-    const parsedResponse = parseEbayResponse(ebayResponse);
+    const parsedResponse = await parseEbayResponse(ebayResponse);
     
     // Add photo URLs to response for reference
     parsedResponse.hostedPhotoUrls = hostedPhotoUrls;
@@ -536,21 +1718,27 @@ async function createEbayListingWithUrls(listing, hostedPhotoUrls) {
   }
 }
 
-// Helper function to create book listing on eBay
-async function createEbayBookListing(bookListing, hostedPhotoUrls) {
+// Helper function to create book listing on eBay, on options.credentials' eBay account,
+// shipping from options.seller's location
+// With options.validateOnly the same XML is sent as VerifyAddItem and nothing is listed
+async function createEbayBookListing(bookListing, hostedPhotoUrls, options = {}) {
   try {
-    const { buildEbayBookXMLRequest, callEbayTradingAPI, parseEbayResponse } = require('./src/services/ebayApi');
+    const { buildEbayBookXMLRequest, callEbayTradingAPI, parseEbayResponse, verifyEbayListing } = require('./src/services/ebayApi');
     
     console.log(`📖 Creating eBay book listing with ${hostedPhotoUrls.length} photos`);
     
     // Build book-specific eBay XML request
-    const xmlRequest = buildEbayBookXMLRequest(bookListing, hostedPhotoUrls);
+    const xmlRequest = buildEbayBookXMLRequest(bookListing, hostedPhotoUrls, options.seller);
+
+    if (options.validateOnly) {
+      return await verifyEbayListing(xmlRequest, options.credentials);
+    }
     
     // Call eBay Trading API
-    const ebayResponse = await callEbayTradingAPI(xmlRequest);
+    const ebayResponse = await callEbayTradingAPI(xmlRequest, 'AddItem', options.credentials);
     
     // Parse response and return result
-    const parsedResponse = parseEbayResponse(ebayResponse);
+    const parsedResponse = await parseEbayResponse(ebayResponse);
     
     // Add book-specific metadata to response
     parsedResponse.hostedPhotoUrls = hostedPhotoUrls;
@@ -572,10 +1760,51 @@ async function createEbayBookListing(bookListing, hostedPhotoUrls) {
   }
 }
 
-// Start server
-app.listen(port, '0.0.0.0', () => {
-  console.log(`🚀 Server running at http://localhost:${port}`);
-  console.log(`🚀 Also accessible at http://192.168.1.207:${port}`);
-  console.log(`📊 Health check: http://localhost:${port}/api/health`);
-  console.log(`🤖 OpenAI configured: ${!!process.env.OPENAI_API_KEY}`);
-});
\ No newline at end of file
+// Helper function to create book lot listing on eBay, on options.credentials' eBay account,
+// shipping from options.seller's location
+async function createEbayBookLotListing(lotListing, hostedPhotoUrls, options = {}) {
+  try {
+    const { buildEbayBookLotXMLRequest, callEbayTradingAPI, parseEbayResponse } = require('./src/services/ebayApi');
+    
+    console.log(`📚 Creating eBay book lot listing (${lotListing.books.length} books) with ${hostedPhotoUrls.length} photos`);
+    
+    // Build lot-aware eBay XML request
+    const xmlRequest = buildEbayBookLotXMLRequest(lotListing, hostedPhotoUrls, options.seller);
+    
+    // Call eBay Trading API
+    const ebayResponse = await callEbayTradingAPI(xmlRequest, 'AddItem', options.credentials);
+    
+    // Parse response and return result
+    const parsedResponse = await parseEbayResponse(ebayResponse);
+    parsedResponse.hostedPhotoUrls = hostedPhotoUrls;
+    
+    return parsedResponse;
+  } catch (error) {
+    console.error('❌ Error creating eBay book lot listing:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: `Failed to create book lot listing: ${error.message}`
+    };
+  }
+}
+
+// Start server - tests require the app and listen on their own port
+if (require.main === module) {
+  app.listen(port, '0.0.0.0', () => {
+    console.log(`🚀 Server running at http://localhost:${port}`);
+    console.log(`🚀 Also accessible at http://192.168.1.207:${port}`);
+    console.log(`📊 Health check: http://localhost:${port}/api/health`);
+    console.log(`🤖 OpenAI configured: ${!!process.env.OPENAI_API_KEY}`);
+    console.log(`🤖 Vision provider: ${visionProvider.name} (${visionProvider.model})`);
+    if (!userStore.hasUsers()) {
+      console.log('👤 No users yet - create an admin with: npm run users -- add <name> --admin');
+    }
+    // Load (or download) the category tree now so the first listing doesn't wait for it
+    if (process.env.EBAY_APP_ID && process.env.EBAY_CERT_ID) {
+      getCategoryTree().catch(error => console.error('⚠️', error.message));
+    }
+  });
+}
+
+module.exports = app;
@@ -2,17 +2,39 @@ import React, { useState } from 'react';
 import { View, Text, ScrollView, Image, StyleSheet, TouchableOpacity, TextInput, ActivityIndicator } from 'react-native';
 import { colors, spacing, borderRadius, shadows } from '../constants/colors';
 import { getRandomPostingMessage } from '../constants/loadingMessages';
+import EbayCheckResults from './EbayCheckResults';
+import TemplatePicker from './TemplatePicker';
+import BusinessPolicyPicker from './BusinessPolicyPicker';
+import PackageDetailsFields from './PackageDetailsFields';
+import ConditionPicker from './ConditionPicker';
+import CategoryPicker from './CategoryPicker';
+import ItemSpecificsFields from './ItemSpecificsFields';
+import { useItemAspects } from '../hooks/useItemAspects';
+import { getConditionOptions, getDefaultCondition, normalizeCondition } from '../constants/conditions';
+import { switchTemplate } from '../utils/templateEngine';
+
+// Item specifics this card has its own fields for (see formatBookDataForEbay)
+const BOOK_FIELD_SPECIFICS = [
+  'Book Title', 'Author', 'Format', 'Language', 'Topic', 'Publisher', 'Publication Year', 'ISBN',
+  'Edition', 'Series', 'Reading Level', 'Number of Pages', 'Special Features'
+];
 
 /**
  * BookListingCard - Specialized form for book listings with book-specific fields
  * @param {Object} props - Component props
  * @param {Object} props.listing - Book listing data object
  * @param {Function} props.onPost - Callback when post is pressed
+ * @param {Function} props.onVerify - Callback when "Check with eBay" is pressed, resolves to the verify result
  * @param {Function} props.onDataChange - Callback when any field changes
+ * @param {Array} props.templates - Saved templates that can be applied to this listing
+ * @param {Object} props.businessPolicyOptions - Seller's business policies ({ payment, fulfillment, return })
  */
-export default function BookListingCard({ listing, onPost, onDataChange }) {
+export default function BookListingCard({ listing, onPost, onVerify, onDataChange, templates = [], businessPolicyOptions }) {
   const [isPosting, setIsPosting] = useState(false);
   const [postingMessage, setPostingMessage] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+  const [checkResult, setCheckResult] = useState(null);
+  const [missingPlaceholders, setMissingPlaceholders] = useState([]);
   
   // Debug logging - detailed book data inspection
   console.log('📖 BookListingCard received listing:', {
@@ -39,7 +61,8 @@ export default function BookListingCard({ listing, onPost, onDataChange }) {
     // Core listing fields
     title: listing?.title || 'Untitled Book',
     price: listing?.price || '0.00',
-    condition: listing?.condition || 'Very Good',
+    condition: normalizeCondition(listing?.condition, 'BOOK_ITEM') || getDefaultCondition('BOOK_ITEM'),
+    conditionDescription: listing?.conditionDescription ?? listing?.condition_notes ?? '',
     category: listing?.category || 'Books & Magazines > Fiction & Literature',
     description: listing?.description || '',
     
@@ -54,11 +77,13 @@ export default function BookListingCard({ listing, onPost, onDataChange }) {
     isbn: listing?.item_specifics?.ISBN || listing?.ISBN || '',
     
     // Additional book fields
-    edition: listing?.edition || '1st Edition',
+    edition: listing?.edition || '',
     series: listing?.series || '',
-    readingLevel: listing?.readingLevel || 'Adult',
+    readingLevel: listing?.readingLevel || '',
     numberOfPages: listing?.numberOfPages || '',
     specialFeatures: listing?.specialFeatures || '',
+    // Other item specifics for the category (Genre, Signed, ...)
+    itemSpecifics: listing?.item_specifics || {},
     
     // Shipping and quantity
     shipping: listing?.shipping || 'USPS Media Mail',
@@ -69,7 +94,8 @@ export default function BookListingCard({ listing, onPost, onDataChange }) {
     hostedPhotos: listing?.hostedPhotos || [],
     id: listing?.id,
     listingType: 'BOOK_ITEM',
-    parsedListing: listing?.parsedListing
+    parsedListing: listing?.parsedListing,
+    appliedTemplateId: listing?.appliedTemplateId || null
   });
 
   const handleFieldChange = (field, value) => {
@@ -80,6 +106,29 @@ export default function BookListingCard({ listing, onPost, onDataChange }) {
     }
   };
 
+  // Apply a saved template, or "None" to go back to the generated title and description
+  const handleTemplateSelect = (template) => {
+    const { data, missingPlaceholders: missing } = switchTemplate(bookData, listing?.generatedListing, template);
+    setBookData(data);
+    setMissingPlaceholders(missing);
+    if (onDataChange) {
+      onDataChange(data);
+    }
+  };
+
+  const handleItemSpecificChange = (name, value) => {
+    handleFieldChange('itemSpecifics', { ...bookData.itemSpecifics, [name]: value });
+  };
+
+  // Picking a suggested category also replaces the category text with eBay's path for it
+  const handleCategorySelect = ({ categoryId, categoryPath }) => {
+    const newData = { ...bookData, categoryId, category: categoryPath };
+    setBookData(newData);
+    if (onDataChange) {
+      onDataChange(newData);
+    }
+  };
+
   const validateBookData = () => {
     const errors = [];
     
@@ -95,7 +144,7 @@ export default function BookListingCard({ listing, onPost, onDataChange }) {
       errors.push('Invalid ISBN format');
     }
     
-    if (!bookData.condition || !['Very Good', 'Good', 'Acceptable'].includes(bookData.condition)) {
+    if (!getConditionOptions('BOOK_ITEM').includes(bookData.condition)) {
       errors.push('Invalid condition for books');
     }
     
@@ -107,6 +156,45 @@ export default function BookListingCard({ listing, onPost, onDataChange }) {
     return /^\d{10}$/.test(cleaned) || /^\d{13}$/.test(cleaned);
   };
 
+  // The listing type's policies from Settings until a different one is picked on this card
+  const businessPolicies = bookData.businessPolicies || listing?.businessPolicies || {};
+  // The model's package estimate (or the Settings default) until it's edited here
+  const packageDetails = bookData.packageDetails || listing?.packageDetails;
+  // eBay's top suggestion until another category is picked here
+  const categoryId = bookData.categoryId || listing?.categoryId || listing?.categorySuggestions?.[0]?.categoryId;
+  // What eBay asks for in that category - fetched again when another category is picked
+  const itemAspects = useItemAspects(categoryId, listing?.itemAspects);
+
+  const buildPostData = () => ({
+    ...bookData,
+    businessPolicies,
+    packageDetails,
+    categoryId,
+    id: listing?.id || bookData.id,
+    historyId: listing?.historyId,
+    hostedPhotos: listing?.hostedPhotos || bookData.hostedPhotos || [],
+    listingType: 'BOOK_ITEM'
+  });
+
+  const handleCheckListing = async () => {
+    if (isChecking || isPosting || !onVerify) return;
+
+    const validationErrors = validateBookData();
+    if (validationErrors.length > 0) {
+      console.error('❌ Book validation errors:', validationErrors);
+      return;
+    }
+
+    setIsChecking(true);
+    try {
+      setCheckResult(await onVerify(buildPostData()));
+    } catch (error) {
+      setCheckResult({ success: false, error: error.message });
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
   const handlePostListing = async () => {
     if (isPosting || !onPost) return;
     
@@ -119,12 +207,7 @@ export default function BookListingCard({ listing, onPost, onDataChange }) {
     setIsPosting(true);
     setPostingMessage(getRandomPostingMessage());
     try {
-      const postData = {
-        ...bookData,
-        id: listing?.id || bookData.id,
-        hostedPhotos: listing?.hostedPhotos || bookData.hostedPhotos || [],
-        listingType: 'BOOK_ITEM'
-      };
+      const postData = buildPostData();
       
       console.log('📖 BookListingCard posting data:', {
         id: postData.id,
@@ -172,6 +255,25 @@ export default function BookListingCard({ listing, onPost, onDataChange }) {
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>📖 Book Information</Text>
         
+        <TemplatePicker
+          label="Template"
+          templates={templates}
+          selectedTemplateId={bookData.appliedTemplateId}
+          onSelect={handleTemplateSelect}
+          allowNone
+        />
+        {missingPlaceholders.length > 0 && (
+          <Text style={styles.templateNotice}>
+            Not found in this listing: {missingPlaceholders.join(', ')}
+          </Text>
+        )}
+        <BusinessPolicyPicker
+          label="Business policies"
+          policies={businessPolicyOptions}
+          selectedPolicies={businessPolicies}
+          onChange={(policyIds) => handleFieldChange('businessPolicies', policyIds)}
+        />
+
         <View style={styles.field}>
           <View style={styles.titleLabelRow}>
             <Text style={styles.label}>Title</Text>
@@ -220,28 +322,24 @@ export default function BookListingCard({ listing, onPost, onDataChange }) {
           />
         </View>
 
-        <View style={styles.row}>
-          <View style={[styles.field, { flex: 1, marginRight: spacing.sm }]}>
-            <Text style={styles.label}>Price</Text>
-            <TextInput
-              style={styles.input}
-              value={String(bookData.price)}
-              onChangeText={(text) => handleFieldChange('price', parseFloat(text) || 0)}
-              placeholder="0.00"
-              keyboardType="numeric"
-            />
-          </View>
-          
-          <View style={[styles.field, { flex: 1, marginLeft: spacing.sm }]}>
-            <Text style={styles.label}>Condition</Text>
-            <TextInput
-              style={styles.input}
-              value={bookData.condition}
-              onChangeText={(text) => handleFieldChange('condition', text)}
-              placeholder="Very Good"
-            />
-          </View>
+        <View style={styles.field}>
+          <Text style={styles.label}>Price</Text>
+          <TextInput
+            style={styles.input}
+            value={String(bookData.price)}
+            onChangeText={(text) => handleFieldChange('price', parseFloat(text) || 0)}
+            placeholder="0.00"
+            keyboardType="numeric"
+          />
         </View>
+
+        <ConditionPicker
+          listingType="BOOK_ITEM"
+          condition={bookData.condition}
+          conditionDescription={bookData.conditionDescription}
+          onConditionChange={(condition) => handleFieldChange('condition', condition)}
+          onDescriptionChange={(text) => handleFieldChange('conditionDescription', text)}
+        />
       </View>
 
       {/* Book Details Section */}
@@ -341,15 +439,19 @@ export default function BookListingCard({ listing, onPost, onDataChange }) {
 
       {/* Shipping & Category */}
       <View style={styles.section}>
-        <View style={styles.field}>
-          <Text style={styles.label}>Category</Text>
-          <TextInput
-            style={styles.input}
-            value={bookData.category}
-            onChangeText={(text) => handleFieldChange('category', text)}
-            placeholder="Books & Magazines > Fiction & Literature"
-          />
-        </View>
+        <CategoryPicker
+          suggestions={listing?.categorySuggestions}
+          categoryId={categoryId}
+          searchText={bookData.title}
+          onSelect={handleCategorySelect}
+        />
+
+        <ItemSpecificsFields
+          {...itemAspects}
+          itemSpecifics={bookData.itemSpecifics}
+          excludeNames={BOOK_FIELD_SPECIFICS}
+          onChange={handleItemSpecificChange}
+        />
 
         <View style={styles.row}>
           <View style={[styles.field, { flex: 2, marginRight: spacing.sm }]}>
@@ -373,8 +475,30 @@ export default function BookListingCard({ listing, onPost, onDataChange }) {
             />
           </View>
         </View>
+
+        <PackageDetailsFields
+          label="Package"
+          packageDetails={packageDetails}
+          onChange={(details) => handleFieldChange('packageDetails', details)}
+        />
       </View>
 
+      {/* Check with eBay - VerifyAddItem dry run, results shown inline */}
+      {onVerify && (
+        <View style={styles.checkContainer}>
+          <TouchableOpacity
+            style={[styles.checkButton, (isChecking || isPosting) && styles.postButtonDisabled]}
+            onPress={handleCheckListing}
+            disabled={isChecking || isPosting}
+          >
+            <Text style={styles.checkButtonText}>
+              {isChecking ? 'Checking Book with eBay...' : 'Check with eBay'}
+            </Text>
+          </TouchableOpacity>
+          <EbayCheckResults result={checkResult} />
+        </View>
+      )}
+
       {/* Post Button */}
       <TouchableOpacity
         style={[styles.postButton, isPosting && styles.postButtonDisabled]}
@@ -460,6 +584,23 @@ const styles = StyleSheet.create({
   postButtonDisabled: {
     backgroundColor: colors.textMuted,
   },
+  checkContainer: {
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+  },
+  checkButton: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    paddingVertical: spacing.md,
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: colors.primary,
+  },
+  checkButtonText: {
+    color: colors.primary,
+    fontSize: 16,
+    fontWeight: '600',
+  },
   postButtonText: {
     color: colors.white,
     fontSize: 16,
@@ -485,6 +626,11 @@ const styles = StyleSheet.create({
     borderColor: colors.error || '#e74c3c',
     borderWidth: 2,
   },
+  templateNotice: {
+    fontSize: 12,
+    color: colors.warning,
+    marginTop: spacing.xs,
+  },
   errorText: {
     fontSize: 12,
     color: colors.error || '#e74c3c',
@@ -0,0 +1,514 @@
+import React, { useState } from 'react';
+import { View, Text, ScrollView, Image, StyleSheet, TouchableOpacity, TextInput, ActivityIndicator } from 'react-native';
+import { colors, spacing, borderRadius, shadows } from '../constants/colors';
+import { getRandomPostingMessage } from '../constants/loadingMessages';
+import BusinessPolicyPicker from './BusinessPolicyPicker';
+import PackageDetailsFields from './PackageDetailsFields';
+import ConditionPicker from './ConditionPicker';
+import CategoryPicker from './CategoryPicker';
+import ItemSpecificsFields from './ItemSpecificsFields';
+import { useItemAspects } from '../hooks/useItemAspects';
+import { getDefaultCondition, normalizeCondition } from '../constants/conditions';
+
+// Item specifics this card has its own fields for, or the server fills in for a lot
+// (Book Title from the lot title, Author "Various", Language English)
+const LOT_FIELD_SPECIFICS = ['Book Title', 'Author', 'Language', 'Format', 'Topic', 'Genre'];
+
+/**
+ * BookLotListingCard - Form for book lot listings with a checklist of identified books
+ * @param {Object} props - Component props
+ * @param {Object} props.listing - Book lot listing data object (with books array)
+ * @param {Function} props.onPost - Callback when post is pressed
+ * @param {Function} props.onDataChange - Callback when any field changes
+ * @param {Object} props.businessPolicyOptions - Seller's business policies ({ payment, fulfillment, return })
+ */
+export default function BookLotListingCard({ listing, onPost, onDataChange, businessPolicyOptions }) {
+  const [isPosting, setIsPosting] = useState(false);
+  const [postingMessage, setPostingMessage] = useState('');
+
+  const [lotData, setLotData] = useState({
+    // Core listing fields
+    title: listing?.title || 'Untitled Book Lot',
+    price: listing?.price || '0.00',
+    condition: normalizeCondition(listing?.condition, 'BOOK_LOTS') || getDefaultCondition('BOOK_LOTS'),
+    conditionDescription: listing?.conditionDescription ?? listing?.condition_notes ?? '',
+    category: listing?.category || 'Books & Magazines > Books',
+    description: listing?.description || '',
+
+    // Every book the AI identified - unchecked books are left out of the post
+    books: (listing?.books || []).map((book, index) => ({
+      ...book,
+      key: `${index}_${book.title}`,
+      included: true
+    })),
+
+    // Lot-level item specifics from OpenAI response
+    itemSpecifics: listing?.item_specifics || {},
+
+    // Preserve original data
+    photos: listing?.photos || [],
+    hostedPhotos: listing?.hostedPhotos || [],
+    id: listing?.id,
+    listingType: 'BOOK_LOTS',
+    parsedListing: listing?.parsedListing
+  });
+
+  const includedCount = lotData.books.filter(book => book.included).length;
+
+  const handleFieldChange = (field, value) => {
+    const newData = { ...lotData, [field]: value };
+    setLotData(newData);
+    if (onDataChange) {
+      onDataChange(newData);
+    }
+  };
+
+  const handleToggleBook = (key) => {
+    handleFieldChange('books', lotData.books.map(book =>
+      book.key === key ? { ...book, included: !book.included } : book
+    ));
+  };
+
+  const handleItemSpecificChange = (name, value) => {
+    handleFieldChange('itemSpecifics', { ...lotData.itemSpecifics, [name]: value });
+  };
+
+  // Picking a suggested category also replaces the category text with eBay's path for it
+  const handleCategorySelect = ({ categoryId, categoryPath }) => {
+    const newData = { ...lotData, categoryId, category: categoryPath };
+    setLotData(newData);
+    if (onDataChange) {
+      onDataChange(newData);
+    }
+  };
+
+  // The listing type's policies from Settings until a different one is picked on this card
+  const businessPolicies = lotData.businessPolicies || listing?.businessPolicies || {};
+  // The model's package estimate (or the Settings default) until it's edited here
+  const packageDetails = lotData.packageDetails || listing?.packageDetails;
+  // eBay's top suggestion until another category is picked here
+  const categoryId = lotData.categoryId || listing?.categoryId || listing?.categorySuggestions?.[0]?.categoryId;
+  // What eBay asks for in that category - fetched again when another category is picked
+  const itemAspects = useItemAspects(categoryId, listing?.itemAspects);
+
+  const handlePostListing = async () => {
+    if (isPosting || !onPost) return;
+
+    if (includedCount === 0) {
+      console.error('❌ Book lot has no included books');
+      return;
+    }
+
+    setIsPosting(true);
+    setPostingMessage(getRandomPostingMessage());
+    try {
+      const postData = {
+        ...lotData,
+        books: lotData.books.filter(book => book.included),
+        businessPolicies,
+        packageDetails,
+        categoryId,
+        id: listing?.id || lotData.id,
+        historyId: listing?.historyId,
+        hostedPhotos: listing?.hostedPhotos || lotData.hostedPhotos || [],
+        listingType: 'BOOK_LOTS'
+      };
+
+      console.log('📚 BookLotListingCard posting data:', {
+        id: postData.id,
+        title: postData.title,
+        bookCount: postData.books.length,
+        hostedPhotoCount: postData.hostedPhotos?.length || 0
+      });
+
+      await onPost(postData);
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  if (!listing) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      {/* Loading Overlay */}
+      {isPosting && (
+        <View style={styles.loadingOverlay}>
+          <View style={styles.loadingContent}>
+            <ActivityIndicator
+              size="large"
+              color={colors.primary}
+              style={styles.loadingSpinner}
+            />
+            <Text style={styles.loadingMessage}>{postingMessage}</Text>
+            <Text style={styles.loadingSubtext}>Posting to eBay • Please wait</Text>
+          </View>
+        </View>
+      )}
+
+      {/* Photo Section */}
+      <ScrollView horizontal style={styles.photoContainer} showsHorizontalScrollIndicator={false}>
+        {lotData.photos.map((photo, index) => (
+          <Image key={index} source={{ uri: photo.uri }} style={styles.photo} />
+        ))}
+      </ScrollView>
+
+      {/* Lot Info Section */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>📚 Lot Information</Text>
+
+        <BusinessPolicyPicker
+          label="Business policies"
+          policies={businessPolicyOptions}
+          selectedPolicies={businessPolicies}
+          onChange={(policyIds) => handleFieldChange('businessPolicies', policyIds)}
+        />
+
+        <View style={styles.field}>
+          <View style={styles.titleLabelRow}>
+            <Text style={styles.label}>Lot Title</Text>
+            <Text style={[
+              styles.characterCount,
+              lotData.title.length > 80 ? styles.characterCountOver : styles.characterCountNormal
+            ]}>
+              {lotData.title.length}/80
+            </Text>
+          </View>
+          <TextInput
+            style={[
+              styles.input,
+              lotData.title.length > 80 ? styles.inputError : null
+            ]}
+            value={lotData.title}
+            onChangeText={(text) => handleFieldChange('title', text)}
+            placeholder="Lot of 10 books - author, series or topic"
+            multiline
+            maxLength={80}
+          />
+        </View>
+
+        <View style={styles.field}>
+          <Text style={styles.label}>Lot Price</Text>
+          <TextInput
+            style={styles.input}
+            value={String(lotData.price)}
+            onChangeText={(text) => handleFieldChange('price', parseFloat(text) || 0)}
+            placeholder="0.00"
+            keyboardType="numeric"
+          />
+        </View>
+
+        <ConditionPicker
+          listingType="BOOK_LOTS"
+          condition={lotData.condition}
+          conditionDescription={lotData.conditionDescription}
+          onConditionChange={(condition) => handleFieldChange('condition', condition)}
+          onDescriptionChange={(text) => handleFieldChange('conditionDescription', text)}
+        />
+
+        <CategoryPicker
+          suggestions={listing?.categorySuggestions}
+          categoryId={categoryId}
+          searchText={lotData.title}
+          onSelect={handleCategorySelect}
+        />
+
+        <ItemSpecificsFields
+          {...itemAspects}
+          itemSpecifics={lotData.itemSpecifics}
+          excludeNames={LOT_FIELD_SPECIFICS}
+          onChange={handleItemSpecificChange}
+        />
+      </View>
+
+      {/* Book Checklist Section */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>
+          ✅ Books in Lot ({includedCount} of {lotData.books.length})
+        </Text>
+        <Text style={styles.hint}>Uncheck any book the AI misidentified</Text>
+
+        {lotData.books.map((book) => (
+          <TouchableOpacity
+            key={book.key}
+            style={styles.bookRow}
+            onPress={() => handleToggleBook(book.key)}
+          >
+            <View style={[styles.checkbox, book.included && styles.checkboxChecked]}>
+              {book.included && <Text style={styles.checkmark}>✓</Text>}
+            </View>
+            <View style={styles.bookInfo}>
+              <Text style={[styles.bookTitle, !book.included && styles.bookExcluded]}>
+                {book.title}
+              </Text>
+              {(book.author || book.isbn) ? (
+                <Text style={styles.bookMeta}>
+                  {[book.author, book.isbn && `ISBN ${book.isbn}`].filter(Boolean).join(' • ')}
+                </Text>
+              ) : null}
+            </View>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {/* Lot Details Section */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>📋 Lot Details</Text>
+
+        <View style={styles.row}>
+          <View style={[styles.field, { flex: 1, marginRight: spacing.sm }]}>
+            <Text style={styles.label}>Author</Text>
+            <TextInput
+              style={styles.input}
+              value={lotData.itemSpecifics.Author || ''}
+              onChangeText={(text) => handleItemSpecificChange('Author', text)}
+              placeholder="Various"
+            />
+          </View>
+
+          <View style={[styles.field, { flex: 1, marginLeft: spacing.sm }]}>
+            <Text style={styles.label}>Format</Text>
+            <TextInput
+              style={styles.input}
+              value={lotData.itemSpecifics.Format || ''}
+              onChangeText={(text) => handleItemSpecificChange('Format', text)}
+              placeholder="Paperback"
+            />
+          </View>
+        </View>
+
+        <View style={styles.row}>
+          <View style={[styles.field, { flex: 1, marginRight: spacing.sm }]}>
+            <Text style={styles.label}>Topic</Text>
+            <TextInput
+              style={styles.input}
+              value={lotData.itemSpecifics.Topic || ''}
+              onChangeText={(text) => handleItemSpecificChange('Topic', text)}
+              placeholder="Fantasy, History, etc."
+            />
+          </View>
+
+          <View style={[styles.field, { flex: 1, marginLeft: spacing.sm }]}>
+            <Text style={styles.label}>Genre</Text>
+            <TextInput
+              style={styles.input}
+              value={lotData.itemSpecifics.Genre || ''}
+              onChangeText={(text) => handleItemSpecificChange('Genre', text)}
+              placeholder="Fiction"
+            />
+          </View>
+        </View>
+
+        <View style={styles.field}>
+          <Text style={styles.label}>Description</Text>
+          <TextInput
+            style={[styles.input, styles.descriptionInput]}
+            value={lotData.description}
+            onChangeText={(text) => handleFieldChange('description', text)}
+            placeholder="Describe the lot and its overall condition..."
+            multiline
+            numberOfLines={4}
+          />
+          <Text style={styles.hint}>The checked books are listed below this description on eBay</Text>
+        </View>
+
+        <PackageDetailsFields
+          label="Package (whole lot)"
+          packageDetails={packageDetails}
+          onChange={(details) => handleFieldChange('packageDetails', details)}
+        />
+      </View>
+
+      {/* Post Button */}
+      <TouchableOpacity
+        style={[styles.postButton, (isPosting || includedCount === 0) && styles.postButtonDisabled]}
+        onPress={handlePostListing}
+        disabled={isPosting || includedCount === 0}
+      >
+        <Text style={styles.postButtonText}>
+          {isPosting ? 'Posting Lot to eBay...' : `Post Lot of ${includedCount} to eBay`}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: borderRadius.lg,
+    marginBottom: spacing.lg,
+    borderWidth: 1,
+    borderColor: colors.border,
+    ...shadows.sm,
+  },
+  photoContainer: {
+    height: 120,
+    marginBottom: spacing.md,
+    paddingHorizontal: spacing.md,
+    paddingTop: spacing.md,
+  },
+  photo: {
+    width: 100,
+    height: 100,
+    borderRadius: borderRadius.sm,
+    marginRight: spacing.sm,
+    backgroundColor: colors.surface,
+  },
+  section: {
+    paddingHorizontal: spacing.lg,
+    paddingBottom: spacing.md,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.sm,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginBottom: spacing.sm,
+  },
+  field: {
+    marginBottom: spacing.md,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  input: {
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.md,
+    padding: spacing.md,
+    fontSize: 14,
+    color: colors.textPrimary,
+    minHeight: 44,
+  },
+  descriptionInput: {
+    minHeight: 100,
+    textAlignVertical: 'top',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  bookRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  checkbox: {
+    width: 24,
+    height: 24,
+    borderRadius: borderRadius.sm,
+    borderWidth: 2,
+    borderColor: colors.border,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: spacing.md,
+    backgroundColor: colors.surface,
+  },
+  checkboxChecked: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  checkmark: {
+    color: colors.textInverse,
+    fontWeight: 'bold',
+    fontSize: 14,
+  },
+  bookInfo: {
+    flex: 1,
+  },
+  bookTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  bookExcluded: {
+    color: colors.textMuted,
+    textDecorationLine: 'line-through',
+  },
+  bookMeta: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  postButton: {
+    backgroundColor: colors.primary,
+    borderRadius: borderRadius.md,
+    paddingVertical: spacing.lg,
+    alignItems: 'center',
+    margin: spacing.lg,
+    marginTop: 0,
+    ...shadows.sm,
+  },
+  postButtonDisabled: {
+    backgroundColor: colors.textMuted,
+  },
+  postButtonText: {
+    color: colors.textInverse,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  titleLabelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.xs,
+  },
+  characterCount: {
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  characterCountNormal: {
+    color: colors.textMuted,
+  },
+  characterCountOver: {
+    color: colors.error,
+  },
+  inputError: {
+    borderColor: colors.error,
+    borderWidth: 2,
+  },
+  loadingOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(255, 255, 255, 0.95)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 1000,
+    borderRadius: borderRadius.lg,
+  },
+  loadingContent: {
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+  loadingSpinner: {
+    marginBottom: spacing.lg,
+  },
+  loadingMessage: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.primary,
+    textAlign: 'center',
+    marginBottom: spacing.sm,
+  },
+  loadingSubtext: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+});
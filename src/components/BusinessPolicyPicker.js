@@ -0,0 +1,118 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { colors, spacing, borderRadius } from '../constants/colors';
+
+// One row of chips per policy type
+const POLICY_ROWS = [
+  { type: 'payment', idKey: 'paymentPolicyId', label: 'Payment', noneText: 'eBay default' },
+  { type: 'fulfillment', idKey: 'fulfillmentPolicyId', label: 'Shipping', noneText: 'Standard shipping' },
+  { type: 'return', idKey: 'returnPolicyId', label: 'Returns', noneText: '30-day returns' },
+];
+
+/**
+ * BusinessPolicyPicker - Choose the seller's payment, shipping and return policies
+ * @param {Object} props - Component props
+ * @param {string} props.label - Heading shown above the policies
+ * @param {Object} props.policies - Seller's policies ({ payment, fulfillment, return } arrays of { id, name, summary })
+ * @param {Object} props.selectedPolicies - Chosen IDs ({ paymentPolicyId, fulfillmentPolicyId, returnPolicyId })
+ * @param {Function} props.onChange - Called with the updated IDs
+ */
+export default function BusinessPolicyPicker({ label, policies, selectedPolicies = {}, onChange }) {
+  if (!policies || POLICY_ROWS.every(({ type }) => !policies[type]?.length)) {
+    return null;
+  }
+
+  const handleSelect = (idKey, id) => {
+    const updated = { ...selectedPolicies };
+    if (id) {
+      updated[idKey] = id;
+    } else {
+      delete updated[idKey];
+    }
+    onChange(updated);
+  };
+
+  const renderChip = (key, text, isSelected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isSelected && styles.chipSelected]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{text}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>{label}</Text>
+      {POLICY_ROWS.filter(({ type }) => policies[type]?.length > 0).map(({ type, idKey, label: rowLabel, noneText }) => {
+        const selected = policies[type].find(policy => policy.id === selectedPolicies[idKey]);
+        return (
+          <View key={type} style={styles.row}>
+            <Text style={styles.rowLabel}>{rowLabel}</Text>
+            <View style={styles.chipRow}>
+              {renderChip('none', noneText, !selected, () => handleSelect(idKey, null))}
+              {policies[type].map((policy) => renderChip(
+                policy.id,
+                policy.name,
+                policy.id === selected?.id,
+                () => handleSelect(idKey, policy.id)
+              ))}
+            </View>
+            {selected?.summary ? <Text style={styles.summary}>{selected.summary}</Text> : null}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: spacing.sm,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  row: {
+    marginBottom: spacing.xs,
+  },
+  rowLabel: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+    backgroundColor: colors.surface,
+  },
+  chipSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  summary: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+  },
+});
@@ -1,11 +1,12 @@
 import React, { useState, useCallback } from "react";
-import { View, Text, TouchableOpacity, StyleSheet, ScrollView } from "react-native";
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert } from "react-native";
 import * as ImagePicker from "expo-image-picker";
 import { usePhotos } from "../contexts/PhotoContext";
 import { analyzePhotos } from "../services/listingApi";
 import { parseListingResponse } from "../utils/responseParser";
-import { testServerConnection } from "../services/testConnection";
-import { AI_PROMPTS } from "../constants/prompts";
+import { testServerConnection, isNetworkError } from "../services/testConnection";
+import { enqueueRequest } from "../services/requestQueue";
+import { preparePhoto, validatePhoto } from "../utils/photoUtils";
 
 export default function CameraCapture({ 
   selectedListingType, 
@@ -50,19 +51,37 @@ export default function CameraCapture({
 
     const result = await ImagePicker.launchCameraAsync({
       mediaTypes: ImagePicker.MediaTypeOptions.Images,
-      quality: 0.8,
+      quality: 1, // preparePhoto compresses once, after resizing
+      exif: true,
     });
 
     if (!result.canceled && result.assets && result.assets.length > 0) {
       console.log("📸 Photo captured successfully");
-      const newPhoto = result.assets[0];
+      // Resized, upright and without location data before it goes anywhere
+      const newPhoto = await preparePhoto(result.assets[0]);
       console.log("📸 PHOTO LOCATION:", {
         uri: newPhoto.uri,
         width: newPhoto.width,
         height: newPhoto.height,
-        fileName: newPhoto.fileName,
+        originalWidth: newPhoto.originalWidth,
+        originalHeight: newPhoto.originalHeight,
         fileSize: newPhoto.fileSize
       });
+
+      // A photo eBay won't take doesn't count towards the listing - offer to take it again
+      const validation = validatePhoto(newPhoto);
+      if (!validation.isValid) {
+        console.log("📸 Photo rejected:", validation.errors);
+        Alert.alert(
+          "eBay Won't Accept This Photo",
+          validation.errors.join("\n"),
+          [
+            { text: "Stop", style: "cancel" },
+            { text: "Retake", onPress: () => takeNextPhoto() }
+          ]
+        );
+        return;
+      }
       
       // Use functional updates to ensure we get the latest state
       setCapturedPhotos(currentPhotos => {
@@ -86,13 +105,8 @@ export default function CameraCapture({
         } else {
           console.log("📸 Target reached, generating listing automatically");
           
-          // Add photos to context with proper IDs for UI display
-          const photosWithId = updatedPhotos.map(photo => ({
-            uri: photo.uri,
-            width: photo.width,
-            height: photo.height,
-            id: Math.random().toString(36).substr(2, 9),
-          }));
+          // Prepared photos already have IDs and thumbnails for UI display
+          const photosWithId = updatedPhotos;
           
           // Move addPhotos and other side effects outside the functional update
           setTimeout(() => {
@@ -137,6 +151,7 @@ export default function CameraCapture({
   }, [capturedPhotos, currentPhotoCount, photosPerListing]);
 
   const triggerAutomaticListingGeneration = async (photos) => {
+    let processingId = null;
     try {
       console.log("🤖 AUTO-LISTING FUNCTION CALLED! Triggering listing generation for", photos.length, "photos");
       console.log("🤖 Props check:", {
@@ -147,7 +162,6 @@ export default function CameraCapture({
       });
       
       // Start processing indicator and clear photos immediately (like CreateListingButton does)
-      let processingId = null;
       if (onStartProcessing) {
         processingId = onStartProcessing();
       }
@@ -163,44 +177,18 @@ export default function CameraCapture({
       }
       console.log('✅ Server connection successful!');
 
-      // Get the appropriate prompt based on listing type (same logic as CreateListingButton)
-      let prompt;
-      switch (selectedListingType) {
-        case 'BOOK_ITEM':
-          prompt = AI_PROMPTS.BOOK_ITEM(photos.length);
-          break;
-        case 'BOOK_LOTS':
-          prompt = AI_PROMPTS.BOOK_ITEM(photos.length);
-          break;
-        case 'CD_MUSIC':
-          prompt = AI_PROMPTS.ELECTRONICS;
-          break;
-        case 'DVD_MOVIE':
-          prompt = AI_PROMPTS.ELECTRONICS;
-          break;
-        case 'VHS_LISTING':
-          prompt = AI_PROMPTS.ELECTRONICS;
-          break;
-        case 'GENERAL_LISTING':
-          prompt = AI_PROMPTS.GENERAL_ITEM;
-          break;
-        default:
-          prompt = AI_PROMPTS.GENERAL_ITEM;
-      }
-
       console.log('🤖 Creating listing with type:', selectedListingType);
       
-      // Call the analyze endpoint (same as CreateListingButton)
+      // Call the analyze endpoint (same as CreateListingButton) - the server picks the prompt
       const result = await analyzePhotos({
         photos,
-        listingType: selectedListingType,
-        prompt
+        listingType: selectedListingType
       });
 
       console.log('✅ Raw OpenAI Response:', result);
 
       // Parse the response based on listing type (same as CreateListingButton)
-      const parsedListing = parseListingResponse(result.rawResponse, selectedListingType);
+      const parsedListing = parseListingResponse(result.listing, selectedListingType);
       console.log('✅ Parsed Listing:', JSON.stringify(parsedListing, null, 2));
 
       // Pass results to parent component (same as CreateListingButton)
@@ -208,8 +196,11 @@ export default function CameraCapture({
         onCreateListing({
           photos,
           hostedPhotos: result.hostedPhotos || [],
+          categorySuggestions: result.categorySuggestions || [],
+          itemAspects: result.itemAspects || null,
           listingType: selectedListingType,
-          prompt,
+          promptVersion: result.promptVersion,
+          historyId: result.historyId, // Server listing history record
           photoCount: photos.length,
           rawResponse: result,
           parsedListing
@@ -220,6 +211,15 @@ export default function CameraCapture({
 
     } catch (error) {
       console.error('❌ Error in automatic listing generation:', error);
+
+      // No connection - keep the photos in the offline queue to analyze later (same as CreateListingButton)
+      if (isNetworkError(error)) {
+        const job = await enqueueRequest('analyze', { photos, listingType: selectedListingType }, error.message);
+        if (onCreateListing) {
+          onCreateListing({ queued: true, queuedJobId: job.id }, processingId);
+        }
+        return;
+      }
       
       // Remove processing indicator on error (same as CreateListingButton)
       if (onCreateListing) {
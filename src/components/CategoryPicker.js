@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { colors, spacing, borderRadius } from '../constants/colors';
+import api from '../services/api';
+
+/**
+ * CategoryPicker - Pick the eBay category from eBay's suggestions, or search for another
+ * @param {Object} props - Component props
+ * @param {Array} props.suggestions - Suggestions from analyzing the photos ({ categoryId, categoryName, categoryPath })
+ * @param {string} props.categoryId - Selected eBay CategoryID
+ * @param {string} props.searchText - Text the search box starts with (e.g. the listing title)
+ * @param {Function} props.onSelect - Called with the chosen suggestion
+ */
+export default function CategoryPicker({ suggestions = [], categoryId, searchText = '', onSelect }) {
+  const [query, setQuery] = useState(searchText);
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+
+  const options = results || suggestions;
+  const selected = [...options, ...suggestions].find(option => option.categoryId === categoryId);
+
+  const handleSearch = async () => {
+    if (!query.trim() || isSearching) return;
+
+    setIsSearching(true);
+    setSearchError(null);
+    try {
+      const result = await api.getCategorySuggestions(query.trim());
+      setResults(result.suggestions || []);
+      if (!result.suggestions?.length) {
+        setSearchError('No eBay categories found - try different words');
+      }
+    } catch (error) {
+      setSearchError(error.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>eBay category</Text>
+      <View style={styles.chipRow}>
+        {options.map(option => {
+          const isSelected = option.categoryId === categoryId;
+          return (
+            <TouchableOpacity
+              key={option.categoryId}
+              style={[styles.chip, isSelected && styles.chipSelected]}
+              onPress={() => onSelect(option)}
+            >
+              <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{option.categoryName}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      {selected ? (
+        <Text style={styles.hint}>{selected.categoryPath} (#{selected.categoryId})</Text>
+      ) : categoryId ? (
+        <Text style={styles.hint}>Category #{categoryId}</Text>
+      ) : (
+        <Text style={[styles.hint, styles.error]}>No category picked - eBay's best match for the title will be used</Text>
+      )}
+
+      <View style={styles.searchRow}>
+        <TextInput
+          style={styles.input}
+          value={query}
+          onChangeText={setQuery}
+          onSubmitEditing={handleSearch}
+          placeholder="Search eBay categories"
+          returnKeyType="search"
+        />
+        <TouchableOpacity style={styles.searchButton} onPress={handleSearch} disabled={isSearching}>
+          {isSearching ? (
+            <ActivityIndicator size="small" color={colors.textInverse} />
+          ) : (
+            <Text style={styles.searchButtonText}>Search</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+      {searchError && <Text style={[styles.hint, styles.error]}>{searchError}</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: spacing.md,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+    backgroundColor: colors.surface,
+  },
+  chipSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+    marginBottom: spacing.xs,
+  },
+  error: {
+    color: colors.error,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    padding: spacing.sm,
+    backgroundColor: colors.surface,
+    marginRight: spacing.xs,
+  },
+  searchButton: {
+    backgroundColor: colors.primary,
+    borderRadius: borderRadius.sm,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+  },
+  searchButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textInverse,
+  },
+});
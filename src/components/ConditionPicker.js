@@ -0,0 +1,113 @@
+import React from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity } from 'react-native';
+import { colors, spacing, borderRadius } from '../constants/colors';
+import { CONDITION_GROUPS, getConditionGroup, MAX_CONDITION_DESCRIPTION_LENGTH } from '../constants/conditions';
+
+/**
+ * ConditionPicker - Choose one of the conditions eBay accepts for the listing type, with condition notes
+ * @param {Object} props - Component props
+ * @param {string} props.listingType - Listing type whose condition group is shown (e.g. BOOK_ITEM)
+ * @param {string} props.condition - Selected condition name
+ * @param {string} props.conditionDescription - Notes on wear and flaws shown to buyers
+ * @param {Function} props.onConditionChange - Called with the chosen condition name
+ * @param {Function} props.onDescriptionChange - Called with the updated notes
+ */
+export default function ConditionPicker({ listingType, condition, conditionDescription = '', onConditionChange, onDescriptionChange }) {
+  const { conditions } = CONDITION_GROUPS[getConditionGroup(listingType)];
+  const selected = conditions.find(option => option.name === condition);
+  // eBay doesn't show notes on brand-new items
+  const takesNotes = selected?.id !== '1000';
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Condition</Text>
+      <View style={styles.chipRow}>
+        {conditions.map(option => {
+          const isSelected = option.name === selected?.name;
+          return (
+            <TouchableOpacity
+              key={option.id}
+              style={[styles.chip, isSelected && styles.chipSelected]}
+              onPress={() => onConditionChange(option.name)}
+            >
+              <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{option.name}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      {selected ? (
+        <Text style={styles.hint}>{selected.description}</Text>
+      ) : (
+        <Text style={[styles.hint, styles.error]}>Choose a condition{condition ? ` ("${condition}" isn't one eBay takes here)` : ''}</Text>
+      )}
+
+      {takesNotes && (
+        <TextInput
+          style={styles.input}
+          value={conditionDescription}
+          onChangeText={onDescriptionChange}
+          placeholder="Condition notes - wear, marks or missing parts"
+          maxLength={MAX_CONDITION_DESCRIPTION_LENGTH}
+          multiline
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: spacing.md,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+    backgroundColor: colors.surface,
+  },
+  chipSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+    marginBottom: spacing.xs,
+  },
+  error: {
+    color: colors.error,
+  },
+  input: {
+    fontSize: 14,
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    padding: spacing.sm,
+    backgroundColor: colors.surface,
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+});
@@ -1,10 +1,11 @@
 import React, { useState } from 'react';
 import { TouchableOpacity, Text, StyleSheet } from 'react-native';
 import { colors, spacing, borderRadius, shadows } from '../constants/colors';
-import { AI_PROMPTS } from '../constants/prompts';
 import { analyzePhotos } from '../services/listingApi';
-import { testServerConnection } from '../services/testConnection';
+import { testServerConnection, isNetworkError } from '../services/testConnection';
+import { enqueueRequest } from '../services/requestQueue';
 import { parseListingResponse } from '../utils/responseParser';
+import { getPhotoErrors } from '../utils/photoUtils';
 
 /**
  * CreateListingButton component for generating listings
@@ -24,7 +25,8 @@ export default function CreateListingButton({
 }) {
   const [isLoading, setIsLoading] = useState(false);
   const photoCount = photos.length;
-  const canCreateListing = photoCount > 0 && selectedListingType;
+  const invalidPhotoCount = getPhotoErrors(photos).length;
+  const canCreateListing = photoCount > 0 && selectedListingType && invalidPhotoCount === 0;
 
   const handlePress = async () => {
     if (!canCreateListing || disabled || isLoading) return;
@@ -50,44 +52,18 @@ export default function CreateListingButton({
       }
       console.log('✅ Server connection successful!');
 
-      // Get the appropriate prompt based on listing type
-      let prompt;
-      switch (selectedListingType) {
-        case 'BOOK_ITEM':
-          prompt = AI_PROMPTS.BOOK_ITEM(photoCount);
-          break;
-        case 'BOOK_LOTS':
-          prompt = AI_PROMPTS.BOOK_ITEM(photoCount); // Will be updated with actual prompt
-          break;
-        case 'CD_MUSIC':
-          prompt = AI_PROMPTS.ELECTRONICS; // Will be updated with actual prompt
-          break;
-        case 'DVD_MOVIE':
-          prompt = AI_PROMPTS.ELECTRONICS; // Will be updated with actual prompt
-          break;
-        case 'VHS_LISTING':
-          prompt = AI_PROMPTS.ELECTRONICS; // Will be updated with actual prompt
-          break;
-        case 'GENERAL_LISTING':
-          prompt = AI_PROMPTS.GENERAL_ITEM;
-          break;
-        default:
-          prompt = AI_PROMPTS.GENERAL_ITEM;
-      }
-
       console.log('Creating listing with type:', selectedListingType);
       
-      // Call the new /api/analyze endpoint
+      // Call the new /api/analyze endpoint - the server picks the prompt
       const result = await analyzePhotos({
         photos,
-        listingType: selectedListingType,
-        prompt
+        listingType: selectedListingType
       });
 
       console.log('✅ Raw OpenAI Response:', result);
 
       // Parse the response based on listing type
-      const parsedListing = parseListingResponse(result.rawResponse, selectedListingType);
+      const parsedListing = parseListingResponse(result.listing, selectedListingType);
       console.log('✅ Parsed Listing:', JSON.stringify(parsedListing, null, 2));
 
       // Pass results to parent component with hosted photo URLs
@@ -95,8 +71,11 @@ export default function CreateListingButton({
         onPress({
           photos,
           hostedPhotos: result.hostedPhotos || [], // GameSighter URLs from analyze endpoint
+          categorySuggestions: result.categorySuggestions || [], // eBay categories for the title, best first
+          itemAspects: result.itemAspects || null, // Item specifics eBay asks for in the top category
           listingType: selectedListingType,
-          prompt,
+          promptVersion: result.promptVersion,
+          historyId: result.historyId, // Server listing history record
           photoCount,
           rawResponse: result,
           parsedListing
@@ -105,6 +84,15 @@ export default function CreateListingButton({
 
     } catch (error) {
       console.error('❌ Error creating listing:', error);
+
+      // No connection - keep the photos in the offline queue to analyze later
+      if (isNetworkError(error)) {
+        const job = await enqueueRequest('analyze', { photos, listingType: selectedListingType }, error.message);
+        if (onPress) {
+          onPress({ queued: true, queuedJobId: job.id }, processingId);
+        }
+        return;
+      }
       
       // Remove processing indicator on error
       if (onPress) {
@@ -122,6 +110,9 @@ export default function CreateListingButton({
     if (!selectedListingType) {
       return 'Select Listing Type First';
     }
+    if (invalidPhotoCount > 0) {
+      return `Remove ${invalidPhotoCount} Invalid Photo${invalidPhotoCount !== 1 ? 's' : ''}`;
+    }
     if (isLoading || disabled) {
       return 'Creating Listing...';
     }
@@ -0,0 +1,117 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { colors, spacing, borderRadius } from '../constants/colors';
+
+/**
+ * EbayCheckResults - Inline result of a "Check with eBay" (VerifyAddItem) dry run
+ * @param {Object} props - Component props
+ * @param {Object} props.result - Verify result ({ valid, errors, warnings, fees } or { error, invalidItemSpecifics, missingItemSpecifics })
+ */
+export default function EbayCheckResults({ result }) {
+  if (!result) {
+    return null;
+  }
+
+  // The check itself failed (network, server or auth problem, or item specifics to fix first)
+  if (!result.success) {
+    return (
+      <View style={[styles.container, styles.containerError]}>
+        <Text style={[styles.heading, styles.errorText]}>Couldn't check with eBay</Text>
+        <Text style={styles.message}>{result.error || result.message}</Text>
+        {(result.invalidItemSpecifics || []).map(({ name, value }) => (
+          <Text key={`invalid-${name}-${value}`} style={[styles.message, styles.errorText]}>
+            • {name}: "{value}" isn't allowed in this category
+          </Text>
+        ))}
+        {result.missingItemSpecifics?.length > 0 && (
+          <Text style={[styles.message, styles.errorText]}>
+            • Missing: {result.missingItemSpecifics.join(', ')}
+          </Text>
+        )}
+      </View>
+    );
+  }
+
+  const errors = result.errors || [];
+  const warnings = result.warnings || [];
+  const fees = result.fees || { breakdown: [], total: 0 };
+
+  return (
+    <View style={[styles.container, result.valid ? styles.containerValid : styles.containerError]}>
+      <Text style={[styles.heading, result.valid ? styles.validText : styles.errorText]}>
+        {result.valid ? '✅ eBay accepts this listing' : '❌ eBay would reject this listing'}
+      </Text>
+
+      {errors.map((issue, index) => (
+        <Text key={`error-${index}`} style={[styles.message, styles.errorText]}>
+          • {issue.longMessage || issue.shortMessage}{issue.code ? ` (${issue.code})` : ''}
+        </Text>
+      ))}
+
+      {warnings.map((issue, index) => (
+        <Text key={`warning-${index}`} style={[styles.message, styles.warningText]}>
+          ⚠️ {issue.longMessage || issue.shortMessage}
+        </Text>
+      ))}
+
+      {result.valid && (
+        <View style={styles.feesContainer}>
+          {fees.breakdown.filter(fee => fee.amount > 0).map((fee) => (
+            <Text key={fee.name} style={styles.message}>
+              {fee.name}: ${fee.amount.toFixed(2)}
+            </Text>
+          ))}
+          <Text style={styles.totalFees}>
+            Projected fees: ${fees.total.toFixed(2)}
+          </Text>
+          {result.categoryId && (
+            <Text style={styles.message}>eBay will list this in category {result.categoryId}</Text>
+          )}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    borderWidth: 1,
+    borderRadius: borderRadius.sm,
+    padding: spacing.sm,
+    marginTop: spacing.sm,
+    backgroundColor: colors.surface,
+  },
+  containerValid: {
+    borderColor: colors.success,
+  },
+  containerError: {
+    borderColor: colors.error,
+  },
+  heading: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: spacing.xs,
+  },
+  message: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  validText: {
+    color: colors.success,
+  },
+  errorText: {
+    color: colors.error,
+  },
+  warningText: {
+    color: colors.warning,
+  },
+  feesContainer: {
+    marginTop: spacing.xs,
+  },
+  totalFees: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+});
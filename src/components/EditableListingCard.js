@@ -2,17 +2,37 @@ import React, { useState } from 'react';
 import { View, Text, ScrollView, Image, StyleSheet, TouchableOpacity, TextInput, ActivityIndicator } from 'react-native';
 import { colors, spacing, borderRadius, shadows } from '../constants/colors';
 import { getRandomPostingMessage } from '../constants/loadingMessages';
+import { MEDIA_ITEM_SPECIFICS } from '../constants/prompts';
+import EbayCheckResults from './EbayCheckResults';
+import TemplatePicker from './TemplatePicker';
+import BusinessPolicyPicker from './BusinessPolicyPicker';
+import PackageDetailsFields from './PackageDetailsFields';
+import ConditionPicker from './ConditionPicker';
+import CategoryPicker from './CategoryPicker';
+import ItemSpecificsFields from './ItemSpecificsFields';
+import { useItemAspects } from '../hooks/useItemAspects';
+import { getDefaultCondition, normalizeCondition } from '../constants/conditions';
+import { switchTemplate } from '../utils/templateEngine';
 
 /**
  * EditableListingCard - A form-based listing card where everything is editable with touch
  * @param {Object} props - Component props
  * @param {Object} props.listing - Listing data object
  * @param {Function} props.onPost - Callback when post is pressed
+ * @param {Function} props.onVerify - Callback when "Check with eBay" is pressed, resolves to the verify result
  * @param {Function} props.onDataChange - Callback when any field changes
+ * @param {Array} props.templates - Saved templates that can be applied to this listing
+ * @param {Object} props.businessPolicyOptions - Seller's business policies ({ payment, fulfillment, return })
  */
-export default function EditableListingCard({ listing, onPost, onDataChange }) {
+export default function EditableListingCard({ listing, onPost, onVerify, onDataChange, templates = [], businessPolicyOptions }) {
   const [isPosting, setIsPosting] = useState(false);
   const [postingMessage, setPostingMessage] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+  const [checkResult, setCheckResult] = useState(null);
+  const [missingPlaceholders, setMissingPlaceholders] = useState([]);
+
+  // CD, DVD and VHS listings edit their eBay item specifics instead of the book fields
+  const mediaSpecificNames = MEDIA_ITEM_SPECIFICS[listing?.listingType] || null;
   
   // Debug logging
   console.log('🔍 EditableListingCard received listing:', {
@@ -27,7 +47,8 @@ export default function EditableListingCard({ listing, onPost, onDataChange }) {
   const [listingData, setListingData] = useState({
     title: listing?.title || 'Untitled Listing',
     price: listing?.price || '0.00',
-    condition: listing?.condition || 'Used',
+    condition: normalizeCondition(listing?.condition, listing?.listingType) || getDefaultCondition(listing?.listingType),
+    conditionDescription: listing?.conditionDescription ?? listing?.condition_notes ?? '',
     category: listing?.category || 'Uncategorized',
     description: listing?.description || '',
     // Item specifics from OpenAI
@@ -43,6 +64,7 @@ export default function EditableListingCard({ listing, onPost, onDataChange }) {
     readingLevel: listing?.readingLevel || 'Adult',
     numberOfPages: listing?.numberOfPages || '',
     specialFeatures: listing?.specialFeatures || '',
+    itemSpecifics: listing?.item_specifics || {},
     // Shipping and quantity
     shipping: listing?.shipping || 'USPS Media Mail',
     quantity: listing?.quantity || 1,
@@ -52,6 +74,7 @@ export default function EditableListingCard({ listing, onPost, onDataChange }) {
     hostedPhotos: listing?.hostedPhotos || [],
     listingType: listing?.listingType,
     parsedListing: listing?.parsedListing,
+    appliedTemplateId: listing?.appliedTemplateId || null,
   });
 
   const handleFieldChange = (field, value) => {
@@ -62,20 +85,71 @@ export default function EditableListingCard({ listing, onPost, onDataChange }) {
     }
   };
 
+  // Apply a saved template, or "None" to go back to the generated title and description
+  const handleTemplateSelect = (template) => {
+    const { data, missingPlaceholders: missing } = switchTemplate(listingData, listing?.generatedListing, template);
+    setListingData(data);
+    setMissingPlaceholders(missing);
+    if (onDataChange) {
+      onDataChange(data);
+    }
+  };
+
+  const handleItemSpecificChange = (name, value) => {
+    handleFieldChange('itemSpecifics', { ...listingData.itemSpecifics, [name]: value });
+  };
+
+  // Picking a suggested category also replaces the category text with eBay's path for it
+  const handleCategorySelect = ({ categoryId, categoryPath }) => {
+    const newData = { ...listingData, categoryId, category: categoryPath };
+    setListingData(newData);
+    if (onDataChange) {
+      onDataChange(newData);
+    }
+  };
+
+  // The listing type's policies from Settings until a different one is picked on this card
+  const businessPolicies = listingData.businessPolicies || listing?.businessPolicies || {};
+  // The model's package estimate (or the Settings default) until it's edited here
+  const packageDetails = listingData.packageDetails || listing?.packageDetails;
+  // eBay's top suggestion until another category is picked here
+  const categoryId = listingData.categoryId || listing?.categoryId || listing?.categorySuggestions?.[0]?.categoryId;
+  // What eBay asks for in that category - fetched again when another category is picked
+  const itemAspects = useItemAspects(categoryId, listing?.itemAspects);
+
+  // Include all necessary data for posting, preserving hostedPhotos from original listing
+  const buildPostData = () => ({
+    ...listingData,
+    businessPolicies,
+    packageDetails,
+    categoryId,
+    // Ensure we have the critical fields for posting
+    id: listing?.id || listingData.id,
+    historyId: listing?.historyId,
+    hostedPhotos: listing?.hostedPhotos || listingData.hostedPhotos || [],
+    listingType: listing?.listingType || listingData.listingType
+  });
+
+  const handleCheckListing = async () => {
+    if (isChecking || isPosting || !onVerify) return;
+
+    setIsChecking(true);
+    try {
+      setCheckResult(await onVerify(buildPostData()));
+    } catch (error) {
+      setCheckResult({ success: false, error: error.message });
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
   const handlePostListing = async () => {
     if (isPosting || !onPost) return;
     
     setIsPosting(true);
     setPostingMessage(getRandomPostingMessage());
     try {
-      // Include all necessary data for posting, preserving hostedPhotos from original listing
-      const postData = {
-        ...listingData,
-        // Ensure we have the critical fields for posting
-        id: listing?.id || listingData.id,
-        hostedPhotos: listing?.hostedPhotos || listingData.hostedPhotos || [],
-        listingType: listing?.listingType || listingData.listingType
-      };
+      const postData = buildPostData();
       
       console.log('📤 EditableListingCard posting data:', {
         id: postData.id,
@@ -119,6 +193,25 @@ export default function EditableListingCard({ listing, onPost, onDataChange }) {
       </ScrollView>
 
       <View style={styles.contentContainer}>
+        <TemplatePicker
+          label="Template"
+          templates={templates}
+          selectedTemplateId={listingData.appliedTemplateId}
+          onSelect={handleTemplateSelect}
+          allowNone
+        />
+        {missingPlaceholders.length > 0 && (
+          <Text style={styles.templateNotice}>
+            Not found in this listing: {missingPlaceholders.join(', ')}
+          </Text>
+        )}
+        <BusinessPolicyPicker
+          label="Business policies"
+          policies={businessPolicyOptions}
+          selectedPolicies={businessPolicies}
+          onChange={(policyIds) => handleFieldChange('businessPolicies', policyIds)}
+        />
+
         {/* Title - Editable with character counter */}
         <TouchableOpacity style={styles.fieldContainer}>
           <View style={styles.titleLabelRow}>
@@ -149,41 +242,43 @@ export default function EditableListingCard({ listing, onPost, onDataChange }) {
           )}
         </TouchableOpacity>
         
-        {/* Price and Condition Row */}
-        <View style={styles.priceConditionRow}>
-          <TouchableOpacity style={[styles.fieldContainer, { flex: 1, marginRight: spacing.sm }]}>
-            <Text style={styles.fieldLabel}>Price:</Text>
-            <TextInput
-              style={styles.priceInput}
-              value={listingData.price.toString()}
-              onChangeText={(value) => handleFieldChange('price', value)}
-              keyboardType="decimal-pad"
-              placeholder="0.00"
-            />
-          </TouchableOpacity>
-          
-          <TouchableOpacity style={[styles.fieldContainer, { flex: 1 }]}>
-            <Text style={styles.fieldLabel}>Condition:</Text>
-            <TextInput
-              style={styles.conditionInput}
-              value={listingData.condition}
-              onChangeText={(value) => handleFieldChange('condition', value)}
-              placeholder="Very Good"
-            />
-          </TouchableOpacity>
-        </View>
-
-        {/* Category */}
+        {/* Price */}
         <TouchableOpacity style={styles.fieldContainer}>
-          <Text style={styles.fieldLabel}>Category:</Text>
+          <Text style={styles.fieldLabel}>Price:</Text>
           <TextInput
-            style={styles.textInput}
-            value={listingData.category}
-            onChangeText={(value) => handleFieldChange('category', value)}
-            placeholder="Books & Magazines > Books"
+            style={styles.priceInput}
+            value={listingData.price.toString()}
+            onChangeText={(value) => handleFieldChange('price', value)}
+            keyboardType="decimal-pad"
+            placeholder="0.00"
           />
         </TouchableOpacity>
 
+        {/* Condition - only the ones eBay accepts for this listing type */}
+        <ConditionPicker
+          listingType={listing?.listingType}
+          condition={listingData.condition}
+          conditionDescription={listingData.conditionDescription}
+          onConditionChange={(condition) => handleFieldChange('condition', condition)}
+          onDescriptionChange={(text) => handleFieldChange('conditionDescription', text)}
+        />
+
+        {/* Category - eBay's suggestions for the title */}
+        <CategoryPicker
+          suggestions={listing?.categorySuggestions}
+          categoryId={categoryId}
+          searchText={listingData.title}
+          onSelect={handleCategorySelect}
+        />
+
+        {/* Item specifics the category requires that the listing doesn't have yet */}
+        <ItemSpecificsFields
+          {...itemAspects}
+          itemSpecifics={listingData.itemSpecifics}
+          excludeNames={mediaSpecificNames || []}
+          onChange={handleItemSpecificChange}
+        />
+
         {/* Description */}
         <TouchableOpacity style={styles.fieldContainer}>
           <Text style={styles.fieldLabel}>Description:</Text>
@@ -197,94 +292,111 @@ export default function EditableListingCard({ listing, onPost, onDataChange }) {
           />
         </TouchableOpacity>
 
-        {/* Author */}
-        <TouchableOpacity style={styles.fieldContainer}>
-          <Text style={styles.fieldLabel}>Author:</Text>
-          <TextInput
-            style={styles.textInput}
-            value={listingData.author}
-            onChangeText={(value) => handleFieldChange('author', value)}
-            placeholder="Author name"
-          />
-        </TouchableOpacity>
+        {mediaSpecificNames ? (
+          /* Media item specifics (Artist, Studio, Rating, etc.) */
+          mediaSpecificNames.map((name) => (
+            <TouchableOpacity key={name} style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>{name}:</Text>
+              <TextInput
+                style={styles.textInput}
+                value={listingData.itemSpecifics[name] || ''}
+                onChangeText={(value) => handleItemSpecificChange(name, value)}
+                placeholder={name}
+              />
+            </TouchableOpacity>
+          ))
+        ) : (
+          <>
+            {/* Author */}
+            <TouchableOpacity style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Author:</Text>
+              <TextInput
+                style={styles.textInput}
+                value={listingData.author}
+                onChangeText={(value) => handleFieldChange('author', value)}
+                placeholder="Author name"
+              />
+            </TouchableOpacity>
 
-        {/* Format */}
-        <TouchableOpacity style={styles.fieldContainer}>
-          <Text style={styles.fieldLabel}>Format:</Text>
-          <TextInput
-            style={styles.textInput}
-            value={listingData.format}
-            onChangeText={(value) => handleFieldChange('format', value)}
-            placeholder="Hardcover"
-          />
-        </TouchableOpacity>
+            {/* Format */}
+            <TouchableOpacity style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Format:</Text>
+              <TextInput
+                style={styles.textInput}
+                value={listingData.format}
+                onChangeText={(value) => handleFieldChange('format', value)}
+                placeholder="Hardcover"
+              />
+            </TouchableOpacity>
 
-        {/* Publisher */}
-        <TouchableOpacity style={styles.fieldContainer}>
-          <Text style={styles.fieldLabel}>Publisher:</Text>
-          <TextInput
-            style={styles.textInput}
-            value={listingData.publisher}
-            onChangeText={(value) => handleFieldChange('publisher', value)}
-            placeholder="Publisher name"
-          />
-        </TouchableOpacity>
+            {/* Publisher */}
+            <TouchableOpacity style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Publisher:</Text>
+              <TextInput
+                style={styles.textInput}
+                value={listingData.publisher}
+                onChangeText={(value) => handleFieldChange('publisher', value)}
+                placeholder="Publisher name"
+              />
+            </TouchableOpacity>
 
-        {/* Publication Year */}
-        <TouchableOpacity style={styles.fieldContainer}>
-          <Text style={styles.fieldLabel}>Publication Year:</Text>
-          <TextInput
-            style={styles.textInput}
-            value={listingData.publicationYear}
-            onChangeText={(value) => handleFieldChange('publicationYear', value)}
-            keyboardType="numeric"
-            placeholder="2023"
-          />
-        </TouchableOpacity>
+            {/* Publication Year */}
+            <TouchableOpacity style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Publication Year:</Text>
+              <TextInput
+                style={styles.textInput}
+                value={listingData.publicationYear}
+                onChangeText={(value) => handleFieldChange('publicationYear', value)}
+                keyboardType="numeric"
+                placeholder="2023"
+              />
+            </TouchableOpacity>
 
-        {/* ISBN */}
-        <TouchableOpacity style={styles.fieldContainer}>
-          <Text style={styles.fieldLabel}>ISBN:</Text>
-          <TextInput
-            style={styles.textInput}
-            value={listingData.isbn}
-            onChangeText={(value) => handleFieldChange('isbn', value)}
-            placeholder="ISBN number"
-          />
-        </TouchableOpacity>
+            {/* ISBN */}
+            <TouchableOpacity style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>ISBN:</Text>
+              <TextInput
+                style={styles.textInput}
+                value={listingData.isbn}
+                onChangeText={(value) => handleFieldChange('isbn', value)}
+                placeholder="ISBN number"
+              />
+            </TouchableOpacity>
 
-        {/* Edition */}
-        <TouchableOpacity style={styles.fieldContainer}>
-          <Text style={styles.fieldLabel}>Edition:</Text>
-          <TextInput
-            style={styles.textInput}
-            value={listingData.edition}
-            onChangeText={(value) => handleFieldChange('edition', value)}
-            placeholder="1st Edition"
-          />
-        </TouchableOpacity>
+            {/* Edition */}
+            <TouchableOpacity style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Edition:</Text>
+              <TextInput
+                style={styles.textInput}
+                value={listingData.edition}
+                onChangeText={(value) => handleFieldChange('edition', value)}
+                placeholder="1st Edition"
+              />
+            </TouchableOpacity>
 
-        {/* Language */}
-        <TouchableOpacity style={styles.fieldContainer}>
-          <Text style={styles.fieldLabel}>Language:</Text>
-          <TextInput
-            style={styles.textInput}
-            value={listingData.language}
-            onChangeText={(value) => handleFieldChange('language', value)}
-            placeholder="English"
-          />
-        </TouchableOpacity>
+            {/* Language */}
+            <TouchableOpacity style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Language:</Text>
+              <TextInput
+                style={styles.textInput}
+                value={listingData.language}
+                onChangeText={(value) => handleFieldChange('language', value)}
+                placeholder="English"
+              />
+            </TouchableOpacity>
 
-        {/* Topic/Subject */}
-        <TouchableOpacity style={styles.fieldContainer}>
-          <Text style={styles.fieldLabel}>Topic/Subject:</Text>
-          <TextInput
-            style={styles.textInput}
-            value={listingData.topic}
-            onChangeText={(value) => handleFieldChange('topic', value)}
-            placeholder="Subject or topic"
-          />
-        </TouchableOpacity>
+            {/* Topic/Subject */}
+            <TouchableOpacity style={styles.fieldContainer}>
+              <Text style={styles.fieldLabel}>Topic/Subject:</Text>
+              <TextInput
+                style={styles.textInput}
+                value={listingData.topic}
+                onChangeText={(value) => handleFieldChange('topic', value)}
+                placeholder="Subject or topic"
+              />
+            </TouchableOpacity>
+          </>
+        )}
 
         {/* Shipping and Quantity Row */}
         <View style={styles.shippingQuantityRow}>
@@ -310,7 +422,27 @@ export default function EditableListingCard({ listing, onPost, onDataChange }) {
           </TouchableOpacity>
         </View>
 
-        {/* Post to eBay Button - Only button needed */}
+        <PackageDetailsFields
+          label="Package"
+          packageDetails={packageDetails}
+          onChange={(details) => handleFieldChange('packageDetails', details)}
+        />
+
+        {/* Check with eBay - VerifyAddItem dry run, results shown inline */}
+        {onVerify && (
+          <TouchableOpacity 
+            style={[styles.checkButton, (isChecking || isPosting) && styles.postButtonDisabled]} 
+            onPress={handleCheckListing}
+            disabled={isChecking || isPosting}
+          >
+            <Text style={styles.checkButtonText}>
+              {isChecking ? 'Checking with eBay...' : 'Check with eBay'}
+            </Text>
+          </TouchableOpacity>
+        )}
+        <EbayCheckResults result={checkResult} />
+
+        {/* Post to eBay Button */}
         <TouchableOpacity 
           style={[styles.postButton, isPosting && styles.postButtonDisabled]} 
           onPress={handlePostListing}
@@ -369,10 +501,6 @@ const styles = StyleSheet.create({
     backgroundColor: colors.surface,
     textAlignVertical: 'top',
   },
-  priceConditionRow: {
-    flexDirection: 'row',
-    marginBottom: spacing.md,
-  },
   priceInput: {
     fontSize: 18,
     fontWeight: '700',
@@ -383,15 +511,6 @@ const styles = StyleSheet.create({
     padding: spacing.sm,
     backgroundColor: colors.surface,
   },
-  conditionInput: {
-    fontSize: 14,
-    color: colors.textSecondary,
-    borderWidth: 1,
-    borderColor: colors.borderLight,
-    borderRadius: borderRadius.sm,
-    padding: spacing.sm,
-    backgroundColor: colors.surface,
-  },
   textInput: {
     fontSize: 14,
     color: colors.textPrimary,
@@ -425,6 +544,20 @@ const styles = StyleSheet.create({
     borderColor: colors.border,
     marginTop: spacing.sm,
   },
+  checkButton: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    paddingVertical: spacing.sm,
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: colors.primary,
+    marginTop: spacing.sm,
+  },
+  checkButtonText: {
+    color: colors.primary,
+    fontWeight: '600',
+    fontSize: 14,
+  },
   postButtonDisabled: {
     backgroundColor: colors.textMuted,
     opacity: 0.6,
@@ -454,6 +587,11 @@ const styles = StyleSheet.create({
     borderColor: colors.error || '#e74c3c',
     borderWidth: 2,
   },
+  templateNotice: {
+    fontSize: 12,
+    color: colors.warning,
+    marginTop: spacing.xs,
+  },
   errorText: {
     fontSize: 12,
     color: colors.error || '#e74c3c',
@@ -0,0 +1,159 @@
+import React, { useMemo } from 'react';
+import { View, Text, TextInput, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import { colors, spacing, borderRadius } from '../constants/colors';
+import { hasAspectValue, matchAspectValue } from '../constants/itemAspects';
+
+// The item specific key an aspect is stored under - the model doesn't always match eBay's case
+const findSpecificName = (itemSpecifics, aspect) =>
+  Object.keys(itemSpecifics).find(name => name.trim().toLowerCase() === aspect.name.toLowerCase());
+
+/**
+ * ItemSpecificsFields - Fill in the item specifics eBay requires in the listing's category
+ * Shows the required aspects that were missing, or had a value eBay doesn't take, when the
+ * category's aspects loaded; they stay on the card while being filled in.
+ * @param {Object} props - Component props
+ * @param {Array} props.aspects - Category aspects ({ name, required, selectionOnly, multiple, maxLength, values })
+ * @param {Object} props.itemSpecifics - The listing's item specifics by name
+ * @param {Array} props.excludeNames - Aspects the card already has its own fields for
+ * @param {boolean} props.isLoading - Whether the category's aspects are still loading
+ * @param {string} props.error - Why the aspects couldn't be loaded
+ * @param {Function} props.onChange - Called with the item specific name and its new value
+ */
+export default function ItemSpecificsFields({ aspects = [], itemSpecifics = {}, excludeNames = [], isLoading, error, onChange }) {
+  // Worked out when the aspects change, not on every keystroke, so a field doesn't vanish once filled
+  const fields = useMemo(() => {
+    const excluded = excludeNames.map(name => name.toLowerCase());
+    return aspects.filter(aspect => {
+      if (!aspect.required || excluded.includes(aspect.name.toLowerCase())) return false;
+      const value = itemSpecifics[findSpecificName(itemSpecifics, aspect)];
+      const values = (Array.isArray(value) ? value : [value]).filter(hasAspectValue);
+      return values.length === 0 || values.some(item => matchAspectValue(aspect, item) === null);
+    });
+  }, [aspects]);
+
+  if (isLoading) {
+    return <Text style={styles.hint}>Loading eBay's item specifics for this category...</Text>;
+  }
+  if (error) {
+    return <Text style={[styles.hint, styles.error]}>Couldn't load eBay's item specifics: {error}</Text>;
+  }
+  if (fields.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Item specifics eBay requires</Text>
+      {fields.map(aspect => {
+        const name = findSpecificName(itemSpecifics, aspect) || aspect.name;
+        const value = itemSpecifics[name];
+        const selected = (Array.isArray(value) ? value : [value]).filter(hasAspectValue).map(String);
+        const unknown = aspect.selectionOnly ? selected.filter(item => matchAspectValue(aspect, item) === null) : [];
+
+        const handleChipPress = (option) => {
+          if (!aspect.multiple) {
+            onChange(name, option);
+            return;
+          }
+          const known = selected.filter(item => !unknown.includes(item));
+          onChange(name, known.includes(option) ? known.filter(item => item !== option) : [...known, option]);
+        };
+
+        return (
+          <View key={aspect.name} style={styles.field}>
+            <Text style={styles.fieldLabel}>{aspect.name}{aspect.multiple && aspect.selectionOnly ? ' (pick any)' : ''}</Text>
+            {aspect.selectionOnly ? (
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                {aspect.values.map(option => {
+                  const isSelected = selected.some(item => item.toLowerCase() === option.toLowerCase());
+                  return (
+                    <TouchableOpacity
+                      key={option}
+                      style={[styles.chip, isSelected && styles.chipSelected]}
+                      onPress={() => handleChipPress(option)}
+                    >
+                      <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{option}</Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+            ) : (
+              <TextInput
+                style={styles.input}
+                value={Array.isArray(value) ? value.join(', ') : value || ''}
+                onChangeText={(text) => onChange(name, text)}
+                placeholder={aspect.name}
+                maxLength={aspect.maxLength || undefined}
+              />
+            )}
+            {unknown.length > 0 ? (
+              <Text style={[styles.hint, styles.error]}>"{unknown.join(', ')}" isn't one eBay takes - pick one above</Text>
+            ) : selected.length === 0 && (
+              <Text style={[styles.hint, styles.error]}>Required by eBay in this category</Text>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: spacing.md,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  field: {
+    marginBottom: spacing.sm,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+    backgroundColor: colors.surface,
+  },
+  chipSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+    marginBottom: spacing.xs,
+  },
+  error: {
+    color: colors.error,
+  },
+  input: {
+    fontSize: 14,
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    padding: spacing.sm,
+    backgroundColor: colors.surface,
+  },
+});
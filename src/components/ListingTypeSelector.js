@@ -2,14 +2,26 @@ import React, { useState, useEffect } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Modal, FlatList } from 'react-native';
 import { colors, spacing, borderRadius, shadows } from '../constants/colors';
 import { AI_PROMPTS } from '../constants/prompts';
+import { getTemplatesForType } from '../utils/templateEngine';
+import TemplatePicker from './TemplatePicker';
 
 /**
  * ListingTypeSelector component for choosing listing type and associated prompt
  * @param {Object} props - Component props
  * @param {Function} props.onSelectionChange - Callback when selection changes
  * @param {string} props.selectedType - Currently selected listing type
+ * @param {Array} props.templates - Saved templates to offer as the listing type's default
+ * @param {Object} props.defaultTemplates - Default template ID for each listing type ({ BOOK_ITEM: 'id' })
+ * @param {Function} props.onDefaultTemplateChange - Called with (listingType, templateId or null)
  */
-export default function ListingTypeSelector({ onSelectionChange, selectedType = 'BOOK_LOTS', initialValue }) {
+export default function ListingTypeSelector({
+  onSelectionChange,
+  selectedType = 'BOOK_LOTS',
+  initialValue,
+  templates = [],
+  defaultTemplates = {},
+  onDefaultTemplateChange
+}) {
   const [selected, setSelected] = useState(initialValue || selectedType);
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
 
@@ -32,28 +44,28 @@ export default function ListingTypeSelector({ onSelectionChange, selectedType =
       id: 'BOOK_LOTS',
       title: '📚 Book Lots Listing',
       description: 'Create book lots listing (group multiple books together)',
-      prompt: AI_PROMPTS.BOOK_ITEM, // Will be updated with actual prompt
+      prompt: AI_PROMPTS.BOOK_LOTS,
       emoji: '📚'
     },
     {
       id: 'CD_MUSIC',
       title: '🎵 CD/Music Listing',
       description: 'Optimized for CDs, albums, and music media with detailed metadata',
-      prompt: AI_PROMPTS.ELECTRONICS, // Will be updated with actual prompt
+      prompt: AI_PROMPTS.CD_MUSIC,
       emoji: '🎵'
     },
     {
       id: 'DVD_MOVIE',
       title: '🎬 DVD/Movie Listing',
       description: 'Optimized for DVDs, Blu-rays, and movie media with detailed metadata',
-      prompt: AI_PROMPTS.ELECTRONICS, // Will be updated with actual prompt
+      prompt: AI_PROMPTS.DVD_MOVIE,
       emoji: '🎬'
     },
     {
       id: 'VHS_LISTING',
       title: '📼 VHS Listing',
       description: 'Optimized for VHS tapes and video media with detailed metadata',
-      prompt: AI_PROMPTS.ELECTRONICS, // Will be updated with actual prompt
+      prompt: AI_PROMPTS.VHS_LISTING,
       emoji: '📼'
     },
     {
@@ -124,6 +136,17 @@ export default function ListingTypeSelector({ onSelectionChange, selectedType =
           ))}
         </View>
       )}
+
+      {/* Template applied automatically to every new listing of this type */}
+      {onDefaultTemplateChange && (
+        <TemplatePicker
+          label="House style template"
+          templates={getTemplatesForType(templates, selectedOption.id)}
+          selectedTemplateId={defaultTemplates[selectedOption.id] || null}
+          onSelect={(template) => onDefaultTemplateChange(selectedOption.id, template ? template.id : null)}
+          allowNone
+        />
+      )}
     </View>
   );
 }
@@ -0,0 +1,84 @@
+import React from 'react';
+import { View, Text, TextInput, StyleSheet } from 'react-native';
+import { colors, spacing, borderRadius } from '../constants/colors';
+import { formatPackageWeight } from '../constants/packageDetails';
+
+const FIELDS = [
+  { key: 'weight_oz', label: 'Weight (oz)' },
+  { key: 'length_in', label: 'L (in)' },
+  { key: 'width_in', label: 'W (in)' },
+  { key: 'depth_in', label: 'D (in)' },
+];
+
+/**
+ * PackageDetailsFields - Packed weight and box size eBay quotes calculated shipping from
+ * @param {Object} props - Component props
+ * @param {string} props.label - Heading shown above the fields
+ * @param {Object} props.packageDetails - { weight_oz, length_in, width_in, depth_in }
+ * @param {Function} props.onChange - Called with the updated package details
+ */
+export default function PackageDetailsFields({ label, packageDetails = {}, onChange }) {
+  const weightOz = parseFloat(packageDetails.weight_oz);
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>
+        {label}
+        {weightOz > 0 && <Text style={styles.weightHint}>  {formatPackageWeight(Math.ceil(weightOz))}</Text>}
+      </Text>
+      <View style={styles.row}>
+        {FIELDS.map(({ key, label: fieldLabel }, index) => (
+          <View key={key} style={[styles.field, index < FIELDS.length - 1 && styles.fieldSpacing]}>
+            <Text style={styles.fieldLabel}>{fieldLabel}</Text>
+            <TextInput
+              style={styles.input}
+              value={packageDetails[key] === undefined ? '' : String(packageDetails[key])}
+              onChangeText={(text) => onChange({ ...packageDetails, [key]: text })}
+              keyboardType="numeric"
+            />
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: spacing.md,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  weightHint: {
+    fontSize: 13,
+    fontWeight: 'normal',
+    color: colors.textSecondary,
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  field: {
+    flex: 1,
+  },
+  fieldSpacing: {
+    marginRight: spacing.xs,
+  },
+  fieldLabel: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  input: {
+    fontSize: 14,
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    padding: spacing.sm,
+    backgroundColor: colors.surface,
+  },
+});
@@ -1,6 +1,7 @@
 import React from 'react';
 import { View, Text, ScrollView, Image, StyleSheet } from 'react-native';
 import { usePhotos } from '../contexts/PhotoContext';
+import PhotoValidationBadge, { getValidationBorder } from './PhotoValidationBadge';
 
 /**
  * PhotoGroupPreview component showing how photos will be grouped
@@ -37,11 +38,13 @@ export default function PhotoGroupPreview() {
             <Text style={styles.groupTitle}>Listing {groupIndex + 1}</Text>
             <ScrollView horizontal style={styles.photoRow}>
               {group.map((photo, photoIndex) => (
-                <Image
-                  key={photo.id}
-                  source={{ uri: photo.uri }}
-                  style={styles.groupPhoto}
-                />
+                <View key={photo.id} style={styles.groupPhotoWrapper}>
+                  <Image
+                    source={{ uri: photo.thumbnailUri || photo.uri }}
+                    style={[styles.groupPhoto, getValidationBorder(photo.validation)]}
+                  />
+                  <PhotoValidationBadge validation={photo.validation} small />
+                </View>
               ))}
             </ScrollView>
           </View>
@@ -87,10 +90,13 @@ const styles = StyleSheet.create({
   photoRow: {
     flexDirection: 'row',
   },
+  groupPhotoWrapper: {
+    position: 'relative',
+    marginRight: 8,
+  },
   groupPhoto: {
     width: 60,
     height: 60,
     borderRadius: 6,
-    marginRight: 8,
   },
 });
\ No newline at end of file
@@ -1,7 +1,9 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Alert, ScrollView, Image } from 'react-native';
 import * as ImagePicker from 'expo-image-picker';
 import { usePhotos } from '../contexts/PhotoContext';
+import { preparePhoto, getPhotoErrors } from '../utils/photoUtils';
+import PhotoValidationBadge, { getValidationBorder } from './PhotoValidationBadge';
 
 /**
  * PhotoUploader component for selecting and displaying photos
@@ -9,6 +11,27 @@ import { usePhotos } from '../contexts/PhotoContext';
  */
 export default function PhotoUploader() {
   const { uploadedPhotos, addPhotos, removePhoto } = usePhotos();
+  const [preparingCount, setPreparingCount] = useState(0);
+
+  // Resize, straighten and strip location data before the photos are added
+  const addPickedPhotos = async (assets) => {
+    setPreparingCount(count => count + assets.length);
+    try {
+      const photos = [];
+      for (const asset of assets) {
+        photos.push(await preparePhoto(asset));
+      }
+      addPhotos(photos);
+
+      // They're still added so they show on the thumbnails, but listings can't be created with them
+      const photoErrors = getPhotoErrors(photos);
+      if (photoErrors.length > 0) {
+        Alert.alert("eBay Won't Accept Some Photos", `${photoErrors.join('\n')}\n\nRemove them before creating a listing.`);
+      }
+    } finally {
+      setPreparingCount(count => count - assets.length);
+    }
+  };
 
   const pickImages = async () => {
     const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
@@ -20,17 +43,12 @@ export default function PhotoUploader() {
     const result = await ImagePicker.launchImageLibraryAsync({
       mediaTypes: ImagePicker.MediaTypeOptions.Images,
       allowsMultipleSelection: true,
-      quality: 0.8,
+      quality: 1, // preparePhoto compresses once, after resizing
+      exif: true,
     });
 
     if (!result.canceled) {
-      const newPhotos = result.assets.map(asset => ({
-        uri: asset.uri,
-        width: asset.width,
-        height: asset.height,
-        id: Math.random().toString(36).substr(2, 9),
-      }));
-      addPhotos(newPhotos);
+      await addPickedPhotos(result.assets);
     }
   };
 
@@ -42,17 +60,12 @@ export default function PhotoUploader() {
     }
 
     const result = await ImagePicker.launchCameraAsync({
-      quality: 0.8,
+      quality: 1,
+      exif: true,
     });
 
     if (!result.canceled) {
-      const newPhoto = {
-        uri: result.assets[0].uri,
-        width: result.assets[0].width,
-        height: result.assets[0].height,
-        id: Math.random().toString(36).substr(2, 9),
-      };
-      addPhotos([newPhoto]);
+      await addPickedPhotos(result.assets.slice(0, 1));
     }
   };
 
@@ -86,7 +99,11 @@ export default function PhotoUploader() {
               style={styles.photoWrapper}
               onPress={() => handleRemovePhoto(index)}
             >
-              <Image source={{ uri: photo.uri }} style={styles.photo} />
+              <Image
+                source={{ uri: photo.thumbnailUri || photo.uri }}
+                style={[styles.photo, getValidationBorder(photo.validation)]}
+              />
+              <PhotoValidationBadge validation={photo.validation} />
               <TouchableOpacity
                 style={styles.removeButton}
                 onPress={() => handleRemovePhoto(index)}
@@ -98,6 +115,12 @@ export default function PhotoUploader() {
         </ScrollView>
       )}
 
+      {preparingCount > 0 && (
+        <Text style={styles.photoCount}>
+          Preparing {preparingCount} photo{preparingCount !== 1 ? 's' : ''}...
+        </Text>
+      )}
+
       {uploadedPhotos.length > 0 && (
         <Text style={styles.photoCount}>
           {uploadedPhotos.length} photo{uploadedPhotos.length !== 1 ? 's' : ''} selected
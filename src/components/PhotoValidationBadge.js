@@ -0,0 +1,86 @@
+import React from 'react';
+import { Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { colors } from '../constants/colors';
+
+/**
+ * PhotoValidationBadge - Marks a thumbnail whose photo eBay won't take (red) or that is below
+ * eBay's recommended size (orange). Tap it to see why.
+ * @param {Object} props - Component props
+ * @param {Object} props.validation - validatePhoto result ({ isValid, errors, warnings })
+ * @param {boolean} props.small - Smaller badge for the group preview
+ */
+export default function PhotoValidationBadge({ validation, small = false }) {
+  if (!validation || (validation.isValid && validation.warnings.length === 0)) {
+    return null;
+  }
+
+  const showProblems = () => {
+    Alert.alert(
+      validation.isValid ? 'Photo Warning' : "eBay Won't Accept This Photo",
+      [...validation.errors, ...validation.warnings].join('\n') +
+        (validation.isValid ? '' : '\n\nRemove it before creating the listing.')
+    );
+  };
+
+  return (
+    <TouchableOpacity
+      style={[styles.badge, small && styles.badgeSmall, !validation.isValid ? styles.error : styles.warning]}
+      onPress={showProblems}
+    >
+      <Text style={[styles.badgeText, small && styles.badgeTextSmall]}>!</Text>
+    </TouchableOpacity>
+  );
+}
+
+/**
+ * Border for a thumbnail with problems, matching its badge
+ * @param {Object} validation - validatePhoto result
+ * @returns {Object|null} Style to add to the thumbnail
+ */
+export const getValidationBorder = (validation) => {
+  if (!validation) return null;
+  if (!validation.isValid) return styles.errorBorder;
+  return validation.warnings.length > 0 ? styles.warningBorder : null;
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    position: 'absolute',
+    bottom: -6,
+    left: -6,
+    borderRadius: 12,
+    width: 24,
+    height: 24,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  badgeSmall: {
+    bottom: 2,
+    left: 2,
+    borderRadius: 9,
+    width: 18,
+    height: 18,
+  },
+  error: {
+    backgroundColor: colors.error,
+  },
+  warning: {
+    backgroundColor: colors.warning,
+  },
+  badgeText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  badgeTextSmall: {
+    fontSize: 12,
+  },
+  errorBorder: {
+    borderWidth: 2,
+    borderColor: colors.error,
+  },
+  warningBorder: {
+    borderWidth: 2,
+    borderColor: colors.warning,
+  },
+});
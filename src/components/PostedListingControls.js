@@ -0,0 +1,265 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput, Alert, Linking } from 'react-native';
+import { colors, spacing, borderRadius, shadows } from '../constants/colors';
+import { EBAY_ENDING_REASONS } from '../constants/ebayEndingReasons';
+
+/**
+ * PostedListingControls - Edit or end a listing that is live on eBay
+ * @param {Object} props - Component props
+ * @param {Object} props.postedListing - Live listing ({ itemId, url, title, price, quantity, description, status })
+ * @param {Function} props.onRevise - Called with the changed fields only, resolves to the revise result
+ * @param {Function} props.onEnd - Called with the eBay ending reason, resolves to the end result
+ */
+export default function PostedListingControls({ postedListing, onRevise, onEnd }) {
+  const [edits, setEdits] = useState({
+    title: postedListing.title || '',
+    price: String(postedListing.price ?? ''),
+    quantity: String(postedListing.quantity ?? 1),
+    description: postedListing.description || ''
+  });
+  const [endingReason, setEndingReason] = useState(EBAY_ENDING_REASONS[0].value);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isEnding, setIsEnding] = useState(false);
+
+  const isEnded = postedListing.status === 'Ended';
+
+  // Only send fields that differ from what is live on eBay
+  const getChanges = () => {
+    const changes = {};
+    if (edits.title.trim() !== (postedListing.title || '')) changes.title = edits.title.trim();
+    if (parseFloat(edits.price) !== parseFloat(postedListing.price)) changes.price = parseFloat(edits.price);
+    if (parseInt(edits.quantity, 10) !== parseInt(postedListing.quantity ?? 1, 10)) changes.quantity = parseInt(edits.quantity, 10);
+    if (edits.description !== (postedListing.description || '')) changes.description = edits.description;
+    return changes;
+  };
+
+  const handleSave = async () => {
+    const changes = getChanges();
+    if (Object.keys(changes).length === 0) {
+      Alert.alert('No Changes', 'Edit the price, quantity, title or description first.');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await onRevise(changes);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleEnd = () => {
+    const reasonLabel = EBAY_ENDING_REASONS.find(reason => reason.value === endingReason)?.label;
+
+    Alert.alert(
+      'End Listing',
+      `End "${postedListing.title}" on eBay? Reason: ${reasonLabel}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'End Listing',
+          style: 'destructive',
+          onPress: async () => {
+            setIsEnding(true);
+            try {
+              await onEnd(endingReason);
+            } finally {
+              setIsEnding(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <Text style={styles.heading}>{isEnded ? '🛑 Ended on eBay' : '🟢 Live on eBay'}</Text>
+        {postedListing.url && (
+          <TouchableOpacity onPress={() => Linking.openURL(postedListing.url)}>
+            <Text style={styles.link}>Item {postedListing.itemId}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {!isEnded && (
+        <>
+          <Text style={styles.fieldLabel}>Title</Text>
+          <TextInput
+            style={styles.textInput}
+            value={edits.title}
+            onChangeText={(value) => setEdits({ ...edits, title: value })}
+            maxLength={80}
+          />
+
+          <View style={styles.row}>
+            <View style={[styles.rowField, { marginRight: spacing.sm }]}>
+              <Text style={styles.fieldLabel}>Price ($)</Text>
+              <TextInput
+                style={styles.textInput}
+                value={edits.price}
+                onChangeText={(value) => setEdits({ ...edits, price: value })}
+                keyboardType="decimal-pad"
+              />
+            </View>
+            <View style={styles.rowField}>
+              <Text style={styles.fieldLabel}>Quantity</Text>
+              <TextInput
+                style={styles.textInput}
+                value={edits.quantity}
+                onChangeText={(value) => setEdits({ ...edits, quantity: value })}
+                keyboardType="numeric"
+              />
+            </View>
+          </View>
+
+          <Text style={styles.fieldLabel}>Description</Text>
+          <TextInput
+            style={[styles.textInput, styles.descriptionInput]}
+            value={edits.description}
+            onChangeText={(value) => setEdits({ ...edits, description: value })}
+            multiline
+          />
+
+          <TouchableOpacity
+            style={[styles.saveButton, (isSaving || isEnding) && styles.buttonDisabled]}
+            onPress={handleSave}
+            disabled={isSaving || isEnding}
+          >
+            <Text style={styles.saveButtonText}>{isSaving ? 'Saving to eBay...' : 'Save Changes to eBay'}</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.fieldLabel}>Ending reason</Text>
+          <View style={styles.reasonRow}>
+            {EBAY_ENDING_REASONS.map((reason) => (
+              <TouchableOpacity
+                key={reason.value}
+                style={[styles.reasonChip, endingReason === reason.value && styles.reasonChipSelected]}
+                onPress={() => setEndingReason(reason.value)}
+              >
+                <Text style={[styles.reasonText, endingReason === reason.value && styles.reasonTextSelected]}>
+                  {reason.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity
+            style={[styles.endButton, (isSaving || isEnding) && styles.buttonDisabled]}
+            onPress={handleEnd}
+            disabled={isSaving || isEnding}
+          >
+            <Text style={styles.endButtonText}>{isEnding ? 'Ending...' : 'End Listing'}</Text>
+          </TouchableOpacity>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    borderWidth: 2,
+    borderColor: colors.border,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+    ...shadows.sm,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  heading: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  link: {
+    fontSize: 14,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+    marginTop: spacing.sm,
+  },
+  textInput: {
+    fontSize: 14,
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    padding: spacing.sm,
+    backgroundColor: colors.cardBackground,
+  },
+  descriptionInput: {
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  rowField: {
+    flex: 1,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+    borderRadius: borderRadius.md,
+    paddingVertical: spacing.sm,
+    alignItems: 'center',
+    marginTop: spacing.md,
+  },
+  saveButtonText: {
+    color: colors.textInverse,
+    fontWeight: '600',
+    fontSize: 14,
+  },
+  reasonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  reasonChip: {
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+  },
+  reasonChipSelected: {
+    borderColor: colors.error,
+    backgroundColor: colors.error,
+  },
+  reasonText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+  reasonTextSelected: {
+    color: colors.textInverse,
+  },
+  endButton: {
+    borderWidth: 2,
+    borderColor: colors.error,
+    borderRadius: borderRadius.md,
+    paddingVertical: spacing.sm,
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+  endButtonText: {
+    color: colors.error,
+    fontWeight: '600',
+    fontSize: 14,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
+import { colors, spacing, borderRadius, shadows } from '../constants/colors';
+
+const JOB_LABELS = {
+  analyze: '📷 Analyze',
+  post: '📤 Post'
+};
+
+/**
+ * Describe what a queued request holds - its photo count or listing title
+ * @param {Object} job - Queued job
+ * @returns {string} Short description
+ */
+const describeJob = (job) => {
+  if (job.type === 'analyze') {
+    const photoCount = job.payload.photos?.length || 0;
+    return `${photoCount} photo${photoCount === 1 ? '' : 's'} · ${job.payload.listingType}`;
+  }
+  return job.payload.listingData?.title || 'Untitled listing';
+};
+
+const formatRetryTime = (nextAttemptAt) => {
+  const seconds = Math.round((new Date(nextAttemptAt).getTime() - Date.now()) / 1000);
+  return seconds > 0 ? `retry in ${seconds}s` : 'retrying soon';
+};
+
+/**
+ * QueueStatus - Requests waiting for the server to come back
+ * @param {Object} props - Component props
+ * @param {Array} props.jobs - Queued jobs from the request queue
+ * @param {Function} props.onRetryNow - Called to retry every job now, resolves once the attempt is done
+ * @param {Function} props.onDiscard - Called with a job ID to drop it from the queue
+ */
+export default function QueueStatus({ jobs = [], onRetryNow, onDiscard }) {
+  const [isRetrying, setIsRetrying] = useState(false);
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  const handleRetryNow = async () => {
+    setIsRetrying(true);
+    try {
+      await onRetryNow();
+    } finally {
+      setIsRetrying(false);
+    }
+  };
+
+  const handleDiscard = (job) => {
+    Alert.alert(
+      'Discard Request',
+      `Stop trying to send "${describeJob(job)}"? ${job.type === 'analyze' ? 'The photos' : 'Your edits'} will be lost.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => onDiscard(job.id) }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>
+          📡 {jobs.length} request{jobs.length === 1 ? '' : 's'} waiting for the server
+        </Text>
+        <TouchableOpacity onPress={handleRetryNow} disabled={isRetrying}>
+          <Text style={[styles.retryText, isRetrying && styles.disabledText]}>
+            {isRetrying ? 'Retrying...' : 'Retry Now'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {jobs.map((job) => (
+        <View key={job.id} style={styles.jobRow}>
+          <View style={styles.jobInfo}>
+            <Text style={styles.jobTitle} numberOfLines={1}>
+              {JOB_LABELS[job.type] || job.type} · {describeJob(job)}
+            </Text>
+            <Text style={styles.jobMeta} numberOfLines={1}>
+              {job.attempts > 0 ? `${job.attempts} attempt${job.attempts === 1 ? '' : 's'} · ` : ''}
+              {formatRetryTime(job.nextAttemptAt)}
+              {job.lastError ? ` · ${job.lastError}` : ''}
+            </Text>
+          </View>
+          <TouchableOpacity onPress={() => handleDiscard(job)}>
+            <Text style={styles.discardText}>Discard</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: colors.cardBackground,
+    borderWidth: 2,
+    borderColor: colors.warning,
+    borderRadius: borderRadius.lg,
+    marginHorizontal: spacing.md,
+    marginTop: spacing.md,
+    padding: spacing.md,
+    ...shadows.sm,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  title: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  retryText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.primary,
+    marginLeft: spacing.sm,
+  },
+  disabledText: {
+    opacity: 0.6,
+  },
+  jobRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+    borderTopWidth: 1,
+    borderTopColor: colors.borderLight,
+  },
+  jobInfo: {
+    flex: 1,
+  },
+  jobTitle: {
+    fontSize: 14,
+    color: colors.textPrimary,
+  },
+  jobMeta: {
+    fontSize: 12,
+    color: colors.textMuted,
+  },
+  discardText: {
+    fontSize: 13,
+    color: colors.error,
+    marginLeft: spacing.sm,
+  },
+});
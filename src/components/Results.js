@@ -1,11 +1,68 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, Text, ScrollView, StyleSheet, TouchableOpacity, Alert, ActivityIndicator } from 'react-native';
 import { colors, spacing, borderRadius, shadows } from '../constants/colors';
 import { getRandomProcessingMessage } from '../constants/loadingMessages';
 import EditableListingCard from './EditableListingCard';
 import BookListingCard from './BookListingCard';
-import { postAllListings, postSingleListing } from '../services/ebayPostingService';
-import { postBookToEbay } from '../services/bookListingService';
+import BookLotListingCard from './BookLotListingCard';
+import PostedListingControls from './PostedListingControls';
+import { postAllListings, postListingForType, isBookListing, verifySingleListing, reviseEbayListing, endEbayListing } from '../services/ebayPostingService';
+import { verifyBookWithEbay } from '../services/bookListingService';
+import { isNetworkError } from '../services/testConnection';
+import { enqueueRequest, subscribeToQueue } from '../services/requestQueue';
+import { useTemplates } from '../contexts/TemplateContext';
+import { useBusinessPolicies } from '../contexts/BusinessPolicyContext';
+import { usePackageDefaults } from '../contexts/PackageDefaultsContext';
+import { getTemplatesForType } from '../utils/templateEngine';
+import { getDefaultCondition } from '../constants/conditions';
+
+/**
+ * Format eBay's post result (item, fees, category, end time, warnings or errors, item specifics to fix) for an alert
+ * @param {Object} result - Posting result (general results keep eBay's data under `data`)
+ * @returns {string} Alert details, one fact per line
+ */
+const formatPostResultDetails = (result) => {
+  const details = result.data || result;
+  const lines = [];
+
+  if (details.itemId) {
+    lines.push(`Item ID: ${details.itemId}`);
+  }
+
+  // eBay lists every fee it could charge - only show the ones it does
+  (details.fees?.breakdown || [])
+    .filter(fee => fee.amount > 0)
+    .forEach(fee => lines.push(`${fee.name}: $${fee.amount.toFixed(2)}`));
+  if (details.fees && typeof details.fees.total === 'number') {
+    lines.push(`Total fees: $${details.fees.total.toFixed(2)}`);
+  }
+
+  if (details.categoryId) {
+    lines.push(`eBay listed this in category ${details.categoryId}`);
+  }
+
+  if (details.endTime) {
+    lines.push(`Ends: ${new Date(details.endTime).toLocaleString()}`);
+  }
+
+  (details.errors || []).forEach(error => {
+    lines.push(`❌ ${error.longMessage || error.shortMessage}${error.code ? ` (${error.code})` : ''}`);
+  });
+
+  (details.warnings || []).forEach(warning => {
+    lines.push(`⚠️ ${warning.longMessage || warning.shortMessage}`);
+  });
+
+  (details.invalidItemSpecifics || []).forEach(({ name, value }) => {
+    lines.push(`❌ ${name}: "${value}" isn't allowed in this category`);
+  });
+
+  if (details.missingItemSpecifics?.length > 0) {
+    lines.push(`❌ Missing item specifics: ${details.missingItemSpecifics.join(', ')}`);
+  }
+
+  return lines.join('\n');
+};
 
 /**
  * Results component for displaying OpenAI generated listings
@@ -18,7 +75,61 @@ import { postBookToEbay } from '../services/bookListingService';
  */
 export default function Results({ listings = [], processingListings = [], onClearAll, loading = false, error = null }) {
   const [postingAll, setPostingAll] = useState(false);
-  
+  // Listings posted this session, keyed by listing id - holds the eBay ItemID used to revise or end them
+  const [postedListings, setPostedListings] = useState({});
+  const { savedTemplates } = useTemplates();
+  const { policies: businessPolicyOptions, fetchBusinessPolicies, getDefaultPolicies } = useBusinessPolicies();
+  const { getPackageDetails } = usePackageDefaults();
+
+  // Policies to offer on the cards - without them listings use the standard shipping and returns
+  useEffect(() => {
+    fetchBusinessPolicies().catch(() => {});
+  }, []);
+
+  // Remember the eBay ItemID so the listing can be revised or ended later
+  const recordPostedListing = (listingData, result) => {
+    const itemId = result.ebayListingId || result.itemId || result.data?.itemId;
+    if (!itemId) return;
+
+    setPostedListings(prev => ({
+      ...prev,
+      [listingData.id]: {
+        itemId,
+        url: result.url || result.data?.url,
+        title: listingData.title,
+        price: listingData.price,
+        quantity: listingData.quantity || 1,
+        description: listingData.description || '',
+        status: 'Active'
+      }
+    }));
+  };
+
+  // Posts saved to the offline queue finish later - record them and tell the user
+  useEffect(() => {
+    return subscribeToQueue((event) => {
+      if (event.job?.type !== 'post') return;
+      const { listingData } = event.job.payload;
+
+      if (event.type === 'completed' && event.result?.success) {
+        recordPostedListing(listingData, event.result);
+        const details = formatPostResultDetails(event.result);
+        Alert.alert(
+          'Queued Listing Posted',
+          `"${listingData.title}" was posted to eBay now that the server is back.${details ? `\n\n${details}` : ''}`,
+          [{ text: 'OK' }]
+        );
+      } else if (event.type === 'completed' || event.type === 'failed') {
+        const details = event.result ? formatPostResultDetails(event.result) : '';
+        Alert.alert(
+          'Queued Listing Failed',
+          `Failed to post "${listingData.title}": ${event.error || event.result?.message || event.result?.error}${details ? `\n\n${details}` : ''}`,
+          [{ text: 'OK' }]
+        );
+      }
+    });
+  }, []);
+
   // Debug logging to understand listing structure
   console.log('📋 Results component received listings:', {
     count: listings.length,
@@ -82,34 +193,49 @@ export default function Results({ listings = [], processingListings = [], onClea
     window.listingEdits[listingId] = newData;
   };
 
+  // No connection - keep the listing and its edits in the offline queue to post later
+  const queueListingPost = async (listingData, errorMessage) => {
+    await enqueueRequest('post', { listingData }, errorMessage);
+    Alert.alert(
+      'Saved for Later',
+      `Couldn't reach the server, so "${listingData.title}" will be posted when the connection is back.`,
+      [{ text: 'OK' }]
+    );
+  };
+
   const handlePostListing = async (listingData) => {
     try {
       console.log('📤 Posting single listing to eBay:', listingData);
       
       // Route to appropriate posting service based on listing type
-      let result;
-      if (isBookListing(listingData)) {
-        console.log('📖 Routing to book posting service');
-        result = await postBookToEbay(listingData);
-      } else {
-        console.log('📦 Routing to general posting service');
-        result = await postSingleListing(listingData);
+      const result = await postListingForType(listingData);
+      if (result.networkError) {
+        await queueListingPost(listingData, result.error);
+        return;
       }
       
+      const details = formatPostResultDetails(result);
+      
       if (result.success) {
+        recordPostedListing(listingData, result);
+
         Alert.alert(
           'Success!',
-          `Listing "${listingData.title}" posted successfully to eBay!`,
+          `Listing "${listingData.title}" posted successfully to eBay!${details ? `\n\n${details}` : ''}`,
           [{ text: 'OK' }]
         );
       } else {
         Alert.alert(
           'Posting Failed',
-          `Failed to post "${listingData.title}": ${result.message}`,
+          `Failed to post "${listingData.title}": ${result.message}${details ? `\n\n${details}` : ''}`,
           [{ text: 'OK' }]
         );
       }
     } catch (error) {
+      if (isNetworkError(error)) {
+        await queueListingPost(listingData, error.message);
+        return;
+      }
       Alert.alert(
         'Error',
         `An error occurred while posting: ${error.message}`,
@@ -118,11 +244,58 @@ export default function Results({ listings = [], processingListings = [], onClea
     }
   };
 
-  // Helper function to determine if a listing is a book
-  const isBookListing = (listing) => {
-    return listing.listingType === 'BOOK_ITEM' || 
-           listing.listingType?.type === 'BOOK_ITEM' ||
-           listing.listingType?.title?.includes('Book');
+  const handleReviseListing = async (listingId, changes) => {
+    const postedListing = postedListings[listingId];
+    const result = await reviseEbayListing(postedListing.itemId, changes);
+
+    if (result.success) {
+      setPostedListings(prev => ({
+        ...prev,
+        [listingId]: { ...prev[listingId], ...changes }
+      }));
+      Alert.alert(
+        'Listing Updated',
+        `Saved ${Object.keys(changes).join(', ')} to eBay item ${postedListing.itemId}.`,
+        [{ text: 'OK' }]
+      );
+    } else {
+      const details = formatPostResultDetails(result);
+      Alert.alert(
+        'Update Failed',
+        `${result.message || 'Failed to revise listing'}${details ? `\n\n${details}` : ''}`,
+        [{ text: 'OK' }]
+      );
+    }
+  };
+
+  const handleEndListing = async (listingId, endingReason) => {
+    const postedListing = postedListings[listingId];
+    const result = await endEbayListing(postedListing.itemId, endingReason);
+
+    if (result.success) {
+      setPostedListings(prev => ({
+        ...prev,
+        [listingId]: { ...prev[listingId], status: 'Ended', endTime: result.endTime }
+      }));
+      Alert.alert('Listing Ended', `eBay item ${postedListing.itemId} has ended.`, [{ text: 'OK' }]);
+    } else {
+      const details = formatPostResultDetails(result);
+      Alert.alert(
+        'End Failed',
+        `${result.message || 'Failed to end listing'}${details ? `\n\n${details}` : ''}`,
+        [{ text: 'OK' }]
+      );
+    }
+  };
+
+  // "Check with eBay" - VerifyAddItem dry run, the card shows the result inline
+  const handleVerifyListing = async (listingData) => {
+    console.log('🔎 Checking listing with eBay:', listingData.id);
+
+    if (isBookListing(listingData)) {
+      return verifyBookWithEbay(listingData);
+    }
+    return verifySingleListing(listingData);
   };
 
   const handlePostAllListings = async () => {
@@ -145,38 +318,61 @@ export default function Results({ listings = [], processingListings = [], onClea
               const listingsToPost = listings.map(listing => {
                 const editedData = window.listingEdits?.[listing.id];
                 const sourceData = editedData || listing.parsedListing;
+                const itemSpecifics = sourceData.item_specifics || sourceData.itemSpecifics || {};
                 
                 return {
                   id: listing.id,
+                  historyId: listing.historyId,
                   title: sourceData.title || 'Untitled Listing',
                   price: sourceData.price || '0.00',
-                  condition: sourceData.condition || 'Used',
+                  condition: sourceData.condition || getDefaultCondition(listing.listingType?.type || listing.listingType || 'GENERAL_LISTING'),
+                  conditionDescription: editedData?.conditionDescription ?? listing.parsedListing?.condition_notes ?? '',
                   category: sourceData.category || 'Uncategorized',
+                  categoryId: editedData?.categoryId || listing.categorySuggestions?.[0]?.categoryId,
                   description: sourceData.description || '',
                   photos: listing.photos,
                   hostedPhotos: listing.hostedPhotos || [],
-                  itemSpecifics: sourceData.item_specifics || sourceData.itemSpecifics || {},
+                  itemSpecifics,
                   listingType: listing.listingType?.type || listing.listingType || 'GENERAL_LISTING',
-                  // Include all book-specific fields if they exist in edited data
-                  ...(editedData && {
-                    author: editedData.author,
-                    bookTitle: editedData.bookTitle,
-                    isbn: editedData.isbn,
-                    format: editedData.format,
-                    publisher: editedData.publisher,
-                    publicationYear: editedData.publicationYear,
-                    topic: editedData.topic,
-                    edition: editedData.edition
-                  })
+                  businessPolicies: editedData?.businessPolicies || getDefaultPolicies(listing.listingType?.type || listing.listingType || 'GENERAL_LISTING'),
+                  packageDetails: editedData?.packageDetails || getPackageDetails(listing.listingType?.type || listing.listingType || 'GENERAL_LISTING', listing.parsedListing?.package_details),
+                  // Book fields from the card's edits, or the generated item specifics if it wasn't edited
+                  author: editedData ? editedData.author : itemSpecifics.Author,
+                  bookTitle: editedData ? editedData.bookTitle : itemSpecifics['Book Title'],
+                  isbn: editedData ? editedData.isbn : itemSpecifics.ISBN,
+                  format: editedData ? editedData.format : itemSpecifics.Format,
+                  language: editedData ? editedData.language : itemSpecifics.Language,
+                  publisher: editedData ? editedData.publisher : itemSpecifics.Publisher,
+                  publicationYear: editedData ? editedData.publicationYear : itemSpecifics['Publication Year'],
+                  topic: editedData ? editedData.topic : itemSpecifics.Topic,
+                  edition: editedData?.edition,
+                  // Books in a lot - ones unchecked on the card are left out
+                  books: sourceData.books || []
                 };
               });
               
               const result = await postAllListings(listingsToPost);
               
               if (result.success) {
+                result.data.results
+                  .filter(postResult => postResult.success)
+                  .forEach(postResult => {
+                    const postedData = listingsToPost.find(listing => listing.id === postResult.listingId);
+                    if (postedData) recordPostedListing(postedData, postResult);
+                  });
+
+                // No connection - keep those listings in the offline queue to post later, like a single post
+                const offlineResults = result.data.results.filter(postResult => postResult.networkError);
+                for (const postResult of offlineResults) {
+                  const listingData = listingsToPost.find(listing => listing.id === postResult.listingId);
+                  if (listingData) await enqueueRequest('post', { listingData }, postResult.error);
+                }
+                
                 Alert.alert(
                   'Batch Posting Complete!',
-                  result.message,
+                  offlineResults.length > 0
+                    ? `${result.message}\n\nCouldn't reach the server for ${offlineResults.length} listing${offlineResults.length !== 1 ? 's' : ''} - ${offlineResults.length !== 1 ? 'they' : 'it'} will be posted when the connection is back.`
+                    : result.message,
                   [{ text: 'OK' }]
                 );
               } else {
@@ -263,8 +459,8 @@ export default function Results({ listings = [], processingListings = [], onClea
         {/* Show completed listings */}
         {listings.map((listing) => {
           // Determine if this is a book listing
-          const isBook = listing.listingType?.type === 'BOOK_ITEM' || 
-                        listing.listingType?.title?.includes('Book');
+          const listingType = listing.listingType?.type || listing.listingType;
+          const isBook = listingType === 'BOOK_ITEM';
 
           // Debug log the original listing data structure
           console.log('🔍 Results.js - Original listing structure:', {
@@ -279,9 +475,15 @@ export default function Results({ listings = [], processingListings = [], onClea
             ...listing.parsedListing,
             photos: listing.photos,
             hostedPhotos: listing.hostedPhotos,
+            categorySuggestions: listing.categorySuggestions || [],
+            itemAspects: listing.itemAspects || null,
             id: listing.id,
+            historyId: listing.historyId,
+            generatedListing: listing.generatedListing,
             status: listing.status,
-            listingType: listing.listingType?.type || listing.listingType
+            listingType,
+            businessPolicies: getDefaultPolicies(listingType || 'GENERAL_LISTING'),
+            packageDetails: getPackageDetails(listingType || 'GENERAL_LISTING', listing.parsedListing?.package_details)
           };
 
           console.log('📋 Results.js - Data passed to BookListingCard:', {
@@ -294,28 +496,53 @@ export default function Results({ listings = [], processingListings = [], onClea
           });
 
           // Render appropriate card component
-          if (isBook) {
-            return (
+          let card;
+          if (listingType === 'BOOK_LOTS') {
+            card = (
+              <BookLotListingCard 
+                listing={listingData}
+                onDataChange={(newData) => handleDataChange(listing.id, newData)}
+                onPost={(listingData) => handlePostListing(listingData)}
+                businessPolicyOptions={businessPolicyOptions}
+              />
+            );
+          } else if (isBook) {
+            card = (
               <BookListingCard 
-                key={listing.id} 
                 listing={listingData}
                 onDataChange={(newData) => handleDataChange(listing.id, newData)}
                 onPost={(listingData) => handlePostListing(listingData)}
+                onVerify={handleVerifyListing}
+                templates={getTemplatesForType(savedTemplates, listingType)}
+                businessPolicyOptions={businessPolicyOptions}
               />
             );
           } else {
-            return (
+            card = (
               <EditableListingCard 
-                key={listing.id} 
-                listing={{
-                  ...listingData,
-                  listingType: listing.listingType.title
-                }}
+                listing={listingData}
                 onDataChange={(newData) => handleDataChange(listing.id, newData)}
                 onPost={(listingData) => handlePostListing(listingData)}
+                onVerify={handleVerifyListing}
+                templates={getTemplatesForType(savedTemplates, listingType)}
+                businessPolicyOptions={businessPolicyOptions}
               />
             );
           }
+
+          return (
+            <View key={listing.id}>
+              {card}
+              {/* Revise or end the listing once it is live on eBay */}
+              {postedListings[listing.id] && (
+                <PostedListingControls
+                  postedListing={postedListings[listing.id]}
+                  onRevise={(changes) => handleReviseListing(listing.id, changes)}
+                  onEnd={(endingReason) => handleEndListing(listing.id, endingReason)}
+                />
+              )}
+            </View>
+          );
         })}
       </ScrollView>
     </View>
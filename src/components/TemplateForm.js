@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  SafeAreaView,
+  Modal,
+  Alert
+} from 'react-native';
+import { colors, spacing, borderRadius } from '../constants/colors';
+
+const LISTING_TYPE_OPTIONS = [
+  { id: null, label: 'Any type' },
+  { id: 'BOOK_ITEM', label: '📚 Book' },
+  { id: 'BOOK_LOTS', label: '📚 Book Lot' },
+  { id: 'CD_MUSIC', label: '🎵 CD/Music' },
+  { id: 'DVD_MOVIE', label: '🎬 DVD/Movie' },
+  { id: 'VHS_LISTING', label: '📼 VHS' },
+  { id: 'GENERAL_LISTING', label: '📦 General' }
+];
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  listingType: null,
+  title: '',
+  description: '',
+  category: '',
+  condition: '',
+  shipping: ''
+};
+
+/**
+ * TemplateForm - Create or edit a saved listing template
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the form is shown
+ * @param {Object|null} props.template - Template to edit, or null to create a new one
+ * @param {Function} props.onSave - Called with the template fields, resolves once saved
+ * @param {Function} props.onClose - Called when the form is dismissed
+ */
+export default function TemplateForm({ visible, template, onSave, onClose }) {
+  const [formData, setFormData] = useState(EMPTY_TEMPLATE);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Start from the template being edited each time the form opens
+  useEffect(() => {
+    if (visible) {
+      setFormData({ ...EMPTY_TEMPLATE, ...template });
+    }
+  }, [visible, template]);
+
+  const handleFieldChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    if (!formData.name.trim()) {
+      Alert.alert('Name Required', 'Give the template a name so you can find it later.');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await onSave({
+        name: formData.name.trim(),
+        listingType: formData.listingType,
+        title: formData.title,
+        description: formData.description,
+        category: formData.category,
+        condition: formData.condition,
+        shipping: formData.shipping
+      });
+    } catch (error) {
+      Alert.alert('Save Failed', error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderField = (field, label, placeholder, options = {}) => (
+    <View style={styles.field}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={[styles.input, options.multiline && styles.multilineInput]}
+        value={formData[field] || ''}
+        onChangeText={(value) => handleFieldChange(field, value)}
+        placeholder={placeholder}
+        placeholderTextColor={colors.textMuted}
+        multiline={options.multiline}
+        maxLength={options.maxLength}
+      />
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} disabled={isSaving}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>{template?.id ? 'Edit Template' : 'New Template'}</Text>
+          <TouchableOpacity onPress={handleSave} disabled={isSaving}>
+            <Text style={[styles.saveText, isSaving && styles.disabledText]}>
+              {isSaving ? 'Saving...' : 'Save'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView style={styles.content}>
+          {renderField('name', 'Template Name', 'e.g. Hardcover Fiction', { maxLength: 60 })}
+
+          <View style={styles.field}>
+            <Text style={styles.label}>Listing Type</Text>
+            <View style={styles.chipRow}>
+              {LISTING_TYPE_OPTIONS.map((option) => (
+                <TouchableOpacity
+                  key={option.label}
+                  style={[styles.chip, formData.listingType === option.id && styles.chipSelected]}
+                  onPress={() => handleFieldChange('listingType', option.id)}
+                >
+                  <Text style={[styles.chipText, formData.listingType === option.id && styles.chipTextSelected]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+
+          {renderField('title', 'Title Pattern', '[TITLE] by [AUTHOR] - [CONDITION]')}
+          <Text style={styles.hint}>
+            Placeholders in [BRACKETS] are filled in from the generated listing.
+          </Text>
+
+          {renderField('description', 'Description', 'Boilerplate added to every description', { multiline: true })}
+          {renderField('category', 'Category', 'e.g. Books & Magazines > Books')}
+          {renderField('condition', 'Condition', 'e.g. Very Good')}
+          {renderField('shipping', 'Shipping', 'e.g. USPS Media Mail')}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: spacing.md,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: colors.textPrimary,
+  },
+  cancelText: {
+    fontSize: 16,
+    color: colors.textSecondary,
+  },
+  saveText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  disabledText: {
+    opacity: 0.6,
+  },
+  content: {
+    flex: 1,
+    padding: spacing.md,
+  },
+  field: {
+    marginBottom: spacing.md,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  input: {
+    fontSize: 14,
+    color: colors.textPrimary,
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    padding: spacing.sm,
+    backgroundColor: colors.surface,
+  },
+  multilineInput: {
+    minHeight: 100,
+    textAlignVertical: 'top',
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.textMuted,
+    marginTop: -spacing.sm,
+    marginBottom: spacing.md,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+    backgroundColor: colors.surface,
+  },
+  chipSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+});
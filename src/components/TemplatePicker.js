@@ -0,0 +1,80 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { colors, spacing, borderRadius } from '../constants/colors';
+
+/**
+ * TemplatePicker - Row of saved templates to choose from
+ * @param {Object} props - Component props
+ * @param {string} props.label - Heading shown above the templates
+ * @param {Array} props.templates - Templates to offer (already filtered to the listing type)
+ * @param {string|null} props.selectedTemplateId - Currently selected template
+ * @param {Function} props.onSelect - Called with the chosen template, or null for "None"
+ * @param {boolean} props.allowNone - Show a "None" option that clears the selection
+ */
+export default function TemplatePicker({ label, templates, selectedTemplateId, onSelect, allowNone = false }) {
+  if (!templates || templates.length === 0) {
+    return null;
+  }
+
+  const renderChip = (key, text, isSelected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isSelected && styles.chipSelected]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{text}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>{label}</Text>
+      <View style={styles.chipRow}>
+        {allowNone && renderChip('none', 'None', !selectedTemplateId, () => onSelect(null))}
+        {templates.map((template) => renderChip(
+          template.id,
+          `📝 ${template.name}`,
+          template.id === selectedTemplateId,
+          () => onSelect(template)
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: spacing.sm,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.textPrimary,
+    marginBottom: spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: borderRadius.sm,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+    backgroundColor: colors.surface,
+  },
+  chipSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+});
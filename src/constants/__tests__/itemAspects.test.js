@@ -0,0 +1,75 @@
+/**
+ * Item specifics checked against a category's aspects, and the post routes' rejections of them
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkItemSpecifics, readItemSpecificsError } = require('../itemAspects');
+const { toItemAspect } = require('../../services/ebayTaxonomy');
+const itemAspectsFixture = require('../../fixtures/taxonomy/itemAspects.json');
+
+const BOOKS_CATEGORY_ID = '261186';
+const DVD_CATEGORY_ID = '617';
+const bookAspects = itemAspectsFixture[BOOKS_CATEGORY_ID].aspects.map(toItemAspect);
+const dvdAspects = itemAspectsFixture[DVD_CATEGORY_ID].aspects.map(toItemAspect);
+
+test('names and restricted values are changed to eBay\'s spelling', () => {
+  const result = checkItemSpecifics(dvdAspects, { 'movie/tv title': 'Jurassic Park', FORMAT: 'blu-ray', rating: 'pg-13' });
+
+  assert.deepStrictEqual(result.itemSpecifics, { 'Movie/TV Title': 'Jurassic Park', Format: 'Blu-ray', Rating: 'PG-13' });
+  assert.deepStrictEqual(result.invalid, []);
+  assert.deepStrictEqual(result.missing, []);
+});
+
+test('values a restricted aspect doesn\'t take are reported and left out', () => {
+  const result = checkItemSpecifics(dvdAspects, { 'Movie/TV Title': 'Jurassic Park', Format: 'Laserdisc' });
+
+  assert.deepStrictEqual(result.invalid, [{ name: 'Format', value: 'Laserdisc' }]);
+  assert.strictEqual(result.itemSpecifics.Format, undefined);
+  assert.deepStrictEqual(result.missing, ['Format']);
+});
+
+test('required aspects with no value are missing, whatever else is filled', () => {
+  const result = checkItemSpecifics(bookAspects, { 'Book Title': 'Dune', Author: '  ', Publisher: 'Chilton' });
+
+  assert.deepStrictEqual(result.missing, ['Author', 'Language']);
+  assert.deepStrictEqual(result.itemSpecifics, { 'Book Title': 'Dune', Publisher: 'Chilton' });
+});
+
+test('free text is cut to the aspect\'s length and custom specifics are kept', () => {
+  const result = checkItemSpecifics(bookAspects, {
+    'Book Title': 'Dune',
+    Author: 'Frank Herbert',
+    Language: 'English',
+    'Publication Year': '1965 first printing',
+    'Dust Jacket': 'Yes'
+  });
+
+  assert.strictEqual(result.itemSpecifics['Publication Year'], '1965');
+  assert.strictEqual(result.itemSpecifics['Dust Jacket'], 'Yes');
+});
+
+test('multi-value aspects keep every accepted value, single-value ones the first', () => {
+  const result = checkItemSpecifics(bookAspects, {
+    Genre: ['fiction', 'Poetry Slam', 'Fantasy'],
+    Format: ['Paperback', 'Hardcover']
+  });
+
+  assert.deepStrictEqual(result.itemSpecifics.Genre, ['Fiction', 'Fantasy']);
+  assert.deepStrictEqual(result.invalid, [{ name: 'Genre', value: 'Poetry Slam' }]);
+  assert.strictEqual(result.itemSpecifics.Format, 'Paperback');
+});
+
+test('item specifics rejections are read from the error body, other errors are not', () => {
+  assert.deepStrictEqual(
+    readItemSpecificsError({ error: 'eBay requires Language in this category - fill it in on the listing card', missingItemSpecifics: ['Language'] }),
+    { error: 'eBay requires Language in this category - fill it in on the listing card', invalidItemSpecifics: [], missingItemSpecifics: ['Language'] }
+  );
+  assert.deepStrictEqual(
+    readItemSpecificsError({ error: 'Bad format', invalidItemSpecifics: [{ name: 'Format', value: 'Laserdisc' }], missingItemSpecifics: [] }),
+    { error: 'Bad format', invalidItemSpecifics: [{ name: 'Format', value: 'Laserdisc' }], missingItemSpecifics: [] }
+  );
+  assert.strictEqual(readItemSpecificsError({ error: 'No eBay account connected' }), null);
+  assert.strictEqual(readItemSpecificsError(null), null);
+});
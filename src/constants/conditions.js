@@ -0,0 +1,153 @@
+/**
+ * Item conditions per eBay category group
+ *
+ * Books, music and movies accept eBay's media grades; everything else uses the
+ * general New/Used scale. Listings store the condition name; the XML builders
+ * turn it into the group's ConditionID.
+ */
+
+const CONDITION_GROUPS = {
+  MEDIA: {
+    label: 'Books, music & movies',
+    conditions: [
+      { id: '1000', name: 'Brand New', description: 'Unread or unplayed, in the original packaging if it had any' },
+      { id: '2750', name: 'Like New', description: 'Looks unused - no marks, wear or damage' },
+      { id: '4000', name: 'Very Good', description: 'Light wear only, everything intact' },
+      { id: '5000', name: 'Good', description: 'Normal wear, may have small marks or notes' },
+      { id: '6000', name: 'Acceptable', description: 'Heavy wear, still complete and usable' }
+    ],
+    defaultCondition: 'Good',
+    // Names from the general scale, older listings and templates
+    aliases: {
+      'new': 'Brand New',
+      'new other (see details)': 'Like New',
+      'new with defects': 'Very Good',
+      'seller refurbished': 'Very Good',
+      'used': 'Good',
+      'for parts or not working': 'Acceptable'
+    }
+  },
+  GENERAL: {
+    label: 'General',
+    conditions: [
+      { id: '1000', name: 'New', description: 'Unused and unopened, in the original packaging' },
+      { id: '1500', name: 'New other (see details)', description: 'Unused but opened, missing packaging or a shop return' },
+      { id: '2500', name: 'Seller refurbished', description: 'Restored to working order by you or a third party' },
+      { id: '3000', name: 'Used', description: 'Used before - describe any wear in the condition notes' },
+      { id: '7000', name: 'For parts or not working', description: "Doesn't work fully - say what's wrong in the condition notes" }
+    ],
+    defaultCondition: 'Used',
+    aliases: {
+      'brand new': 'New',
+      'like new': 'New other (see details)',
+      'new other': 'New other (see details)',
+      'new with defects': 'New other (see details)',
+      'refurbished': 'Seller refurbished',
+      'very good': 'Used',
+      'good': 'Used',
+      'acceptable': 'Used',
+      'for parts': 'For parts or not working'
+    }
+  }
+};
+
+const LISTING_TYPE_CONDITION_GROUPS = {
+  BOOK_ITEM: 'MEDIA',
+  BOOK_LOTS: 'MEDIA',
+  CD_MUSIC: 'MEDIA',
+  DVD_MOVIE: 'MEDIA',
+  VHS_LISTING: 'MEDIA',
+  GENERAL_LISTING: 'GENERAL'
+};
+
+// Book, music and movie categories the server lists in - they only accept the media grades
+const MEDIA_CATEGORY_IDS = ['377', '29792', '172562', '11450', '261186', '176985', '617', '309'];
+
+// eBay doesn't show condition notes longer than this
+const MAX_CONDITION_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * Find the condition group for a listing
+ * The category wins when it is a known media category, so a general item filed under
+ * Books still gets a condition Books accepts.
+ * @param {string} listingType - Listing type (e.g. BOOK_ITEM)
+ * @param {string} categoryId - eBay CategoryID, if known
+ * @returns {string} MEDIA or GENERAL
+ */
+function getConditionGroup(listingType, categoryId) {
+  if (categoryId && MEDIA_CATEGORY_IDS.includes(String(categoryId))) {
+    return 'MEDIA';
+  }
+  return LISTING_TYPE_CONDITION_GROUPS[listingType] || 'GENERAL';
+}
+
+/**
+ * Condition names a listing can use, best first
+ * @param {string} listingType - Listing type (e.g. BOOK_ITEM)
+ * @param {string} categoryId - eBay CategoryID, if known
+ * @returns {Array} Condition names
+ */
+function getConditionOptions(listingType, categoryId) {
+  return CONDITION_GROUPS[getConditionGroup(listingType, categoryId)].conditions.map(condition => condition.name);
+}
+
+/**
+ * Condition a listing starts with when nothing else is known
+ * @param {string} listingType - Listing type (e.g. BOOK_ITEM)
+ * @returns {string} Condition name
+ */
+function getDefaultCondition(listingType) {
+  return CONDITION_GROUPS[getConditionGroup(listingType)].defaultCondition;
+}
+
+/**
+ * Match a condition name to one the listing's group accepts
+ * Case and spacing are ignored, and names from the other group are mapped across.
+ * @param {string} condition - Condition name from the model, a template or the user
+ * @param {string} listingType - Listing type (e.g. BOOK_ITEM)
+ * @param {string} categoryId - eBay CategoryID, if known
+ * @returns {string|null} The group's condition name, or null if the name isn't recognised
+ */
+function normalizeCondition(condition, listingType, categoryId) {
+  if (typeof condition !== 'string' || !condition.trim()) {
+    return null;
+  }
+
+  const group = CONDITION_GROUPS[getConditionGroup(listingType, categoryId)];
+  const key = condition.trim().toLowerCase().replace(/\s+/g, ' ');
+  const match = group.conditions.find(option => option.name.toLowerCase() === key);
+  return match ? match.name : group.aliases[key] || null;
+}
+
+/**
+ * Get the eBay ConditionID for a listing's condition
+ * @param {string} condition - Condition name
+ * @param {string} listingType - Listing type (e.g. BOOK_ITEM)
+ * @param {string} categoryId - eBay CategoryID, if known
+ * @returns {string} ConditionID - the group's default condition when the name isn't recognised
+ */
+function getConditionId(condition, listingType, categoryId) {
+  const group = CONDITION_GROUPS[getConditionGroup(listingType, categoryId)];
+  const name = normalizeCondition(condition, listingType, categoryId) || group.defaultCondition;
+  return group.conditions.find(option => option.name === name).id;
+}
+
+/**
+ * Whether eBay takes condition notes for a condition - brand-new items can't have them
+ * @param {string} conditionId - eBay ConditionID
+ * @returns {boolean}
+ */
+function allowsConditionDescription(conditionId) {
+  return conditionId !== '1000';
+}
+
+module.exports = {
+  CONDITION_GROUPS,
+  MAX_CONDITION_DESCRIPTION_LENGTH,
+  getConditionGroup,
+  getConditionOptions,
+  getDefaultCondition,
+  normalizeCondition,
+  getConditionId,
+  allowsConditionDescription
+};
@@ -0,0 +1,14 @@
+/**
+ * Ending reasons accepted by EndFixedPriceItem
+ */
+
+const EBAY_ENDING_REASONS = [
+  { value: 'NotAvailable', label: 'No longer available' },
+  { value: 'Incorrect', label: 'Error in the listing' },
+  { value: 'LostOrBroken', label: 'Lost or broken' },
+  { value: 'OtherListingError', label: 'Other listing error' }
+];
+
+module.exports = {
+  EBAY_ENDING_REASONS
+};
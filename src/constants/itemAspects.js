@@ -0,0 +1,132 @@
+/**
+ * Item aspects (eBay item specifics) for a category
+ *
+ * Aspects come from the Taxonomy API (see src/services/ebayTaxonomy.js) as
+ * { name, required, recommended, selectionOnly, multiple, maxLength, values }.
+ * selectionOnly aspects only take one of their values; the rest take free text.
+ */
+
+/**
+ * Whether an item specific has a value
+ * @param {string|Array} value - Item specific value
+ * @returns {boolean}
+ */
+function hasAspectValue(value) {
+  if (Array.isArray(value)) {
+    return value.some(hasAspectValue);
+  }
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Find the aspect an item specific name belongs to, ignoring case
+ * @param {Array} aspects - Category aspects
+ * @param {string} name - Item specific name
+ * @returns {Object|undefined}
+ */
+function findAspect(aspects, name) {
+  const key = String(name).trim().toLowerCase();
+  return (aspects || []).find(aspect => aspect.name.toLowerCase() === key);
+}
+
+/**
+ * Match a value to what an aspect accepts
+ * Values of selectionOnly aspects are matched to eBay's spelling, ignoring case;
+ * free-text values are trimmed to the aspect's maximum length.
+ * @param {Object} aspect - Category aspect
+ * @param {string} value - Item specific value
+ * @returns {string|null} The value eBay takes, or null if the aspect doesn't accept it
+ */
+function matchAspectValue(aspect, value) {
+  if (!hasAspectValue(value)) {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (aspect.selectionOnly) {
+    return (aspect.values || []).find(option => option.toLowerCase() === text.toLowerCase()) || null;
+  }
+  return aspect.maxLength ? text.slice(0, aspect.maxLength) : text;
+}
+
+/**
+ * Required aspects an item doesn't have a value for
+ * @param {Array} aspects - Category aspects
+ * @param {Object} itemSpecifics - Item specifics by name
+ * @returns {Array} Aspect names
+ */
+function getMissingAspects(aspects, itemSpecifics) {
+  const filled = new Set(Object.keys(itemSpecifics || {})
+    .filter(name => hasAspectValue(itemSpecifics[name]))
+    .map(name => name.trim().toLowerCase()));
+
+  return (aspects || [])
+    .filter(aspect => aspect.required && !filled.has(aspect.name.toLowerCase()))
+    .map(aspect => aspect.name);
+}
+
+/**
+ * Check an item's specifics against its category's aspects
+ * Names and values are changed to eBay's spelling. Specifics the category doesn't list
+ * are kept - eBay accepts custom item specifics.
+ * @param {Array} aspects - Category aspects
+ * @param {Object} itemSpecifics - Item specifics by name
+ * @returns {Object} { itemSpecifics, invalid: [{ name, value }], missing: [names] }
+ */
+function checkItemSpecifics(aspects, itemSpecifics) {
+  const checked = {};
+  const invalid = [];
+
+  Object.entries(itemSpecifics || {}).forEach(([name, value]) => {
+    if (!hasAspectValue(value)) {
+      return;
+    }
+
+    const aspect = findAspect(aspects, name);
+    if (!aspect) {
+      checked[name] = value;
+      return;
+    }
+
+    const values = (Array.isArray(value) ? value : [value]).filter(hasAspectValue);
+    const matched = values.map(item => matchAspectValue(aspect, item));
+    values.forEach((item, index) => {
+      if (matched[index] === null) {
+        invalid.push({ name: aspect.name, value: String(item) });
+      }
+    });
+
+    const accepted = matched.filter(item => item !== null);
+    if (accepted.length > 0) {
+      checked[aspect.name] = aspect.multiple && Array.isArray(value) ? accepted : accepted[0];
+    }
+  });
+
+  return { itemSpecifics: checked, invalid, missing: getMissingAspects(aspects, checked) };
+}
+
+/**
+ * Read a post route's item specifics rejection (see readItemSpecifics in new-server.js)
+ * @param {Object} errorResult - Parsed error body
+ * @returns {Object|null} { error, invalidItemSpecifics: [{ name, value }], missingItemSpecifics: [names] },
+ *   or null for other errors
+ */
+function readItemSpecificsError(errorResult) {
+  if (!errorResult || (!errorResult.invalidItemSpecifics && !errorResult.missingItemSpecifics)) {
+    return null;
+  }
+  return {
+    error: errorResult.error,
+    invalidItemSpecifics: errorResult.invalidItemSpecifics || [],
+    missingItemSpecifics: errorResult.missingItemSpecifics || []
+  };
+}
+
+module.exports = {
+  hasAspectValue,
+  findAspect,
+  matchAspectValue,
+  getMissingAspects,
+  checkItemSpecifics,
+  readItemSpecificsError
+};
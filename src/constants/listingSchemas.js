@@ -0,0 +1,152 @@
+/**
+ * JSON schemas for AI-generated listings, one per listing type
+ */
+
+const { getConditionOptions, MAX_CONDITION_DESCRIPTION_LENGTH } = require('./conditions');
+
+const stringOrEmpty = { type: 'string' };
+const measurement = { type: ['number', 'string'], minimum: 0, pattern: '^\\d+(\\.\\d+)?$' };
+
+// Estimated packed weight (ounces) and box size (inches) - optional, Settings or built-in defaults fill gaps
+const packageDetails = {
+  type: 'object',
+  properties: {
+    weight_oz: measurement,
+    length_in: measurement,
+    width_in: measurement,
+    depth_in: measurement
+  }
+};
+
+/**
+ * Fields every listing type returns
+ * @param {Array} conditions - Allowed condition values for the listing type
+ * @returns {Object} Schema properties
+ */
+const baseListingProperties = (conditions) => ({
+  title: { type: 'string', minLength: 1, maxLength: 80 },
+  price: { type: 'number', minimum: 0 },
+  condition: { type: 'string', enum: conditions },
+  condition_notes: { type: 'string', maxLength: MAX_CONDITION_DESCRIPTION_LENGTH },
+  category: { type: 'string', minLength: 1 },
+  description: { type: 'string', minLength: 1 },
+  package_details: packageDetails
+});
+
+const BASE_REQUIRED = ['title', 'price', 'condition', 'category', 'description'];
+
+const videoItemSpecifics = {
+  type: 'object',
+  required: ['Movie/TV Title'],
+  properties: {
+    'Movie/TV Title': { type: 'string', minLength: 1 },
+    'Format': stringOrEmpty,
+    'Studio': stringOrEmpty,
+    'Rating': stringOrEmpty,
+    'Region Code': stringOrEmpty,
+    'Run Time': { type: ['string', 'number'] },
+    'Actors': { type: ['array', 'string'], items: { type: 'string' } },
+    'Genre': stringOrEmpty,
+    'Release Year': { type: ['string', 'number'] },
+    'UPC': { type: ['string', 'number'] }
+  }
+};
+
+const LISTING_SCHEMAS = {
+  BOOK_ITEM: {
+    type: 'object',
+    required: [...BASE_REQUIRED, 'item_specifics'],
+    properties: {
+      ...baseListingProperties(getConditionOptions('BOOK_ITEM')),
+      item_specifics: {
+        type: 'object',
+        required: ['Book Title', 'Author'],
+        properties: {
+          'Book Title': { type: 'string', minLength: 1 },
+          'Author': { type: 'string', minLength: 1 },
+          'Format': stringOrEmpty,
+          'Language': stringOrEmpty,
+          'Topic': stringOrEmpty,
+          'Publisher': stringOrEmpty,
+          'Publication Year': { type: ['string', 'number'] },
+          'ISBN': { type: ['string', 'number'] }
+        }
+      }
+    }
+  },
+
+  BOOK_LOTS: {
+    type: 'object',
+    required: [...BASE_REQUIRED, 'books', 'item_specifics'],
+    properties: {
+      ...baseListingProperties(getConditionOptions('BOOK_LOTS')),
+      books: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['title'],
+          properties: {
+            title: { type: 'string', minLength: 1 },
+            author: stringOrEmpty,
+            isbn: { type: ['string', 'number'] }
+          }
+        }
+      },
+      item_specifics: { type: 'object' }
+    }
+  },
+
+  CD_MUSIC: {
+    type: 'object',
+    required: [...BASE_REQUIRED, 'item_specifics'],
+    properties: {
+      ...baseListingProperties(getConditionOptions('CD_MUSIC')),
+      item_specifics: {
+        type: 'object',
+        required: ['Artist'],
+        properties: {
+          'Artist': { type: 'string', minLength: 1 },
+          'Release Title': stringOrEmpty,
+          'Record Label': stringOrEmpty,
+          'Format': stringOrEmpty,
+          'Release Year': { type: ['string', 'number'] },
+          'UPC': { type: ['string', 'number'] },
+          'Genre': stringOrEmpty
+        }
+      }
+    }
+  },
+
+  DVD_MOVIE: {
+    type: 'object',
+    required: [...BASE_REQUIRED, 'item_specifics'],
+    properties: {
+      ...baseListingProperties(getConditionOptions('DVD_MOVIE')),
+      item_specifics: videoItemSpecifics
+    }
+  },
+
+  VHS_LISTING: {
+    type: 'object',
+    required: [...BASE_REQUIRED, 'item_specifics'],
+    properties: {
+      ...baseListingProperties(getConditionOptions('VHS_LISTING')),
+      item_specifics: videoItemSpecifics
+    }
+  },
+
+  GENERAL_LISTING: {
+    type: 'object',
+    required: BASE_REQUIRED,
+    properties: {
+      ...baseListingProperties(getConditionOptions('GENERAL_LISTING')),
+      keywords: { type: ['array', 'string'], items: { type: 'string' } },
+      item_specifics: { type: 'object' }
+    }
+  }
+};
+
+module.exports = {
+  LISTING_SCHEMAS
+};
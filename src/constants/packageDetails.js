@@ -0,0 +1,66 @@
+/**
+ * Package weight and dimensions for calculated shipping
+ *
+ * Listings carry package_details as the vision model estimates it: weight in ounces and
+ * box dimensions in inches ({ weight_oz, length_in, width_in, depth_in }), packed for shipping.
+ */
+
+const PACKAGE_FIELDS = ['weight_oz', 'length_in', 'width_in', 'depth_in'];
+
+// Used when neither the model nor Settings gives a value - typical packed sizes
+const DEFAULT_PACKAGE_DETAILS = {
+  BOOK_ITEM: { weight_oz: 24, length_in: 10, width_in: 7, depth_in: 2 },
+  BOOK_LOTS: { weight_oz: 96, length_in: 12, width_in: 10, depth_in: 8 },
+  CD_MUSIC: { weight_oz: 6, length_in: 7, width_in: 6, depth_in: 1 },
+  DVD_MOVIE: { weight_oz: 8, length_in: 8, width_in: 6, depth_in: 1 },
+  VHS_LISTING: { weight_oz: 12, length_in: 9, width_in: 5, depth_in: 2 },
+  GENERAL_LISTING: { weight_oz: 16, length_in: 9, width_in: 6, depth_in: 1 }
+};
+
+// Largest values accepted - USPS and UPS won't take more than 150 lb or 108 inches on a side
+const PACKAGE_LIMITS = { weight_oz: 150 * 16, length_in: 108, width_in: 108, depth_in: 108 };
+
+/**
+ * Built-in package details for a listing type
+ * @param {string} listingType - Listing type (e.g. BOOK_ITEM)
+ * @returns {Object} { weight_oz, length_in, width_in, depth_in }
+ */
+function getDefaultPackageDetails(listingType) {
+  return { ...(DEFAULT_PACKAGE_DETAILS[listingType] || DEFAULT_PACKAGE_DETAILS.GENERAL_LISTING) };
+}
+
+/**
+ * Fill in package details, using the fallback for missing or unusable values
+ * Weight is rounded up to whole ounces and dimensions to whole inches so shipping isn't under-quoted.
+ * @param {Object} details - Package details to check (numbers or numeric strings)
+ * @param {Object} fallback - Complete package details used field by field where details has no valid value
+ * @returns {Object} { weight_oz, length_in, width_in, depth_in }
+ */
+function normalizePackageDetails(details, fallback) {
+  const normalized = {};
+  PACKAGE_FIELDS.forEach(field => {
+    const value = parseFloat(details?.[field]);
+    normalized[field] = value > 0 && value <= PACKAGE_LIMITS[field] ? Math.ceil(value) : fallback[field];
+  });
+  return normalized;
+}
+
+/**
+ * Describe a weight in pounds and ounces
+ * @param {number} weightOz - Weight in ounces
+ * @returns {string} e.g. "1 lb 8 oz"
+ */
+function formatPackageWeight(weightOz) {
+  const pounds = Math.floor(weightOz / 16);
+  const ounces = weightOz % 16;
+  if (pounds === 0) return `${ounces} oz`;
+  return ounces === 0 ? `${pounds} lb` : `${pounds} lb ${ounces} oz`;
+}
+
+module.exports = {
+  PACKAGE_FIELDS,
+  DEFAULT_PACKAGE_DETAILS,
+  getDefaultPackageDetails,
+  normalizePackageDetails,
+  formatPackageWeight
+};
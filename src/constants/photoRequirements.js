@@ -0,0 +1,42 @@
+/**
+ * eBay's photo requirements
+ */
+
+const PHOTO_REQUIREMENTS = {
+  minDimension: 500, // eBay rejects photos under 500px on either side
+  recommendedDimension: 1600, // eBay's zoom needs 1600px on both sides
+  maxFileSize: 12 * 1024 * 1024 // 12MB
+};
+
+/**
+ * Check a photo against eBay's requirements
+ * Sizes that aren't known (e.g. the file size on web) aren't checked.
+ * @param {Object} photo - { width, height, fileSize } in pixels and bytes
+ * @returns {Object} { isValid, errors, warnings }
+ */
+function checkPhotoRequirements({ width, height, fileSize } = {}) {
+  const errors = [];
+  const warnings = [];
+  const { minDimension, recommendedDimension, maxFileSize } = PHOTO_REQUIREMENTS;
+
+  if (width < minDimension || height < minDimension) {
+    errors.push(`Photo must be at least ${minDimension}x${minDimension} pixels`);
+  } else if (width < recommendedDimension || height < recommendedDimension) {
+    warnings.push(`Photo should be at least ${recommendedDimension}x${recommendedDimension} pixels for best quality`);
+  }
+
+  if (fileSize && fileSize > maxFileSize) {
+    errors.push(`Photo size must be less than ${maxFileSize / (1024 * 1024)}MB`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+module.exports = {
+  PHOTO_REQUIREMENTS,
+  checkPhotoRequirements
+};
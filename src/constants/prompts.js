@@ -2,7 +2,14 @@
  * AI prompts and configuration constants
  */
 
-export const AI_PROMPTS = {
+const { getConditionOptions } = require('./conditions');
+
+// "[Brand New | Like New | ...]" - the condition names a listing type accepts
+const conditionChoices = (listingType) => `[${getConditionOptions(listingType).join(' | ')}]`;
+
+const CONDITION_NOTES_EXAMPLE = '"condition_notes": "[1-2 sentences on the specific wear or flaws a buyer should know about]"';
+
+const AI_PROMPTS = {
   GENERAL_ITEM: `
     Analyze the provided photos of an item and generate eBay listing data in JSON format.
     
@@ -11,10 +18,13 @@ export const AI_PROMPTS = {
     - Write a detailed description highlighting key features and condition
     - Suggest appropriate category based on the item
     - Estimate fair market price based on item condition and type
-    - Set appropriate condition (New, Like New, Very Good, Good, Acceptable)
+    - Set condition to one of: ${getConditionOptions('GENERAL_LISTING').join(', ')}
+    - Put specific wear, flaws or missing parts in condition_notes (1-2 sentences, empty for New)
     - Include relevant keywords for searchability
+    - Estimate the packed shipping weight in ounces and box size in inches for this kind of item
     
-    Return JSON with: title, description, price, category, condition, keywords
+    Return JSON with: title, description, price, category, condition, condition_notes, keywords,
+    package_details ({ "weight_oz", "length_in", "width_in", "depth_in" })
   `,
   
   BOOK_ITEM: (imageCount) => `You are
@@ -36,10 +46,18 @@ export const AI_PROMPTS = {
   photos, detailed condition assessment from 
   multiple angles, and compelling descriptions.
 
-  IMPORTANT: Never use "Like New" condition. If the
-   book appears to be in excellent condition, use 
-  "Very Good" instead. The condition hierarchy is: 
-  Very Good > Good > Acceptable.
+  IMPORTANT: Use "Brand New" only for unread books 
+  with no signs of handling. If a used book appears 
+  to be in excellent condition, use "Very Good" 
+  rather than "Like New". The condition hierarchy is: 
+  Brand New > Like New > Very Good > Good > Acceptable.
+  Put the specific flaws (shelf wear, creased spine, 
+  notes, ex-library stamps) in condition_notes.
+
+  PACKAGE: Estimate the packed shipping weight in ounces and the 
+  box size in inches from the format and page count. A mass-market 
+  paperback packs at about 8 oz, a trade paperback about 16 oz, a 
+  hardcover novel about 24 oz, and a large art or textbook 48 oz or more.
 
   CRITICAL: You MUST return the exact JSON format below. Do NOT omit the item_specifics object. This is required for proper data parsing.
 
@@ -48,7 +66,8 @@ export const AI_PROMPTS = {
   {
     "title": "[Full eBay title with author and subtitle if visible]",
     "price": 12.99,
-    "condition": "[Very Good | Good | Acceptable]",
+    "condition": "${conditionChoices('BOOK_ITEM')}",
+    ${CONDITION_NOTES_EXAMPLE},
     "category": "Books & Magazines > Books",
     "item_specifics": {
       "Book Title": "[Exact book title from cover, without author]",
@@ -61,6 +80,7 @@ export const AI_PROMPTS = {
       "ISBN": "[ISBN if visible on back cover or copyright page]"
     },
     "description": "[4-6 sentence description with condition details]",
+    "package_details": { "weight_oz": 24, "length_in": 10, "width_in": 7, "depth_in": 2 },
     "shipping": "USPS Media Mail",
     "return_policy": "30-day returns accepted",
     "listing_duration": "GTC"
@@ -71,6 +91,236 @@ export const AI_PROMPTS = {
   Only return the JSON. No preamble or follow-up 
   message.`,
   
+  BOOK_LOTS: (imageCount) => `You are an API that generates eBay listing 
+  metadata for a LOT of books sold together. I am providing 
+  ${imageCount} photo(s) of a group of books (spines on a shelf, a 
+  stack, or covers laid out side by side).
+
+  Identify EVERY book you can see in ALL of the photos. Read each 
+  title and author from the spine or cover, and include the ISBN only 
+  if it is readable in a photo. List each book once even if it appears 
+  in more than one photo. Do not invent books you cannot see.
+
+  Then create one listing for the whole lot: a keyword-rich lot title 
+  that mentions the number of books and the common author, series or 
+  topic, lot-level item specifics, and a suggested price for the 
+  complete lot.
+
+  IMPORTANT: Use the condition of the worst book in the lot, and 
+  prefer "Very Good" over "Like New" for used books. The condition 
+  hierarchy is: Brand New > Like New > Very Good > Good > Acceptable. 
+  Put flaws of individual books in condition_notes.
+
+  PACKAGE: Estimate the packed shipping weight of the whole lot in 
+  ounces (about 16 oz per paperback and 24 oz per hardcover, plus 8 oz 
+  for the box) and the size in inches of a box that holds every book.
+
+  CRITICAL: You MUST return the exact JSON format below. Do NOT omit the books array or the item_specifics object.
+
+  Return your answer in this EXACT JSON format:
+
+  {
+    "title": "[Lot of N books - author, series or topic - under 80 characters]",
+    "price": 24.99,
+    "condition": "${conditionChoices('BOOK_LOTS')}",
+    ${CONDITION_NOTES_EXAMPLE},
+    "category": "Books & Magazines > Books",
+    "books": [
+      {
+        "title": "[Book title from the spine or cover]",
+        "author": "[Author name, or empty string if not visible]",
+        "isbn": "[ISBN if readable, otherwise empty string]"
+      }
+    ],
+    "item_specifics": {
+      "Book Title": "[Short lot name, e.g. Harry Potter Series Lot]",
+      "Author": "[Common author, or Various]",
+      "Format": "[Hardcover | Paperback | Mixed]",
+      "Language": "English",
+      "Topic": "[Common topic, e.g. Fantasy, History, Cooking]",
+      "Genre": "[Common genre, e.g. Fiction, Nonfiction]"
+    },
+    "description": "[3-5 sentence description of the lot and its overall condition]",
+    "package_details": { "weight_oz": 96, "length_in": 12, "width_in": 10, "depth_in": 8 },
+    "shipping": "USPS Media Mail",
+    "return_policy": "30-day returns accepted",
+    "listing_duration": "GTC"
+  }
+
+  Only return the JSON. No preamble or follow-up 
+  message.`,
+
+  CD_MUSIC: (imageCount) => `You are an API that generates eBay listing 
+  metadata from images of music media. I am providing ${imageCount} 
+  photo(s) of the same CD or CD box set from different 
+  angles (front cover, back cover, spine, disc, inserts, etc.).
+
+  Analyze ALL the provided photos together. Read the artist, album 
+  name, record label and catalog details from the cover, spine, 
+  back tray card and disc face. Read the UPC from the barcode digits 
+  printed on the back if they are visible.
+
+  Condition rules: use "Brand New" only for factory-sealed items, "Like 
+  New" for discs and cases with no visible wear, "Very Good" for only 
+  light wear, "Good" for visible scratches or case wear that do not 
+  affect play, and "Acceptable" for heavy wear or missing inserts. The 
+  condition hierarchy is: Brand New > Like New > Very Good > Good > 
+  Acceptable. Describe scratches, cracks and missing inserts in 
+  condition_notes.
+
+  For compilations or soundtracks with many artists, use 
+  "Various Artists" as the Artist.
+
+  PACKAGE: Estimate the packed shipping weight in ounces and the 
+  mailer size in inches. A single CD in a jewel case packs at about 
+  6 oz, a multi-disc box set 16 oz or more, and an LP about 24 oz in a 
+  13 x 13 inch mailer.
+
+  CRITICAL: You MUST return the exact JSON format below. Do NOT omit the item_specifics object. This is required for proper data parsing.
+
+  Return your answer in this EXACT JSON format:
+
+  {
+    "title": "[Artist - Album Name (Format, Year) - keyword-rich, under 80 characters]",
+    "price": 9.99,
+    "condition": "${conditionChoices('CD_MUSIC')}",
+    ${CONDITION_NOTES_EXAMPLE},
+    "category": "Music > CDs",
+    "item_specifics": {
+      "Artist": "[Artist or band name - REQUIRED]",
+      "Release Title": "[Album name without the artist]",
+      "Record Label": "[Label from the spine, back or disc]",
+      "Format": "[CD | Box Set | SACD | HDCD]",
+      "Release Year": "[4-digit year if visible]",
+      "UPC": "[12 or 13 digit barcode number if visible]",
+      "Genre": "[Rock, Pop, Jazz, Classical, Country, Hip Hop, etc.]"
+    },
+    "description": "[3-5 sentence description with disc, case and insert condition details]",
+    "package_details": { "weight_oz": 6, "length_in": 7, "width_in": 6, "depth_in": 1 },
+    "shipping": "USPS Media Mail",
+    "return_policy": "30-day returns accepted",
+    "listing_duration": "GTC"
+  }
+
+  IMPORTANT: The item_specifics object with Artist, Record Label, Format, etc. is MANDATORY. Use an empty string for any value that is not visible - never guess a UPC.
+
+  Only return the JSON. No preamble or follow-up 
+  message.`,
+
+  DVD_MOVIE: (imageCount) => `You are an API that generates eBay listing 
+  metadata from images of movie and TV media. I am providing 
+  ${imageCount} photo(s) of the same DVD or Blu-ray from different 
+  angles (front cover, back cover, spine, disc, etc.).
+
+  Analyze ALL the provided photos together. Read the title, studio, 
+  MPAA rating, region code, run time and starring actors from the 
+  front cover, back cover and disc face. Read the UPC from the 
+  barcode digits printed on the back if they are visible.
+
+  Condition rules: use "Brand New" only for factory-sealed items, "Like 
+  New" for discs and cases with no visible wear, "Very Good" for only 
+  light wear, "Good" for visible scratches or case wear that do not 
+  affect play, and "Acceptable" for heavy wear or missing artwork. The 
+  condition hierarchy is: Brand New > Like New > Very Good > Good > 
+  Acceptable. Describe scratches, cracks and missing artwork in 
+  condition_notes.
+
+  PACKAGE: Estimate the packed shipping weight in ounces and the 
+  mailer size in inches. A single DVD or Blu-ray case packs at about 
+  8 oz; add about 4 oz per extra case in a set or box set.
+
+  CRITICAL: You MUST return the exact JSON format below. Do NOT omit the item_specifics object. This is required for proper data parsing.
+
+  Return your answer in this EXACT JSON format:
+
+  {
+    "title": "[Movie Title (Format, Year) Actor names - keyword-rich, under 80 characters]",
+    "price": 7.99,
+    "condition": "${conditionChoices('DVD_MOVIE')}",
+    ${CONDITION_NOTES_EXAMPLE},
+    "category": "Movies & TV > DVDs & Blu-ray Discs",
+    "item_specifics": {
+      "Movie/TV Title": "[Exact title from the cover - REQUIRED]",
+      "Format": "[DVD | Blu-ray | 4K UHD]",
+      "Studio": "[Studio or distributor from the back cover or spine]",
+      "Rating": "[G | PG | PG-13 | R | NC-17 | NR]",
+      "Region Code": "[Region number from the back cover, e.g. 1, 2, A, or 0 for region free]",
+      "Run Time": "[Run time in minutes, e.g. 118]",
+      "Actors": ["[Lead actor]", "[Second actor]"],
+      "Genre": "[Action, Comedy, Drama, Horror, Family, etc.]",
+      "Release Year": "[4-digit year if visible]",
+      "UPC": "[12 or 13 digit barcode number if visible]"
+    },
+    "description": "[3-5 sentence description with disc, case and artwork condition details]",
+    "package_details": { "weight_oz": 8, "length_in": 8, "width_in": 6, "depth_in": 1 },
+    "shipping": "USPS Media Mail",
+    "return_policy": "30-day returns accepted",
+    "listing_duration": "GTC"
+  }
+
+  IMPORTANT: The item_specifics object with Studio, Rating, Region Code, Run Time and Actors is MANDATORY. Use an empty string for any value that is not visible - never guess a UPC.
+
+  Only return the JSON. No preamble or follow-up 
+  message.`,
+
+  VHS_LISTING: (imageCount) => `You are an API that generates eBay listing 
+  metadata from images of VHS tapes. I am providing ${imageCount} 
+  photo(s) of the same VHS tape from different angles (front of the 
+  sleeve or clamshell, back, spine, tape label, etc.).
+
+  Analyze ALL the provided photos together. Read the title, studio, 
+  MPAA rating, run time and starring actors from the sleeve and tape 
+  label. VHS tapes sold in the US are NTSC; use PAL only if the 
+  packaging says so. Read the UPC from the barcode digits printed on 
+  the back if they are visible.
+
+  Condition rules: use "Brand New" only for factory-sealed tapes, "Like 
+  New" for tapes and sleeves with no visible wear, "Very Good" for clean 
+  tapes and sleeves with only light wear, "Good" for sleeve wear, sticker 
+  residue or rental markings, and "Acceptable" for torn sleeves or heavy 
+  wear. The condition hierarchy is: Brand New > Like New > Very Good > 
+  Good > Acceptable. Note sleeve damage and rental stickers in 
+  condition_notes. Mention whether the tape is an ex-rental, and note 
+  clamshell cases and sealed tapes in the description.
+
+  PACKAGE: Estimate the packed shipping weight in ounces and the 
+  box size in inches. A VHS tape in a cardboard sleeve packs at about 
+  10 oz and one in a clamshell case about 14 oz.
+
+  CRITICAL: You MUST return the exact JSON format below. Do NOT omit the item_specifics object. This is required for proper data parsing.
+
+  Return your answer in this EXACT JSON format:
+
+  {
+    "title": "[Movie Title (VHS, Year) Actor names - keyword-rich, under 80 characters]",
+    "price": 6.99,
+    "condition": "${conditionChoices('VHS_LISTING')}",
+    ${CONDITION_NOTES_EXAMPLE},
+    "category": "Movies & TV > VHS Tapes",
+    "item_specifics": {
+      "Movie/TV Title": "[Exact title from the sleeve - REQUIRED]",
+      "Format": "VHS",
+      "Studio": "[Studio or distributor from the sleeve or tape label]",
+      "Rating": "[G | PG | PG-13 | R | NC-17 | NR]",
+      "Region Code": "[NTSC | PAL | SECAM]",
+      "Run Time": "[Run time in minutes, e.g. 95]",
+      "Actors": ["[Lead actor]", "[Second actor]"],
+      "Genre": "[Action, Comedy, Drama, Horror, Family, etc.]",
+      "Release Year": "[4-digit year if visible]",
+      "UPC": "[12 or 13 digit barcode number if visible]"
+    },
+    "description": "[3-5 sentence description with tape, sleeve and label condition details]",
+    "package_details": { "weight_oz": 12, "length_in": 9, "width_in": 5, "depth_in": 2 },
+    "shipping": "USPS Media Mail",
+    "return_policy": "30-day returns accepted",
+    "listing_duration": "GTC"
+  }
+
+  IMPORTANT: The item_specifics object with Studio, Rating, Region Code, Run Time and Actors is MANDATORY. Use an empty string for any value that is not visible - never guess a UPC.
+
+  Only return the JSON. No preamble or follow-up 
+  message.`,
+  
   ELECTRONICS: `
     Analyze the provided photos of an electronic item and generate eBay listing data.
     
@@ -100,7 +350,51 @@ export const AI_PROMPTS = {
   `
 };
 
-export const CATEGORY_MAPPINGS = {
+// Allowed values listed per item aspect in the follow-up prompt - longer lists are cut short
+const MAX_PROMPT_ASPECT_VALUES = 40;
+
+/**
+ * Follow-up prompt asking the model for the item specifics eBay wants in the listing's category
+ * Sent after the listing JSON, with the same photos.
+ * @param {string} categoryPath - eBay category, e.g. "Home & Garden > Kitchen, Dining & Bar > Bakeware > Mixing Bowls"
+ * @param {Array} aspects - Aspects still to fill ({ name, required, selectionOnly, multiple, values })
+ * @returns {string} Prompt text
+ */
+const ITEM_ASPECTS_PROMPT = (categoryPath, aspects) => {
+  const aspectLines = aspects.map(aspect => {
+    const notes = [aspect.required ? 'required' : 'recommended'];
+    if (aspect.multiple) {
+      notes.push('a list of values is allowed');
+    }
+    const values = aspect.selectionOnly && aspect.values.length > 0
+      ? `\n    ${aspect.multiple ? 'Use values from' : 'Use exactly one of'}: ${aspect.values.slice(0, MAX_PROMPT_ASPECT_VALUES).join(' | ')}`
+      : '';
+    return `  - ${aspect.name} (${notes.join(', ')})${values}`;
+  }).join('\n');
+
+  return `This item is being listed in the eBay category "${categoryPath}".
+  eBay asks for these item specifics in that category:
+
+${aspectLines}
+
+  Fill in each one you can read or clearly see in the photos, or that your listing already states.
+  Leave out any you would have to guess - a wrong brand, size or year is worse than none.
+  Where allowed values are listed, copy one of them exactly.
+
+  Return only this JSON, with no preamble or follow-up message:
+  { "item_specifics": { "[Item specific name]": "[value]" } }`;
+};
+
+/**
+ * eBay item specifics each media listing type must return, in display order
+ */
+const MEDIA_ITEM_SPECIFICS = {
+  CD_MUSIC: ['Artist', 'Release Title', 'Record Label', 'Format', 'Release Year', 'UPC', 'Genre'],
+  DVD_MOVIE: ['Movie/TV Title', 'Format', 'Studio', 'Rating', 'Region Code', 'Run Time', 'Actors', 'Genre', 'Release Year', 'UPC'],
+  VHS_LISTING: ['Movie/TV Title', 'Format', 'Studio', 'Rating', 'Region Code', 'Run Time', 'Actors', 'Genre', 'Release Year', 'UPC']
+};
+
+const CATEGORY_MAPPINGS = {
   'Books': [
     'Books',
     'Textbooks, Education & Reference',
@@ -133,15 +427,7 @@ export const CATEGORY_MAPPINGS = {
   ]
 };
 
-export const CONDITION_MAPPINGS = {
-  'new': 'New',
-  'like_new': 'New other (see details)',
-  'very_good': 'Used',
-  'good': 'Used',
-  'acceptable': 'For parts or not working'
-};
-
-export const SHIPPING_OPTIONS = {
+const SHIPPING_OPTIONS = {
   'standard': {
     name: 'Standard Shipping',
     price: 0,
@@ -162,4 +448,12 @@ export const SHIPPING_OPTIONS = {
     price: 0,
     days: '3-7 business days'
   }
-};
\ No newline at end of file
+};
+
+module.exports = {
+  AI_PROMPTS,
+  ITEM_ASPECTS_PROMPT,
+  MEDIA_ITEM_SPECIFICS,
+  CATEGORY_MAPPINGS,
+  SHIPPING_OPTIONS
+};
@@ -0,0 +1,20 @@
+/**
+ * Seller location and handling time
+ */
+
+// Handling times (business days) eBay accepts for DispatchTimeMax
+const DISPATCH_TIME_OPTIONS = [0, 1, 2, 3, 4, 5, 10, 15, 20, 30];
+
+// Used until a seller saves their own - no postal code, so listings show only the country
+const DEFAULT_SELLER_SETTINGS = {
+  postalCode: '',
+  city: '',
+  stateOrProvince: '',
+  country: 'US',
+  dispatchTimeMax: 3
+};
+
+module.exports = {
+  DISPATCH_TIME_OPTIONS,
+  DEFAULT_SELLER_SETTINGS
+};
@@ -0,0 +1,144 @@
+import React, { createContext, useContext, useEffect, useReducer } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiService from '../services/api';
+
+const BUSINESS_POLICIES_CACHE_KEY = 'businessPoliciesCache';
+const DEFAULT_BUSINESS_POLICIES_KEY = 'defaultBusinessPolicies';
+
+const BusinessPolicyContext = createContext();
+
+const initialState = {
+  policies: { payment: [], fulfillment: [], return: [] },
+  // Policy IDs chosen in Settings for each listing type ({ BOOK_ITEM: { fulfillmentPolicyId: '...' } })
+  defaultPolicies: {},
+  fetchedAt: null,
+  isLoading: false,
+};
+
+function businessPolicyReducer(state, action) {
+  switch (action.type) {
+    case 'SET_LOADING':
+      return {
+        ...state,
+        isLoading: action.payload,
+      };
+    case 'SET_POLICIES':
+      return {
+        ...state,
+        policies: action.payload.policies,
+        fetchedAt: action.payload.fetchedAt,
+        isLoading: false,
+      };
+    case 'SET_DEFAULT_POLICIES':
+      return {
+        ...state,
+        defaultPolicies: action.payload,
+      };
+    default:
+      return state;
+  }
+}
+
+/**
+ * BusinessPolicyProvider component that manages the seller's eBay business policies
+ * and the ones chosen for each listing type
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function BusinessPolicyProvider({ children }) {
+  const [state, dispatch] = useReducer(businessPolicyReducer, initialState);
+
+  useEffect(() => {
+    const loadSaved = async () => {
+      try {
+        const [savedDefaults, savedCache] = await Promise.all([
+          AsyncStorage.getItem(DEFAULT_BUSINESS_POLICIES_KEY),
+          AsyncStorage.getItem(BUSINESS_POLICIES_CACHE_KEY),
+        ]);
+        if (savedDefaults) {
+          dispatch({ type: 'SET_DEFAULT_POLICIES', payload: JSON.parse(savedDefaults) });
+        }
+        if (savedCache) {
+          dispatch({ type: 'SET_POLICIES', payload: JSON.parse(savedCache) });
+        }
+      } catch (error) {
+        console.error('❌ Error loading business policies:', error);
+      }
+    };
+    loadSaved();
+  }, []);
+
+  /**
+   * Load the seller's policies from the server (which caches eBay's Account API).
+   * A failed request keeps the cached policies and only throws if there are none.
+   * @param {Object} options - { refresh } to have the server re-read them from eBay
+   */
+  const fetchBusinessPolicies = async ({ refresh = false } = {}) => {
+    dispatch({ type: 'SET_LOADING', payload: true });
+    try {
+      const { policies, fetchedAt } = await apiService.getBusinessPolicies({ refresh });
+      dispatch({ type: 'SET_POLICIES', payload: { policies, fetchedAt } });
+      await AsyncStorage.setItem(BUSINESS_POLICIES_CACHE_KEY, JSON.stringify({ policies, fetchedAt }));
+    } catch (error) {
+      console.error('❌ Error getting business policies:', error);
+      dispatch({ type: 'SET_LOADING', payload: false });
+      if (!state.fetchedAt) {
+        throw error;
+      }
+    }
+  };
+
+  const setDefaultPolicies = async (listingType, policyIds) => {
+    const updated = { ...state.defaultPolicies, [listingType]: policyIds };
+    dispatch({ type: 'SET_DEFAULT_POLICIES', payload: updated });
+    try {
+      await AsyncStorage.setItem(DEFAULT_BUSINESS_POLICIES_KEY, JSON.stringify(updated));
+    } catch (error) {
+      console.error('❌ Error saving default business policies:', error);
+    }
+  };
+
+  /**
+   * Policy IDs to start a new listing of this type with - leaves out any that are
+   * no longer on the seller's account
+   * @param {string} listingType - Listing type (e.g. BOOK_ITEM)
+   * @returns {Object} { paymentPolicyId, fulfillmentPolicyId, returnPolicyId } (only the ones chosen)
+   */
+  const getDefaultPolicies = (listingType) => {
+    const chosen = state.defaultPolicies[listingType] || {};
+    const available = {
+      paymentPolicyId: state.policies.payment,
+      fulfillmentPolicyId: state.policies.fulfillment,
+      returnPolicyId: state.policies.return,
+    };
+
+    return Object.fromEntries(
+      Object.entries(chosen).filter(([key, id]) => id && available[key]?.some(policy => policy.id === id))
+    );
+  };
+
+  const value = {
+    ...state,
+    fetchBusinessPolicies,
+    setDefaultPolicies,
+    getDefaultPolicies,
+  };
+
+  return (
+    <BusinessPolicyContext.Provider value={value}>
+      {children}
+    </BusinessPolicyContext.Provider>
+  );
+}
+
+/**
+ * Custom hook to use business policy context
+ * @returns {Object} Business policy context value
+ */
+export function useBusinessPolicies() {
+  const context = useContext(BusinessPolicyContext);
+  if (!context) {
+    throw new Error('useBusinessPolicies must be used within a BusinessPolicyProvider');
+  }
+  return context;
+}
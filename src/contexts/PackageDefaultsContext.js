@@ -0,0 +1,76 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getDefaultPackageDetails, normalizePackageDetails } from '../constants/packageDetails';
+
+const DEFAULT_PACKAGE_DETAILS_KEY = 'defaultPackageDetails';
+
+const PackageDefaultsContext = createContext();
+
+/**
+ * PackageDefaultsProvider component that keeps the package weight and size set in
+ * Settings for each listing type
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function PackageDefaultsProvider({ children }) {
+  // { BOOK_ITEM: { weight_oz, length_in, width_in, depth_in } } - only the types changed in Settings
+  const [defaultPackageDetails, setDefaultPackageDetailsState] = useState({});
+
+  useEffect(() => {
+    AsyncStorage.getItem(DEFAULT_PACKAGE_DETAILS_KEY)
+      .then(saved => saved && setDefaultPackageDetailsState(JSON.parse(saved)))
+      .catch(error => console.error('❌ Error loading package defaults:', error));
+  }, []);
+
+  const setDefaultPackageDetails = async (listingType, details) => {
+    const updated = { ...defaultPackageDetails, [listingType]: details };
+    setDefaultPackageDetailsState(updated);
+    try {
+      await AsyncStorage.setItem(DEFAULT_PACKAGE_DETAILS_KEY, JSON.stringify(updated));
+    } catch (error) {
+      console.error('❌ Error saving package defaults:', error);
+    }
+  };
+
+  /**
+   * Package details for a listing type from Settings, falling back to the built-in ones
+   * @param {string} listingType - Listing type (e.g. BOOK_ITEM)
+   * @returns {Object} { weight_oz, length_in, width_in, depth_in }
+   */
+  const getTypePackageDetails = (listingType) =>
+    normalizePackageDetails(defaultPackageDetails[listingType], getDefaultPackageDetails(listingType));
+
+  /**
+   * Package details for a new listing - the model's estimate, with gaps filled from Settings
+   * @param {string} listingType - Listing type (e.g. BOOK_ITEM)
+   * @param {Object} estimated - package_details from the generated listing, if any
+   * @returns {Object} { weight_oz, length_in, width_in, depth_in }
+   */
+  const getPackageDetails = (listingType, estimated) =>
+    normalizePackageDetails(estimated, getTypePackageDetails(listingType));
+
+  const value = {
+    defaultPackageDetails,
+    setDefaultPackageDetails,
+    getTypePackageDetails,
+    getPackageDetails,
+  };
+
+  return (
+    <PackageDefaultsContext.Provider value={value}>
+      {children}
+    </PackageDefaultsContext.Provider>
+  );
+}
+
+/**
+ * Custom hook to use package defaults context
+ * @returns {Object} Package defaults context value
+ */
+export function usePackageDefaults() {
+  const context = useContext(PackageDefaultsContext);
+  if (!context) {
+    throw new Error('usePackageDefaults must be used within a PackageDefaultsProvider');
+  }
+  return context;
+}
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useReducer } from 'react';
+import { validatePhoto } from '../utils/photoUtils';
 
 const PhotoContext = createContext();
 
@@ -62,7 +63,11 @@ export function PhotoProvider({ children }) {
 
   const value = {
     ...state,
-    addPhotos: (photos) => dispatch({ type: 'ADD_PHOTOS', payload: photos }),
+    // Every photo is checked against eBay's requirements as it's added; the result is shown on its thumbnail
+    addPhotos: (photos) => dispatch({
+      type: 'ADD_PHOTOS',
+      payload: photos.map(photo => ({ ...photo, validation: validatePhoto(photo) })),
+    }),
     removePhoto: (index) => dispatch({ type: 'REMOVE_PHOTO', payload: index }),
     reorderPhotos: (photos) => dispatch({ type: 'REORDER_PHOTOS', payload: photos }),
     setPhotosPerListing: (count) => dispatch({ type: 'SET_PHOTOS_PER_LISTING', payload: count }),
@@ -1,4 +1,9 @@
 import React, { createContext, useContext, useReducer } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import apiService from '../services/api';
+
+const SOLD_LISTINGS_CACHE_KEY = 'soldListingsCache';
+const SOLD_LISTINGS_MAX_AGE_MS = 60 * 60 * 1000; // Sync with eBay at most hourly unless refreshed
 
 const TemplateContext = createContext();
 
@@ -63,6 +68,74 @@ function templateReducer(state, action) {
 export function TemplateProvider({ children }) {
   const [state, dispatch] = useReducer(templateReducer, initialState);
 
+  // Server-backed actions - these update state once the server has saved the change
+  const fetchTemplates = async () => {
+    dispatch({ type: 'SET_LOADING', payload: true });
+    try {
+      const { templates } = await apiService.getTemplates();
+      dispatch({ type: 'SET_SAVED_TEMPLATES', payload: templates });
+    } catch (error) {
+      dispatch({ type: 'SET_LOADING', payload: false });
+      throw error;
+    }
+  };
+
+  /**
+   * Load sold items - shows the cached list straight away, then syncs with eBay
+   * when the cache is over an hour old (or on refresh). A failed sync keeps the
+   * cached list and only throws if there is nothing cached to show.
+   * @param {Object} options - { refresh } to sync with eBay regardless of the cache's age
+   */
+  const fetchSoldListings = async ({ refresh = false } = {}) => {
+    dispatch({ type: 'SET_LOADING', payload: true });
+
+    let cache = null;
+    try {
+      const saved = await AsyncStorage.getItem(SOLD_LISTINGS_CACHE_KEY);
+      cache = saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.error('❌ Error reading sold listings cache:', error);
+    }
+
+    if (cache) {
+      dispatch({ type: 'SET_SOLD_LISTINGS', payload: cache.soldListings });
+      const isFresh = Date.now() - new Date(cache.cachedAt).getTime() < SOLD_LISTINGS_MAX_AGE_MS;
+      if (isFresh && !refresh) {
+        return;
+      }
+      dispatch({ type: 'SET_LOADING', payload: true });
+    }
+
+    try {
+      const { soldListings, syncedAt } = await apiService.syncSoldListings();
+      dispatch({ type: 'SET_SOLD_LISTINGS', payload: soldListings });
+      await AsyncStorage.setItem(SOLD_LISTINGS_CACHE_KEY, JSON.stringify({ soldListings, cachedAt: syncedAt }));
+    } catch (error) {
+      console.error('❌ Error syncing sold listings:', error);
+      dispatch({ type: 'SET_LOADING', payload: false });
+      if (!cache) {
+        throw error;
+      }
+    }
+  };
+
+  const createTemplate = async (templateData) => {
+    const { template } = await apiService.saveTemplate(templateData);
+    dispatch({ type: 'ADD_TEMPLATE', payload: template });
+    return template;
+  };
+
+  const saveTemplate = async (id, templateData) => {
+    const { template } = await apiService.updateTemplate(id, templateData);
+    dispatch({ type: 'UPDATE_TEMPLATE', payload: { id, data: template } });
+    return template;
+  };
+
+  const removeTemplate = async (id) => {
+    await apiService.deleteTemplate(id);
+    dispatch({ type: 'DELETE_TEMPLATE', payload: id });
+  };
+
   const value = {
     ...state,
     setLoading: (isLoading) => dispatch({ type: 'SET_LOADING', payload: isLoading }),
@@ -72,6 +145,11 @@ export function TemplateProvider({ children }) {
     deleteTemplate: (id) => dispatch({ type: 'DELETE_TEMPLATE', payload: id }),
     setSoldListings: (listings) => dispatch({ type: 'SET_SOLD_LISTINGS', payload: listings }),
     setCurrentTemplate: (template) => dispatch({ type: 'SET_CURRENT_TEMPLATE', payload: template }),
+    fetchTemplates,
+    fetchSoldListings,
+    createTemplate,
+    saveTemplate,
+    removeTemplate,
   };
 
   return (
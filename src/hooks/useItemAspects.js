@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import apiService from '../services/api';
+
+/**
+ * Item specifics eBay requires or recommends in a listing's category
+ * Starts with the aspects returned by analyze, and only asks the server again when
+ * a different category is picked on the card.
+ * @param {string} categoryId - eBay CategoryID the card will post to
+ * @param {Object} initialItemAspects - { categoryId, aspects } from the analyze response
+ * @returns {Object} { aspects, isLoading, error }
+ */
+export const useItemAspects = (categoryId, initialItemAspects) => {
+  const [loaded, setLoaded] = useState(() => (
+    initialItemAspects?.categoryId && initialItemAspects.categoryId === categoryId
+      ? { categoryId, aspects: initialItemAspects.aspects || [], error: null }
+      : { categoryId: null, aspects: [], error: null }
+  ));
+
+  useEffect(() => {
+    if (!categoryId || loaded.categoryId === categoryId) return undefined;
+
+    let cancelled = false;
+    const loadAspects = async () => {
+      try {
+        const result = await apiService.getItemAspects(categoryId);
+        if (!cancelled) setLoaded({ categoryId, aspects: result.aspects || [], error: null });
+      } catch (error) {
+        if (!cancelled) setLoaded({ categoryId, aspects: [], error: error.message });
+      }
+    };
+
+    loadAspects();
+    return () => {
+      cancelled = true;
+    };
+  }, [categoryId]);
+
+  const isCurrent = loaded.categoryId === categoryId;
+  return {
+    aspects: isCurrent ? loaded.aspects : [],
+    isLoading: !!categoryId && !isCurrent,
+    error: isCurrent ? loaded.error : null
+  };
+};
@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { View, ScrollView, TouchableOpacity, Text, StyleSheet, SafeAreaView } from 'react-native';
+import { View, ScrollView, TouchableOpacity, Text, StyleSheet, SafeAreaView, Alert } from 'react-native';
 import { usePhotos } from '../contexts/PhotoContext';
+import { useTemplates } from '../contexts/TemplateContext';
 import PhotoUploader from '../components/PhotoUploader';
 import CameraCapture from '../components/CameraCapture';
 import BatchControls from '../components/BatchControls';
@@ -9,20 +10,86 @@ import PhotoGroupPreview from '../components/PhotoGroupPreview';
 import ListingTypeSelector from '../components/ListingTypeSelector';
 import CreateListingButton from '../components/CreateListingButton';
 import Results from '../components/Results';
+import QueueStatus from '../components/QueueStatus';
 import { colors, spacing, borderRadius, shadows } from '../constants/colors';
 import { getRandomProcessingMessage } from '../constants/loadingMessages';
+import { applyTemplate } from '../utils/templateEngine';
+import {
+  getQueuedRequests,
+  processQueue,
+  removeQueuedRequest,
+  startQueueProcessing,
+  subscribeToQueue
+} from '../services/requestQueue';
 
 export default function PhotoUploadScreen({ navigation }) {
   const { uploadedPhotos, photosPerListing, clearPhotos } = usePhotos();
   const [selectedListingType, setSelectedListingType] = useState(null);
   const [generatedListings, setGeneratedListings] = useState([]);
   const [processingListings, setProcessingListings] = useState([]);
+  const [defaultTemplates, setDefaultTemplates] = useState({});
+  const [queuedJobs, setQueuedJobs] = useState([]);
+  const { savedTemplates, fetchTemplates } = useTemplates();
+  // Queue events arrive outside render, so they call the latest handleCreateListing through a ref
+  const handleCreateListingRef = useRef(null);
 
-  // Load saved listing type from AsyncStorage on component mount
+  // Load saved listing type and default templates on component mount
   useEffect(() => {
     loadSelectedListingType();
+    loadDefaultTemplates();
+    fetchTemplates().catch(error => console.log('Error loading templates:', error));
   }, []);
 
+  // Retry queued analyze/post requests while this screen is open
+  useEffect(() => {
+    getQueuedRequests().then(setQueuedJobs);
+
+    const unsubscribe = subscribeToQueue((event) => {
+      if (event.type === 'changed') {
+        setQueuedJobs(event.jobs);
+      } else if (event.job.type === 'analyze') {
+        handleQueuedAnalysis(event);
+      }
+    });
+    const stopQueue = startQueueProcessing();
+
+    return () => {
+      unsubscribe();
+      stopQueue();
+    };
+  }, []);
+
+  // A queued analyze request went through - add its listing like any other
+  const handleQueuedAnalysis = (event) => {
+    const { photos, listingType } = event.job.payload;
+
+    if (event.type === 'failed') {
+      Alert.alert('Queued Listing Failed', `Couldn't create a listing from ${photos.length} queued photo(s): ${event.error}`);
+      return;
+    }
+
+    const result = event.result;
+    handleCreateListingRef.current({
+      photos,
+      hostedPhotos: result.hostedPhotos || [],
+      categorySuggestions: result.categorySuggestions || [],
+      itemAspects: result.itemAspects || null,
+      listingType,
+      promptVersion: result.promptVersion,
+      historyId: result.historyId,
+      photoCount: photos.length,
+      rawResponse: result,
+      parsedListing: result.parsedListing // Parsed by the queue before the job was removed
+    });
+  };
+
+  const handleRetryQueueNow = async () => {
+    const { connected } = await processQueue({ force: true });
+    if (connected === false) {
+      Alert.alert('Still Offline', "Couldn't reach the server. Queued requests will keep retrying.");
+    }
+  };
+
   const loadSelectedListingType = async () => {
     try {
       const savedListingType = await AsyncStorage.getItem('selectedListingType');
@@ -42,6 +109,39 @@ export default function PhotoUploadScreen({ navigation }) {
     }
   };
 
+  const loadDefaultTemplates = async () => {
+    try {
+      const saved = await AsyncStorage.getItem('defaultTemplates');
+      if (saved) {
+        setDefaultTemplates(JSON.parse(saved));
+      }
+    } catch (error) {
+      console.log('Error loading default templates:', error);
+    }
+  };
+
+  const handleDefaultTemplateChange = async (listingType, templateId) => {
+    const updated = { ...defaultTemplates, [listingType]: templateId };
+    setDefaultTemplates(updated);
+    try {
+      await AsyncStorage.setItem('defaultTemplates', JSON.stringify(updated));
+    } catch (error) {
+      console.log('Error saving default templates:', error);
+    }
+  };
+
+  // Apply the listing type's house style template, if one is chosen
+  const applyDefaultTemplate = (listingType, parsedListing) => {
+    const template = savedTemplates.find(saved => saved.id === defaultTemplates[listingType]);
+    if (!template || !parsedListing) {
+      return parsedListing;
+    }
+
+    const { listing, missingPlaceholders } = applyTemplate(parsedListing, template);
+    console.log(`📝 Applied template "${template.name}"`, missingPlaceholders.length ? `(unfilled: ${missingPlaceholders.join(', ')})` : '');
+    return listing;
+  };
+
   const handleStartProcessing = () => {
     // Create a processing placeholder when user clicks Generate
     const processingId = Date.now() + Math.random();
@@ -64,6 +164,12 @@ export default function PhotoUploadScreen({ navigation }) {
       setProcessingListings(prev => prev.filter(item => item.id !== processingId));
     }
 
+    // Saved to the offline queue - QueueStatus shows it until it goes through
+    if (listingData.queued) {
+      console.log('📥 Listing request queued until the server can be reached:', listingData.queuedJobId);
+      return;
+    }
+
     // Handle errors
     if (listingData.error) {
       console.error('❌ Error creating listing:', listingData.error);
@@ -79,8 +185,12 @@ export default function PhotoUploadScreen({ navigation }) {
       timestamp: new Date().toISOString(),
       photos: listingData.photos,
       hostedPhotos: listingData.hostedPhotos || [], // GameSighter URLs ready for eBay
+      categorySuggestions: listingData.categorySuggestions || [], // eBay categories to pick from on the card
+      itemAspects: listingData.itemAspects || null, // Item specifics eBay asks for in the top category
       listingType: listingData.listingType,
-      parsedListing: listingData.parsedListing,
+      historyId: listingData.historyId, // Links posts back to the server's listing history
+      parsedListing: applyDefaultTemplate(listingData.listingType, listingData.parsedListing),
+      generatedListing: listingData.parsedListing, // Before any template, so cards can switch templates
       rawResponse: listingData.rawResponse,
       status: 'ready' // ready, editing, posted
     };
@@ -93,6 +203,8 @@ export default function PhotoUploadScreen({ navigation }) {
     console.log('📋 Added new listing to results. Form was already cleared for next listing.');
   };
 
+  handleCreateListingRef.current = handleCreateListing;
+
   const handleListingTypeChange = (listingType) => {
     setSelectedListingType(listingType);
     saveSelectedListingType(listingType);
@@ -115,6 +227,12 @@ export default function PhotoUploadScreen({ navigation }) {
           <BatchControls />
         </View>
 
+        <QueueStatus
+          jobs={queuedJobs}
+          onRetryNow={handleRetryQueueNow}
+          onDiscard={removeQueuedRequest}
+        />
+
         <CameraCapture 
           selectedListingType={selectedListingType}
           onCreateListing={handleCreateListing}
@@ -127,6 +245,9 @@ export default function PhotoUploadScreen({ navigation }) {
         <ListingTypeSelector 
           onSelectionChange={handleListingTypeChange}
           initialValue={selectedListingType}
+          templates={savedTemplates}
+          defaultTemplates={defaultTemplates}
+          onDefaultTemplateChange={handleDefaultTemplateChange}
         />
         
         {uploadedPhotos.length > 0 && (
@@ -1,14 +1,36 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   View, 
   ScrollView, 
   Text, 
+  TextInput,
   TouchableOpacity, 
   StyleSheet, 
   SafeAreaView,
   Switch,
-  Alert 
+  Alert,
+  Linking,
+  AppState
 } from 'react-native';
+import { getServerUrl, setServerUrl, normalizeServerUrl, checkServer, discoverServer, getApiToken, setApiToken } from '../services/apiClient';
+import api from '../services/api';
+import { getHighQualityImages, setHighQualityImages } from '../services/photoSettings';
+import { PHOTO_SIZE_PRESETS } from '../utils/photoUtils';
+import { useBusinessPolicies } from '../contexts/BusinessPolicyContext';
+import BusinessPolicyPicker from '../components/BusinessPolicyPicker';
+import { usePackageDefaults } from '../contexts/PackageDefaultsContext';
+import PackageDetailsFields from '../components/PackageDetailsFields';
+import { DISPATCH_TIME_OPTIONS, DEFAULT_SELLER_SETTINGS } from '../constants/sellerSettings';
+
+// Listing types that can have their own business policies and package size
+const LISTING_TYPES = [
+  { id: 'BOOK_ITEM', label: '📚 Books' },
+  { id: 'BOOK_LOTS', label: '📚 Book Lots' },
+  { id: 'CD_MUSIC', label: '🎵 CDs' },
+  { id: 'DVD_MOVIE', label: '🎬 DVDs' },
+  { id: 'VHS_LISTING', label: '📼 VHS' },
+  { id: 'GENERAL_LISTING', label: '📦 General' },
+];
 
 export default function SettingsScreen() {
   const [settings, setSettings] = useState({
@@ -18,16 +40,183 @@ export default function SettingsScreen() {
     autoPost: false,
     saveTemplates: true,
   });
+  const [serverUrl, setServerUrlInput] = useState('');
+  const [serverStatus, setServerStatus] = useState(null);
+  const [isCheckingServer, setIsCheckingServer] = useState(false);
+  const [discoveryProgress, setDiscoveryProgress] = useState(null);
+  const [apiToken, setApiTokenInput] = useState('');
+  const [account, setAccount] = useState(null);
+  const [accountError, setAccountError] = useState(null);
+  const [isConnectingEbay, setIsConnectingEbay] = useState(false);
+  const [policyListingType, setPolicyListingType] = useState('BOOK_ITEM');
+  const [policyError, setPolicyError] = useState(null);
+  const { policies, defaultPolicies, fetchedAt, isLoading: isLoadingPolicies, fetchBusinessPolicies, setDefaultPolicies } = useBusinessPolicies();
+  const isEbayConnected = !!(account?.ebay?.connected && !account.ebay.expired);
+  const [packageListingType, setPackageListingType] = useState('BOOK_ITEM');
+  const { defaultPackageDetails, setDefaultPackageDetails, getTypePackageDetails } = usePackageDefaults();
+  const [sellerForm, setSellerForm] = useState(DEFAULT_SELLER_SETTINGS);
+  const [sellerStatus, setSellerStatus] = useState(null);
+  const [isSavingSeller, setIsSavingSeller] = useState(false);
+
+  useEffect(() => {
+    getServerUrl().then(setServerUrlInput);
+    getApiToken().then(setApiTokenInput);
+    getHighQualityImages().then(value => handleSettingChange('highQualityImages', value));
+    loadAccount();
+  }, []);
+
+  // The eBay consent page finishes in the browser - pick up the new connection when the user comes back
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        loadAccount();
+        setIsConnectingEbay(false);
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Business policies come from the connected eBay account
+  useEffect(() => {
+    if (isEbayConnected) {
+      loadBusinessPolicies();
+    }
+  }, [isEbayConnected, account?.ebay?.ebayUsername]);
+
+  const loadBusinessPolicies = async ({ refresh = false } = {}) => {
+    try {
+      await fetchBusinessPolicies({ refresh });
+      setPolicyError(null);
+    } catch (error) {
+      setPolicyError(error.message);
+    }
+  };
+
+  // Who the API token signs in as, and whether they've connected eBay
+  const loadAccount = async () => {
+    try {
+      const result = await api.getCurrentUser();
+      setAccount(result);
+      if (result.seller) {
+        setSellerForm(result.seller);
+      }
+      setAccountError(null);
+    } catch (error) {
+      setAccount(null);
+      setAccountError(error.message);
+    }
+  };
+
+  const handleSaveSellerSettings = async () => {
+    setIsSavingSeller(true);
+    try {
+      const { postalCode, city, stateOrProvince, country, dispatchTimeMax } = sellerForm;
+      const result = await api.saveSellerSettings({ postalCode, city, stateOrProvince, country, dispatchTimeMax });
+      setSellerForm(result.seller);
+      setAccount(current => current && { ...current, seller: result.seller });
+      setSellerStatus('✅ Saved - new listings ship from here');
+    } catch (error) {
+      setSellerStatus(`❌ ${error.message}`);
+    } finally {
+      setIsSavingSeller(false);
+    }
+  };
+
+  const renderSellerField = (key, label, options = {}) => (
+    <>
+      <Text style={[styles.settingSubtitle, styles.fieldLabel]}>{label}</Text>
+      <TextInput
+        style={styles.serverInput}
+        value={sellerForm[key]}
+        onChangeText={(text) => setSellerForm(current => ({ ...current, [key]: text }))}
+        autoCorrect={false}
+        editable={!isSavingSeller}
+        {...options}
+      />
+    </>
+  );
+
+  // Only save a URL that answers as a lister server, unless the user insists
+  const handleSaveServerUrl = async () => {
+    const url = normalizeServerUrl(serverUrl);
+    setIsCheckingServer(true);
+    const result = await checkServer(url);
+    setIsCheckingServer(false);
+
+    const save = async () => {
+      setServerUrlInput(await setServerUrl(url));
+      await setApiToken(apiToken);
+      setServerStatus(result.success ? `✅ Connected to ${url}` : `⚠️ Saved, but ${url} isn't answering`);
+      await loadAccount();
+    };
+
+    if (result.success) {
+      await save();
+    } else {
+      Alert.alert(
+        'Server Not Reachable',
+        `${url} didn't respond as the lister server (${result.error}). Save it anyway?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Save Anyway', onPress: save }
+        ]
+      );
+    }
+  };
+
+  const handleDiscoverServer = async () => {
+    setIsCheckingServer(true);
+    setServerStatus(null);
+    setDiscoveryProgress({ scanned: 0, total: 0 });
+
+    const result = await discoverServer({ onProgress: setDiscoveryProgress });
+
+    setIsCheckingServer(false);
+    setDiscoveryProgress(null);
+    if (result.success) {
+      setServerUrlInput(await setServerUrl(result.url));
+      setServerStatus(`✅ Found and saved ${result.url}`);
+      await loadAccount();
+    } else {
+      setServerStatus(`❌ ${result.error}`);
+    }
+  };
 
   const handleSettingChange = (key, value) => {
     setSettings(prev => ({ ...prev, [key]: value }));
   };
 
-  const handleConnectEbay = () => {
+  // Open eBay's consent page; the server finishes the connection when eBay redirects back to it
+  const handleConnectEbay = async () => {
+    setIsConnectingEbay(true);
+    try {
+      const { url } = await api.startEbayOAuth();
+      await Linking.openURL(url);
+    } catch (error) {
+      setIsConnectingEbay(false);
+      Alert.alert('Connection Failed', error.message);
+    }
+  };
+
+  const handleDisconnectEbay = () => {
     Alert.alert(
-      'Connect eBay Account',
-      'eBay authentication will be handled by your backend API.',
-      [{ text: 'OK' }]
+      'Disconnect eBay',
+      'Listings can\'t be posted until an eBay account is connected again.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Disconnect',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const result = await api.deleteEbayCredentials();
+              setAccount(prev => ({ ...prev, ebay: result.ebay }));
+            } catch (error) {
+              Alert.alert('Error', error.message);
+            }
+          }
+        }
+      ]
     );
   };
 
@@ -48,6 +237,20 @@ export default function SettingsScreen() {
     );
   };
 
+  const renderListingTypeChips = (selectedType, onSelect) => (
+    <View style={styles.listingTypeRow}>
+      {LISTING_TYPES.map(({ id, label }) => (
+        <TouchableOpacity
+          key={id}
+          style={[styles.listingTypeChip, id === selectedType && styles.listingTypeChipSelected]}
+          onPress={() => onSelect(id)}
+        >
+          <Text style={[styles.listingTypeText, id === selectedType && styles.listingTypeTextSelected]}>{label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
   const SettingRow = ({ title, subtitle, value, onValueChange, type = 'switch' }) => (
     <View style={styles.settingRow}>
       <View style={styles.settingText}>
@@ -74,11 +277,178 @@ export default function SettingsScreen() {
       <ScrollView style={styles.scrollContainer}>
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>eBay Integration</Text>
-          
-          <TouchableOpacity style={styles.connectButton} onPress={handleConnectEbay}>
-            <Text style={styles.connectButtonText}>Connect eBay Account</Text>
-            <Text style={styles.connectSubtext}>Required to post listings</Text>
-          </TouchableOpacity>
+
+          {!account ? (
+            <Text style={styles.settingSubtitle}>
+              Sign in under Server first{accountError ? ` (${accountError})` : ''}
+            </Text>
+          ) : account.ebay?.connected && !account.ebay.expired ? (
+            <View style={styles.settingRow}>
+              <View style={styles.settingText}>
+                <Text style={styles.settingTitle}>✅ {account.ebay.ebayUsername || 'eBay account'} connected</Text>
+                {account.ebay.authType === 'oauth' ? (
+                  <>
+                    <Text style={styles.settingSubtitle}>
+                      Access token expires {new Date(account.ebay.accessTokenExpiresAt).toLocaleString()} (renews automatically)
+                    </Text>
+                    <Text style={styles.settingSubtitle}>
+                      Reconnect by {new Date(account.ebay.refreshTokenExpiresAt).toLocaleDateString()}
+                    </Text>
+                  </>
+                ) : (
+                  <Text style={styles.settingSubtitle}>eBay User Token, updated {new Date(account.ebay.updatedAt).toLocaleDateString()}</Text>
+                )}
+              </View>
+              <TouchableOpacity onPress={handleDisconnectEbay}>
+                <Text style={styles.settingAction}>Disconnect</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <>
+              {account.ebay?.expired && (
+                <Text style={[styles.settingSubtitle, styles.ebayExpired]}>
+                  ⚠️ eBay access for {account.ebay.ebayUsername || 'your account'} has expired
+                </Text>
+              )}
+              <TouchableOpacity style={styles.connectButton} onPress={handleConnectEbay} disabled={isConnectingEbay}>
+                <Text style={styles.connectButtonText}>{isConnectingEbay ? 'Waiting for eBay...' : 'Connect eBay Account'}</Text>
+                <Text style={styles.connectSubtext}>Sign in on eBay - required to post listings</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+
+        {isEbayConnected && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Business Policies</Text>
+
+            <Text style={styles.settingSubtitle}>
+              Payment, shipping and return policies new listings start with. Each listing card can use different ones.
+            </Text>
+            {renderListingTypeChips(policyListingType, setPolicyListingType)}
+
+            <BusinessPolicyPicker
+              label={`${LISTING_TYPES.find(type => type.id === policyListingType).label} listings`}
+              policies={policies}
+              selectedPolicies={defaultPolicies[policyListingType] || {}}
+              onChange={(policyIds) => setDefaultPolicies(policyListingType, policyIds)}
+            />
+            {policyError && <Text style={[styles.serverStatus, styles.ebayExpired]}>❌ {policyError}</Text>}
+
+            <View style={styles.serverButtons}>
+              <TouchableOpacity style={styles.serverButton} onPress={() => loadBusinessPolicies({ refresh: true })} disabled={isLoadingPolicies}>
+                <Text style={styles.serverButtonText}>{isLoadingPolicies ? 'Loading...' : 'Refresh from eBay'}</Text>
+              </TouchableOpacity>
+            </View>
+            {fetchedAt && (
+              <Text style={styles.serverStatus}>Updated {new Date(fetchedAt).toLocaleString()}</Text>
+            )}
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Server</Text>
+
+          <Text style={styles.settingSubtitle}>Lister server address (the computer running npm run server)</Text>
+          <TextInput
+            style={styles.serverInput}
+            value={serverUrl}
+            onChangeText={setServerUrlInput}
+            placeholder="http://192.168.1.20:3000"
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            editable={!isCheckingServer}
+          />
+
+          <Text style={[styles.settingSubtitle, styles.fieldLabel]}>Your API token (from the server admin)</Text>
+          <TextInput
+            style={styles.serverInput}
+            value={apiToken}
+            onChangeText={setApiTokenInput}
+            placeholder="API token"
+            autoCapitalize="none"
+            autoCorrect={false}
+            secureTextEntry
+            editable={!isCheckingServer}
+          />
+
+          <View style={styles.serverButtons}>
+            <TouchableOpacity style={styles.serverButton} onPress={handleSaveServerUrl} disabled={isCheckingServer}>
+              <Text style={styles.serverButtonText}>Test & Save</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.serverButton} onPress={handleDiscoverServer} disabled={isCheckingServer}>
+              <Text style={styles.serverButtonText}>Find on Network</Text>
+            </TouchableOpacity>
+          </View>
+
+          {discoveryProgress && (
+            <Text style={styles.serverStatus}>
+              🔍 Scanning{discoveryProgress.subnet ? ` ${discoveryProgress.subnet}.x` : ''}... {discoveryProgress.scanned}/{discoveryProgress.total || '?'}
+            </Text>
+          )}
+          {!discoveryProgress && isCheckingServer && <Text style={styles.serverStatus}>🔍 Checking server...</Text>}
+          {!isCheckingServer && serverStatus && <Text style={styles.serverStatus}>{serverStatus}</Text>}
+          {account?.user && (
+            <Text style={styles.serverStatus}>
+              👤 Signed in as {account.user.name}{account.user.isAdmin ? ' (admin)' : ''}
+            </Text>
+          )}
+        </View>
+
+        {account && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Ship From</Text>
+
+            <Text style={styles.settingSubtitle}>
+              Item location and handling time sent with every listing. eBay quotes calculated shipping from the postal code.
+            </Text>
+            {!account.seller?.postalCode && (
+              <Text style={[styles.serverStatus, styles.ebayExpired]}>⚠️ No postal code saved - listings only show the country</Text>
+            )}
+
+            {renderSellerField('postalCode', 'Postal code', { placeholder: '97201', autoCapitalize: 'characters' })}
+            {renderSellerField('city', 'City', { placeholder: 'Portland' })}
+            {renderSellerField('stateOrProvince', 'State or province', { placeholder: 'OR', autoCapitalize: 'characters' })}
+            {renderSellerField('country', 'Country code', { placeholder: 'US', autoCapitalize: 'characters', maxLength: 2 })}
+
+            <Text style={[styles.settingSubtitle, styles.fieldLabel]}>Handling time (business days)</Text>
+            <View style={styles.listingTypeRow}>
+              {DISPATCH_TIME_OPTIONS.map(days => (
+                <TouchableOpacity
+                  key={days}
+                  style={[styles.listingTypeChip, days === sellerForm.dispatchTimeMax && styles.listingTypeChipSelected]}
+                  onPress={() => setSellerForm(current => ({ ...current, dispatchTimeMax: days }))}
+                >
+                  <Text style={[styles.listingTypeText, days === sellerForm.dispatchTimeMax && styles.listingTypeTextSelected]}>
+                    {days === 0 ? 'Same day' : days}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.serverButtons}>
+              <TouchableOpacity style={styles.serverButton} onPress={handleSaveSellerSettings} disabled={isSavingSeller}>
+                <Text style={styles.serverButtonText}>{isSavingSeller ? 'Saving...' : 'Save'}</Text>
+              </TouchableOpacity>
+            </View>
+            {sellerStatus && <Text style={styles.serverStatus}>{sellerStatus}</Text>}
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Package Defaults</Text>
+
+          <Text style={styles.settingSubtitle}>
+            Packed weight and box size for each listing type, used when the generated listing doesn't estimate them. eBay quotes calculated shipping from these.
+          </Text>
+          {renderListingTypeChips(packageListingType, setPackageListingType)}
+
+          <PackageDetailsFields
+            label={`${LISTING_TYPES.find(type => type.id === packageListingType).label} package`}
+            packageDetails={defaultPackageDetails[packageListingType] || getTypePackageDetails(packageListingType)}
+            onChange={(details) => setDefaultPackageDetails(packageListingType, details)}
+          />
         </View>
 
         <View style={styles.section}>
@@ -93,9 +463,12 @@ export default function SettingsScreen() {
           
           <SettingRow
             title="High quality images"
-            subtitle="Use maximum resolution for better eBay presentation"
+            subtitle={`Photos are resized to ${PHOTO_SIZE_PRESETS[settings.highQualityImages ? 'high' : 'standard'].maxDimension}px before upload - turn off for faster uploads`}
             value={settings.highQualityImages}
-            onValueChange={(value) => handleSettingChange('highQualityImages', value)}
+            onValueChange={(value) => {
+              handleSettingChange('highQualityImages', value);
+              setHighQualityImages(value).catch(error => Alert.alert('Error', error.message));
+            }}
           />
         </View>
 
@@ -198,12 +571,75 @@ const styles = StyleSheet.create({
     color: '#0066CC',
     fontWeight: '600',
   },
+  serverInput: {
+    fontSize: 16,
+    color: '#333',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 8,
+  },
+  fieldLabel: {
+    marginTop: 12,
+  },
+  serverButtons: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  serverButton: {
+    flex: 1,
+    backgroundColor: '#f0f7ff',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  serverButtonText: {
+    fontSize: 15,
+    color: '#0066CC',
+    fontWeight: '600',
+  },
+  serverStatus: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 12,
+  },
+  listingTypeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 12,
+  },
+  listingTypeChip: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  listingTypeChipSelected: {
+    backgroundColor: '#0066CC',
+    borderColor: '#0066CC',
+  },
+  listingTypeText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  listingTypeTextSelected: {
+    color: 'white',
+  },
   connectButton: {
     backgroundColor: '#0066CC',
     borderRadius: 8,
     padding: 16,
     alignItems: 'center',
   },
+  ebayExpired: {
+    color: '#dc3545',
+    marginBottom: 12,
+  },
   connectButtonText: {
     color: 'white',
     fontSize: 16,
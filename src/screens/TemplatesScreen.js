@@ -1,4 +1,4 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { 
   View, 
   ScrollView, 
@@ -6,71 +6,39 @@ import {
   TouchableOpacity, 
   StyleSheet, 
   SafeAreaView,
-  Alert 
+  Alert,
+  RefreshControl
 } from 'react-native';
 import { useTemplates } from '../contexts/TemplateContext';
+import TemplateForm from '../components/TemplateForm';
 
 export default function TemplatesScreen() {
   const { 
     savedTemplates, 
     soldListings, 
     isLoading, 
-    setSavedTemplates,
-    setSoldListings,
-    deleteTemplate 
+    fetchTemplates,
+    fetchSoldListings,
+    createTemplate,
+    saveTemplate,
+    removeTemplate
   } = useTemplates();
+  const [isFormVisible, setIsFormVisible] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState(null);
 
   useEffect(() => {
     loadTemplatesAndSoldItems();
   }, []);
 
-  const loadTemplatesAndSoldItems = () => {
-    const mockTemplates = [
-      {
-        id: 'template_1',
-        name: 'Electronics Template',
-        title: 'Like New [BRAND] [MODEL] - Works Perfect!',
-        description: 'Excellent condition [ITEM] with original packaging...',
-        category: 'Electronics',
-        condition: 'Used',
-        shipping: 'Fast & Free',
-        dateCreated: new Date().toISOString(),
-      },
-      {
-        id: 'template_2',
-        name: 'Book Template',
-        title: '[TITLE] by [AUTHOR] - [CONDITION]',
-        description: 'Great book in [CONDITION] condition. Pages are clean...',
-        category: 'Books',
-        condition: 'Very Good',
-        shipping: 'Media Mail',
-        dateCreated: new Date().toISOString(),
-      },
-    ];
-
-    const mockSoldItems = [
-      {
-        id: 'sold_1',
-        title: 'iPhone 12 Pro 256GB Unlocked',
-        soldPrice: '650.00',
-        soldDate: '2024-01-15',
-        category: 'Electronics',
-        views: 234,
-        watchers: 12,
-      },
-      {
-        id: 'sold_2',
-        title: 'The Great Gatsby - F. Scott Fitzgerald',
-        soldPrice: '15.99',
-        soldDate: '2024-01-10',
-        category: 'Books',
-        views: 89,
-        watchers: 3,
-      },
-    ];
-
-    setSavedTemplates(mockTemplates);
-    setSoldListings(mockSoldItems);
+  // Pull-to-refresh also re-syncs sold items from eBay
+  const loadTemplatesAndSoldItems = async ({ refresh = false } = {}) => {
+    try {
+      await fetchTemplates();
+      await fetchSoldListings({ refresh });
+    } catch (error) {
+      console.error('❌ Error loading templates:', error);
+      Alert.alert('Could Not Load Templates', error.message);
+    }
   };
 
   const handleDeleteTemplate = (templateId, templateName) => {
@@ -82,22 +50,44 @@ export default function TemplatesScreen() {
         { 
           text: 'Delete', 
           style: 'destructive', 
-          onPress: () => deleteTemplate(templateId) 
+          onPress: async () => {
+            try {
+              await removeTemplate(templateId);
+            } catch (error) {
+              Alert.alert('Delete Failed', error.message);
+            }
+          }
         },
       ]
     );
   };
 
   const handleCreateTemplate = () => {
-    Alert.alert(
-      'Create Template',
-      'Template creation will be available when integrated with your backend API.'
-    );
+    setEditingTemplate(null);
+    setIsFormVisible(true);
+  };
+
+  const handleEditTemplate = (template) => {
+    setEditingTemplate(template);
+    setIsFormVisible(true);
+  };
+
+  // TemplateForm shows its own alert if saving fails
+  const handleSaveTemplate = async (templateData) => {
+    if (editingTemplate) {
+      await saveTemplate(editingTemplate.id, templateData);
+    } else {
+      await createTemplate(templateData);
+    }
+    setIsFormVisible(false);
   };
 
   return (
     <SafeAreaView style={styles.container}>
-      <ScrollView style={styles.scrollContainer}>
+      <ScrollView
+        style={styles.scrollContainer}
+        refreshControl={<RefreshControl refreshing={isLoading} onRefresh={() => loadTemplatesAndSoldItems({ refresh: true })} />}
+      >
         <View style={styles.section}>
           <View style={styles.sectionHeader}>
             <Text style={styles.sectionTitle}>Saved Templates</Text>
@@ -118,11 +108,16 @@ export default function TemplatesScreen() {
               <View key={template.id} style={styles.templateCard}>
                 <View style={styles.templateHeader}>
                   <Text style={styles.templateName}>{template.name}</Text>
-                  <TouchableOpacity
-                    onPress={() => handleDeleteTemplate(template.id, template.name)}
-                  >
-                    <Text style={styles.deleteButton}>Delete</Text>
-                  </TouchableOpacity>
+                  <View style={styles.templateActions}>
+                    <TouchableOpacity onPress={() => handleEditTemplate(template)}>
+                      <Text style={styles.editButton}>Edit</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => handleDeleteTemplate(template.id, template.name)}
+                    >
+                      <Text style={styles.deleteButton}>Delete</Text>
+                    </TouchableOpacity>
+                  </View>
                 </View>
                 <Text style={styles.templateTitle} numberOfLines={2}>
                   {template.title}
@@ -131,7 +126,9 @@ export default function TemplatesScreen() {
                   {template.description}
                 </Text>
                 <View style={styles.templateMeta}>
-                  <Text style={styles.templateCategory}>{template.category}</Text>
+                  <Text style={styles.templateCategory}>
+                    {[template.listingType || 'Any type', template.category].filter(Boolean).join(' · ')}
+                  </Text>
                   <Text style={styles.templateDate}>
                     {new Date(template.dateCreated).toLocaleDateString()}
                   </Text>
@@ -148,7 +145,7 @@ export default function TemplatesScreen() {
             <View style={styles.emptyState}>
               <Text style={styles.emptyText}>No sold items yet</Text>
               <Text style={styles.emptySubtext}>
-                Your sold listings will appear here for reference
+                Items sold on eBay in the last 60 days will appear here for reference
               </Text>
             </View>
           ) : (
@@ -164,8 +161,8 @@ export default function TemplatesScreen() {
                   </Text>
                 </View>
                 <View style={styles.soldStats}>
-                  <Text style={styles.soldStat}>{item.views} views</Text>
-                  <Text style={styles.soldStat}>{item.watchers} watchers</Text>
+                  <Text style={styles.soldStat}>{item.views ?? 0} views</Text>
+                  <Text style={styles.soldStat}>{item.watchers ?? 0} watchers</Text>
                   <Text style={styles.soldCategory}>{item.category}</Text>
                 </View>
               </View>
@@ -173,6 +170,13 @@ export default function TemplatesScreen() {
           )}
         </View>
       </ScrollView>
+
+      <TemplateForm
+        visible={isFormVisible}
+        template={editingTemplate}
+        onSave={handleSaveTemplate}
+        onClose={() => setIsFormVisible(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -239,6 +243,14 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#333',
   },
+  templateActions: {
+    flexDirection: 'row',
+  },
+  editButton: {
+    fontSize: 14,
+    color: '#0066CC',
+    marginRight: 16,
+  },
   deleteButton: {
     fontSize: 14,
     color: '#dc3545',
@@ -0,0 +1,32 @@
+/**
+ * Listing type resolution and prompt lookup in the server-side prompt registry
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_LISTING_TYPE, resolveListingType, getPrompt, listPromptVersions } = require('../promptRegistry');
+
+test('auto and missing listing types resolve to the default type', () => {
+  assert.strictEqual(resolveListingType('auto'), DEFAULT_LISTING_TYPE);
+  assert.strictEqual(resolveListingType(undefined), DEFAULT_LISTING_TYPE);
+  assert.strictEqual(resolveListingType(''), DEFAULT_LISTING_TYPE);
+});
+
+test('every registered listing type resolves and has a prompt', () => {
+  listPromptVersions().forEach(({ listingType, version }) => {
+    assert.strictEqual(resolveListingType(listingType), listingType);
+
+    const prompt = getPrompt(listingType, 2);
+    assert.strictEqual(prompt.version, version);
+    assert.strictEqual(typeof prompt.text, 'string');
+    assert.ok(prompt.text.length > 0);
+  });
+});
+
+test('unknown and prototype-named listing types are rejected', () => {
+  ['POSTCARD', 'book_item', 'constructor', 'toString', 'hasOwnProperty', '__proto__', 'valueOf'].forEach(listingType => {
+    assert.strictEqual(resolveListingType(listingType), null, `${listingType} resolved`);
+    assert.strictEqual(getPrompt(listingType, 1), null, `${listingType} has a prompt`);
+  });
+});
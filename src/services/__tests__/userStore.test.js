@@ -0,0 +1,81 @@
+/**
+ * API tokens are only ever stored as SHA-256 hashes
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-store-'));
+process.env.USER_STORE_PATH = path.join(storeDir, 'users.json');
+
+const userStore = require('../userStore');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// The store's writes have finished by the time createUser etc. resolve
+const readStoredUsers = () => JSON.parse(fs.readFileSync(process.env.USER_STORE_PATH, 'utf8')).users;
+
+let alice;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  alice = await userStore.createUser({ name: 'Alice', isAdmin: true });
+});
+
+after(() => {
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+test('only the token hash is saved, never the token', () => {
+  const [storedAlice] = readStoredUsers();
+  const fileContents = fs.readFileSync(process.env.USER_STORE_PATH, 'utf8');
+
+  assert.match(alice.apiToken, /^[0-9a-f]{64}$/);
+  assert.strictEqual(storedAlice.tokenHash, sha256(alice.apiToken));
+  assert.ok(!fileContents.includes(alice.apiToken));
+});
+
+test('users handed out by the store never include the hash', () => {
+  assert.strictEqual(alice.user.tokenHash, undefined);
+  assert.ok(userStore.listUsers().every(user => user.tokenHash === undefined));
+});
+
+test('a token finds its user and records when they were last seen', async () => {
+  const user = await userStore.authenticateToken(alice.apiToken);
+
+  assert.strictEqual(user.id, alice.user.id);
+  assert.strictEqual(user.tokenHash, undefined);
+  assert.ok(Date.now() - new Date(user.lastSeenAt).getTime() < 5000);
+});
+
+test('unknown, empty and hash-as-token values are refused', async () => {
+  assert.strictEqual(await userStore.authenticateToken('not-a-real-token'), null);
+  assert.strictEqual(await userStore.authenticateToken(''), null);
+  assert.strictEqual(await userStore.authenticateToken(undefined), null);
+  assert.strictEqual(await userStore.authenticateToken(sha256(alice.apiToken)), null);
+});
+
+test('rotating a token stores the new hash and drops the old token', async () => {
+  const bob = await userStore.createUser({ name: 'Bob' });
+  const rotated = await userStore.rotateUserToken(bob.user.id);
+  const storedBob = readStoredUsers().find(user => user.id === bob.user.id);
+
+  assert.notStrictEqual(rotated.apiToken, bob.apiToken);
+  assert.strictEqual(storedBob.tokenHash, sha256(rotated.apiToken));
+  assert.strictEqual(await userStore.authenticateToken(bob.apiToken), null);
+  assert.strictEqual((await userStore.authenticateToken(rotated.apiToken)).id, bob.user.id);
+  assert.strictEqual(await userStore.rotateUserToken('no-such-user'), null);
+});
+
+test('names must be present, short enough and unique ignoring case', () => {
+  assert.deepStrictEqual(userStore.validateUser({ name: '  ' }), ['name is required']);
+  assert.deepStrictEqual(userStore.validateUser({ name: 'x'.repeat(41) }), ['name must be 40 characters or less']);
+  assert.deepStrictEqual(userStore.validateUser({ name: 'alice' }), ['a user named "alice" already exists']);
+  assert.deepStrictEqual(userStore.validateUser({ name: 'Carol', isAdmin: 'yes' }), ['isAdmin must be true or false']);
+  assert.deepStrictEqual(userStore.validateUser({ name: 'Carol' }), []);
+});
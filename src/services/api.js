@@ -1,13 +1,9 @@
-const API_BASE_URL = 'http://localhost:3000/api';
+import { getApiUrl, getAuthHeaders } from './apiClient';
 
 /**
  * API service for backend communication
  */
 class ApiService {
-  constructor() {
-    this.baseURL = API_BASE_URL;
-  }
-
   /**
    * Make HTTP request
    * @param {string} endpoint - API endpoint
@@ -15,21 +11,24 @@ class ApiService {
    * @returns {Promise} Response data
    */
   async request(endpoint, options = {}) {
-    const url = `${this.baseURL}${endpoint}`;
+    const url = await getApiUrl(`/api${endpoint}`);
     
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(await getAuthHeaders()),
         ...options.headers,
       },
-      ...options,
     };
 
     try {
       const response = await fetch(url, config);
       
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        // Surface the server's error message (e.g. template validation errors) when there is one
+        const errorBody = await response.json().catch(() => null);
+        throw new Error(errorBody?.error || `HTTP error! status: ${response.status}`);
       }
       
       const data = await response.json();
@@ -84,7 +83,7 @@ class ApiService {
 
   /**
    * Get saved templates
-   * @returns {Promise} Array of templates
+   * @returns {Promise} { success, templates }
    */
   async getTemplates() {
     return this.request('/templates');
@@ -93,7 +92,7 @@ class ApiService {
   /**
    * Save new template
    * @param {Object} template - Template data
-   * @returns {Promise} Saved template
+   * @returns {Promise} { success, template } with the saved template's id and dates
    */
   async saveTemplate(template) {
     return this.request('/templates', {
@@ -106,7 +105,7 @@ class ApiService {
    * Update existing template
    * @param {string} templateId - Template ID
    * @param {Object} template - Updated template data
-   * @returns {Promise} Updated template
+   * @returns {Promise} { success, template }
    */
   async updateTemplate(templateId, template) {
     return this.request(`/templates/${templateId}`, {
@@ -118,7 +117,7 @@ class ApiService {
   /**
    * Delete template
    * @param {string} templateId - Template ID
-   * @returns {Promise} Deletion response
+   * @returns {Promise} { success, id }
    */
   async deleteTemplate(templateId) {
     return this.request(`/templates/${templateId}`, {
@@ -128,11 +127,90 @@ class ApiService {
 
   /**
    * Get sold listings for reference
-   * @returns {Promise} Array of sold listings
+   * @returns {Promise} { success, soldListings }
    */
   async getSoldListings() {
     return this.request('/sold-listings');
   }
+
+  /**
+   * Pull recent sales from eBay into the server's sold listings
+   * @param {number} days - How far back to look (1-60, eBay's limit)
+   * @returns {Promise} { success, synced, added, syncedAt, soldListings }
+   */
+  async syncSoldListings(days = 60) {
+    return this.request('/sold-listings/sync', {
+      method: 'POST',
+      body: JSON.stringify({ days }),
+    });
+  }
+
+  /**
+   * Get the seller's payment, shipping and return business policies
+   * @param {Object} options - { refresh } to re-read them from eBay instead of the server's cache
+   * @returns {Promise} { success, policies: { payment, fulfillment, return }, fetchedAt, cached }
+   */
+  async getBusinessPolicies({ refresh = false } = {}) {
+    return this.request(`/business-policies${refresh ? '?refresh=true' : ''}`);
+  }
+
+  /**
+   * Find eBay categories for an item
+   * @param {string} query - A few words describing the item, e.g. its title
+   * @returns {Promise} { success, suggestions: [{ categoryId, categoryName, categoryPath }], source, cached }
+   */
+  async getCategorySuggestions(query) {
+    return this.request(`/category-suggestions?q=${encodeURIComponent(query)}`);
+  }
+
+  /**
+   * Get the item specifics eBay requires or recommends in a category
+   * @param {string} categoryId - eBay CategoryID
+   * @returns {Promise} { success, categoryId, aspects: [{ name, required, recommended, selectionOnly, multiple, maxLength, values }], cached }
+   */
+  async getItemAspects(categoryId) {
+    return this.request(`/category-aspects/${encodeURIComponent(categoryId)}`);
+  }
+
+  /**
+   * Get the signed-in user and whether their eBay account is connected
+   * @returns {Promise} { success, user, ebay: { connected, ebayUsername, updatedAt }, seller }
+   */
+  async getCurrentUser() {
+    return this.request('/me');
+  }
+
+  /**
+   * Save where the signed-in user ships from and their handling time
+   * @param {Object} seller - { postalCode, city, stateOrProvince, country, dispatchTimeMax }
+   * @returns {Promise} { success, seller }
+   */
+  async saveSellerSettings(seller) {
+    return this.request('/me/seller-settings', {
+      method: 'PUT',
+      body: JSON.stringify(seller),
+    });
+  }
+
+  /**
+   * Start connecting the signed-in user's eBay account
+   * @returns {Promise} { success, url } - the eBay consent page to open in a browser
+   */
+  async startEbayOAuth() {
+    return this.request('/ebay/oauth/start', {
+      method: 'POST',
+    });
+  }
+
+  /**
+   * Disconnect the signed-in user's eBay account
+   * @returns {Promise} { success, ebay }
+   */
+  async deleteEbayCredentials() {
+    return this.request('/me/ebay-credentials', {
+      method: 'DELETE',
+    });
+  }
 }
 
 export default new ApiService();
\ No newline at end of file
@@ -0,0 +1,218 @@
+/**
+ * API client - the one place the app gets the lister server's URL and API token from
+ *
+ * The URL is set in Settings (saved in AsyncStorage), found with discoverServer(),
+ * or defaults to EXPO_PUBLIC_API_URL from .env / http://localhost:3000.
+ * The API token identifies the user to the server and is also set in Settings.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { NativeModules } from 'react-native';
+
+const SERVER_URL_STORAGE_KEY = 'serverUrl';
+const API_TOKEN_STORAGE_KEY = 'apiToken';
+const DEFAULT_SERVER_PORT = 3000;
+export const DEFAULT_SERVER_URL = process.env.EXPO_PUBLIC_API_URL || `http://localhost:${DEFAULT_SERVER_PORT}`;
+
+// /api/health reports this so discovery doesn't pick up some other server on the port
+const LISTER_SERVICE_NAME = 'ebay-auto-lister';
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const DISCOVERY_TIMEOUT_MS = 800;
+const DISCOVERY_BATCH_SIZE = 32;
+// Tried when the phone's own subnet can't be worked out
+const COMMON_SUBNETS = ['192.168.1', '192.168.0', '10.0.0', '10.0.1'];
+
+let serverUrl = null; // Loaded from AsyncStorage on first use
+let apiToken = null;
+
+/**
+ * Tidy a server URL typed in Settings - adds http:// and the default port, drops trailing slashes and /api
+ * @param {string} url - URL or host, e.g. "192.168.1.20" or "http://lister.local:3000/"
+ * @returns {string} Normalized URL, e.g. "http://192.168.1.20:3000"
+ */
+export const normalizeServerUrl = (url) => {
+  let normalized = String(url || '').trim().replace(/\/+$/, '').replace(/\/api$/, '');
+  if (!/^https?:\/\//i.test(normalized)) {
+    normalized = `http://${normalized}`;
+  }
+  if (!/^https?:\/\/[^/]+:\d+/i.test(normalized) && /^http:/i.test(normalized)) {
+    normalized = normalized.replace(/^(http:\/\/[^/]+)/i, `$1:${DEFAULT_SERVER_PORT}`);
+  }
+  return normalized;
+};
+
+/**
+ * Get the lister server's base URL (no trailing slash, no /api)
+ * @returns {Promise<string>} Server URL
+ */
+export const getServerUrl = async () => {
+  if (serverUrl === null) {
+    try {
+      serverUrl = (await AsyncStorage.getItem(SERVER_URL_STORAGE_KEY)) || DEFAULT_SERVER_URL;
+    } catch (error) {
+      console.error('❌ Error loading server URL:', error);
+      serverUrl = DEFAULT_SERVER_URL;
+    }
+  }
+  return serverUrl;
+};
+
+/**
+ * Save the lister server's base URL for every request from now on
+ * @param {string} url - Server URL or host
+ * @returns {Promise<string>} The normalized URL that was saved
+ */
+export const setServerUrl = async (url) => {
+  serverUrl = normalizeServerUrl(url);
+  await AsyncStorage.setItem(SERVER_URL_STORAGE_KEY, serverUrl);
+  console.log('🔧 Server URL set to:', serverUrl);
+  return serverUrl;
+};
+
+/**
+ * Get the user's API token for the lister server
+ * @returns {Promise<string>} API token, or '' if none has been set
+ */
+export const getApiToken = async () => {
+  if (apiToken === null) {
+    try {
+      apiToken = (await AsyncStorage.getItem(API_TOKEN_STORAGE_KEY)) || '';
+    } catch (error) {
+      console.error('❌ Error loading API token:', error);
+      apiToken = '';
+    }
+  }
+  return apiToken;
+};
+
+/**
+ * Save the user's API token for every request from now on
+ * @param {string} token - API token from the server admin
+ */
+export const setApiToken = async (token) => {
+  apiToken = String(token || '').trim();
+  await AsyncStorage.setItem(API_TOKEN_STORAGE_KEY, apiToken);
+  console.log('🔧 API token', apiToken ? 'saved' : 'cleared');
+};
+
+/**
+ * Headers that identify the user to the server
+ * @returns {Promise<Object>} { Authorization } or {} if no token is set
+ */
+export const getAuthHeaders = async () => {
+  const token = await getApiToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+/**
+ * Build a full URL for a server path
+ * @param {string} path - Path starting with /api, e.g. "/api/analyze"
+ * @returns {Promise<string>} Full URL
+ */
+export const getApiUrl = async (path) => `${await getServerUrl()}${path}`;
+
+/**
+ * fetch() against the lister server, signed in with the saved API token
+ * @param {string} path - Path starting with /api, e.g. "/api/analyze"
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} fetch response
+ */
+export const apiFetch = async (path, options = {}) => fetch(await getApiUrl(path), {
+  ...options,
+  headers: { ...(await getAuthHeaders()), ...options.headers }
+});
+
+/**
+ * Check whether a URL is a running lister server
+ * @param {string} url - Server base URL
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<Object>} { success, url, data } or { success: false, url, error }
+ */
+export const checkServer = async (url, timeoutMs = HEALTH_CHECK_TIMEOUT_MS) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(`${url}/api/health`, { method: 'GET', signal: controller.signal });
+    if (!response.ok) {
+      return { success: false, url, error: `HTTP ${response.status}` };
+    }
+
+    const data = await response.json();
+    if (data.status !== 'ok' || data.service !== LISTER_SERVICE_NAME) {
+      return { success: false, url, error: 'Not an eBay lister server' };
+    }
+    return { success: true, url, data };
+  } catch (error) {
+    return { success: false, url, error: controller.signal.aborted ? 'Timed out' : error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Work out which /24 subnets to scan - the Expo dev server's (same Wi-Fi as the phone
+ * during development), the saved server's, then common home/office ranges
+ * @returns {Promise<Array<string>>} Subnet prefixes like "192.168.1"
+ */
+const getCandidateSubnets = async () => {
+  const hosts = [
+    NativeModules.SourceCode?.scriptURL,
+    await getServerUrl()
+  ]
+    .map(url => /^https?:\/\/(\d+\.\d+\.\d+)\.\d+/.exec(url || '')?.[1])
+    .filter(Boolean);
+
+  return [...new Set([...hosts, ...COMMON_SUBNETS])];
+};
+
+/**
+ * Find the lister server on the local network by probing /api/health on every host
+ * of the likely subnets. Quick candidates (saved URL, dev machine, emulator host) go first.
+ * @param {Object} options - Discovery options
+ * @param {number} options.port - Server port (default 3000)
+ * @param {Function} options.onProgress - Called with { scanned, total, subnet } as the scan runs
+ * @returns {Promise<Object>} { success, url, data } for the first server found, or { success: false, error }
+ */
+export const discoverServer = async ({ port = DEFAULT_SERVER_PORT, onProgress } = {}) => {
+  const devHost = /^https?:\/\/([^:/]+)/.exec(NativeModules.SourceCode?.scriptURL || '')?.[1];
+  const quickCandidates = [...new Set([
+    await getServerUrl(),
+    devHost && `http://${devHost}:${port}`,
+    `http://localhost:${port}`,
+    `http://10.0.2.2:${port}` // Android emulator's address for the host machine
+  ].filter(Boolean))];
+
+  for (const url of quickCandidates) {
+    const result = await checkServer(url, DISCOVERY_TIMEOUT_MS);
+    if (result.success) {
+      console.log('✅ Found lister server at:', url);
+      return result;
+    }
+  }
+
+  const subnets = await getCandidateSubnets();
+  const total = subnets.length * 254;
+  let scanned = 0;
+
+  for (const subnet of subnets) {
+    console.log(`🔍 Scanning ${subnet}.0/24 for the lister server...`);
+    for (let start = 1; start <= 254; start += DISCOVERY_BATCH_SIZE) {
+      const batch = [];
+      for (let host = start; host < start + DISCOVERY_BATCH_SIZE && host <= 254; host++) {
+        batch.push(`http://${subnet}.${host}:${port}`);
+      }
+
+      const results = await Promise.all(batch.map(url => checkServer(url, DISCOVERY_TIMEOUT_MS)));
+      scanned += batch.length;
+      onProgress?.({ scanned, total, subnet });
+
+      const found = results.find(result => result.success);
+      if (found) {
+        console.log('✅ Found lister server at:', found.url);
+        return found;
+      }
+    }
+  }
+
+  return { success: false, error: `No lister server found on port ${port} (scanned ${subnets.map(subnet => `${subnet}.x`).join(', ')})` };
+};
@@ -1,15 +1,32 @@
 /**
  * Book-specific listing service for eBay posting
  */
+import { apiFetch } from './apiClient';
+import { getConditionOptions } from '../constants/conditions';
+import { getPhotoErrors } from '../utils/photoUtils';
+import { readItemSpecificsError } from '../constants/itemAspects';
 
-const API_BASE_URL = 'http://192.168.1.207:3000';
+/**
+ * Parse a JSON body from the server
+ * @param {string} responseText - Response body
+ * @returns {Object|null} Parsed body, or null if it is not JSON
+ */
+const parseJsonResponse = (responseText) => {
+  try {
+    return JSON.parse(responseText);
+  } catch (error) {
+    return null;
+  }
+};
 
 /**
  * Post a single book listing to eBay
  * @param {Object} bookData - Book listing data
+ * @param {Object} options - Posting options
+ * @param {boolean} options.validateOnly - Check the listing with eBay (VerifyAddItem) without posting it
  * @returns {Promise<Object>} eBay posting result
  */
-export const postBookToEbay = async (bookData) => {
+export const postBookToEbay = async (bookData, { validateOnly = false } = {}) => {
   try {
     console.log('📖 Posting book to eBay:', bookData.id);
     console.log('📖 Full book data:', {
@@ -39,10 +56,10 @@ export const postBookToEbay = async (bookData) => {
     }
 
     // Format book data for eBay API
-    const formattedBookData = formatBookDataForEbay(bookData);
+    const formattedBookData = { ...formatBookDataForEbay(bookData), validateOnly };
 
     // Use dedicated book endpoint
-    const response = await fetch(`${API_BASE_URL}/api/list-book-to-ebay`, {
+    const response = await apiFetch('/api/list-book-to-ebay', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -52,11 +69,24 @@ export const postBookToEbay = async (bookData) => {
 
     if (!response.ok) {
       const errorText = await response.text();
+
+      // eBay rejections come back as JSON with every error and warning
+      const errorResult = parseJsonResponse(errorText);
+      if (errorResult?.errors) {
+        return errorResult;
+      }
+
+      // Item specifics the card needs to fix before eBay is asked at all
+      const specificsError = readItemSpecificsError(errorResult);
+      if (specificsError) {
+        return { success: false, ...specificsError, message: specificsError.error };
+      }
+
       throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
     }
 
     const result = await response.json();
-    console.log('✅ Book posted successfully:', result);
+    console.log(validateOnly ? '🔎 Book checked with eBay:' : '✅ Book posted successfully:', result);
     
     return result;
   } catch (error) {
@@ -65,6 +95,13 @@ export const postBookToEbay = async (bookData) => {
   }
 };
 
+/**
+ * Check a book listing with eBay (VerifyAddItem) without posting it
+ * @param {Object} bookData - Book listing data
+ * @returns {Promise<Object>} { success, valid, ack, errors, warnings, fees }
+ */
+export const verifyBookWithEbay = (bookData) => postBookToEbay(bookData, { validateOnly: true });
+
 /**
  * Post multiple book listings to eBay
  * @param {Array} bookListings - Array of book listing data
@@ -82,6 +119,9 @@ export const postBooksToEbay = async (bookListings) => {
       try {
         console.log(`📖 Posting book ${i + 1}/${bookListings.length}: ${book.title}`);
         const result = await postBookToEbay(book);
+        if (result.success === false) {
+          throw new Error(result.error || result.message || 'Unknown eBay error');
+        }
         results.push({
           id: book.id,
           title: book.title,
@@ -114,6 +154,114 @@ export const postBooksToEbay = async (bookListings) => {
   }
 };
 
+/**
+ * Post a book lot listing to eBay
+ * @param {Object} lotData - Book lot listing data with a books array
+ * @returns {Promise<Object>} eBay posting result
+ */
+export const postBookLotToEbay = async (lotData) => {
+  try {
+    const includedBooks = (lotData.books || []).filter(book => book.included !== false);
+    console.log(`📚 Posting book lot to eBay: ${lotData.id} (${includedBooks.length} books)`);
+
+    // Validate lot data before posting
+    const validationResult = validateBookLotListing({ ...lotData, books: includedBooks });
+    if (!validationResult.isValid) {
+      throw new Error(`Book lot validation failed: ${validationResult.errors.join(', ')}`);
+    }
+
+    const formattedLotData = {
+      title: lotData.title,
+      price: parseFloat(lotData.price),
+      condition: lotData.condition,
+      conditionDescription: lotData.conditionDescription,
+      category: lotData.category || 'Books & Magazines > Books',
+      categoryId: lotData.categoryId,
+      description: lotData.description || '',
+      books: includedBooks.map(book => ({
+        title: book.title,
+        author: book.author || '',
+        isbn: book.isbn ? formatISBN(book.isbn) : ''
+      })),
+      item_specifics: lotData.itemSpecifics || lotData.item_specifics || {},
+      photos: lotData.hostedPhotos
+        .filter(photo => photo.url && !photo.error)
+        .map(photo => photo.url),
+      businessPolicies: lotData.businessPolicies,
+      packageDetails: lotData.packageDetails,
+      id: lotData.id,
+      historyId: lotData.historyId,
+      listingType: 'BOOK_LOTS'
+    };
+
+    // Use dedicated book lot endpoint
+    const response = await apiFetch('/api/list-book-lot-to-ebay', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(formattedLotData),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+
+      // eBay rejections come back as JSON with every error and warning
+      const errorResult = parseJsonResponse(errorText);
+      if (errorResult?.errors) {
+        return errorResult;
+      }
+
+      // Item specifics the card needs to fix before eBay is asked at all
+      const specificsError = readItemSpecificsError(errorResult);
+      if (specificsError) {
+        return { success: false, ...specificsError, message: specificsError.error };
+      }
+
+      throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+    }
+
+    const result = await response.json();
+    console.log('✅ Book lot posted successfully:', result);
+    
+    return result;
+  } catch (error) {
+    console.error('❌ Error posting book lot listing:', error);
+    throw error;
+  }
+};
+
+/**
+ * Validate book lot listing data
+ * @param {Object} lotData - Book lot data to validate (books already filtered to included ones)
+ * @returns {Object} Validation result
+ */
+export const validateBookLotListing = (lotData) => {
+  const errors = [];
+
+  if (!lotData.title || lotData.title.trim() === '') {
+    errors.push('Lot title is required');
+  }
+
+  if (!lotData.price || lotData.price <= 0) {
+    errors.push('Valid price is required');
+  }
+
+  if (!lotData.books || lotData.books.length === 0) {
+    errors.push('At least one book must be included in the lot');
+  }
+
+  if (!lotData.hostedPhotos || lotData.hostedPhotos.length === 0) {
+    errors.push('Hosted photos are required');
+  }
+  errors.push(...getPhotoErrors(lotData.photos));
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors
+  };
+};
+
 /**
  * Validate book listing data
  * @param {Object} bookData - Book data to validate
@@ -140,8 +288,8 @@ export const validateBookListing = (bookData) => {
     errors.push('Invalid ISBN format');
   }
 
-  // Book condition validation (books don't use "Like New")
-  const validConditions = ['Very Good', 'Good', 'Acceptable'];
+  // Book condition validation - the server maps these to eBay's book ConditionIDs
+  const validConditions = getConditionOptions('BOOK_ITEM');
   if (bookData.condition && !validConditions.includes(bookData.condition)) {
     errors.push(`Invalid condition for books. Must be: ${validConditions.join(', ')}`);
   }
@@ -150,6 +298,7 @@ export const validateBookListing = (bookData) => {
   if (!bookData.hostedPhotos || bookData.hostedPhotos.length === 0) {
     errors.push('Hosted photos are required');
   }
+  errors.push(...getPhotoErrors(bookData.photos));
 
   // Category validation (should be book-related)
   if (bookData.category && !bookData.category.toLowerCase().includes('book')) {
@@ -172,23 +321,27 @@ export const formatBookDataForEbay = (bookData) => {
     // Basic listing info
     title: bookData.title,
     price: parseFloat(bookData.price),
-    condition: mapBookConditionToEbay(bookData.condition),
+    condition: bookData.condition,
+    conditionDescription: bookData.conditionDescription,
     category: bookData.category || 'Books & Magazines > Fiction & Literature',
+    categoryId: bookData.categoryId,
     description: formatBookDescription(bookData),
     
     // Book-specific item specifics
     item_specifics: {
+      // Category specifics added on the card come first; the book fields below win
+      ...bookData.itemSpecifics,
       'Book Title': bookData.bookTitle || extractBookTitleFromFull(bookData.title),
       'Author': bookData.author,
       'Format': bookData.format || 'Hardcover',
       'Language': bookData.language || 'English',
-      'Topic': bookData.topic || 'General',
+      'Topic': bookData.topic || '',
       'Publisher': bookData.publisher || '',
       'Publication Year': bookData.publicationYear || '',
       'ISBN': formatISBN(bookData.isbn) || '',
-      'Edition': bookData.edition || '1st Edition',
+      'Edition': bookData.edition || '',
       'Series': bookData.series || '',
-      'Reading Level': bookData.readingLevel || 'Adult',
+      'Reading Level': bookData.readingLevel || '',
       'Number of Pages': bookData.numberOfPages || '',
       'Special Features': bookData.specialFeatures || ''
     },
@@ -199,28 +352,18 @@ export const formatBookDataForEbay = (bookData) => {
     
     // Photos (hosted URLs)
     photos: bookData.hostedPhotos.map(photo => photo.url),
+
+    // Payment, shipping and return policy IDs and package size chosen for this listing
+    businessPolicies: bookData.businessPolicies,
+    packageDetails: bookData.packageDetails,
     
     // Metadata
     id: bookData.id,
+    historyId: bookData.historyId,
     listingType: 'BOOK_ITEM'
   };
 };
 
-/**
- * Map book condition to eBay condition
- * @param {string} condition - Book condition
- * @returns {string} eBay condition
- */
-const mapBookConditionToEbay = (condition) => {
-  const conditionMap = {
-    'Very Good': 'Used',
-    'Good': 'Used',
-    'Acceptable': 'Acceptable'
-  };
-  
-  return conditionMap[condition] || 'Used';
-};
-
 /**
  * Format book description with book-specific elements
  * @param {Object} bookData - Book data
@@ -0,0 +1,162 @@
+/**
+ * eBay Business Policies
+ * Reads each seller's payment, fulfillment (shipping) and return policies from the
+ * Account API so listings can use them by ID. Results are cached per user for a few
+ * hours - policies rarely change, and the app asks for them on every listing.
+ *
+ *   EBAY_REST_API_URL - Overrides api.ebay.com / api.sandbox.ebay.com, e.g. the local mock (http://localhost:3001)
+ *   EBAY_MARKETPLACE_ID - Marketplace to read policies for (default EBAY_US)
+ *
+ * The Account API only accepts OAuth tokens, so sellers connected with a User Token
+ * have to use "Connect eBay Account" first.
+ */
+
+const axios = require('axios');
+const { getEbayAccessToken, getRestApiBaseUrl } = require('./ebayApi');
+
+const CACHE_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+// Account API resource and response list for each policy type
+const POLICY_TYPES = {
+  payment: { path: 'payment_policy', listKey: 'paymentPolicies', idKey: 'paymentPolicyId' },
+  fulfillment: { path: 'fulfillment_policy', listKey: 'fulfillmentPolicies', idKey: 'fulfillmentPolicyId' },
+  return: { path: 'return_policy', listKey: 'returnPolicies', idKey: 'returnPolicyId' }
+};
+
+const cache = new Map(); // userId -> { policies, fetchedAt }
+
+/**
+ * One-line description of a policy's terms for the picker
+ * @param {string} type - payment, fulfillment or return
+ * @param {Object} policy - Policy from the Account API
+ * @returns {string} Summary, e.g. "Ships in 1 day · USPSMedia (free)"
+ */
+function summarizePolicy(type, policy) {
+  if (type === 'fulfillment') {
+    const handlingDays = policy.handlingTime?.value;
+    const services = (policy.shippingOptions || [])
+      .flatMap(option => option.shippingServices || [])
+      .map(service => `${service.shippingServiceCode}${service.freeShipping ? ' (free)' : ''}`);
+    return [handlingDays !== undefined && `Ships in ${handlingDays} day${handlingDays === 1 ? '' : 's'}`, ...services]
+      .filter(Boolean)
+      .join(' · ');
+  }
+
+  if (type === 'return') {
+    if (!policy.returnsAccepted) {
+      return 'No returns';
+    }
+    const period = policy.returnPeriod ? `${policy.returnPeriod.value} ${policy.returnPeriod.unit.toLowerCase()}s` : '';
+    const payer = policy.returnShippingCostPayer === 'SELLER' ? 'free returns' : 'buyer pays return shipping';
+    return [period, payer].filter(Boolean).join(', ');
+  }
+
+  return (policy.paymentMethods || []).map(method => method.paymentMethodType).join(', ') || 'eBay managed payments';
+}
+
+/**
+ * Turn an Account API policy into what the app shows
+ * @param {string} type - payment, fulfillment or return
+ * @param {Object} policy - Policy from the Account API
+ * @returns {Object} { id, name, description, summary, isDefault }
+ */
+function toPolicySummary(type, policy) {
+  return {
+    id: String(policy[POLICY_TYPES[type].idKey]),
+    name: policy.name,
+    description: policy.description || '',
+    summary: summarizePolicy(type, policy),
+    isDefault: (policy.categoryTypes || []).some(categoryType => categoryType.default)
+  };
+}
+
+/**
+ * Fetch one type of policy from the Account API
+ * @param {string} type - payment, fulfillment or return
+ * @param {string} accessToken - Seller's OAuth access token
+ * @returns {Promise<Array>} Policy summaries
+ */
+async function fetchPolicies(type, accessToken) {
+  const { path, listKey } = POLICY_TYPES[type];
+  const response = await axios.get(`${getRestApiBaseUrl()}/sell/account/v1/${path}`, {
+    params: { marketplace_id: process.env.EBAY_MARKETPLACE_ID || 'EBAY_US' },
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/json'
+    },
+    timeout: 30000
+  });
+
+  return (response.data[listKey] || []).map(policy => toPolicySummary(type, policy));
+}
+
+/**
+ * Get a seller's business policies, from the cache unless it's stale or refresh is set
+ * @param {Object} credentials - Seller's eBay credentials (must be OAuth)
+ * @param {Object} options - { refresh } to ignore the cache
+ * @returns {Promise<Object>} { success, policies: { payment, fulfillment, return }, fetchedAt, cached } or { success: false, error }
+ */
+async function getBusinessPolicies(credentials, { refresh = false } = {}) {
+  const cached = cache.get(credentials.userId);
+  if (cached && !refresh && Date.now() - new Date(cached.fetchedAt).getTime() < CACHE_MAX_AGE_MS) {
+    return { success: true, ...cached, cached: true };
+  }
+
+  if (credentials.authType !== 'oauth') {
+    return {
+      success: false,
+      error: 'Business policies need eBay sign-in - tap "Connect eBay Account" in Settings (User Tokens can\'t read policies)'
+    };
+  }
+
+  try {
+    const accessToken = await getEbayAccessToken(credentials);
+    const [payment, fulfillment, returnPolicies] = await Promise.all(
+      Object.keys(POLICY_TYPES).map(type => fetchPolicies(type, accessToken))
+    );
+
+    const entry = { policies: { payment, fulfillment, return: returnPolicies }, fetchedAt: new Date().toISOString() };
+    cache.set(credentials.userId, entry);
+    console.log(`📋 Got ${payment.length} payment, ${fulfillment.length} shipping and ${returnPolicies.length} return policies`);
+    return { success: true, ...entry, cached: false };
+  } catch (error) {
+    const ebayError = error.response?.data?.errors?.[0];
+    const message = ebayError ? `${ebayError.message}${ebayError.longMessage ? ` ${ebayError.longMessage}` : ''}` : error.message;
+    console.error('❌ Error getting business policies:', message);
+    return { success: false, error: message };
+  }
+}
+
+/**
+ * Forget a seller's cached policies (e.g. when they connect a different eBay account)
+ * @param {string} userId - User ID
+ */
+function clearBusinessPolicyCache(userId) {
+  cache.delete(userId);
+}
+
+/**
+ * Pick the policy IDs out of a request body - eBay policy IDs are numeric
+ * @param {Object} input - { paymentPolicyId, fulfillmentPolicyId, returnPolicyId }
+ * @returns {Object|undefined} The valid IDs as strings, or undefined if there are none
+ */
+function normalizeBusinessPolicyIds(input) {
+  if (!input || typeof input !== 'object') {
+    return undefined;
+  }
+
+  const ids = {};
+  Object.values(POLICY_TYPES).forEach(({ idKey }) => {
+    const id = input[idKey];
+    if ((typeof id === 'string' || typeof id === 'number') && /^\d+$/.test(String(id))) {
+      ids[idKey] = String(id);
+    }
+  });
+  return Object.keys(ids).length > 0 ? ids : undefined;
+}
+
+module.exports = {
+  getBusinessPolicies,
+  clearBusinessPolicyCache,
+  normalizeBusinessPolicyIds
+};
@@ -5,20 +5,31 @@
 
 const axios = require('axios');
 const FormData = require('form-data');
+const xml2js = require('xml2js');
+const { getValidAccessToken } = require('./ebayOAuth');
+const { getDefaultPackageDetails, normalizePackageDetails } = require('../constants/packageDetails');
+const { getConditionId, allowsConditionDescription, MAX_CONDITION_DESCRIPTION_LENGTH } = require('../constants/conditions');
+const { hasAspectValue } = require('../constants/itemAspects');
+const { PHOTO_REQUIREMENTS } = require('../constants/photoRequirements');
+
+const isOAuthCredentials = (credentials) => credentials?.authType === 'oauth';
 
 /**
  * Get eBay Access Token
- * Uses User Token for listing creation (valid for 2+ years)
- * @returns {Promise<string>} eBay access token
+ * Each seller's tokens come from the eBay credential store, so every user posts to their own account.
+ * OAuth access tokens are renewed with the refresh token when they're about to expire.
+ * @param {Object} credentials - Seller's eBay credentials from the credential store
+ * @returns {Promise<string>} OAuth access token or eBay User Token
  */
-async function getEbayAccessToken() {
+async function getEbayAccessToken(credentials) {
   try {
-    // Use the User Token directly - it's already valid for 2+ years
-    if (process.env.EBAY_USER_TOKEN) {
-      console.log("✅ Using existing User Token for listing creation");
-      return process.env.EBAY_USER_TOKEN;
+    if (isOAuthCredentials(credentials)) {
+      return await getValidAccessToken(credentials);
+    } else if (credentials?.authToken) {
+      console.log(`✅ Using eBay User Token for ${credentials.ebayUsername || 'seller'}`);
+      return credentials.authToken;
     } else {
-      throw new Error("No User Token available - required for creating listings");
+      throw new Error("No eBay account connected - required for creating listings");
     }
   } catch (error) {
     console.error("❌ eBay token error:", error.message);
@@ -26,6 +37,23 @@ async function getEbayAccessToken() {
   }
 }
 
+/**
+ * Add the seller's RequesterCredentials to a Trading API request
+ * The XML builders leave credentials out so one request can be sent for any seller
+ * @param {string} xmlRequest - XML request from one of the builders
+ * @param {string} authToken - Seller's eBay User Token
+ * @returns {string} XML request with RequesterCredentials as the first child
+ */
+function addRequesterCredentials(xmlRequest, authToken) {
+  return xmlRequest.replace(
+    /<\w+Request xmlns="urn:ebay:apis:eBLBaseComponents">/,
+    (openingTag) => `${openingTag}
+  <RequesterCredentials>
+    <eBayAuthToken>${escapeXml(authToken)}</eBayAuthToken>
+  </RequesterCredentials>`
+  );
+}
+
 /**
  * Host photo to external server for eBay compatibility
  * @param {Buffer} fileBuffer - Photo file buffer
@@ -59,8 +87,8 @@ async function hostPhotoToServer(fileBuffer, originalFilename, mimetype) {
         "User-Agent": "eBay-Listing-App/1.0",
       },
       timeout: 120000, // 2 minutes
-      maxContentLength: 10 * 1024 * 1024, // 10MB max
-      maxBodyLength: 10 * 1024 * 1024, // 10MB max
+      maxContentLength: PHOTO_REQUIREMENTS.maxFileSize, // eBay's 12MB photo limit, as checked on upload
+      maxBodyLength: PHOTO_REQUIREMENTS.maxFileSize + 64 * 1024, // The photo plus the multipart form around it
       onUploadProgress: (progressEvent) => {
         const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
         console.log(`📊 Upload progress: ${percentCompleted}%`);
@@ -151,29 +179,38 @@ async function uploadPhotosForEbayListing(photos) {
 
 /**
  * Get eBay condition ID from condition string
- * @param {string} condition - Human-readable condition
+ * The category's condition group decides the ID (see src/constants/conditions.js)
+ * @param {string} condition - Condition name
+ * @param {string} listingType - Listing type (e.g. BOOK_ITEM)
+ * @param {string} categoryID - eBay CategoryID the item is listed in
  * @returns {string} eBay condition ID
  */
-function getEbayConditionID(condition) {
-  const conditionIdMap = {
-    "Very Good": "4000",
-    "Good": "5000",
-    "Acceptable": "6000"
-  };
-
-  // Convert "Like New" to "Very Good"
-  if (condition === "Like New") {
-    condition = "Very Good";
-  }
+function getEbayConditionID(condition, listingType, categoryID) {
+  return getConditionId(condition, listingType, categoryID);
+}
 
-  return conditionIdMap[condition] || "5000"; // Default to Good
+/**
+ * Build the item's condition and the seller's condition notes
+ * @param {string} conditionID - eBay ConditionID
+ * @param {string} conditionDescription - Notes on wear and flaws; left out for brand-new items
+ * @returns {string} ConditionID and ConditionDescription XML
+ */
+function buildConditionXml(conditionID, conditionDescription) {
+  const notes = (conditionDescription || '').trim().slice(0, MAX_CONDITION_DESCRIPTION_LENGTH);
+  return [
+    `<ConditionID>${conditionID}</ConditionID>`,
+    notes && allowsConditionDescription(conditionID) && `
+    <ConditionDescription>${escapeXml(notes)}</ConditionDescription>`
+  ].filter(Boolean).join('');
 }
 
 /**
  * Map category string to eBay category ID
+ * Only a fallback for when the Taxonomy API's suggestions aren't available (see ebayTaxonomy.js) -
+ * listings normally carry the categoryId picked on the card.
  * @param {string} category - Human-readable category
  * @param {string} listingType - Listing type for context
- * @returns {string} eBay category ID
+ * @returns {string|null} eBay category ID, or null if the category isn't one of the few known here
  */
 function getEbayCategoryID(category, listingType) {
   // Normalize category string
@@ -221,8 +258,8 @@ function getEbayCategoryID(category, listingType) {
     return '1'; // Collectibles
   }
   
-  // Default fallback - use general books category
-  return '377'; // Books > Fiction & Literature
+  // Anything else needs a category from the Taxonomy API
+  return null;
 }
 
 /**
@@ -240,15 +277,140 @@ function escapeXml(unsafe) {
     .replace(/'/g, "&#39;");
 }
 
+// Returns used when a listing has no return policy chosen
+const DEFAULT_RETURN_POLICY_XML = `
+    <ReturnPolicy>
+      <ReturnsAcceptedOption>ReturnsAccepted</ReturnsAcceptedOption>
+      <RefundOption>MoneyBack</RefundOption>
+      <ReturnsWithinOption>Days_30</ReturnsWithinOption>
+      <ShippingCostPaidByOption>Buyer</ShippingCostPaidByOption>
+    </ReturnPolicy>`;
+
+// Shipping for general listings without a fulfillment policy
+const FREE_GROUND_SHIPPING_XML = `
+    <ShippingDetails>
+      <ShippingType>Flat</ShippingType>
+      <ShippingServiceOptions>
+        <ShippingServicePriority>1</ShippingServicePriority>
+        <ShippingService>USPSGroundAdvantage</ShippingService>
+        <ShippingServiceCost>0.00</ShippingServiceCost>
+        <FreeShipping>true</FreeShipping>
+      </ShippingServiceOptions>
+    </ShippingDetails>`;
+
+/**
+ * Build the listing's payment, shipping and return terms
+ * Business policy IDs chosen in the app go in SellerProfiles; without a fulfillment or
+ * return policy the listing falls back to inline shipping and 30-day returns.
+ * @param {Object} businessPolicies - { paymentPolicyId, fulfillmentPolicyId, returnPolicyId }
+ * @param {string} fallbackShippingXml - ShippingDetails used when no fulfillment policy is chosen
+ * @returns {string} SellerProfiles, ShippingDetails and ReturnPolicy XML
+ */
+function buildBusinessPoliciesXml(businessPolicies, fallbackShippingXml) {
+  const { paymentPolicyId, fulfillmentPolicyId, returnPolicyId } = businessPolicies || {};
+
+  const profiles = [
+    paymentPolicyId && `
+      <SellerPaymentProfile>
+        <PaymentProfileID>${escapeXml(paymentPolicyId)}</PaymentProfileID>
+      </SellerPaymentProfile>`,
+    fulfillmentPolicyId && `
+      <SellerShippingProfile>
+        <ShippingProfileID>${escapeXml(fulfillmentPolicyId)}</ShippingProfileID>
+      </SellerShippingProfile>`,
+    returnPolicyId && `
+      <SellerReturnProfile>
+        <ReturnProfileID>${escapeXml(returnPolicyId)}</ReturnProfileID>
+      </SellerReturnProfile>`
+  ].filter(Boolean);
+
+  return [
+    profiles.length > 0 && `
+    <SellerProfiles>${profiles.join('')}
+    </SellerProfiles>`,
+    !fulfillmentPolicyId && fallbackShippingXml,
+    !returnPolicyId && DEFAULT_RETURN_POLICY_XML
+  ].filter(Boolean).join('');
+}
+
+/**
+ * Build the package weight and size eBay quotes calculated shipping from
+ * @param {Object} packageDetails - { weight_oz, length_in, width_in, depth_in }; gaps use the listing type's defaults
+ * @param {string} listingType - Listing type (e.g. BOOK_ITEM)
+ * @returns {string} ShippingPackageDetails XML
+ */
+function buildShippingPackageXml(packageDetails, listingType) {
+  const { weight_oz: weightOz, length_in: length, width_in: width, depth_in: depth } =
+    normalizePackageDetails(packageDetails, getDefaultPackageDetails(listingType));
+
+  return `
+    <ShippingPackageDetails>
+      <WeightMajor unit="lbs">${Math.floor(weightOz / 16)}</WeightMajor>
+      <WeightMinor unit="oz">${weightOz % 16}</WeightMinor>
+      <MeasurementUnit>English</MeasurementUnit>
+      <PackageDepth unit="inches">${depth}</PackageDepth>
+      <PackageLength unit="inches">${length}</PackageLength>
+      <PackageWidth unit="inches">${width}</PackageWidth>
+    </ShippingPackageDetails>`;
+}
+
+/**
+ * Build where the item ships from and how soon
+ * eBay needs a postal code or a Location; with neither set the country name is used.
+ * @param {Object} seller - Seller settings ({ postalCode, city, stateOrProvince, country, dispatchTimeMax })
+ * @returns {string} Country, PostalCode, Location and DispatchTimeMax XML
+ */
+function buildItemLocationXml(seller) {
+  const { postalCode, city, stateOrProvince, country = 'US', dispatchTimeMax = 3 } = seller || {};
+  const location = [city, stateOrProvince].filter(Boolean).join(', ') ||
+    (!postalCode && (country === 'US' ? 'United States' : country));
+
+  return [
+    `
+    <Country>${escapeXml(country)}</Country>`,
+    postalCode && `
+    <PostalCode>${escapeXml(postalCode)}</PostalCode>`,
+    location && `
+    <Location>${escapeXml(location)}</Location>`,
+    `
+    <DispatchTimeMax>${dispatchTimeMax}</DispatchTimeMax>`
+  ].filter(Boolean).join('');
+}
+
+/**
+ * Build the ItemSpecifics element
+ * Empty values are left out, and a list of values becomes one Value per entry.
+ * @param {Object} itemSpecifics - Item specifics by name (see src/constants/itemAspects.js)
+ * @returns {string} ItemSpecifics XML, or '' if there are none
+ */
+function buildItemSpecificsXml(itemSpecifics) {
+  const nameValueLists = Object.entries(itemSpecifics || {})
+    .map(([name, value]) => [name, (Array.isArray(value) ? value : [value]).filter(hasAspectValue)])
+    .filter(([, values]) => values.length > 0)
+    .map(([name, values]) => `
+        <NameValueList>
+          <Name>${escapeXml(name)}</Name>
+          ${values.map(value => `<Value>${escapeXml(String(value).trim())}</Value>`).join('')}
+        </NameValueList>
+      `).join('');
+
+  return nameValueLists ? `
+        <ItemSpecifics>
+          ${nameValueLists}
+        </ItemSpecifics>
+      ` : '';
+}
+
 /**
  * Build eBay XML request for Trading API
- * @param {Object} listing - Listing data
+ * @param {Object} listing - Listing data (categoryId is the chosen eBay category, businessPolicies holds the chosen policy IDs, packageDetails the package weight and size, conditionDescription the condition notes)
  * @param {Array} photoUrls - Array of hosted photo URLs
+ * @param {Object} seller - Seller settings for the item location and handling time (see buildItemLocationXml)
  * @returns {string} eBay XML request
  */
-function buildEbayXMLRequest(listing, photoUrls) {
-  const conditionID = getEbayConditionID(listing.condition);
-  const categoryID = getEbayCategoryID(listing.category, listing.listingType);
+function buildEbayXMLRequest(listing, photoUrls, seller) {
+  const categoryID = listing.categoryId || getEbayCategoryID(listing.category, listing.listingType);
+  const conditionID = getEbayConditionID(listing.condition, listing.listingType, categoryID);
   
   // Build photo gallery XML
   let pictureDetailsXml = '';
@@ -262,79 +424,11 @@ function buildEbayXMLRequest(listing, photoUrls) {
     `;
   }
   
-  // Build item specifics XML
-  let itemSpecificsXml = '';
-  
-  // Start with required book specifics if this is a book
-  const allSpecifics = { ...listing.itemSpecifics };
-  
-  // Add required book specifics based on category  
-  if (categoryID === '377' || categoryID === '29792' || categoryID === '11450' || categoryID === '172562') {
-    // Use data from OpenAI item_specifics, or extract from title as fallback
-    
-    // Book Title - use OpenAI data if available, otherwise extract from title
-    if (!allSpecifics['Book Title']) {
-      // For your current book "The Salem Syndrome: A Novel of Medicine and Law by Robert H. Bartlett"
-      // Extract just "The Salem Syndrome"
-      let bookTitle = listing.title;
-      
-      // Try to clean up the title - remove common patterns
-      bookTitle = bookTitle.replace(/:\s*.*$/i, '').trim(); // Remove ": Subtitle and everything after"
-      bookTitle = bookTitle.replace(/\s*by\s+.*$/i, '').trim(); // Remove "by Author"
-      bookTitle = bookTitle.replace(/\s*-\s*.*$/i, '').trim(); // Remove "- Description"
-      
-      allSpecifics['Book Title'] = bookTitle;
-    }
-    
-    // Author - required field for books
-    if (!allSpecifics['Author']) {
-      // Try to extract author from the title if not provided by OpenAI
-      const authorMatch = listing.title.match(/by\s+([^-]+)/i);
-      if (authorMatch) {
-        allSpecifics['Author'] = authorMatch[1].trim();
-      } else {
-        allSpecifics['Author'] = 'Unknown';
-      }
-    }
-    
-    // Use OpenAI data if available, otherwise use defaults
-    if (!allSpecifics['Format'] && !allSpecifics['format']) {
-      allSpecifics['Format'] = 'Paperback';
-    }
-    
-    if (!allSpecifics['Language'] && !allSpecifics['language']) {
-      allSpecifics['Language'] = 'English';
-    }
-    
-    if (!allSpecifics['Book Series']) {
-      allSpecifics['Book Series'] = 'N/A';
-    }
-  }
-  
-  if (allSpecifics && Object.keys(allSpecifics).length > 0) {
-    const specifics = Object.entries(allSpecifics)
-      .filter(([, value]) => value && value.toString().trim())
-      .map(([key, value]) => `
-        <NameValueList>
-          <Name>${escapeXml(key)}</Name>
-          <Value>${escapeXml(value.toString())}</Value>
-        </NameValueList>
-      `).join('');
-    
-    if (specifics) {
-      itemSpecificsXml = `
-        <ItemSpecifics>
-          ${specifics}
-        </ItemSpecifics>
-      `;
-    }
-  }
+  // Item specifics - the server has already checked them against the category's aspects
+  const itemSpecificsXml = buildItemSpecificsXml(listing.itemSpecifics);
   
   const xmlRequest = `<?xml version="1.0" encoding="utf-8"?>
     <AddItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
-      <RequesterCredentials>
-        <eBayAuthToken>${process.env.EBAY_USER_TOKEN}</eBayAuthToken>
-      </RequesterCredentials>
       <Item>
         <Title>${escapeXml(listing.title)}</Title>
         <Description><![CDATA[${listing.description || 'No description provided'}]]></Description>
@@ -343,34 +437,15 @@ function buildEbayXMLRequest(listing, photoUrls) {
         </PrimaryCategory>
         <StartPrice>${listing.price}</StartPrice>
         <CategoryMappingAllowed>true</CategoryMappingAllowed>
-        <Country>US</Country>
         <Currency>USD</Currency>
-        <DispatchTimeMax>3</DispatchTimeMax>
+        ${buildItemLocationXml(seller)}
         <ListingDuration>GTC</ListingDuration>
         <ListingType>FixedPriceItem</ListingType>
-        <PostalCode>10001</PostalCode>
         <Quantity>1</Quantity>
-        <ShippingPackageDetails>
-          <WeightMajor>1</WeightMajor>
-          <WeightMinor>0</WeightMinor>
-          <MeasurementUnit>English</MeasurementUnit>
-          <PackageDepth>6</PackageDepth>
-          <PackageLength>9</PackageLength>
-          <PackageWidth>1</PackageWidth>
-        </ShippingPackageDetails>
-        <SellerProfiles>
-          <SellerPaymentProfile>
-            <PaymentProfileName>eBay Payments</PaymentProfileName>
-          </SellerPaymentProfile>
-          <SellerShippingProfile>
-            <ShippingProfileName>FREE SHIPPING CURRENT July 14th 2022 Copy</ShippingProfileName>
-          </SellerShippingProfile>
-          <SellerReturnProfile>
-            <ReturnProfileID>230502251026</ReturnProfileID>
-          </SellerReturnProfile>
-        </SellerProfiles>
+        ${buildShippingPackageXml(listing.packageDetails, listing.listingType)}
+        ${buildBusinessPoliciesXml(listing.businessPolicies, FREE_GROUND_SHIPPING_XML)}
         <Site>US</Site>
-        <ConditionID>${conditionID}</ConditionID>
+        ${buildConditionXml(conditionID, listing.conditionDescription)}
         ${pictureDetailsXml}
         ${itemSpecificsXml}
       </Item>
@@ -380,27 +455,59 @@ function buildEbayXMLRequest(listing, photoUrls) {
   return xmlRequest;
 }
 
+/**
+ * Get the eBay Trading API endpoint
+ * EBAY_TRADING_API_URL overrides the production/sandbox URL, e.g. to point at
+ * the local mock (npm run mock:ebay -> http://localhost:3001/ws/api.dll)
+ * @returns {Object} { url, label }
+ */
+function getTradingApiEndpoint() {
+  if (process.env.EBAY_TRADING_API_URL) {
+    return { url: process.env.EBAY_TRADING_API_URL, label: process.env.EBAY_TRADING_API_URL };
+  }
+
+  const isProduction = process.env.EBAY_SANDBOX !== "true";
+  return isProduction
+    ? { url: 'https://api.ebay.com/ws/api.dll', label: 'Production' }
+    : { url: 'https://api.sandbox.ebay.com/ws/api.dll', label: 'Sandbox' };
+}
+
+/**
+ * Get the eBay REST API base URL (Account, Taxonomy)
+ * EBAY_REST_API_URL overrides api.ebay.com / api.sandbox.ebay.com, e.g. the local mock (http://localhost:3001)
+ * @returns {string} Base URL without a trailing slash
+ */
+function getRestApiBaseUrl() {
+  if (process.env.EBAY_REST_API_URL) {
+    return process.env.EBAY_REST_API_URL.replace(/\/+$/, '');
+  }
+  return process.env.EBAY_SANDBOX === "true" ? 'https://api.sandbox.ebay.com' : 'https://api.ebay.com';
+}
+
 /**
  * Call eBay Trading API
- * @param {string} xmlRequest - XML request body
+ * OAuth access tokens go in the X-EBAY-API-IAF-TOKEN header; User Tokens in RequesterCredentials.
+ * @param {string} xmlRequest - XML request body (without RequesterCredentials)
+ * @param {string} callName - Trading API call name (AddItem, VerifyAddItem, ReviseItem, EndItem)
+ * @param {Object} credentials - Seller's eBay credentials from the credential store
  * @returns {Promise<Object>} eBay API response
  */
-async function callEbayTradingAPI(xmlRequest) {
+async function callEbayTradingAPI(xmlRequest, callName = 'AddItem', credentials) {
   try {
-    const isProduction = process.env.EBAY_SANDBOX !== "true";
-    const apiUrl = isProduction 
-      ? 'https://api.ebay.com/ws/api.dll'
-      : 'https://api.sandbox.ebay.com/ws/api.dll';
+    const endpoint = getTradingApiEndpoint();
+    const authToken = await getEbayAccessToken(credentials);
+    const isOAuth = isOAuthCredentials(credentials);
     
-    console.log(`🔄 Calling eBay Trading API (${isProduction ? 'Production' : 'Sandbox'})`);
+    console.log(`🔄 Calling eBay Trading API ${callName} (${endpoint.label})`);
     
-    const response = await axios.post(apiUrl, xmlRequest, {
+    const response = await axios.post(endpoint.url, isOAuth ? xmlRequest : addRequesterCredentials(xmlRequest, authToken), {
       headers: {
+        ...(isOAuth && { 'X-EBAY-API-IAF-TOKEN': authToken }),
         'X-EBAY-API-COMPATIBILITY-LEVEL': '967',
         'X-EBAY-API-DEV-NAME': process.env.EBAY_DEV_ID,
         'X-EBAY-API-APP-NAME': process.env.EBAY_APP_ID,
         'X-EBAY-API-CERT-NAME': process.env.EBAY_CERT_ID,
-        'X-EBAY-API-CALL-NAME': 'AddItem',
+        'X-EBAY-API-CALL-NAME': callName,
         'X-EBAY-API-SITEID': '0',
         'Content-Type': 'text/xml',
       },
@@ -417,53 +524,118 @@ async function callEbayTradingAPI(xmlRequest) {
   }
 }
 
+/**
+ * Wrap a parsed XML node in an array (xml2js returns a single child as an object)
+ * @param {*} value - Parsed node, array of nodes or undefined
+ * @returns {Array} Array of nodes
+ */
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Read the text of a parsed XML node (plain string, or { _: text, $: attributes })
+ * @param {*} node - Parsed node
+ * @returns {string} Node text
+ */
+function nodeText(node) {
+  if (node === undefined || node === null) return '';
+  return typeof node === 'object' ? (node._ || '') : String(node);
+}
+
+/**
+ * Parse the Errors elements of a Trading API response
+ * @param {Object} response - Parsed response root
+ * @returns {Array} Array of { severity, code, shortMessage, longMessage, classification, parameters }
+ */
+function parseEbayErrors(response) {
+  return asArray(response.Errors).map(error => ({
+    severity: nodeText(error.SeverityCode) || 'Error',
+    code: nodeText(error.ErrorCode),
+    shortMessage: nodeText(error.ShortMessage),
+    longMessage: nodeText(error.LongMessage),
+    classification: nodeText(error.ErrorClassification),
+    parameters: asArray(error.ErrorParameters).map(parameter => ({
+      id: parameter.$?.ParamID || '',
+      value: nodeText(parameter.Value)
+    }))
+  }));
+}
+
+/**
+ * Parse the Fees element of a Trading API response
+ * ListingFee is eBay's total; every other fee, zero or not, is returned in the breakdown
+ * @param {Object} response - Parsed response root
+ * @returns {Object} { insertionFee, total, currency, breakdown }
+ */
+function parseEbayFees(response) {
+  const fees = asArray(response.Fees?.Fee).map(fee => ({
+    name: nodeText(fee.Name),
+    amount: parseFloat(nodeText(fee.Fee)) || 0,
+    currency: fee.Fee?.$?.currencyID || 'USD'
+  }));
+
+  const listingFee = fees.find(fee => fee.name === 'ListingFee');
+  const insertionFee = fees.find(fee => fee.name === 'InsertionFee');
+  const breakdown = fees.filter(fee => fee.name !== 'ListingFee');
+
+  return {
+    insertionFee: insertionFee ? insertionFee.amount : 0,
+    total: listingFee ? listingFee.amount : breakdown.reduce((sum, fee) => sum + fee.amount, 0),
+    currency: (listingFee || insertionFee || {}).currency || 'USD',
+    breakdown
+  };
+}
+
 /**
  * Parse eBay API response
  * @param {string} xmlResponse - eBay XML response
- * @returns {Object} Parsed response data
+ * @returns {Promise<Object>} Parsed response data
  */
-function parseEbayResponse(xmlResponse) {
+async function parseEbayResponse(xmlResponse) {
   try {
-    // Simple XML parsing for key fields
-    // In a production environment, you'd use a proper XML parser like xml2js
-    const ackMatch = xmlResponse.match(/<Ack>(.*?)<\/Ack>/);
-    const itemIdMatch = xmlResponse.match(/<ItemID>(.*?)<\/ItemID>/);
-    const feesMatch = xmlResponse.match(/<InsertionFee currencyID="USD">(.*?)<\/InsertionFee>/);
-    const errorsMatch = xmlResponse.match(/<Errors>(.*?)<\/Errors>/s);
+    const parsed = await xml2js.parseStringPromise(xmlResponse, { explicitArray: false, trim: true });
+    const rootName = Object.keys(parsed || {})[0];
+    const response = (rootName && parsed[rootName]) || {};
     
-    const ack = ackMatch ? ackMatch[1] : 'Unknown';
+    const ack = nodeText(response.Ack) || 'Unknown';
     const isSuccess = ack === 'Success' || ack === 'Warning';
+    const issues = parseEbayErrors(response);
+    const errors = issues.filter(issue => issue.severity === 'Error');
+    const warnings = issues.filter(issue => issue.severity === 'Warning');
     
     if (isSuccess) {
-      const itemId = itemIdMatch ? itemIdMatch[1] : null;
-      const insertionFee = feesMatch ? parseFloat(feesMatch[1]) : 0;
+      const itemId = nodeText(response.ItemID) || null;
       
       return {
         success: true,
         ack,
         itemId,
         ebayListingId: itemId,
-        url: itemId ? `https://www.ebay.com/itm/${itemId}` : null,
-        fees: {
-          insertionFee: insertionFee
-        },
+        url: itemId && itemId !== '0' ? `https://www.ebay.com/itm/${itemId}` : null,
+        fees: parseEbayFees(response),
+        warnings,
+        errors,
+        startTime: nodeText(response.StartTime) || null,
+        endTime: nodeText(response.EndTime) || null,
+        // Only present when eBay mapped the listing to a different category
+        categoryId: nodeText(response.CategoryID) || null,
+        category2Id: nodeText(response.Category2ID) || null,
         message: 'Listing created successfully on eBay',
         rawResponse: xmlResponse
       };
     } else {
-      // Parse errors
-      let errorMessage = 'Unknown eBay error';
-      if (errorsMatch) {
-        const errorLongMessageMatch = errorsMatch[1].match(/<LongMessage>(.*?)<\/LongMessage>/);
-        if (errorLongMessageMatch) {
-          errorMessage = errorLongMessageMatch[1];
-        }
-      }
+      const errorMessage = errors.length > 0
+        ? errors.map(error => error.longMessage || error.shortMessage).join(' ')
+        : 'Unknown eBay error';
       
       return {
         success: false,
         ack,
         error: errorMessage,
+        errors,
+        warnings,
         message: `eBay listing failed: ${errorMessage}`,
         rawResponse: xmlResponse
       };
@@ -478,18 +650,290 @@ function parseEbayResponse(xmlResponse) {
   }
 }
 
+/**
+ * Build ReviseFixedPriceItem XML request for a live listing
+ * Only the fields present in `changes` are sent, so everything else stays as listed
+ * @param {string} itemId - eBay ItemID
+ * @param {Object} changes - { title, price, quantity, description }
+ * @returns {string} eBay XML request
+ */
+function buildReviseFixedPriceItemXMLRequest(itemId, changes) {
+  const fieldsXml = [
+    changes.title !== undefined ? `<Title>${escapeXml(changes.title)}</Title>` : '',
+    changes.description !== undefined ? `<Description><![CDATA[${changes.description}]]></Description>` : '',
+    changes.price !== undefined ? `<StartPrice>${changes.price}</StartPrice>` : '',
+    changes.quantity !== undefined ? `<Quantity>${changes.quantity}</Quantity>` : ''
+  ].filter(Boolean).join('\n        ');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+    <ReviseFixedPriceItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+      <Item>
+        <ItemID>${escapeXml(itemId)}</ItemID>
+        ${fieldsXml}
+      </Item>
+      <WarningLevel>High</WarningLevel>
+    </ReviseFixedPriceItemRequest>`;
+}
+
+/**
+ * Build EndFixedPriceItem XML request
+ * @param {string} itemId - eBay ItemID
+ * @param {string} endingReason - eBay EndingReason code (see src/constants/ebayEndingReasons.js)
+ * @returns {string} eBay XML request
+ */
+function buildEndFixedPriceItemXMLRequest(itemId, endingReason) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+    <EndFixedPriceItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+      <ItemID>${escapeXml(itemId)}</ItemID>
+      <EndingReason>${escapeXml(endingReason)}</EndingReason>
+    </EndFixedPriceItemRequest>`;
+}
+
+/**
+ * Turn an AddItem request into a VerifyAddItem request
+ * VerifyAddItem takes the same Item, so the builders' XML is reused as-is
+ * @param {string} xmlRequest - AddItem XML request
+ * @returns {string} VerifyAddItem XML request
+ */
+function toVerifyAddItemRequest(xmlRequest) {
+  return xmlRequest
+    .replace('<AddItemRequest', '<VerifyAddItemRequest')
+    .replace('</AddItemRequest>', '</VerifyAddItemRequest>');
+}
+
+/**
+ * Parse eBay VerifyAddItem response
+ * A Failure ack is still a successful check - the listing is just not valid
+ * @param {string} xmlResponse - eBay XML response
+ * @returns {Promise<Object>} { success, ack, valid, errors, warnings, fees, categoryId }
+ */
+async function parseEbayVerifyResponse(xmlResponse) {
+  const parsedResponse = await parseEbayResponse(xmlResponse);
+
+  // Unparseable XML - there is no ack to report
+  if (!parsedResponse.ack) {
+    return parsedResponse;
+  }
+
+  return {
+    success: true,
+    ack: parsedResponse.ack,
+    valid: parsedResponse.success,
+    errors: parsedResponse.errors,
+    warnings: parsedResponse.warnings,
+    fees: parsedResponse.fees || null,
+    categoryId: parsedResponse.categoryId || null,
+    rawResponse: xmlResponse
+  };
+}
+
+/**
+ * Dry-run a listing with VerifyAddItem - nothing is listed on eBay
+ * @param {string} xmlRequest - AddItem XML request from one of the builders
+ * @param {Object} credentials - Seller's eBay credentials
+ * @returns {Promise<Object>} Parsed verify result
+ */
+async function verifyEbayListing(xmlRequest, credentials) {
+  try {
+    const ebayResponse = await callEbayTradingAPI(toVerifyAddItemRequest(xmlRequest), 'VerifyAddItem', credentials);
+    return await parseEbayVerifyResponse(ebayResponse);
+  } catch (error) {
+    console.error('❌ Error verifying eBay listing:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: `Failed to verify eBay listing: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Build GetMyeBaySelling XML request for the account's sold items (SoldList)
+ * @param {Object} options - { days (eBay keeps up to 60), page, perPage (up to 200) }
+ * @returns {string} eBay XML request
+ */
+function buildGetMyeBaySellingXMLRequest({ days = 60, page = 1, perPage = 100 } = {}) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+    <GetMyeBaySellingRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+      <SoldList>
+        <Include>true</Include>
+        <DurationInDays>${days}</DurationInDays>
+        <Pagination>
+          <EntriesPerPage>${perPage}</EntriesPerPage>
+          <PageNumber>${page}</PageNumber>
+        </Pagination>
+      </SoldList>
+      <DetailLevel>ReturnAll</DetailLevel>
+    </GetMyeBaySellingRequest>`;
+}
+
+/**
+ * Turn a SoldList Transaction into a sold item
+ * @param {Object} transaction - Parsed Transaction node
+ * @returns {Object} { id, itemId, transactionId, title, soldPrice, currency, quantity, soldDate, category, views, watchers }
+ */
+function parseSoldTransaction(transaction) {
+  const item = transaction.Item || {};
+  const priceNode = transaction.TotalPrice || transaction.TransactionPrice || item.SellingStatus?.CurrentPrice;
+  const itemId = nodeText(item.ItemID);
+  const transactionId = nodeText(transaction.TransactionID) || '0';
+  const views = nodeText(item.HitCount);
+  const watchers = nodeText(item.WatchCount);
+
+  return {
+    id: `${itemId}-${transactionId}`,
+    itemId,
+    transactionId,
+    title: nodeText(item.Title),
+    soldPrice: (parseFloat(nodeText(priceNode)) || 0).toFixed(2),
+    currency: priceNode?.$?.currencyID || 'USD',
+    quantity: parseInt(nodeText(transaction.QuantityPurchased), 10) || 1,
+    soldDate: nodeText(transaction.CreatedDate) || null,
+    category: nodeText(item.PrimaryCategory?.CategoryName),
+    views: views === '' ? null : parseInt(views, 10),
+    watchers: watchers === '' ? null : parseInt(watchers, 10)
+  };
+}
+
+/**
+ * Parse eBay GetMyeBaySelling response
+ * Single-item sales are a Transaction; multi-item orders nest them under Order.TransactionArray
+ * @param {string} xmlResponse - eBay XML response
+ * @returns {Promise<Object>} { success, ack, soldListings, totalEntries, totalPages, warnings } or an error result
+ */
+async function parseGetMyeBaySellingResponse(xmlResponse) {
+  try {
+    const parsed = await xml2js.parseStringPromise(xmlResponse, { explicitArray: false, trim: true });
+    const response = parsed.GetMyeBaySellingResponse || {};
+    const ack = nodeText(response.Ack) || 'Unknown';
+    const issues = parseEbayErrors(response);
+    const errors = issues.filter(issue => issue.severity === 'Error');
+    const warnings = issues.filter(issue => issue.severity === 'Warning');
+
+    if (ack !== 'Success' && ack !== 'Warning') {
+      const errorMessage = errors.map(error => error.longMessage || error.shortMessage).join(' ') || 'Unknown eBay error';
+      return {
+        success: false,
+        ack,
+        error: errorMessage,
+        errors,
+        warnings,
+        message: `Failed to get sold items from eBay: ${errorMessage}`
+      };
+    }
+
+    const soldList = response.SoldList || {};
+    const transactions = asArray(soldList.OrderTransactionArray?.OrderTransaction).flatMap(orderTransaction => (
+      orderTransaction.Order
+        ? asArray(orderTransaction.Order.TransactionArray?.Transaction)
+        : asArray(orderTransaction.Transaction)
+    ));
+
+    return {
+      success: true,
+      ack,
+      soldListings: transactions.map(parseSoldTransaction),
+      totalEntries: parseInt(nodeText(soldList.PaginationResult?.TotalNumberOfEntries), 10) || 0,
+      totalPages: parseInt(nodeText(soldList.PaginationResult?.TotalNumberOfPages), 10) || 0,
+      warnings
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to parse eBay response: ${error.message}`,
+      message: 'eBay response parsing failed'
+    };
+  }
+}
+
+/**
+ * Get the seller's sold items from eBay, following pagination
+ * @param {Object} options - { days, perPage, maxPages, credentials (seller's eBay credentials) }
+ * @returns {Promise<Object>} { success, soldListings, totalEntries } or an error result
+ */
+async function getEbaySoldListings({ days = 60, perPage = 100, maxPages = 10, credentials } = {}) {
+  try {
+    const soldListings = [];
+    let page = 1;
+    let totalPages = 1;
+    let totalEntries = 0;
+
+    do {
+      const xmlRequest = buildGetMyeBaySellingXMLRequest({ days, page, perPage });
+      const ebayResponse = await callEbayTradingAPI(xmlRequest, 'GetMyeBaySelling', credentials);
+      const result = await parseGetMyeBaySellingResponse(ebayResponse);
+
+      if (!result.success) {
+        return result;
+      }
+
+      soldListings.push(...result.soldListings);
+      totalPages = result.totalPages;
+      totalEntries = result.totalEntries;
+      page++;
+    } while (page <= totalPages && page <= maxPages);
+
+    console.log(`💰 Got ${soldListings.length} sold item(s) from eBay (last ${days} days)`);
+    return { success: true, soldListings, totalEntries };
+  } catch (error) {
+    console.error('❌ Error getting sold items from eBay:', error);
+    return {
+      success: false,
+      error: error.message,
+      message: `Failed to get sold items from eBay: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Build GetUser XML request (the seller the token belongs to)
+ * @returns {string} XML request
+ */
+function buildGetUserXMLRequest() {
+  return `<?xml version="1.0" encoding="utf-8"?>
+    <GetUserRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+      <DetailLevel>ReturnSummary</DetailLevel>
+    </GetUserRequest>`;
+}
+
+/**
+ * Get the eBay user ID of the account a seller's credentials belong to
+ * @param {Object} credentials - Seller's eBay credentials
+ * @returns {Promise<Object>} { success, ebayUsername } or { success: false, error }
+ */
+async function getEbayUser(credentials) {
+  try {
+    const ebayResponse = await callEbayTradingAPI(buildGetUserXMLRequest(), 'GetUser', credentials);
+    const parsed = await xml2js.parseStringPromise(ebayResponse, { explicitArray: false, trim: true });
+    const response = parsed.GetUserResponse || {};
+    const ack = nodeText(response.Ack);
+
+    if (ack !== 'Success' && ack !== 'Warning') {
+      const errors = parseEbayErrors(response).filter(issue => issue.severity === 'Error');
+      return { success: false, error: errors.map(error => error.longMessage || error.shortMessage).join(' ') || 'Unknown eBay error' };
+    }
+
+    return { success: true, ebayUsername: nodeText(response.User?.UserID) || null };
+  } catch (error) {
+    console.error('❌ Error getting eBay user:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Create a single eBay listing
  * @param {Object} listing - Listing data
  * @param {Array} photos - Array of photo objects
+ * @param {Object} credentials - Seller's eBay credentials
+ * @param {Object} seller - Seller settings for the item location and handling time
  * @returns {Promise<Object>} eBay listing result
  */
-async function createEbayListing(listing, photos) {
+async function createEbayListing(listing, photos, credentials, seller) {
   try {
     console.log(`📤 Creating eBay listing: ${listing.title}`);
     
-    // 1. Get eBay access token
-    const accessToken = await getEbayAccessToken();
+    // 1. Check the seller has an eBay account before uploading photos
+    await getEbayAccessToken(credentials);
     
     // 2. Upload photos to external server
     const photoUploadResult = await uploadPhotosForEbayListing(photos);
@@ -499,13 +943,13 @@ async function createEbayListing(listing, photos) {
     }
     
     // 3. Build eBay XML request with listing data
-    const xmlRequest = buildEbayXMLRequest(listing, photoUploadResult.ebayPhotoUrls);
+    const xmlRequest = buildEbayXMLRequest(listing, photoUploadResult.ebayPhotoUrls, seller);
     
     // 4. Call eBay Trading API
-    const ebayResponse = await callEbayTradingAPI(xmlRequest);
+    const ebayResponse = await callEbayTradingAPI(xmlRequest, 'AddItem', credentials);
     
     // 5. Parse response and return result
-    const parsedResponse = parseEbayResponse(ebayResponse);
+    const parsedResponse = await parseEbayResponse(ebayResponse);
     
     // Add photo upload details to response
     parsedResponse.photoUpload = photoUploadResult;
@@ -523,13 +967,14 @@ async function createEbayListing(listing, photos) {
 
 /**
  * Build book-specific eBay XML request with enhanced book item specifics
- * @param {Object} bookListing - Book listing data
+ * @param {Object} bookListing - Book listing data (categoryId is the chosen eBay category, businessPolicies holds the chosen policy IDs, packageDetails the package weight and size, conditionDescription the condition notes)
  * @param {Array} photoUrls - Array of hosted photo URLs
+ * @param {Object} seller - Seller settings for the item location and handling time (see buildItemLocationXml)
  * @returns {string} eBay XML request for books
  */
-function buildEbayBookXMLRequest(bookListing, photoUrls) {
-  const conditionID = getEbayConditionID(bookListing.condition);
-  const categoryID = getEbayCategoryID(bookListing.category, 'BOOK_ITEM');
+function buildEbayBookXMLRequest(bookListing, photoUrls, seller) {
+  const categoryID = bookListing.categoryId || getEbayCategoryID(bookListing.category, 'BOOK_ITEM');
+  const conditionID = getEbayConditionID(bookListing.condition, 'BOOK_ITEM', categoryID);
   
   // Build photo gallery XML
   let pictureDetailsXml = '';
@@ -543,52 +988,10 @@ function buildEbayBookXMLRequest(bookListing, photoUrls) {
     `;
   }
   
-  // Build book-specific item specifics
-  let itemSpecificsXml = '';
-  const bookSpecifics = bookListing.item_specifics || {};
-  
-  const requiredBookSpecifics = {
-    'Book Title': bookSpecifics['Book Title'] || bookListing.title,
-    'Author': bookSpecifics['Author'] || 'Unknown',
-    'Format': bookSpecifics['Format'] || 'Hardcover',
-    'Language': bookSpecifics['Language'] || 'English',
-    'Topic': bookSpecifics['Topic'] || 'General',
-    'Publisher': bookSpecifics['Publisher'] || '',
-    'Publication Year': bookSpecifics['Publication Year'] || '',
-    'ISBN': bookSpecifics['ISBN'] || ''
-  };
-
-  // Add optional book specifics if provided
-  const optionalBookSpecifics = {
-    'Edition': bookSpecifics['Edition'] || '',
-    'Series': bookSpecifics['Series'] || '',
-    'Reading Level': bookSpecifics['Reading Level'] || 'Adult',
-    'Number of Pages': bookSpecifics['Number of Pages'] || '',
-    'Special Features': bookSpecifics['Special Features'] || ''
-  };
+  // Book item specifics - the server has already checked them against the category's aspects
+  const itemSpecificsXml = buildItemSpecificsXml(bookListing.item_specifics);
 
-  // Combine all specifics
-  const allSpecifics = { ...requiredBookSpecifics, ...optionalBookSpecifics };
-
-  // Build XML for non-empty specifics
-  const specificItems = Object.entries(allSpecifics)
-    .filter(([key, value]) => value && value.toString().trim() !== '')
-    .map(([name, value]) => `
-      <NameValueList>
-        <Name>${escapeXml(name)}</Name>
-        <Value>${escapeXml(value.toString())}</Value>
-      </NameValueList>
-    `).join('');
-
-  if (specificItems) {
-    itemSpecificsXml = `
-      <ItemSpecifics>
-        ${specificItems}
-      </ItemSpecifics>
-    `;
-  }
-
-  // Build shipping details - Media Mail is standard for books
+  // Shipping without a fulfillment policy - Media Mail is standard for books
   const shippingXml = `
     <ShippingDetails>
       <ShippingType>Flat</ShippingType>
@@ -608,32 +1011,23 @@ function buildEbayBookXMLRequest(bookListing, photoUrls) {
 
   const xmlRequest = `<?xml version="1.0" encoding="utf-8"?>
 <AddItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
-  <RequesterCredentials>
-    <eBayAuthToken>${process.env.EBAY_USER_TOKEN}</eBayAuthToken>
-  </RequesterCredentials>
   <Item>
     <Title>${escapeXml(bookListing.title)}</Title>
     <Description><![CDATA[${bookListing.description || ''}]]></Description>
     <PrimaryCategory>
       <CategoryID>${categoryID}</CategoryID>
     </PrimaryCategory>
-    <ConditionID>${conditionID}</ConditionID>
+    ${buildConditionXml(conditionID, bookListing.conditionDescription)}
     <StartPrice>${bookListing.price}</StartPrice>
     <Currency>USD</Currency>
-    <Country>US</Country>
-    <Location>United States</Location>
+    ${buildItemLocationXml(seller)}
     <ListingType>FixedPriceItem</ListingType>
     <ListingDuration>GTC</ListingDuration>
     <Quantity>${bookListing.quantity || 1}</Quantity>
     ${pictureDetailsXml}
     ${itemSpecificsXml}
-    ${shippingXml}
-    <ReturnPolicy>
-      <ReturnsAcceptedOption>ReturnsAccepted</ReturnsAcceptedOption>
-      <RefundOption>MoneyBack</RefundOption>
-      <ReturnsWithinOption>Days_30</ReturnsWithinOption>
-      <ShippingCostPaidByOption>Buyer</ShippingCostPaidByOption>
-    </ReturnPolicy>
+    ${buildShippingPackageXml(bookListing.packageDetails, 'BOOK_ITEM')}
+    ${buildBusinessPoliciesXml(bookListing.businessPolicies, shippingXml)}
   </Item>
 </AddItemRequest>`;
 
@@ -643,7 +1037,105 @@ function buildEbayBookXMLRequest(bookListing, photoUrls) {
     title: bookListing.title,
     price: bookListing.price,
     photoCount: photoUrls.length,
-    hasItemSpecifics: !!itemSpecifics
+    hasItemSpecifics: !!itemSpecificsXml
+  });
+
+  return xmlRequest;
+}
+
+/**
+ * Build bulleted HTML description for a book lot
+ * @param {string} description - Lot description from the listing
+ * @param {Array} books - Books included in the lot ({ title, author, isbn })
+ * @returns {string} HTML description with one bullet per book
+ */
+function buildBookLotDescription(description, books) {
+  const bookItems = books.map(book => {
+    let line = escapeXml(book.title);
+    if (book.author) {
+      line += ` by ${escapeXml(book.author)}`;
+    }
+    if (book.isbn) {
+      line += ` (ISBN ${escapeXml(book.isbn)})`;
+    }
+    return `<li>${line}</li>`;
+  }).join('');
+
+  return `<p>${escapeXml(description || '')}</p>
+<h3>Books in this lot (${books.length}):</h3>
+<ul>${bookItems}</ul>`;
+}
+
+/**
+ * Build book-lot eBay XML request with a bulleted list of the included books
+ * @param {Object} lotListing - Book lot listing data (title, price, categoryId, books, item_specifics, businessPolicies, packageDetails, conditionDescription)
+ * @param {Array} photoUrls - Array of hosted photo URLs
+ * @param {Object} seller - Seller settings for the item location and handling time (see buildItemLocationXml)
+ * @returns {string} eBay XML request for book lots
+ */
+function buildEbayBookLotXMLRequest(lotListing, photoUrls, seller) {
+  const categoryID = lotListing.categoryId || getEbayCategoryID(lotListing.category, 'BOOK_LOTS');
+  const conditionID = getEbayConditionID(lotListing.condition, 'BOOK_LOTS', categoryID);
+  const books = lotListing.books || [];
+
+  // Build photo gallery XML
+  let pictureDetailsXml = '';
+  if (photoUrls && photoUrls.length > 0) {
+    const photoUrlsXml = photoUrls.map(url => `<PictureURL>${escapeXml(url)}</PictureURL>`).join('');
+    pictureDetailsXml = `
+      <PictureDetails>
+        ${photoUrlsXml}
+        <GalleryType>Gallery</GalleryType>
+      </PictureDetails>
+    `;
+  }
+
+  // Lot-level item specifics - the server has already checked them against the category's aspects
+  const itemSpecificsXml = buildItemSpecificsXml(lotListing.item_specifics);
+
+  // Shipping without a fulfillment policy - Media Mail is standard for books
+  const shippingXml = `
+    <ShippingDetails>
+      <ShippingType>Flat</ShippingType>
+      <ShippingServiceOptions>
+        <ShippingServicePriority>1</ShippingServicePriority>
+        <ShippingService>USPSMedia</ShippingService>
+        <ShippingServiceCost>0.00</ShippingServiceCost>
+        <FreeShipping>true</FreeShipping>
+      </ShippingServiceOptions>
+    </ShippingDetails>
+  `;
+
+  const xmlRequest = `<?xml version="1.0" encoding="utf-8"?>
+<AddItemRequest xmlns="urn:ebay:apis:eBLBaseComponents">
+  <Item>
+    <Title>${escapeXml(lotListing.title)}</Title>
+    <Description><![CDATA[${buildBookLotDescription(lotListing.description, books)}]]></Description>
+    <PrimaryCategory>
+      <CategoryID>${categoryID}</CategoryID>
+    </PrimaryCategory>
+    ${buildConditionXml(conditionID, lotListing.conditionDescription)}
+    <StartPrice>${lotListing.price}</StartPrice>
+    <Currency>USD</Currency>
+    ${buildItemLocationXml(seller)}
+    <ListingType>FixedPriceItem</ListingType>
+    <ListingDuration>GTC</ListingDuration>
+    <Quantity>1</Quantity>
+    <LotSize>${books.length}</LotSize>
+    ${pictureDetailsXml}
+    ${itemSpecificsXml}
+    ${buildShippingPackageXml(lotListing.packageDetails, 'BOOK_LOTS')}
+    ${buildBusinessPoliciesXml(lotListing.businessPolicies, shippingXml)}
+  </Item>
+</AddItemRequest>`;
+
+  console.log('📚 Built book lot eBay XML request:', {
+    categoryID,
+    conditionID,
+    title: lotListing.title,
+    price: lotListing.price,
+    bookCount: books.length,
+    photoCount: photoUrls.length
   });
 
   return xmlRequest;
@@ -651,13 +1143,32 @@ function buildEbayBookXMLRequest(bookListing, photoUrls) {
 
 module.exports = {
   getEbayAccessToken,
+  addRequesterCredentials,
   hostPhotoToServer,
   uploadPhotosForEbayListing,
   getEbayConditionID,
+  getEbayCategoryID,
+  buildConditionXml,
   escapeXml,
+  buildBusinessPoliciesXml,
+  buildShippingPackageXml,
+  buildItemLocationXml,
+  buildItemSpecificsXml,
   buildEbayXMLRequest,
   buildEbayBookXMLRequest,
+  buildEbayBookLotXMLRequest,
+  buildReviseFixedPriceItemXMLRequest,
+  buildEndFixedPriceItemXMLRequest,
+  buildGetMyeBaySellingXMLRequest,
+  getTradingApiEndpoint,
+  getRestApiBaseUrl,
   callEbayTradingAPI,
   parseEbayResponse,
+  toVerifyAddItemRequest,
+  parseEbayVerifyResponse,
+  verifyEbayListing,
+  parseGetMyeBaySellingResponse,
+  getEbaySoldListings,
+  getEbayUser,
   createEbayListing
 };
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * eBay Credential Store
+ * Each user's eBay seller credentials, so every seller on the team posts to their own store:
+ *   EBAY_CREDENTIAL_STORE_PATH - JSON file to store credentials in (default data/ebayCredentials.json)
+ *
+ * Each entry is one of:
+ *   OAuth (connected on eBay's consent page) - { userId, authType: 'oauth', accessToken, accessTokenExpiresAt,
+ *     refreshToken, refreshTokenExpiresAt, ebayUsername, updatedAt }
+ *   User Token (pasted in, e.g. for the mock) - { userId, authType: 'authToken', authToken, ebayUsername, updatedAt }
+ * Entries saved before OAuth have no authType and are User Tokens.
+ * The server's eBay developer keys (EBAY_APP_ID etc.) are shared; only the seller's tokens differ.
+ */
+
+const { createJsonFileStore } = require('./jsonFileStore');
+
+const store = createJsonFileStore({ name: 'ebayCredentials', envVar: 'EBAY_CREDENTIAL_STORE_PATH', fileName: 'ebayCredentials.json' });
+
+/**
+ * Get a user's eBay credentials
+ * @param {string} userId - User ID
+ * @returns {Object|null} Stored entry (see above)
+ */
+function getEbayCredentials(userId) {
+  return store.load().find(entry => entry.userId === userId) || null;
+}
+
+/**
+ * Describe a user's eBay connection without the tokens themselves
+ * @param {string} userId - User ID
+ * @returns {Object} { connected, authType, ebayUsername, updatedAt, accessTokenExpiresAt, refreshTokenExpiresAt, expired } -
+ *   expired means the refresh token has run out and the user has to connect again
+ */
+function describeEbayCredentials(userId) {
+  const credentials = getEbayCredentials(userId);
+  const isOAuth = credentials?.authType === 'oauth';
+  return {
+    connected: !!credentials,
+    authType: credentials ? credentials.authType || 'authToken' : null,
+    ebayUsername: credentials?.ebayUsername || null,
+    updatedAt: credentials?.updatedAt || null,
+    accessTokenExpiresAt: isOAuth ? credentials.accessTokenExpiresAt : null,
+    refreshTokenExpiresAt: isOAuth ? credentials.refreshTokenExpiresAt : null,
+    expired: isOAuth && new Date(credentials.refreshTokenExpiresAt).getTime() <= Date.now()
+  };
+}
+
+/**
+ * Check eBay credentials from a request
+ * @param {Object} data - { authToken, ebayUsername }
+ * @returns {Array} Error messages, empty if the credentials are valid
+ */
+function validateEbayCredentials(data) {
+  const errors = [];
+
+  if (typeof data?.authToken !== 'string' || !data.authToken.trim()) {
+    errors.push('authToken is required');
+  }
+  if (data?.ebayUsername !== undefined && data.ebayUsername !== null && typeof data.ebayUsername !== 'string') {
+    errors.push('ebayUsername must be text');
+  }
+
+  return errors;
+}
+
+const replaceEntry = (entry) => {
+  const entries = store.load();
+  const index = entries.findIndex(existing => existing.userId === entry.userId);
+  if (index === -1) {
+    entries.push(entry);
+  } else {
+    entries[index] = entry;
+  }
+};
+
+/**
+ * Save a user's eBay User Token, replacing any credentials they had (call validateEbayCredentials first)
+ * @param {string} userId - User ID
+ * @param {Object} credentials - { authToken, ebayUsername }
+ * @returns {Promise<Object>} The connection description (see describeEbayCredentials)
+ */
+async function saveEbayCredentials(userId, { authToken, ebayUsername }) {
+  replaceEntry({
+    userId,
+    authType: 'authToken',
+    authToken: authToken.trim(),
+    ebayUsername: ebayUsername?.trim() || null,
+    updatedAt: new Date().toISOString()
+  });
+
+  await store.save();
+  return describeEbayCredentials(userId);
+}
+
+/**
+ * Save OAuth tokens for a user. A new connection (with ebayUsername) replaces any credentials
+ * they had; a refresh updates the access token, and the refresh token if eBay rotated it.
+ * @param {string} userId - User ID
+ * @param {Object} tokens - { accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt, ebayUsername }
+ * @returns {Promise<Object>} The connection description (see describeEbayCredentials)
+ */
+async function saveOAuthTokens(userId, tokens) {
+  const existing = getEbayCredentials(userId);
+  const updatedAt = new Date().toISOString();
+
+  if (existing?.authType === 'oauth' && tokens.ebayUsername === undefined) {
+    // Update in place so callers holding the entry see the new token
+    Object.assign(existing, tokens, { updatedAt });
+  } else {
+    replaceEntry({ userId, authType: 'oauth', ...tokens, ebayUsername: tokens.ebayUsername || null, updatedAt });
+  }
+
+  await store.save();
+  return describeEbayCredentials(userId);
+}
+
+/**
+ * Remove a user's eBay credentials
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the user had credentials
+ */
+async function deleteEbayCredentials(userId) {
+  const entries = store.load();
+  const index = entries.findIndex(entry => entry.userId === userId);
+  if (index === -1) {
+    return false;
+  }
+
+  entries.splice(index, 1);
+  await store.save();
+  return true;
+}
+
+module.exports = {
+  validateEbayCredentials,
+  getEbayCredentials,
+  describeEbayCredentials,
+  saveEbayCredentials,
+  saveOAuthTokens,
+  deleteEbayCredentials
+};
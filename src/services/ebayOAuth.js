@@ -0,0 +1,244 @@
+/**
+ * eBay OAuth (authorization code grant)
+ * Sellers connect their eBay account on eBay's consent page; the server keeps their
+ * access and refresh tokens in the eBay credential store and renews the access token
+ * (valid ~2 hours) with the refresh token (valid ~18 months) as needed.
+ *
+ * APIs that aren't about a seller (e.g. Taxonomy) use an application token from the
+ * client credentials grant instead, shared by all users and kept in memory.
+ *
+ *   EBAY_APP_ID / EBAY_CERT_ID - App's client ID and secret
+ *   EBAY_RUNAME - RuName from the developer portal; its "auth accepted URL" must point
+ *                 at <server>/api/ebay/oauth/callback
+ *   EBAY_OAUTH_SCOPES - Space-separated scopes (defaults to DEFAULT_SCOPES)
+ *   EBAY_OAUTH_BASE_URL - Overrides auth.ebay.com / api.ebay.com, e.g. the local mock (http://localhost:3001)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const ebayCredentialStore = require('./ebayCredentialStore');
+
+const DEFAULT_SCOPES = [
+  'https://api.ebay.com/oauth/api_scope',
+  'https://api.ebay.com/oauth/api_scope/sell.inventory',
+  'https://api.ebay.com/oauth/api_scope/sell.account',
+  'https://api.ebay.com/oauth/api_scope/sell.fulfillment'
+];
+
+// A consent page left open longer than this has to be started again from the app
+const STATE_TTL_MS = 10 * 60 * 1000;
+// Renew the access token this long before eBay says it expires
+const ACCESS_TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+const pendingStates = new Map(); // state -> { userId, expiresAt }
+const refreshesInFlight = new Map(); // userId -> Promise, so parallel requests share one refresh
+let applicationToken = null; // { accessToken, accessTokenExpiresAt }
+let applicationTokenRequest = null; // Promise, so parallel requests share one token request
+
+/**
+ * eBay's consent page and token endpoint for the configured environment
+ * @returns {Object} { authorizeUrl, tokenUrl }
+ */
+function getOAuthEndpoints() {
+  if (process.env.EBAY_OAUTH_BASE_URL) {
+    const baseUrl = process.env.EBAY_OAUTH_BASE_URL.replace(/\/+$/, '');
+    return { authorizeUrl: `${baseUrl}/oauth2/authorize`, tokenUrl: `${baseUrl}/identity/v1/oauth2/token` };
+  }
+
+  const isProduction = process.env.EBAY_SANDBOX !== "true";
+  return isProduction
+    ? { authorizeUrl: 'https://auth.ebay.com/oauth2/authorize', tokenUrl: 'https://api.ebay.com/identity/v1/oauth2/token' }
+    : { authorizeUrl: 'https://auth.sandbox.ebay.com/oauth2/authorize', tokenUrl: 'https://api.sandbox.ebay.com/identity/v1/oauth2/token' };
+}
+
+const getScopes = () => (process.env.EBAY_OAUTH_SCOPES ? process.env.EBAY_OAUTH_SCOPES.split(/\s+/).filter(Boolean) : DEFAULT_SCOPES);
+
+/**
+ * Whether the app keys and RuName needed for the consent flow are set
+ * @returns {boolean}
+ */
+function isOAuthConfigured() {
+  return !!(process.env.EBAY_APP_ID && process.env.EBAY_CERT_ID && process.env.EBAY_RUNAME);
+}
+
+/**
+ * Start connecting a user's eBay account
+ * @param {string} userId - User the consent is for (eBay sends back the state, not the user)
+ * @returns {string} eBay consent page URL to open in a browser
+ */
+function createConsentUrl(userId) {
+  const now = Date.now();
+  pendingStates.forEach((pending, state) => {
+    if (pending.expiresAt <= now) pendingStates.delete(state);
+  });
+
+  const state = crypto.randomBytes(16).toString('hex');
+  pendingStates.set(state, { userId, expiresAt: now + STATE_TTL_MS });
+
+  const params = new URLSearchParams({
+    client_id: process.env.EBAY_APP_ID,
+    redirect_uri: process.env.EBAY_RUNAME,
+    response_type: 'code',
+    scope: getScopes().join(' '),
+    state
+  });
+  return `${getOAuthEndpoints().authorizeUrl}?${params.toString()}`;
+}
+
+/**
+ * Look up (and use up) the state eBay sent back to the callback
+ * @param {string} state - state query parameter
+ * @returns {string|null} User ID, or null if the state is unknown or too old
+ */
+function consumeState(state) {
+  const pending = pendingStates.get(state);
+  pendingStates.delete(state);
+  return pending && pending.expiresAt > Date.now() ? pending.userId : null;
+}
+
+/**
+ * Call eBay's token endpoint
+ * @param {Object} form - Grant parameters
+ * @returns {Promise<Object>} { accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt } -
+ *   the refresh fields are only set when eBay sends a new refresh token
+ */
+async function requestTokens(form) {
+  const basicAuth = Buffer.from(`${process.env.EBAY_APP_ID}:${process.env.EBAY_CERT_ID}`).toString('base64');
+
+  try {
+    const response = await axios.post(getOAuthEndpoints().tokenUrl, new URLSearchParams(form).toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${basicAuth}`
+      },
+      timeout: 30000
+    });
+
+    const data = response.data;
+    const now = Date.now();
+    return {
+      accessToken: data.access_token,
+      accessTokenExpiresAt: new Date(now + data.expires_in * 1000).toISOString(),
+      ...(data.refresh_token && {
+        refreshToken: data.refresh_token,
+        refreshTokenExpiresAt: new Date(now + data.refresh_token_expires_in * 1000).toISOString()
+      })
+    };
+  } catch (error) {
+    const ebayError = error.response?.data;
+    if (ebayError?.error) {
+      const tokenError = new Error(`eBay OAuth ${ebayError.error}: ${ebayError.error_description || 'token request failed'}`);
+      tokenError.oauthError = ebayError.error;
+      throw tokenError;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Trade the authorization code from the callback for the user's tokens
+ * @param {string} code - code query parameter
+ * @returns {Promise<Object>} { accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt }
+ */
+async function exchangeAuthorizationCode(code) {
+  return requestTokens({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: process.env.EBAY_RUNAME
+  });
+}
+
+/**
+ * Get a new access token with the user's refresh token
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object>} { accessToken, accessTokenExpiresAt } plus a new refresh token if eBay rotated it
+ */
+async function refreshAccessToken(refreshToken) {
+  return requestTokens({
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    scope: getScopes().join(' ')
+  });
+}
+
+/**
+ * Get a usable access token for OAuth credentials, renewing and saving it if it's about to expire
+ * @param {Object} credentials - OAuth entry from the eBay credential store
+ * @returns {Promise<string>} Access token
+ */
+async function getValidAccessToken(credentials) {
+  const expiresAt = new Date(credentials.accessTokenExpiresAt).getTime();
+  if (credentials.accessToken && expiresAt - ACCESS_TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return credentials.accessToken;
+  }
+
+  if (new Date(credentials.refreshTokenExpiresAt).getTime() <= Date.now()) {
+    throw new Error('eBay authorization has expired - reconnect your eBay account in Settings');
+  }
+
+  const { userId } = credentials;
+  if (!refreshesInFlight.has(userId)) {
+    const refresh = (async () => {
+      try {
+        console.log(`🔄 Refreshing eBay access token for ${credentials.ebayUsername || userId}`);
+        const tokens = await refreshAccessToken(credentials.refreshToken);
+        await ebayCredentialStore.saveOAuthTokens(userId, tokens);
+        return tokens.accessToken;
+      } catch (error) {
+        if (error.oauthError === 'invalid_grant') {
+          throw new Error('eBay authorization was revoked or has expired - reconnect your eBay account in Settings');
+        }
+        throw error;
+      } finally {
+        refreshesInFlight.delete(userId);
+      }
+    })();
+    refreshesInFlight.set(userId, refresh);
+  }
+
+  return refreshesInFlight.get(userId);
+}
+
+/**
+ * Get an application access token (client credentials grant) for APIs that don't act for a seller
+ * Only needs EBAY_APP_ID and EBAY_CERT_ID, so it works for users connected with a User Token too.
+ * @returns {Promise<string>} Access token
+ */
+async function getApplicationAccessToken() {
+  if (applicationToken && new Date(applicationToken.accessTokenExpiresAt).getTime() - ACCESS_TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return applicationToken.accessToken;
+  }
+
+  if (!process.env.EBAY_APP_ID || !process.env.EBAY_CERT_ID) {
+    throw new Error('EBAY_APP_ID and EBAY_CERT_ID must be set to call eBay APIs with an application token');
+  }
+
+  if (!applicationTokenRequest) {
+    applicationTokenRequest = (async () => {
+      try {
+        console.log('🔑 Requesting eBay application access token');
+        applicationToken = await requestTokens({
+          grant_type: 'client_credentials',
+          scope: 'https://api.ebay.com/oauth/api_scope'
+        });
+        return applicationToken.accessToken;
+      } finally {
+        applicationTokenRequest = null;
+      }
+    })();
+  }
+
+  return applicationTokenRequest;
+}
+
+module.exports = {
+  DEFAULT_SCOPES,
+  getOAuthEndpoints,
+  isOAuthConfigured,
+  createConsentUrl,
+  consumeState,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+  getValidAccessToken,
+  getApplicationAccessToken
+};
@@ -3,9 +3,24 @@
  * Handles posting individual listings and batch posting to eBay
  */
 import * as FileSystem from 'expo-file-system';
+import { postBookToEbay, postBookLotToEbay } from './bookListingService';
+import { isNetworkError } from './testConnection';
+import { apiFetch } from './apiClient';
+import { getPhotoErrors } from '../utils/photoUtils';
+import { readItemSpecificsError } from '../constants/itemAspects';
 
-// For React Native iOS Simulator, use your local IP address
-const API_BASE_URL = 'http://192.168.1.207:3000';
+/**
+ * Parse a JSON body from the server
+ * @param {string} responseText - Response body
+ * @returns {Object|null} Parsed body, or null if it is not JSON
+ */
+const parseJsonResponse = (responseText) => {
+  try {
+    return JSON.parse(responseText);
+  } catch (error) {
+    return null;
+  }
+};
 
 /**
  * Post a single listing to eBay
@@ -14,13 +29,19 @@ const API_BASE_URL = 'http://192.168.1.207:3000';
  * @param {string} listingData.title - Listing title
  * @param {string} listingData.price - Listing price
  * @param {string} listingData.condition - Item condition
+ * @param {string} listingData.conditionDescription - Condition notes shown to buyers
  * @param {string} listingData.category - eBay category
+ * @param {string} listingData.categoryId - eBay CategoryID picked on the card (the server uses eBay's top suggestion without one)
  * @param {string} listingData.description - Item description
  * @param {Array} listingData.photos - Array of photo objects
  * @param {Object} listingData.itemSpecifics - Item specific details
+ * @param {Object} listingData.businessPolicies - Payment, shipping and return policy IDs ({ paymentPolicyId, fulfillmentPolicyId, returnPolicyId })
+ * @param {Object} listingData.packageDetails - Package weight and size ({ weight_oz, length_in, width_in, depth_in })
+ * @param {Object} options - Posting options
+ * @param {boolean} options.validateOnly - Check the listing with eBay (VerifyAddItem) without posting it
  * @returns {Promise<Object>} Posting result with success/error status
  */
-export const postSingleListing = async (listingData) => {
+export const postSingleListing = async (listingData, { validateOnly = false } = {}) => {
   try {
     console.log('📤 Posting single listing to eBay:', listingData.id);
     console.log('📤 Full listing data:', JSON.stringify(listingData, null, 2));
@@ -44,6 +65,11 @@ export const postSingleListing = async (listingData) => {
         throw new Error('No photos available - listing requires photos for eBay posting');
       }
     }
+
+    const photoErrors = getPhotoErrors(listingData.photos);
+    if (photoErrors.length > 0) {
+      throw new Error(`eBay won't accept the listing's photos: ${photoErrors.join('; ')}`);
+    }
     
     // Extract only successful photo URLs
     const photoUrls = listingData.hostedPhotos
@@ -64,16 +90,22 @@ export const postSingleListing = async (listingData) => {
       title: listing.title,
       price: listing.price,
       condition: listing.condition,
+      conditionDescription: listingData.conditionDescription ?? listing.conditionDescription ?? listing.condition_notes,
       category: listing.category,
+      categoryId: listingData.categoryId || listing.categoryId,
       description: listing.description,
       itemSpecifics: listing.itemSpecifics || listing.item_specifics || {},
       listingType: listingData.listingType?.type || listing.listingType || 'GENERAL_LISTING',
-      hostedPhotoUrls: photoUrls // Pass pre-hosted URLs directly
+      hostedPhotoUrls: photoUrls, // Pass pre-hosted URLs directly
+      businessPolicies: listingData.businessPolicies || listing.businessPolicies,
+      packageDetails: listingData.packageDetails || listing.packageDetails,
+      historyId: listingData.historyId,
+      validateOnly
     };
     
     // Call eBay listing endpoint with hosted URLs
-    console.log(`📤 Calling ${API_BASE_URL}/api/list-to-ebay-with-urls`);
-    const response = await fetch(`${API_BASE_URL}/api/list-to-ebay-with-urls`, {
+    console.log('📤 Calling /api/list-to-ebay-with-urls');
+    const response = await apiFetch('/api/list-to-ebay-with-urls', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -87,12 +119,42 @@ export const postSingleListing = async (listingData) => {
     if (!response.ok) {
       const errorText = await response.text();
       console.log('📤 Error response:', errorText);
+      
+      // eBay rejections come back as JSON with every error and warning
+      const errorResult = parseJsonResponse(errorText);
+      if (errorResult?.errors) {
+        return {
+          success: false,
+          listingId: listingData.id,
+          error: errorResult.error,
+          errors: errorResult.errors,
+          warnings: errorResult.warnings || [],
+          message: errorResult.message || 'Failed to post listing to eBay'
+        };
+      }
+
+      // Item specifics the card needs to fix before eBay is asked at all
+      const specificsError = readItemSpecificsError(errorResult);
+      if (specificsError) {
+        return {
+          success: false,
+          listingId: listingData.id,
+          ...specificsError,
+          message: specificsError.error
+        };
+      }
+      
       throw new Error(`HTTP ${response.status}: ${errorText}`);
     }
     
     const result = await response.json();
     console.log('📤 Server response:', result);
     
+    // Dry runs return eBay's errors, warnings and fees as-is
+    if (validateOnly) {
+      return { ...result, listingId: listingData.id };
+    }
+    
     if (result.success) {
       console.log('✅ Single listing posted successfully:', result.data?.itemId);
       return {
@@ -113,13 +175,130 @@ export const postSingleListing = async (listingData) => {
       success: false,
       listingId: listingData.id,
       error: error.message,
+      networkError: isNetworkError(error),
       message: 'Failed to post listing to eBay'
     };
   }
 };
 
 /**
- * Post multiple listings to eBay
+ * The listing type id of a listing
+ * @param {Object} listing - Listing data (listingType may be a string or a { type, title } object)
+ * @returns {string|undefined} e.g. BOOK_ITEM
+ */
+const getListingTypeId = (listing) => listing.listingType?.type || listing.listingType;
+
+/**
+ * Whether a listing should go to the book endpoint
+ * @param {Object} listing - Listing data (listingType may be a string or a { type, title } object)
+ * @returns {boolean} True for single book listings
+ */
+export const isBookListing = (listing) => getListingTypeId(listing) === 'BOOK_ITEM';
+
+/**
+ * Post a listing through the endpoint for its listing type (book lot, book or general)
+ * @param {Object} listingData - The listing data to post
+ * @returns {Promise<Object>} Posting result - book endpoints throw on network errors,
+ *   the general endpoint returns { success: false, networkError: true }
+ */
+export const postListingForType = async (listingData) => {
+  if (getListingTypeId(listingData) === 'BOOK_LOTS') {
+    console.log('📚 Routing to book lot posting service');
+    return postBookLotToEbay(listingData);
+  }
+  if (isBookListing(listingData)) {
+    console.log('📖 Routing to book posting service');
+    return postBookToEbay(listingData);
+  }
+  console.log('📦 Routing to general posting service');
+  return postSingleListing(listingData);
+};
+
+/**
+ * Check a single listing with eBay (VerifyAddItem) without posting it
+ * @param {Object} listingData - The listing data to check (same shape as postSingleListing)
+ * @returns {Promise<Object>} { success, valid, ack, errors, warnings, fees }
+ */
+export const verifySingleListing = (listingData) => postSingleListing(listingData, { validateOnly: true });
+
+/**
+ * Revise a posted listing on eBay (ReviseFixedPriceItem)
+ * @param {string} itemId - eBay ItemID returned when the listing was posted
+ * @param {Object} changes - Changed fields only ({ title, price, quantity, description })
+ * @returns {Promise<Object>} Revise result with success/error status
+ */
+export const reviseEbayListing = async (itemId, changes) => {
+  try {
+    console.log(`✏️ Revising eBay item ${itemId}:`, changes);
+    
+    const response = await apiFetch(`/api/revise-ebay-listing/${itemId}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(changes)
+    });
+    
+    const responseText = await response.text();
+    const result = parseJsonResponse(responseText);
+    
+    if (!result) {
+      throw new Error(`HTTP ${response.status}: ${responseText}`);
+    }
+    
+    console.log('✏️ Revise response:', result);
+    return result;
+  } catch (error) {
+    console.error('❌ Error revising eBay listing:', error);
+    return {
+      success: false,
+      itemId,
+      error: error.message,
+      message: 'Failed to revise eBay listing'
+    };
+  }
+};
+
+/**
+ * End a posted listing on eBay (EndFixedPriceItem)
+ * @param {string} itemId - eBay ItemID returned when the listing was posted
+ * @param {string} endingReason - eBay ending reason (see EBAY_ENDING_REASONS)
+ * @returns {Promise<Object>} End result with success/error status
+ */
+export const endEbayListing = async (itemId, endingReason) => {
+  try {
+    console.log(`🛑 Ending eBay item ${itemId} (${endingReason})`);
+    
+    const response = await apiFetch(`/api/end-ebay-listing/${itemId}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ endingReason })
+    });
+    
+    const responseText = await response.text();
+    const result = parseJsonResponse(responseText);
+    
+    if (!result) {
+      throw new Error(`HTTP ${response.status}: ${responseText}`);
+    }
+    
+    console.log('🛑 End response:', result);
+    return result;
+  } catch (error) {
+    console.error('❌ Error ending eBay listing:', error);
+    return {
+      success: false,
+      itemId,
+      error: error.message,
+      message: 'Failed to end eBay listing'
+    };
+  }
+};
+
+/**
+ * Post multiple listings to eBay, each through the endpoint for its listing type
  * @param {Array} listingsArray - Array of listing data objects
  * @returns {Promise<Object>} Batch posting results with individual statuses
  */
@@ -134,14 +313,15 @@ export const postAllListings = async (listingsArray) => {
       results: []
     };
     
-    // Process listings in parallel for better performance
-    const postingPromises = listingsArray.map(listing => postSingleListing(listing));
+    // Process listings in parallel for better performance - each through its listing type's endpoint
+    const postingPromises = listingsArray.map(listing => postListingForType(listing));
     const postingResults = await Promise.allSettled(postingPromises);
     
     // Process results
     postingResults.forEach((result, index) => {
       if (result.status === 'fulfilled') {
-        const postResult = result.value;
+        // Book endpoints don't echo the listing id
+        const postResult = { ...result.value, listingId: listingsArray[index].id };
         results.results.push(postResult);
         
         if (postResult.success) {
@@ -155,6 +335,7 @@ export const postAllListings = async (listingsArray) => {
           success: false,
           listingId: listingsArray[index].id,
           error: result.reason.message,
+          networkError: isNetworkError(result.reason),
           message: 'Failed to process listing'
         });
       }
@@ -253,7 +434,7 @@ export const checkEbayServiceStatus = async () => {
     console.log('🔍 Checking eBay service status...');
     
     // Check server health
-    const response = await fetch(`${API_BASE_URL}/api/health`);
+    const response = await apiFetch('/api/health');
     const health = await response.json();
     
     if (health.status === 'ok') {
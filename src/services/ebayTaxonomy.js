@@ -0,0 +1,387 @@
+/**
+ * eBay Taxonomy
+ * Finds the eBay category for a listing with the Taxonomy API's category suggestions,
+ * and keeps a copy of the marketplace's category tree under data/ so chosen CategoryIDs
+ * can be checked - and categories still suggested - without asking eBay every time.
+ * Also fetches the item aspects (item specifics) each category requires or recommends.
+ *
+ *   EBAY_REST_API_URL - Overrides api.ebay.com / api.sandbox.ebay.com, e.g. the local mock (http://localhost:3001)
+ *   EBAY_MARKETPLACE_ID - Marketplace whose category tree is used (default EBAY_US)
+ *   CATEGORY_TREE_STORE_PATH - JSON file the category tree is cached in (default data/categoryTree.json)
+ *
+ * Taxonomy calls use the app's application token (EBAY_APP_ID / EBAY_CERT_ID), so they
+ * work however a seller connected their eBay account.
+ */
+
+const axios = require('axios');
+const { createJsonFileStore } = require('./jsonFileStore');
+const { getRestApiBaseUrl } = require('./ebayApi');
+const { getApplicationAccessToken } = require('./ebayOAuth');
+
+// eBay updates category trees a few times a year; check for a new version this often
+const TREE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const SUGGESTION_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const SUGGESTION_CACHE_SIZE = 500;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_SUGGESTION_LIMIT = 5;
+// eBay returns up to 10 suggestions; all of them are cached
+const MAX_SUGGESTIONS = 10;
+const ASPECT_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const ASPECT_CACHE_SIZE = 200;
+
+// Words that don't help pick a category when searching the saved tree
+const STOP_WORDS = new Set(['a', 'an', 'and', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+const store = createJsonFileStore({ name: 'categoryTrees', envVar: 'CATEGORY_TREE_STORE_PATH', fileName: 'categoryTree.json' });
+
+const suggestionCache = new Map(); // marketplaceId:query -> { suggestions, source, fetchedAt }
+const aspectCache = new Map(); // categoryTreeId:categoryId -> { aspects, fetchedAt }
+const categoryIndexes = new WeakMap(); // saved tree -> Map(categoryId -> category)
+let treeRequest = null; // Promise, so parallel requests share one download
+
+const getMarketplaceId = () => process.env.EBAY_MARKETPLACE_ID || 'EBAY_US';
+
+/**
+ * Call a Taxonomy API resource with the application token
+ * @param {string} path - Path under /commerce/taxonomy/v1
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} Response body
+ */
+async function taxonomyGet(path, params) {
+  const accessToken = await getApplicationAccessToken();
+  const response = await axios.get(`${getRestApiBaseUrl()}/commerce/taxonomy/v1${path}`, {
+    params,
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/json'
+    },
+    timeout: 60000
+  });
+  return response.data;
+}
+
+/**
+ * Readable message for a failed Taxonomy call
+ * @param {Error} error - axios or token error
+ * @returns {string}
+ */
+function readTaxonomyError(error) {
+  const ebayError = error.response?.data?.errors?.[0];
+  return ebayError ? `${ebayError.message}${ebayError.longMessage ? ` ${ebayError.longMessage}` : ''}` : error.message;
+}
+
+/**
+ * Flatten a getCategoryTree node into one entry per category (the root itself is left out)
+ * @param {Object} rootNode - rootCategoryNode from getCategoryTree
+ * @returns {Array} [{ categoryId, categoryName, parentId, leaf }]
+ */
+function flattenCategoryTree(rootNode) {
+  const categories = [];
+  const pending = (rootNode?.childCategoryTreeNodes || []).map(node => ({ node, parentId: null }));
+
+  while (pending.length > 0) {
+    const { node, parentId } = pending.pop();
+    const { categoryId, categoryName } = node.category;
+    categories.push({ categoryId: String(categoryId), categoryName, parentId, leaf: !!node.leafCategoryTreeNode });
+    (node.childCategoryTreeNodes || []).forEach(child => pending.push({ node: child, parentId: String(categoryId) }));
+  }
+
+  return categories;
+}
+
+/**
+ * Download the marketplace's default category tree
+ * Only the version is fetched when the saved copy is already current.
+ * @param {Object} saved - Saved tree for the marketplace, if any
+ * @returns {Promise<Object>} { marketplaceId, categoryTreeId, categoryTreeVersion, fetchedAt, categories }
+ */
+async function fetchCategoryTree(saved) {
+  const marketplaceId = getMarketplaceId();
+  const { categoryTreeId, categoryTreeVersion } = await taxonomyGet('/get_default_category_tree_id', { marketplace_id: marketplaceId });
+
+  if (saved && saved.categoryTreeId === categoryTreeId && saved.categoryTreeVersion === categoryTreeVersion) {
+    return { ...saved, fetchedAt: new Date().toISOString() };
+  }
+
+  console.log(`🌳 Downloading eBay category tree ${categoryTreeId} v${categoryTreeVersion} for ${marketplaceId}`);
+  const tree = await taxonomyGet(`/category_tree/${categoryTreeId}`);
+  return {
+    marketplaceId,
+    categoryTreeId: String(categoryTreeId),
+    categoryTreeVersion: String(tree.categoryTreeVersion || categoryTreeVersion),
+    fetchedAt: new Date().toISOString(),
+    categories: flattenCategoryTree(tree.rootCategoryNode)
+  };
+}
+
+/**
+ * Get the marketplace's category tree, from data/ unless it's missing, due a version check or refresh is set
+ * A saved tree is still used if eBay can't be reached.
+ * @param {Object} options - { refresh } to check eBay for a new version now
+ * @returns {Promise<Object>} { marketplaceId, categoryTreeId, categoryTreeVersion, fetchedAt, categories }
+ */
+async function getCategoryTree({ refresh = false } = {}) {
+  const trees = store.load();
+  const saved = trees.find(tree => tree.marketplaceId === getMarketplaceId());
+  if (saved && !refresh && Date.now() - new Date(saved.fetchedAt).getTime() < TREE_MAX_AGE_MS) {
+    return saved;
+  }
+
+  if (!treeRequest) {
+    treeRequest = (async () => {
+      try {
+        const tree = await fetchCategoryTree(saved);
+        const index = trees.indexOf(saved);
+        if (index === -1) {
+          trees.push(tree);
+        } else {
+          trees[index] = tree;
+        }
+        await store.save();
+        console.log(`🌳 eBay category tree ${tree.categoryTreeId} v${tree.categoryTreeVersion} has ${tree.categories.length} categories`);
+        return tree;
+      } catch (error) {
+        if (saved) {
+          console.error('⚠️ Could not check for a new eBay category tree, using the saved one:', readTaxonomyError(error));
+          return saved;
+        }
+        throw new Error(`Could not get the eBay category tree: ${readTaxonomyError(error)}`);
+      } finally {
+        treeRequest = null;
+      }
+    })();
+  }
+
+  return treeRequest;
+}
+
+/**
+ * Categories of a saved tree by ID
+ * @param {Object} tree - Saved tree
+ * @returns {Map} categoryId -> { categoryId, categoryName, parentId, leaf }
+ */
+function getCategoryIndex(tree) {
+  if (!categoryIndexes.has(tree)) {
+    categoryIndexes.set(tree, new Map(tree.categories.map(category => [category.categoryId, category])));
+  }
+  return categoryIndexes.get(tree);
+}
+
+/**
+ * A category's parents, top level first
+ * @param {Map} index - From getCategoryIndex
+ * @param {Object} category - Flattened category
+ * @returns {Array} Flattened categories
+ */
+function getAncestors(index, category) {
+  const ancestors = [];
+  for (let parent = index.get(category.parentId); parent; parent = index.get(parent.parentId)) {
+    ancestors.unshift(parent);
+  }
+  return ancestors;
+}
+
+/**
+ * What the app shows for a category
+ * @param {Object} category - { categoryId, categoryName }
+ * @param {Array} ancestors - Parent categories, top level first
+ * @returns {Object} { categoryId, categoryName, categoryPath }
+ */
+function toSuggestion(category, ancestors) {
+  return {
+    categoryId: String(category.categoryId),
+    categoryName: category.categoryName,
+    categoryPath: [...ancestors, category].map(node => node.categoryName).join(' > ')
+  };
+}
+
+const toWords = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+  .map(word => word.replace(/(?<=[a-z]{2})(es|s)$/, ''));
+
+/**
+ * Rank a tree's leaf categories against a query by the words they share
+ * Words in the category's own name count double those in its parents' names.
+ * @param {Array|Map} categories - Flattened categories (see flattenCategoryTree), or a Map of them by ID
+ * @param {string} query - Listing title and category text
+ * @param {number} limit - Most categories to return
+ * @returns {Array} [{ category, ancestors, score }] best first
+ */
+function searchCategories(categories, query, limit = DEFAULT_SUGGESTION_LIMIT) {
+  const queryWords = new Set(toWords(query));
+  const index = categories instanceof Map ? categories : new Map(categories.map(category => [category.categoryId, category]));
+
+  return [...index.values()]
+    .filter(category => category.leaf)
+    .map(category => {
+      const ancestors = getAncestors(index, category);
+      const ownWords = new Set(toWords(category.categoryName));
+      const parentWords = new Set(ancestors.flatMap(parent => toWords(parent.categoryName)));
+      const score = [...queryWords].reduce((total, word) => total + (ownWords.has(word) ? 2 : parentWords.has(word) ? 1 : 0), 0);
+      return { category, ancestors, score };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Taxonomy search text for a generated listing - its title and the most specific part of its category
+ * @param {Object} listing - { title, category }
+ * @returns {string} Query for getCategorySuggestions
+ */
+function buildCategoryQuery(listing) {
+  const categoryLeaf = (listing?.category || '').split('>').pop().trim();
+  return [listing?.title, categoryLeaf].filter(Boolean).join(' ');
+}
+
+/**
+ * Get eBay's category suggestions for a query, best first
+ * Falls back to searching the saved category tree when eBay's suggestions can't be fetched.
+ * @param {string} query - Search text, e.g. from buildCategoryQuery
+ * @param {Object} options - { limit } - how many suggestions to return (default 5)
+ * @returns {Promise<Object>} { success, suggestions: [{ categoryId, categoryName, categoryPath }], source, cached } or { success: false, error }
+ */
+async function getCategorySuggestions(query, { limit = DEFAULT_SUGGESTION_LIMIT } = {}) {
+  const q = (query || '').replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+  if (!q) {
+    return { success: false, error: 'Enter a few words describing the item to find a category' };
+  }
+
+  const cacheKey = `${getMarketplaceId()}:${q.toLowerCase()}`;
+  const cached = suggestionCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < SUGGESTION_CACHE_MAX_AGE_MS) {
+    return { success: true, suggestions: cached.suggestions.slice(0, limit), source: cached.source, cached: true };
+  }
+
+  let tree;
+  try {
+    tree = await getCategoryTree();
+  } catch (error) {
+    console.error('❌ Error getting category suggestions:', error.message);
+    return { success: false, error: error.message };
+  }
+
+  let suggestions;
+  let source = 'ebay';
+  try {
+    const data = await taxonomyGet(`/category_tree/${tree.categoryTreeId}/get_category_suggestions`, { q });
+    suggestions = (data.categorySuggestions || []).map(({ category, categoryTreeNodeAncestors = [] }) => toSuggestion(
+      category,
+      [...categoryTreeNodeAncestors].sort((a, b) => a.categoryTreeNodeLevel - b.categoryTreeNodeLevel)
+    ));
+  } catch (error) {
+    console.error('⚠️ eBay category suggestions failed, searching the saved category tree:', readTaxonomyError(error));
+    source = 'local';
+    suggestions = searchCategories(getCategoryIndex(tree), q, MAX_SUGGESTIONS)
+      .map(({ category, ancestors }) => toSuggestion(category, ancestors));
+  }
+
+  if (suggestionCache.size >= SUGGESTION_CACHE_SIZE) {
+    suggestionCache.delete(suggestionCache.keys().next().value);
+  }
+  suggestionCache.set(cacheKey, { suggestions, source, fetchedAt: Date.now() });
+
+  console.log(`🗂️ ${suggestions.length} category suggestion(s) for "${q}"${suggestions[0] ? ` - top: ${suggestions[0].categoryPath}` : ''}`);
+  return { success: true, suggestions: suggestions.slice(0, limit), source, cached: false };
+}
+
+/**
+ * Look up a CategoryID in the saved category tree
+ * @param {string} categoryId - eBay CategoryID
+ * @returns {Promise<Object|null>} { categoryId, categoryName, categoryPath, leaf }, null if the tree
+ *   doesn't have it, or undefined if the tree isn't available
+ */
+async function findCategory(categoryId) {
+  let tree;
+  try {
+    tree = await getCategoryTree();
+  } catch (error) {
+    console.error('⚠️ Could not check the category:', error.message);
+    return undefined;
+  }
+
+  const index = getCategoryIndex(tree);
+  const category = index.get(String(categoryId));
+  return category ? { ...toSuggestion(category, getAncestors(index, category)), leaf: category.leaf } : null;
+}
+
+/**
+ * What the app uses of a getItemAspectsForCategory aspect
+ * Allowed values are only kept for aspects that don't take free text.
+ * @param {Object} aspect - Aspect from eBay
+ * @returns {Object} { name, required, recommended, selectionOnly, multiple, maxLength, values }
+ */
+function toItemAspect(aspect) {
+  const constraint = aspect.aspectConstraint || {};
+  const selectionOnly = constraint.aspectMode === 'SELECTION_ONLY';
+  return {
+    name: aspect.localizedAspectName,
+    required: !!constraint.aspectRequired,
+    recommended: constraint.aspectUsage === 'RECOMMENDED',
+    selectionOnly,
+    multiple: constraint.itemToAspectCardinality === 'MULTI',
+    maxLength: constraint.aspectMaxLength || null,
+    values: selectionOnly ? (aspect.aspectValues || []).map(value => value.localizedValue) : []
+  };
+}
+
+/**
+ * Get the item aspects a category requires or recommends, required first
+ * Optional aspects are left out - the app only asks for what helps the listing.
+ * @param {string} categoryId - eBay CategoryID (a leaf category)
+ * @returns {Promise<Object>} { success, categoryId, aspects: [{ name, required, recommended, selectionOnly, multiple, maxLength, values }], cached }
+ *   or { success: false, error }
+ */
+async function getItemAspects(categoryId) {
+  if (!/^\d+$/.test(String(categoryId || ''))) {
+    return { success: false, error: 'A numeric eBay category ID is needed to look up item specifics' };
+  }
+
+  let tree;
+  try {
+    tree = await getCategoryTree();
+  } catch (error) {
+    console.error('❌ Error getting item aspects:', error.message);
+    return { success: false, error: error.message };
+  }
+
+  const cacheKey = `${tree.categoryTreeId}:${categoryId}`;
+  const cached = aspectCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < ASPECT_CACHE_MAX_AGE_MS) {
+    return { success: true, categoryId: String(categoryId), aspects: cached.aspects, cached: true };
+  }
+
+  let aspects;
+  try {
+    const data = await taxonomyGet(`/category_tree/${tree.categoryTreeId}/get_item_aspects_for_category`, { category_id: categoryId });
+    aspects = (data.aspects || [])
+      .map(toItemAspect)
+      .filter(aspect => aspect.required || aspect.recommended)
+      .sort((a, b) => b.required - a.required);
+  } catch (error) {
+    console.error(`❌ Error getting item aspects for category ${categoryId}:`, readTaxonomyError(error));
+    return { success: false, error: `Could not get eBay's item specifics for category ${categoryId}: ${readTaxonomyError(error)}` };
+  }
+
+  if (aspectCache.size >= ASPECT_CACHE_SIZE) {
+    aspectCache.delete(aspectCache.keys().next().value);
+  }
+  aspectCache.set(cacheKey, { aspects, fetchedAt: Date.now() });
+
+  console.log(`🏷️ Category ${categoryId} has ${aspects.filter(aspect => aspect.required).length} required and ${aspects.filter(aspect => !aspect.required).length} recommended item specific(s)`);
+  return { success: true, categoryId: String(categoryId), aspects, cached: false };
+}
+
+module.exports = {
+  flattenCategoryTree,
+  searchCategories,
+  buildCategoryQuery,
+  getCategoryTree,
+  getCategorySuggestions,
+  findCategory,
+  toItemAspect,
+  getItemAspects
+};
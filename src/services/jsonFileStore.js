@@ -0,0 +1,79 @@
+/**
+ * JSON File Store
+ * Small persistence layer for server-side collections (listing history,
+ * templates, sold listings). Each collection lives in memory and is written
+ * to its own JSON file under data/ after every change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/**
+ * Create a store for one collection
+ * @param {Object} options - Store options
+ * @param {string} options.name - Collection name, also the top-level key in the file
+ * @param {string} options.envVar - Env var that overrides the file path
+ * @param {string} options.fileName - File name under data/ when the env var is not set
+ * @returns {Object} { load, save, getPath }
+ */
+function createJsonFileStore({ name, envVar, fileName }) {
+  let items = null;
+  let writeQueue = Promise.resolve();
+
+  // Resolved on use so values from .env are picked up after dotenv loads
+  const getPath = () => process.env[envVar] || path.join(DATA_DIR, fileName);
+
+  /**
+   * Load the collection from disk on first use
+   * @returns {Array} The live collection - mutate it, then call save()
+   */
+  function load() {
+    if (items) {
+      return items;
+    }
+
+    const storePath = getPath();
+    try {
+      items = fs.existsSync(storePath)
+        ? JSON.parse(fs.readFileSync(storePath, 'utf8'))[name] || []
+        : [];
+      console.log(`🗄️ Loaded ${items.length} ${name} record(s) from ${storePath}`);
+    } catch (error) {
+      console.error(`❌ Could not read ${name} at ${storePath}, starting empty:`, error.message);
+      items = [];
+    }
+
+    return items;
+  }
+
+  /**
+   * Write the collection to disk
+   * Writes are queued and go through a temp file so a crash never leaves half a file.
+   * A failed write is logged rather than thrown - storage must never break the request.
+   * @returns {Promise<void>}
+   */
+  function save() {
+    const storePath = getPath();
+    const contents = JSON.stringify({ [name]: load() }, null, 2);
+
+    writeQueue = writeQueue.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(storePath), { recursive: true });
+        await fs.promises.writeFile(`${storePath}.tmp`, contents);
+        await fs.promises.rename(`${storePath}.tmp`, storePath);
+      } catch (error) {
+        console.error(`❌ Could not save ${name}:`, error.message);
+      }
+    });
+
+    return writeQueue;
+  }
+
+  return { load, save, getPath };
+}
+
+module.exports = {
+  createJsonFileStore
+};
@@ -1,20 +1,24 @@
 /**
  * Listing API service for the new /api/analyze endpoint
  */
-
-// For React Native iOS Simulator, use your local IP address
-const API_BASE_URL = 'http://192.168.1.207:3000';
+import { apiFetch } from './apiClient';
+import { getPhotoErrors } from '../utils/photoUtils';
 
 /**
  * Analyze photos and generate listing using the new unified endpoint
  * @param {Object} params - Analysis parameters
  * @param {Array} params.photos - Array of photo objects with uri property
- * @param {string} params.listingType - Type of listing (BOOK_ITEM, BOOK_LOTS, etc.)
- * @param {string} params.prompt - The AI prompt to use
- * @returns {Promise<Object>} Generated listing data
+ * @param {string} params.listingType - Type of listing (BOOK_ITEM, BOOK_LOTS, etc.) - the server picks the prompt
+ * @returns {Promise<Object>} Generated listing data ({ listing, rawResponse, attempts, hostedPhotos, ... })
  */
-export const analyzePhotos = async ({ photos, listingType = 'auto', prompt }) => {
+export const analyzePhotos = async ({ photos, listingType = 'auto' }) => {
   try {
+    // eBay won't take these photos, so don't spend an analysis on them
+    const photoErrors = getPhotoErrors(photos);
+    if (photoErrors.length > 0) {
+      throw new Error(`Remove the photos eBay won't accept:\n- ${photoErrors.join('\n- ')}`);
+    }
+
     const formData = new FormData();
     
     // Add photos to form data
@@ -26,23 +30,37 @@ export const analyzePhotos = async ({ photos, listingType = 'auto', prompt }) =>
       });
     });
     
-    // Add listing type and prompt
+    // Add listing type - the server selects the prompt for it
     formData.append('listingType', listingType);
-    formData.append('prompt', prompt);
     
     console.log('🚀 Sending to /api/analyze:', {
       photoCount: photos.length,
-      listingType,
-      promptPreview: prompt.substring(0, 100) + '...'
+      listingType
     });
     
-    const response = await fetch(`${API_BASE_URL}/api/analyze`, {
+    const response = await apiFetch('/api/analyze', {
       method: 'POST',
       body: formData,
       // Don't set Content-Type header for FormData in React Native
       // The browser/React Native will set it automatically with boundary
     });
     
+    // 422 means the AI response still failed schema validation after repair retries
+    if (response.status === 422) {
+      const errorResult = await response.json();
+      throw new Error(`${errorResult.error}:\n- ${(errorResult.validationErrors || []).join('\n- ')}`);
+    }
+
+    // 400 with photoErrors means the server's checks of the uploaded photos failed
+    if (response.status === 400) {
+      const errorResult = await response.json().catch(() => ({}));
+      const photoErrors = (errorResult.photoErrors || [])
+        .map(photo => `Photo ${photo.index + 1}: ${photo.errors.join(', ')}`);
+      throw new Error(photoErrors.length > 0
+        ? `${errorResult.error}:\n- ${photoErrors.join('\n- ')}`
+        : errorResult.error || 'HTTP error! status: 400');
+    }
+
     if (!response.ok) {
       const errorText = await response.text();
       throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
@@ -56,4 +74,49 @@ export const analyzePhotos = async ({ photos, listingType = 'auto', prompt }) =>
     console.error('❌ Error analyzing photos:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+/**
+ * Get the server's listing history, newest first
+ * @param {Object} options - Filters
+ * @param {string} options.status - Only records with this status (analyzed, posted, failed, ended, ...)
+ * @param {number} options.limit - Maximum number of records
+ * @returns {Promise<Array>} Listing summaries ({ id, title, price, status, itemId, url, fees, ... })
+ */
+export const getListingHistory = async ({ status, limit } = {}) => {
+  try {
+    const params = [];
+    if (status) params.push(`status=${encodeURIComponent(status)}`);
+    if (limit) params.push(`limit=${limit}`);
+
+    const response = await apiFetch(`/api/listings${params.length ? `?${params.join('&')}` : ''}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const result = await response.json();
+    return result.listings;
+  } catch (error) {
+    console.error('❌ Error loading listing history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get one listing from the server's history with every event recorded for it
+ * @param {string} historyId - History record ID returned by /api/analyze
+ * @returns {Promise<Object>} Listing record
+ */
+export const getListingHistoryRecord = async (historyId) => {
+  try {
+    const response = await apiFetch(`/api/listings/${encodeURIComponent(historyId)}`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const result = await response.json();
+    return result.listing;
+  } catch (error) {
+    console.error('❌ Error loading listing history record:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,245 @@
+/**
+ * Listing History Store
+ * Keeps a record of every listing the server handles in a local JSON file, so
+ * there is a history of what was listed that survives app and server restarts:
+ *   LISTING_STORE_PATH - JSON file to store history in (default data/listings.json)
+ *
+ * Each record follows one listing from the analyze call through edits, eBay
+ * checks, post attempts, revisions and ending, as a list of events.
+ * Records belong to the user who made them; records from before user accounts
+ * (no userId) are visible to everyone and claimed by the first user to post them.
+ */
+
+const crypto = require('crypto');
+const { createJsonFileStore } = require('./jsonFileStore');
+
+const store = createJsonFileStore({ name: 'listings', envVar: 'LISTING_STORE_PATH', fileName: 'listings.json' });
+
+// Listing fields compared between what was generated and what was posted
+const EDITABLE_FIELDS = ['title', 'price', 'condition', 'category', 'categoryId', 'description', 'quantity'];
+
+const FAILED_EVENT_TYPES = { revised: 'revise_failed', ended: 'end_failed' };
+
+function belongsTo(record, userId) {
+  return !userId || !record.userId || record.userId === userId;
+}
+
+function addEvent(record, type, details = {}) {
+  const at = new Date().toISOString();
+  record.events.push({ type, at, ...details });
+  record.updatedAt = at;
+}
+
+// Prices arrive as strings from the app and numbers from the model, so compare numbers by value
+function sameValue(a, b) {
+  if (a === undefined || a === null || b === undefined || b === null) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (typeof a !== 'object' && a !== '' && b !== '' && !isNaN(Number(a)) && !isNaN(Number(b))) {
+    return Number(a) === Number(b);
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Work out which editable fields differ between two listing snapshots
+ * @param {Object} before - Listing as last recorded
+ * @param {Object} after - Listing as submitted
+ * @returns {Object} { field: { from, to } } for each changed field
+ */
+function diffListing(before = {}, after = {}) {
+  const changes = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (after[field] !== undefined && !sameValue(before[field], after[field])) {
+      changes[field] = { from: before[field] ?? null, to: after[field] };
+    }
+  });
+  return changes;
+}
+
+function newRecord(fields) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    itemId: null,
+    url: null,
+    fees: null,
+    events: [],
+    ...fields
+  };
+}
+
+/**
+ * Record an /api/analyze call
+ * The listing starts in eBay's top suggested category, so picking another one on the card shows up as an edit.
+ * @param {Object} analysis - { userId, listingType, promptVersion, photoCount, hostedPhotos, listing, categorySuggestions, rawResponse, attempts, valid, validationErrors }
+ * @returns {Promise<Object>} The new record
+ */
+async function recordAnalysis(analysis) {
+  const records = store.load();
+  const categoryId = analysis.categorySuggestions?.[0]?.categoryId;
+
+  const record = newRecord({
+    userId: analysis.userId || null,
+    listingType: analysis.listingType,
+    promptVersion: analysis.promptVersion,
+    photoCount: analysis.photoCount,
+    hostedPhotos: analysis.hostedPhotos || [],
+    status: analysis.valid ? 'analyzed' : 'invalid',
+    categorySuggestions: analysis.categorySuggestions || [],
+    generatedListing: analysis.listing || null,
+    listing: analysis.listing ? { ...analysis.listing, ...(categoryId && { categoryId }) } : null
+  });
+
+  addEvent(record, 'analyzed', {
+    valid: analysis.valid,
+    attempts: analysis.attempts,
+    validationErrors: analysis.validationErrors || [],
+    rawResponse: analysis.rawResponse
+  });
+
+  records.push(record);
+  await store.save();
+  return record;
+}
+
+/**
+ * Record a post to eBay, or a "Check with eBay" dry run
+ * Any edits made since the last snapshot are recorded first. Posts made without a
+ * history ID (e.g. straight to the API) still get a record of their own.
+ * @param {string|null} historyId - Record ID returned by /api/analyze
+ * @param {Object} attempt - { userId, route, listingType, validateOnly, submitted, result }
+ * @returns {Promise<Object>} The updated record
+ */
+async function recordPostAttempt(historyId, { userId = null, route, listingType, validateOnly = false, submitted, result }) {
+  const records = store.load();
+
+  let record = historyId && records.find(entry => entry.id === historyId && belongsTo(entry, userId));
+  if (!record) {
+    if (historyId) {
+      console.log(`⚠️ Unknown listing history ID ${historyId}, starting a new record`);
+    }
+    record = newRecord({
+      userId,
+      listingType: listingType || submitted.listingType || 'GENERAL_LISTING',
+      status: 'draft',
+      generatedListing: null,
+      listing: submitted
+    });
+    records.push(record);
+  }
+  record.userId = record.userId || userId;
+
+  const changes = diffListing(record.listing || {}, submitted);
+  if (Object.keys(changes).length > 0) {
+    addEvent(record, 'edited', { changes });
+  }
+  record.listing = { ...record.listing, ...submitted };
+
+  const outcome = {
+    route,
+    success: !!result.success,
+    errors: result.errors || [],
+    warnings: result.warnings || [],
+    fees: result.fees || null
+  };
+
+  if (validateOnly) {
+    addEvent(record, 'verified', { ...outcome, valid: !!result.valid, categoryId: result.categoryId || null });
+  } else if (result.success) {
+    addEvent(record, 'posted', { ...outcome, itemId: result.itemId, categoryId: result.categoryId || null });
+    record.status = 'posted';
+    record.itemId = result.itemId;
+    record.url = result.url || null;
+    record.fees = result.fees || null;
+    record.startTime = result.startTime || null;
+    record.endTime = result.endTime || null;
+  } else {
+    addEvent(record, 'post_failed', { ...outcome, error: result.error || result.message });
+    if (record.status !== 'posted') {
+      record.status = 'failed';
+    }
+  }
+
+  await store.save();
+  return record;
+}
+
+/**
+ * Record a change made to a live listing (revise or end)
+ * @param {string} itemId - eBay ItemID
+ * @param {string} type - 'revised' or 'ended'
+ * @param {Object} details - { success, changes, endingReason, endTime, fees, errors, error }
+ * @param {string} userId - User who made the change
+ * @returns {Promise<Object|null>} The updated record, or null if the item was not listed from here
+ */
+async function recordEbayUpdate(itemId, type, details, userId = null) {
+  const records = store.load();
+
+  // Newest first - a sandbox or mock ItemID can be reused after a reset
+  const record = records.slice().reverse().find(entry => entry.itemId === String(itemId) && belongsTo(entry, userId));
+  if (!record) {
+    console.log(`⚠️ No listing history for eBay item ${itemId}, not recording ${type}`);
+    return null;
+  }
+
+  addEvent(record, details.success ? type : FAILED_EVENT_TYPES[type], details);
+
+  if (details.success && type === 'revised') {
+    record.listing = { ...record.listing, ...details.changes };
+  }
+  if (details.success && type === 'ended') {
+    record.status = 'ended';
+    record.endTime = details.endTime || new Date().toISOString();
+  }
+
+  await store.save();
+  return record;
+}
+
+/**
+ * Get one record with its full event history
+ * @param {string} id - Record ID
+ * @param {Object} options - { userId } to only find the user's own (or pre-account) records
+ * @returns {Object|null}
+ */
+function getListingRecord(id, { userId } = {}) {
+  return store.load().find(entry => entry.id === id && belongsTo(entry, userId)) || null;
+}
+
+/**
+ * List records newest first, as summaries without the event history
+ * @param {Object} options - { userId, status, limit }
+ * @returns {Array} Record summaries
+ */
+function listListingRecords({ userId, status, limit } = {}) {
+  const summaries = store.load()
+    .filter(entry => belongsTo(entry, userId) && (!status || entry.status === status))
+    .slice()
+    .reverse()
+    .map(entry => ({
+      id: entry.id,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      listingType: entry.listingType,
+      status: entry.status,
+      title: entry.listing?.title || null,
+      price: entry.listing?.price ?? null,
+      itemId: entry.itemId,
+      url: entry.url,
+      fees: entry.fees,
+      eventCount: entry.events.length
+    }));
+
+  return limit ? summaries.slice(0, limit) : summaries;
+}
+
+module.exports = {
+  recordAnalysis,
+  recordPostAttempt,
+  recordEbayUpdate,
+  getListingRecord,
+  listListingRecords
+};
@@ -0,0 +1,37 @@
+/**
+ * Photo settings - how photos are prepared before they're analyzed and posted
+ *
+ * Set in Settings (saved in AsyncStorage) and read by src/utils/photoUtils.js whenever
+ * a photo is taken or picked, so the camera and the photo library behave the same.
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const HIGH_QUALITY_IMAGES_STORAGE_KEY = 'highQualityImages';
+
+let highQualityImages = null; // Loaded from AsyncStorage on first use
+
+/**
+ * Whether photos are kept at high resolution (see PHOTO_SIZE_PRESETS in src/utils/photoUtils.js)
+ * @returns {Promise<boolean>} True unless turned off in Settings
+ */
+export const getHighQualityImages = async () => {
+  if (highQualityImages === null) {
+    try {
+      highQualityImages = (await AsyncStorage.getItem(HIGH_QUALITY_IMAGES_STORAGE_KEY)) !== 'false';
+    } catch (error) {
+      console.error('❌ Error loading photo settings:', error);
+      highQualityImages = true;
+    }
+  }
+  return highQualityImages;
+};
+
+/**
+ * Save whether photos are kept at high resolution, for every photo from now on
+ * @param {boolean} value - True for high quality
+ */
+export const setHighQualityImages = async (value) => {
+  highQualityImages = !!value;
+  await AsyncStorage.setItem(HIGH_QUALITY_IMAGES_STORAGE_KEY, String(highQualityImages));
+  console.log('🔧 High quality images', highQualityImages ? 'on' : 'off');
+};
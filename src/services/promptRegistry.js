@@ -0,0 +1,114 @@
+/**
+ * Server-side Prompt Registry
+ * Owns the prompt sent to the vision model for each listing type so prompts
+ * can be fixed on the server without shipping a new app build
+ */
+
+const { AI_PROMPTS, ITEM_ASPECTS_PROMPT } = require('../constants/prompts');
+
+const DEFAULT_LISTING_TYPE = 'GENERAL_LISTING';
+
+/**
+ * Registered prompts keyed by listing type
+ * Bump `version` whenever the prompt text for a listing type changes
+ */
+const PROMPT_REGISTRY = {
+  BOOK_ITEM: {
+    version: 3,
+    build: (imageCount) => AI_PROMPTS.BOOK_ITEM(imageCount)
+  },
+  BOOK_LOTS: {
+    version: 4,
+    build: (imageCount) => AI_PROMPTS.BOOK_LOTS(imageCount)
+  },
+  CD_MUSIC: {
+    version: 4,
+    build: (imageCount) => AI_PROMPTS.CD_MUSIC(imageCount)
+  },
+  DVD_MOVIE: {
+    version: 4,
+    build: (imageCount) => AI_PROMPTS.DVD_MOVIE(imageCount)
+  },
+  VHS_LISTING: {
+    version: 4,
+    build: (imageCount) => AI_PROMPTS.VHS_LISTING(imageCount)
+  },
+  GENERAL_LISTING: {
+    version: 3,
+    build: () => AI_PROMPTS.GENERAL_ITEM
+  }
+};
+
+/**
+ * Follow-up prompt for the item specifics of the listing's category (any listing type)
+ * Bump `version` whenever its text changes
+ */
+const ITEM_ASPECTS_PROMPT_ENTRY = {
+  version: 1,
+  build: (categoryPath, aspects) => ITEM_ASPECTS_PROMPT(categoryPath, aspects)
+};
+
+/**
+ * Resolve the listing type sent by the client to a registered type
+ * @param {string} listingType - Listing type from the request ('auto' allowed)
+ * @returns {string|null} Registered listing type, or null if unsupported
+ */
+function resolveListingType(listingType) {
+  if (!listingType || listingType === 'auto') {
+    return DEFAULT_LISTING_TYPE;
+  }
+
+  return Object.hasOwn(PROMPT_REGISTRY, listingType) ? listingType : null;
+}
+
+/**
+ * Get the appropriate prompt based on listing type
+ * @param {string} listingType - Registered listing type (BOOK_ITEM, CD_MUSIC, etc.)
+ * @param {number} imageCount - Number of photos being analyzed
+ * @returns {Object|null} Prompt text and version, or null if the type is unknown
+ */
+function getPrompt(listingType, imageCount) {
+  if (!Object.hasOwn(PROMPT_REGISTRY, listingType)) {
+    return null;
+  }
+
+  const entry = PROMPT_REGISTRY[listingType];
+
+  return {
+    listingType,
+    version: entry.version,
+    text: entry.build(imageCount)
+  };
+}
+
+/**
+ * Get the follow-up prompt asking for a category's item specifics
+ * @param {string} categoryPath - eBay category path shown to the model
+ * @param {Array} aspects - Aspects still to fill (see src/services/ebayTaxonomy.js getItemAspects)
+ * @returns {Object} Prompt text and version
+ */
+function getItemAspectsPrompt(categoryPath, aspects) {
+  return {
+    version: ITEM_ASPECTS_PROMPT_ENTRY.version,
+    text: ITEM_ASPECTS_PROMPT_ENTRY.build(categoryPath, aspects)
+  };
+}
+
+/**
+ * List registered prompt versions (without prompt text)
+ * @returns {Array} Array of { listingType, version }
+ */
+function listPromptVersions() {
+  return Object.entries(PROMPT_REGISTRY).map(([listingType, entry]) => ({
+    listingType,
+    version: entry.version
+  }));
+}
+
+module.exports = {
+  DEFAULT_LISTING_TYPE,
+  resolveListingType,
+  getPrompt,
+  getItemAspectsPrompt,
+  listPromptVersions
+};
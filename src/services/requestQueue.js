@@ -0,0 +1,202 @@
+/**
+ * Offline request queue
+ * Analyze and post requests that could not reach the server are kept in AsyncStorage
+ * and retried with backoff once testServerConnection succeeds again, so a photo group
+ * or an edited listing survives losing Wi-Fi (or closing the app).
+ *
+ * Each job: { id, type ('analyze' | 'post'), payload, attempts, createdAt, nextAttemptAt, lastError }
+ *   analyze payload - { photos, listingType } as passed to analyzePhotos
+ *   post payload - { listingData } as passed to postListingForType
+ */
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { analyzePhotos } from './listingApi';
+import { postListingForType } from './ebayPostingService';
+import { testServerConnection } from './testConnection';
+import { parseListingResponse } from '../utils/responseParser';
+import { RETRY_BASE_DELAY_MS, scheduleRetry, getDueJobs, runQueuedJob } from '../utils/requestRetry';
+
+const QUEUE_STORAGE_KEY = 'requestQueue';
+const QUEUE_CHECK_INTERVAL_MS = 10000;
+
+// Send a queued job's request - runQueuedJob decides whether a failure is retried
+const JOB_RUNNERS = {
+  // The listing is parsed here, before the job is removed, so one that can't be read fails the job
+  // and is reported instead of being lost in a listener
+  analyze: async (payload) => {
+    const result = await analyzePhotos(payload);
+    return { ...result, parsedListing: parseListingResponse(result.listing, payload.listingType) };
+  },
+  post: (payload) => postListingForType(payload.listingData)
+};
+
+let jobs = null; // Loaded from AsyncStorage on first use
+let isProcessing = false;
+let queueTimer = null;
+const listeners = new Set();
+
+const emit = (event) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('❌ Request queue listener failed:', error);
+    }
+  });
+};
+
+const loadJobs = async () => {
+  if (jobs === null) {
+    try {
+      const saved = await AsyncStorage.getItem(QUEUE_STORAGE_KEY);
+      jobs = saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error('❌ Error loading request queue:', error);
+      jobs = [];
+    }
+  }
+  return jobs;
+};
+
+const saveJobs = async () => {
+  try {
+    await AsyncStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(jobs));
+  } catch (error) {
+    console.error('❌ Error saving request queue:', error);
+  }
+  emit({ type: 'changed', jobs: [...jobs] });
+};
+
+const removeJob = (id) => {
+  jobs = jobs.filter(job => job.id !== id);
+};
+
+/**
+ * Queue a request to send when the server can be reached
+ * @param {string} type - 'analyze' or 'post'
+ * @param {Object} payload - Request data (see the job payloads above)
+ * @param {string} errorMessage - Why the request could not be sent now
+ * @returns {Promise<Object>} The queued job
+ */
+export const enqueueRequest = async (type, payload, errorMessage = null) => {
+  if (!JOB_RUNNERS[type]) {
+    throw new Error(`Unknown request type: ${type}`);
+  }
+
+  await loadJobs();
+  const job = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    payload,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: new Date(Date.now() + RETRY_BASE_DELAY_MS).toISOString(),
+    lastError: errorMessage
+  };
+
+  jobs.push(job);
+  await saveJobs();
+  console.log(`📥 Queued ${type} request ${job.id} (${jobs.length} waiting)`);
+  return job;
+};
+
+/**
+ * Get the requests waiting to be sent, oldest first
+ * @returns {Promise<Array>} Queued jobs
+ */
+export const getQueuedRequests = async () => {
+  await loadJobs();
+  return [...jobs];
+};
+
+/**
+ * Drop a queued request without sending it
+ * @param {string} id - Job ID
+ */
+export const removeQueuedRequest = async (id) => {
+  await loadJobs();
+  removeJob(id);
+  await saveJobs();
+};
+
+/**
+ * Send the queued requests that are due for a retry
+ * Checks the connection first; if the server is still unreachable every due job backs off.
+ * Listeners get { type: 'completed', job, result } when a request goes through (analyze results
+ * include the parsed listing as parsedListing) and { type: 'failed', job, error } when the server
+ * rejects it or its listing can't be read (those are not retried).
+ * @param {Object} options - { force } to retry every job now, ignoring the backoff
+ * @returns {Promise<Object>} { sent, waiting, connected } - connected is false if the server was
+ *   unreachable, and left out if nothing was due (or a check was already running)
+ */
+export const processQueue = async ({ force = false } = {}) => {
+  if (isProcessing) {
+    return { sent: 0, waiting: jobs?.length || 0 };
+  }
+
+  isProcessing = true;
+  let sent = 0;
+
+  try {
+    await loadJobs();
+    const dueJobs = getDueJobs(jobs, Date.now(), force);
+    if (dueJobs.length === 0) {
+      return { sent, waiting: jobs.length };
+    }
+
+    const connectionTest = await testServerConnection();
+    if (!connectionTest.success) {
+      dueJobs.forEach(job => scheduleRetry(job, connectionTest.error));
+      await saveJobs();
+      return { sent, waiting: jobs.length, connected: false };
+    }
+
+    for (const job of dueJobs) {
+      console.log(`📤 Sending queued ${job.type} request ${job.id} (attempt ${job.attempts + 1})`);
+      const { outcome, result, error } = await runQueuedJob(job, JOB_RUNNERS[job.type]);
+      if (outcome === 'retry') {
+        scheduleRetry(job, error);
+      } else if (outcome === 'completed') {
+        removeJob(job.id);
+        sent++;
+        emit({ type: 'completed', job, result });
+      } else {
+        removeJob(job.id);
+        emit({ type: 'failed', job, error });
+      }
+      await saveJobs();
+    }
+
+    return { sent, waiting: jobs.length, connected: true };
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Check the queue now and every few seconds until stopped
+ * @returns {Function} Stops checking
+ */
+export const startQueueProcessing = () => {
+  if (!queueTimer) {
+    processQueue().catch(error => console.error('❌ Error processing request queue:', error));
+    queueTimer = setInterval(() => {
+      processQueue().catch(error => console.error('❌ Error processing request queue:', error));
+    }, QUEUE_CHECK_INTERVAL_MS);
+  }
+
+  return () => {
+    clearInterval(queueTimer);
+    queueTimer = null;
+  };
+};
+
+/**
+ * Listen for queue changes and finished requests
+ * @param {Function} listener - Called with { type: 'changed', jobs }, { type: 'completed', job, result }
+ *   or { type: 'failed', job, error }
+ * @returns {Function} Unsubscribes the listener
+ */
+export const subscribeToQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,126 @@
+/**
+ * Seller Settings Store
+ * Where each user ships from and how long they take to ship, sent with every listing:
+ *   SELLER_SETTINGS_STORE_PATH - JSON file to store settings in (default data/sellerSettings.json)
+ *
+ * Each entry is { userId, postalCode, city, stateOrProvince, country, dispatchTimeMax, updatedAt }.
+ * Users without an entry get DEFAULT_SELLER_SETTINGS.
+ */
+
+const { createJsonFileStore } = require('./jsonFileStore');
+const { DISPATCH_TIME_OPTIONS, DEFAULT_SELLER_SETTINGS } = require('../constants/sellerSettings');
+
+const store = createJsonFileStore({ name: 'sellerSettings', envVar: 'SELLER_SETTINGS_STORE_PATH', fileName: 'sellerSettings.json' });
+
+// Fields a client may set - anything else in the request body is ignored
+const SELLER_SETTINGS_FIELDS = ['postalCode', 'city', 'stateOrProvince', 'country', 'dispatchTimeMax'];
+const MAX_TEXT_LENGTH = 60;
+
+function pickSellerSettingsFields(data) {
+  const fields = {};
+  SELLER_SETTINGS_FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== null) {
+      fields[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+    }
+  });
+  if (typeof fields.country === 'string') {
+    fields.country = fields.country.toUpperCase();
+  }
+  if (typeof fields.dispatchTimeMax === 'string' && /^\d+$/.test(fields.dispatchTimeMax)) {
+    fields.dispatchTimeMax = parseInt(fields.dispatchTimeMax, 10);
+  }
+  return fields;
+}
+
+/**
+ * Check seller settings from a request
+ * @param {Object} data - Request body
+ * @returns {Array} Error messages, empty if the settings are valid
+ */
+function validateSellerSettings(data) {
+  const errors = [];
+  const fields = pickSellerSettingsFields(data || {});
+
+  if (Object.keys(fields).length === 0) {
+    errors.push(`No seller settings provided (${SELLER_SETTINGS_FIELDS.join(', ')})`);
+  }
+
+  ['postalCode', 'city', 'stateOrProvince', 'country'].forEach(field => {
+    if (fields[field] !== undefined && typeof fields[field] !== 'string') {
+      errors.push(`${field} must be text`);
+    } else if (fields[field]?.length > MAX_TEXT_LENGTH) {
+      errors.push(`${field} must be ${MAX_TEXT_LENGTH} characters or less`);
+    }
+  });
+
+  if (typeof fields.postalCode === 'string' && fields.postalCode && !/^[A-Za-z0-9][A-Za-z0-9 -]{1,11}$/.test(fields.postalCode)) {
+    errors.push('postalCode is not a valid postal code');
+  }
+  if (typeof fields.country === 'string' && !/^[A-Z]{2}$/.test(fields.country)) {
+    errors.push('country must be a two-letter country code (e.g. US)');
+  }
+  if (fields.dispatchTimeMax !== undefined && !DISPATCH_TIME_OPTIONS.includes(fields.dispatchTimeMax)) {
+    errors.push(`dispatchTimeMax must be one of: ${DISPATCH_TIME_OPTIONS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Get a user's seller settings
+ * @param {string} userId - User ID
+ * @returns {Object} { postalCode, city, stateOrProvince, country, dispatchTimeMax, updatedAt } -
+ *   the defaults (with updatedAt null) if the user hasn't saved any
+ */
+function getSellerSettings(userId) {
+  const entry = store.load().find(existing => existing.userId === userId);
+  const { userId: _userId, ...settings } = entry || {};
+  return { ...DEFAULT_SELLER_SETTINGS, updatedAt: null, ...settings };
+}
+
+/**
+ * Save a user's seller settings (call validateSellerSettings first)
+ * Fields left out keep their saved values.
+ * @param {string} userId - User ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} The saved settings (see getSellerSettings)
+ */
+async function saveSellerSettings(userId, data) {
+  const entries = store.load();
+  const { updatedAt: _updatedAt, ...current } = getSellerSettings(userId);
+  const entry = { userId, ...current, ...pickSellerSettingsFields(data), updatedAt: new Date().toISOString() };
+
+  const index = entries.findIndex(existing => existing.userId === userId);
+  if (index === -1) {
+    entries.push(entry);
+  } else {
+    entries[index] = entry;
+  }
+
+  await store.save();
+  return getSellerSettings(userId);
+}
+
+/**
+ * Remove a user's seller settings
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the user had saved settings
+ */
+async function deleteSellerSettings(userId) {
+  const entries = store.load();
+  const index = entries.findIndex(entry => entry.userId === userId);
+  if (index === -1) {
+    return false;
+  }
+
+  entries.splice(index, 1);
+  await store.save();
+  return true;
+}
+
+module.exports = {
+  validateSellerSettings,
+  getSellerSettings,
+  saveSellerSettings,
+  deleteSellerSettings
+};
@@ -0,0 +1,63 @@
+/**
+ * Sold Listing Store
+ * Items sold on eBay, kept in a local JSON file for reference when pricing
+ * and writing new listings:
+ *   SOLD_LISTING_STORE_PATH - JSON file to store sold items in (default data/soldListings.json)
+ *
+ * Each item: { id, userId, itemId, transactionId, title, soldPrice, currency, quantity, soldDate, category, views, watchers }
+ * Items belong to the user whose eBay account sold them; items synced before user accounts (no userId)
+ * are shown to everyone until the first user to sync claims them.
+ */
+
+const { createJsonFileStore } = require('./jsonFileStore');
+
+const store = createJsonFileStore({ name: 'soldListings', envVar: 'SOLD_LISTING_STORE_PATH', fileName: 'soldListings.json' });
+
+/**
+ * List sold items, most recently sold first
+ * @param {Object} options - { userId, limit }
+ * @returns {Array} Sold items
+ */
+function listSoldListings({ userId, limit } = {}) {
+  const soldListings = store.load()
+    .filter(entry => !userId || !entry.userId || entry.userId === userId)
+    .sort((a, b) => new Date(b.soldDate) - new Date(a.soldDate));
+
+  return limit ? soldListings.slice(0, limit) : soldListings;
+}
+
+/**
+ * Add or update sold items from eBay
+ * Items already stored are kept, so history goes back further than eBay's 60-day SoldList.
+ * Items from before user accounts came from the one eBay account the server used then,
+ * so they all go to the first user to sync, as listing history goes to the first user to post.
+ * @param {string} userId - User whose eBay account the items were sold from
+ * @param {Array} soldListings - Sold items ({ id, ... }), keyed by id
+ * @returns {Promise<number>} Number of new sold items
+ */
+async function saveSoldListings(userId, soldListings) {
+  const stored = store.load();
+  let added = 0;
+
+  stored.filter(entry => !entry.userId).forEach(entry => {
+    entry.userId = userId;
+  });
+
+  soldListings.forEach(soldListing => {
+    const existing = stored.find(entry => entry.id === soldListing.id);
+    if (existing) {
+      Object.assign(existing, soldListing, { userId });
+    } else {
+      stored.push({ ...soldListing, userId });
+      added++;
+    }
+  });
+
+  await store.save();
+  return added;
+}
+
+module.exports = {
+  listSoldListings,
+  saveSoldListings
+};
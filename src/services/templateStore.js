@@ -0,0 +1,165 @@
+/**
+ * Listing Template Store
+ * Saved listing templates (house-style titles, descriptions, category,
+ * condition and shipping), kept in a local JSON file:
+ *   TEMPLATE_STORE_PATH - JSON file to store templates in (default data/templates.json)
+ *
+ * Templates belong to the user who saved them; templates from before user accounts
+ * (no userId) are visible to everyone and claimed by the first user to edit them.
+ */
+
+const crypto = require('crypto');
+const { createJsonFileStore } = require('./jsonFileStore');
+const { LISTING_SCHEMAS } = require('../constants/listingSchemas');
+
+const store = createJsonFileStore({ name: 'templates', envVar: 'TEMPLATE_STORE_PATH', fileName: 'templates.json' });
+
+// Fields a client may set - anything else in the request body is ignored
+const TEMPLATE_FIELDS = ['name', 'listingType', 'title', 'description', 'category', 'condition', 'shipping'];
+const MAX_NAME_LENGTH = 60;
+
+function belongsTo(template, userId) {
+  return !userId || !template.userId || template.userId === userId;
+}
+
+function pickTemplateFields(data) {
+  const fields = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+    }
+  });
+  return fields;
+}
+
+/**
+ * Check template fields from a request
+ * @param {Object} data - Request body
+ * @param {Object} options - { partial: true } for updates, where name may be left out
+ * @returns {Array} Error messages, empty if the template is valid
+ */
+function validateTemplate(data, { partial = false } = {}) {
+  const errors = [];
+  const fields = pickTemplateFields(data || {});
+
+  if (!partial || fields.name !== undefined) {
+    if (typeof fields.name !== 'string' || !fields.name) {
+      errors.push('name is required');
+    } else if (fields.name.length > MAX_NAME_LENGTH) {
+      errors.push(`name must be ${MAX_NAME_LENGTH} characters or less`);
+    }
+  }
+
+  if (fields.listingType && !LISTING_SCHEMAS[fields.listingType]) {
+    errors.push(`listingType must be one of: ${Object.keys(LISTING_SCHEMAS).join(', ')}`);
+  }
+
+  TEMPLATE_FIELDS.filter(field => field !== 'name' && field !== 'listingType').forEach(field => {
+    if (fields[field] !== undefined && typeof fields[field] !== 'string') {
+      errors.push(`${field} must be text`);
+    }
+  });
+
+  if (partial && Object.keys(fields).length === 0) {
+    errors.push(`No template fields provided (${TEMPLATE_FIELDS.join(', ')})`);
+  }
+
+  return errors;
+}
+
+/**
+ * List saved templates, oldest first
+ * @param {Object} options - { userId } to only list the user's own (or pre-account) templates,
+ *   { listingType } to include only templates for that type (and those for any type)
+ * @returns {Array} Templates
+ */
+function listTemplates({ userId, listingType } = {}) {
+  return store.load().filter(template => belongsTo(template, userId) &&
+    (!listingType || !template.listingType || template.listingType === listingType));
+}
+
+/**
+ * Get one template
+ * @param {string} id - Template ID
+ * @param {Object} options - { userId } to only find the user's own (or pre-account) templates
+ * @returns {Object|null}
+ */
+function getTemplate(id, { userId } = {}) {
+  return store.load().find(template => template.id === id && belongsTo(template, userId)) || null;
+}
+
+/**
+ * Save a new template (call validateTemplate first)
+ * @param {Object} data - Template fields
+ * @param {string} userId - User saving the template
+ * @returns {Promise<Object>} The saved template
+ */
+async function createTemplate(data, userId = null) {
+  const now = new Date().toISOString();
+  const template = {
+    id: crypto.randomUUID(),
+    userId,
+    name: '',
+    listingType: null,
+    title: '',
+    description: '',
+    category: '',
+    condition: '',
+    shipping: '',
+    ...pickTemplateFields(data),
+    dateCreated: now,
+    dateUpdated: now
+  };
+
+  store.load().push(template);
+  await store.save();
+  return template;
+}
+
+/**
+ * Update a saved template (call validateTemplate with { partial: true } first)
+ * @param {string} id - Template ID
+ * @param {Object} data - Fields to change
+ * @param {string} userId - User making the change
+ * @returns {Promise<Object|null>} The updated template, or null if the user has no such template
+ */
+async function updateTemplate(id, data, userId = null) {
+  const template = getTemplate(id, { userId });
+  if (!template) {
+    return null;
+  }
+
+  Object.assign(template, pickTemplateFields(data), {
+    userId: template.userId || userId,
+    dateUpdated: new Date().toISOString()
+  });
+  await store.save();
+  return template;
+}
+
+/**
+ * Delete a saved template
+ * @param {string} id - Template ID
+ * @param {string} userId - User deleting the template
+ * @returns {Promise<boolean>} Whether a template was deleted
+ */
+async function deleteTemplate(id, userId = null) {
+  const templates = store.load();
+  const index = templates.findIndex(template => template.id === id && belongsTo(template, userId));
+  if (index === -1) {
+    return false;
+  }
+
+  templates.splice(index, 1);
+  await store.save();
+  return true;
+}
+
+module.exports = {
+  validateTemplate,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+};
@@ -1,33 +1,25 @@
 /**
  * Test connection to server
  */
+import { getServerUrl, checkServer } from './apiClient';
 
-// Try multiple URLs that work in different environments
-const TEST_URLS = [
-  'http://192.168.1.207:3000', // Your local network IP
-  'http://127.0.0.1:3000',
-  'http://localhost:3000',
-];
-
+/**
+ * Check the configured lister server (Settings → Server) is reachable
+ * @returns {Promise<Object>} { success, url, data } or { success: false, url, error }
+ */
 export const testServerConnection = async () => {
-  for (const url of TEST_URLS) {
-    try {
-      console.log(`🔍 Testing connection to: ${url}`);
-      
-      const response = await fetch(`${url}/api/health`, {
-        method: 'GET',
-        timeout: 5000,
-      });
-      
-      if (response.ok) {
-        const data = await response.json();
-        console.log(`✅ Connected successfully to: ${url}`, data);
-        return { success: true, url, data };
-      }
-    } catch (error) {
-      console.log(`❌ Failed to connect to: ${url}`, error.message);
-    }
+  const url = await getServerUrl();
+  console.log(`🔍 Testing connection to: ${url}`);
+
+  const result = await checkServer(url);
+  if (result.success) {
+    console.log(`✅ Connected successfully to: ${url}`, result.data);
+    return result;
   }
-  
-  return { success: false, error: 'Could not connect to any server URL' };
-};
\ No newline at end of file
+
+  console.log(`❌ Failed to connect to: ${url}`, result.error);
+  return { success: false, url, error: `Could not connect to ${url} (${result.error})` };
+};
+
+// Shared with the request queue's retry rules
+export { isNetworkError } from '../utils/requestRetry';
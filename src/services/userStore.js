@@ -0,0 +1,185 @@
+/**
+ * User Store
+ * Team members who can use the lister server, each with their own API token:
+ *   USER_STORE_PATH - JSON file to store users in (default data/users.json)
+ *
+ * Only a SHA-256 hash of each API token is kept - the token itself is shown once,
+ * when the user is created or the token is rotated.
+ *
+ * Each user: { id, name, isAdmin, tokenHash, createdAt, lastSeenAt }
+ */
+
+const crypto = require('crypto');
+const { createJsonFileStore } = require('./jsonFileStore');
+
+const store = createJsonFileStore({ name: 'users', envVar: 'USER_STORE_PATH', fileName: 'users.json' });
+
+const MAX_NAME_LENGTH = 40;
+// lastSeenAt is only written this often, so authenticating a request doesn't mean a file write
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (apiToken) => crypto.createHash('sha256').update(apiToken).digest('hex');
+
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * A user without their token hash, safe to return from the API
+ * @param {Object} user - Stored user
+ * @returns {Object} { id, name, isAdmin, createdAt, lastSeenAt }
+ */
+function toPublicUser(user) {
+  const { tokenHash, ...publicUser } = user;
+  return publicUser;
+}
+
+/**
+ * Check a new user from a request
+ * @param {Object} data - { name, isAdmin }
+ * @returns {Array} Error messages, empty if the user is valid
+ */
+function validateUser(data) {
+  const errors = [];
+  const name = typeof data?.name === 'string' ? data.name.trim() : '';
+
+  if (!name) {
+    errors.push('name is required');
+  } else if (name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be ${MAX_NAME_LENGTH} characters or less`);
+  } else if (findUserByName(name)) {
+    errors.push(`a user named "${name}" already exists`);
+  }
+
+  if (data?.isAdmin !== undefined && typeof data.isAdmin !== 'boolean') {
+    errors.push('isAdmin must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Find a user by name, ignoring case
+ * @param {string} name - User name
+ * @returns {Object|null} Stored user
+ */
+function findUserByName(name) {
+  const wanted = String(name).trim().toLowerCase();
+  return store.load().find(user => user.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Get a user by ID
+ * @param {string} id - User ID
+ * @returns {Object|null} Stored user
+ */
+function getUser(id) {
+  return store.load().find(user => user.id === id) || null;
+}
+
+/**
+ * List users, oldest first
+ * @returns {Array} Public users
+ */
+function listUsers() {
+  return store.load().map(toPublicUser);
+}
+
+/**
+ * Whether any users exist yet (the server can't be used until one is created)
+ * @returns {boolean}
+ */
+function hasUsers() {
+  return store.load().length > 0;
+}
+
+/**
+ * Create a user with a new API token (call validateUser first)
+ * @param {Object} data - { name, isAdmin }
+ * @returns {Promise<Object>} { user, apiToken } - the token is not stored and can't be shown again
+ */
+async function createUser({ name, isAdmin = false }) {
+  const apiToken = generateToken();
+  const user = {
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    isAdmin: !!isAdmin,
+    tokenHash: hashToken(apiToken),
+    createdAt: new Date().toISOString(),
+    lastSeenAt: null
+  };
+
+  store.load().push(user);
+  await store.save();
+  return { user: toPublicUser(user), apiToken };
+}
+
+/**
+ * Replace a user's API token - the old one stops working straight away
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>} { user, apiToken }, or null if there is no such user
+ */
+async function rotateUserToken(id) {
+  const user = getUser(id);
+  if (!user) {
+    return null;
+  }
+
+  const apiToken = generateToken();
+  user.tokenHash = hashToken(apiToken);
+  await store.save();
+  return { user: toPublicUser(user), apiToken };
+}
+
+/**
+ * Delete a user
+ * @param {string} id - User ID
+ * @returns {Promise<boolean>} True if the user existed
+ */
+async function deleteUser(id) {
+  const users = store.load();
+  const index = users.findIndex(user => user.id === id);
+  if (index === -1) {
+    return false;
+  }
+
+  users.splice(index, 1);
+  await store.save();
+  return true;
+}
+
+/**
+ * Find the user an API token belongs to
+ * @param {string} apiToken - Token from the Authorization header
+ * @returns {Promise<Object|null>} Public user, or null if the token is unknown
+ */
+async function authenticateToken(apiToken) {
+  if (!apiToken) {
+    return null;
+  }
+
+  const tokenHash = hashToken(apiToken);
+  const user = store.load().find(entry => entry.tokenHash === tokenHash);
+  if (!user) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (!user.lastSeenAt || now - new Date(user.lastSeenAt).getTime() > LAST_SEEN_RESOLUTION_MS) {
+    user.lastSeenAt = new Date(now).toISOString();
+    await store.save();
+  }
+
+  return toPublicUser(user);
+}
+
+module.exports = {
+  validateUser,
+  listUsers,
+  hasUsers,
+  getUser,
+  findUserByName,
+  createUser,
+  rotateUserToken,
+  deleteUser,
+  authenticateToken,
+  toPublicUser
+};
@@ -0,0 +1,114 @@
+/**
+ * Vision Model Providers
+ * The analyze endpoint talks to a provider instead of a specific SDK so the
+ * model can be swapped via env config:
+ *   VISION_PROVIDER   - 'openai' (default) or 'mock'
+ *   VISION_MODEL      - Model name for the OpenAI provider (default gpt-4o)
+ *   VISION_MAX_TOKENS - Max completion tokens (default 2000)
+ *
+ * Every provider implements:
+ *   analyze({ prompt, imageContents, followUpMessages, listingType }) => Promise<string>
+ * and returns the raw model text, which /api/analyze validates and repairs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROVIDER = 'openai';
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'vision');
+
+/**
+ * Create the OpenAI provider
+ * The client is created on first use so the mock provider runs without an API key
+ * @param {Object} options - { apiKey, model, maxTokens }
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider({ apiKey, model, maxTokens }) {
+  let client = null;
+
+  return {
+    name: 'openai',
+    model,
+    configured: !!apiKey,
+
+    async analyze({ prompt, imageContents, followUpMessages = [] }) {
+      if (!client) {
+        const OpenAI = require('openai');
+        client = new OpenAI({ apiKey });
+      }
+
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: prompt },
+              ...imageContents
+            ]
+          },
+          ...followUpMessages
+        ],
+        max_tokens: maxTokens,
+        temperature: 0.1,
+      });
+
+      return response.choices[0].message.content;
+    }
+  };
+}
+
+/**
+ * Create the mock provider
+ * Returns src/fixtures/vision/<LISTING_TYPE>.json for every call, so the
+ * photo -> listing -> post pipeline runs offline and gives the same listing every time
+ * (follow-ups such as the item specifics prompt read item_specifics from the same fixture)
+ * @returns {Object} Provider
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'fixtures',
+    configured: true,
+
+    async analyze({ listingType }) {
+      const fixturePath = path.join(FIXTURES_DIR, `${listingType}.json`);
+
+      if (!fs.existsSync(fixturePath)) {
+        throw new Error(`No mock fixture for listing type: ${listingType}`);
+      }
+
+      return fs.readFileSync(fixturePath, 'utf8');
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  openai: () => createOpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.VISION_MODEL || 'gpt-4o',
+    maxTokens: parseInt(process.env.VISION_MAX_TOKENS, 10) || 2000
+  }),
+  mock: () => createMockProvider()
+};
+
+/**
+ * Create the provider selected by VISION_PROVIDER
+ * @returns {Object} Provider
+ */
+function createVisionProvider() {
+  const name = (process.env.VISION_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const factory = PROVIDER_FACTORIES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown VISION_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+
+  return factory();
+}
+
+module.exports = {
+  createVisionProvider,
+  createOpenAIProvider,
+  createMockProvider
+};
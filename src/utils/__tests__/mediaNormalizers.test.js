@@ -0,0 +1,94 @@
+/**
+ * Normalized CD, DVD and VHS item specifics, against the category aspects eBay returns
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MEDIA_NORMALIZERS, normalizeMediaListing } = require('../mediaNormalizers');
+const { checkItemSpecifics } = require('../../constants/itemAspects');
+const { toItemAspect } = require('../../services/ebayTaxonomy');
+const itemAspectsFixture = require('../../fixtures/taxonomy/itemAspects.json');
+const dvdFixture = require('../../fixtures/vision/DVD_MOVIE.json');
+
+const CD_FORMATS = ['CD', 'Box Set', 'SACD', 'HDCD'];
+const VIDEO_STANDARDS = ['NTSC', 'PAL', 'SECAM'];
+const DVD_CATEGORY_ID = '617';
+const dvdAspects = itemAspectsFixture[DVD_CATEGORY_ID].aspects.map(toItemAspect);
+
+const normalizeDvd = (itemSpecifics) =>
+  normalizeMediaListing(
+    { ...dvdFixture, item_specifics: { ...dvdFixture.item_specifics, ...itemSpecifics } },
+    'DVD_MOVIE',
+    ['Movie/TV Title']
+  );
+
+test('CD formats normalize to formats the CDs category takes', () => {
+  const normalizeMusicFormat = MEDIA_NORMALIZERS.CD_MUSIC['Format'];
+  const cases = {
+    'CD': 'CD',
+    'Audio CD': 'CD',
+    'compact disc': 'CD',
+    '3 CD Box Set': 'Box Set',
+    'Hybrid SACD': 'SACD',
+    'Super Audio CD': 'SACD',
+    'HDCD': 'HDCD',
+    'Vinyl': '',
+    'LP record': '',
+    'Cassette': '',
+    '': ''
+  };
+
+  Object.entries(cases).forEach(([format, expected]) => {
+    const normalized = normalizeMusicFormat(format);
+    assert.strictEqual(normalized, expected, `"${format}"`);
+    assert.ok(normalized === '' || CD_FORMATS.includes(normalized));
+  });
+});
+
+test('VHS video standards are only set when the tape names one', () => {
+  const normalizeVideoStandard = MEDIA_NORMALIZERS.VHS_LISTING['Region Code'];
+  const cases = {
+    'NTSC': 'NTSC',
+    'ntsc (US)': 'NTSC',
+    'PAL': 'PAL',
+    'SECAM': 'SECAM',
+    'Region 1': '',
+    'unknown': '',
+    '': ''
+  };
+
+  Object.entries(cases).forEach(([standard, expected]) => {
+    const normalized = normalizeVideoStandard(standard);
+    assert.strictEqual(normalized, expected, `"${standard}"`);
+    assert.ok(normalized === '' || VIDEO_STANDARDS.includes(normalized));
+  });
+});
+
+test('a normalized DVD listing passes the DVD category aspects', () => {
+  const listing = normalizeDvd({});
+  const result = checkItemSpecifics(dvdAspects, listing.item_specifics);
+
+  assert.deepStrictEqual(result.invalid, []);
+  assert.deepStrictEqual(result.missing, []);
+  assert.strictEqual(result.itemSpecifics['Region Code'], '1');
+});
+
+test('DVD region codes normalize to values eBay takes', () => {
+  const cases = {
+    'Region 1': '1',
+    'region 2': '2',
+    '4': '4',
+    '0': 'Region Free',
+    'ALL': 'Region Free',
+    'Region Free': 'Region Free'
+  };
+
+  Object.entries(cases).forEach(([regionCode, expected]) => {
+    const listing = normalizeDvd({ 'Region Code': regionCode });
+    const result = checkItemSpecifics(dvdAspects, listing.item_specifics);
+
+    assert.deepStrictEqual(result.invalid, [], `"${regionCode}" was rejected`);
+    assert.strictEqual(result.itemSpecifics['Region Code'], expected);
+  });
+});
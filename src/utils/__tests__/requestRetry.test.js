@@ -0,0 +1,105 @@
+/**
+ * Offline request queue retry rules
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  RETRY_MAX_DELAY_MS,
+  isNetworkError,
+  getRetryDelay,
+  scheduleRetry,
+  getDueJobs,
+  runQueuedJob
+} = require('../requestRetry');
+
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+const queuedJob = (overrides = {}) => ({
+  id: 'job-1',
+  type: 'post',
+  payload: { listingData: { id: 'listing-1' } },
+  attempts: 0,
+  createdAt: new Date(NOW).toISOString(),
+  nextAttemptAt: new Date(NOW).toISOString(),
+  lastError: null,
+  ...overrides
+});
+
+test('retries back off from 5 seconds, doubling up to 5 minutes', () => {
+  assert.deepStrictEqual([0, 1, 2, 3, 4].map(getRetryDelay), [5000, 5000, 10000, 20000, 40000]);
+  assert.strictEqual(getRetryDelay(6), 160000);
+  assert.strictEqual(getRetryDelay(7), RETRY_MAX_DELAY_MS);
+  assert.strictEqual(getRetryDelay(50), RETRY_MAX_DELAY_MS);
+});
+
+test('a scheduled retry counts the attempt and pushes the job back', () => {
+  const job = queuedJob({ attempts: 2 });
+
+  scheduleRetry(job, 'Network request failed', NOW);
+
+  assert.strictEqual(job.attempts, 3);
+  assert.strictEqual(job.lastError, 'Network request failed');
+  assert.strictEqual(job.nextAttemptAt, new Date(NOW + 20000).toISOString());
+});
+
+test('only jobs whose retry time has come are due, unless forced', () => {
+  const jobs = [
+    queuedJob({ id: 'due', nextAttemptAt: new Date(NOW - 1000).toISOString() }),
+    queuedJob({ id: 'now' }),
+    queuedJob({ id: 'later', nextAttemptAt: new Date(NOW + 1000).toISOString() })
+  ];
+
+  assert.deepStrictEqual(getDueJobs(jobs, NOW).map(job => job.id), ['due', 'now']);
+  assert.deepStrictEqual(getDueJobs(jobs, NOW, true).map(job => job.id), ['due', 'now', 'later']);
+});
+
+test('network errors are told apart from the server rejecting a request', () => {
+  assert.strictEqual(isNetworkError(new TypeError('Network request failed')), true);
+  assert.strictEqual(isNetworkError('Failed to fetch'), true);
+  assert.strictEqual(isNetworkError(new Error('HTTP 500: Internal Server Error')), false);
+  assert.strictEqual(isNetworkError(undefined), false);
+});
+
+test('a request that goes through completes the job with its result', async () => {
+  const result = { success: true, itemId: '110000000001' };
+
+  assert.deepStrictEqual(await runQueuedJob(queuedJob(), async () => result), { outcome: 'completed', result });
+});
+
+test('a rejected post still completes the job - the result says it failed', async () => {
+  const result = { success: false, error: 'The title may be no more than 80 characters.' };
+
+  assert.deepStrictEqual(await runQueuedJob(queuedJob(), async () => result), { outcome: 'completed', result });
+});
+
+test('network failures are retried, whether thrown or flagged on the result', async () => {
+  const thrown = await runQueuedJob(queuedJob(), async () => {
+    throw new TypeError('Network request failed');
+  });
+  const flagged = await runQueuedJob(queuedJob(), async () => ({ success: false, networkError: true, error: 'Network request failed' }));
+
+  assert.deepStrictEqual(thrown, { outcome: 'retry', error: 'Network request failed' });
+  assert.deepStrictEqual(flagged, { outcome: 'retry', error: 'Network request failed' });
+});
+
+test('other errors fail the job so it is not retried', async () => {
+  const outcome = await runQueuedJob(queuedJob({ type: 'analyze' }), async () => {
+    throw new Error('Listing failed validation: listing.price is required');
+  });
+
+  assert.deepStrictEqual(outcome, { outcome: 'failed', error: 'Listing failed validation: listing.price is required' });
+});
+
+test('the job payload is what gets sent', async () => {
+  const job = queuedJob();
+  let sentPayload = null;
+
+  await runQueuedJob(job, async (payload) => {
+    sentPayload = payload;
+    return { success: true };
+  });
+
+  assert.strictEqual(sentPayload, job.payload);
+});
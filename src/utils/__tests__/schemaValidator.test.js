@@ -0,0 +1,120 @@
+/**
+ * Listing schema validation and reading listings out of model text
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSchema, validateListing, extractJsonObject, readValidatedListing } = require('../schemaValidator');
+
+const generalListing = {
+  title: 'Vintage Brass Desk Lamp',
+  price: 24.99,
+  condition: 'Used',
+  category: 'Home & Garden',
+  description: 'Working brass desk lamp with light patina.'
+};
+
+test('type unions accept any of their types', () => {
+  const schema = { type: ['string', 'number'] };
+
+  assert.deepStrictEqual(validateSchema('1999', schema), []);
+  assert.deepStrictEqual(validateSchema(1999, schema), []);
+  assert.deepStrictEqual(validateSchema(['1999'], schema), ['listing must be string or number (got array)']);
+  assert.deepStrictEqual(validateSchema(null, schema), ['listing must be string or number (got null)']);
+});
+
+test('numbers must be numbers, not NaN', () => {
+  assert.deepStrictEqual(validateSchema(NaN, { type: 'number' }), ['listing must be number (got number)']);
+  assert.deepStrictEqual(validateSchema('12', { type: 'number' }), ['listing must be number (got string)']);
+  assert.deepStrictEqual(validateSchema(2.5, { type: 'integer' }), ['listing must be integer (got number)']);
+});
+
+test('minimum applies to numbers', () => {
+  const schema = { type: 'number', minimum: 0 };
+
+  assert.deepStrictEqual(validateSchema(0, schema), []);
+  assert.deepStrictEqual(validateSchema(-1, schema), ['listing must be at least 0']);
+});
+
+test('required properties must be present and not null', () => {
+  const schema = { type: 'object', required: ['title', 'price'], properties: { title: { type: 'string' } } };
+
+  assert.deepStrictEqual(validateSchema({ title: 'Lamp', price: 5 }, schema), []);
+  assert.deepStrictEqual(validateSchema({ title: null }, schema), [
+    'listing.title is required',
+    'listing.price is required'
+  ]);
+});
+
+test('enum values must match exactly', () => {
+  const schema = { type: 'string', enum: ['Very Good', 'Good', 'Acceptable'] };
+
+  assert.deepStrictEqual(validateSchema('Good', schema), []);
+  assert.deepStrictEqual(validateSchema('good', schema), ['listing must be one of: Very Good, Good, Acceptable (got "good")']);
+});
+
+test('patterns apply to strings only', () => {
+  const schema = { type: ['number', 'string'], pattern: '^\\d+$' };
+
+  assert.deepStrictEqual(validateSchema('12', schema), []);
+  assert.deepStrictEqual(validateSchema(12, schema), []);
+  assert.deepStrictEqual(validateSchema('12oz', schema), ['listing must match ^\\d+$ (got "12oz")']);
+});
+
+test('package measurements must be non-negative numbers or numeric strings', () => {
+  const withPackage = (package_details) => validateListing({ ...generalListing, package_details }, 'GENERAL_LISTING');
+
+  assert.deepStrictEqual(withPackage({ weight_oz: 12, length_in: '9', width_in: '6.5', depth_in: 1.5 }).errors, []);
+  assert.deepStrictEqual(withPackage({ weight_oz: -3, length_in: '-3', width_in: 'abc' }).errors, [
+    'listing.package_details.weight_oz must be at least 0',
+    'listing.package_details.length_in must match ^\\d+(\\.\\d+)?$ (got "-3")',
+    'listing.package_details.width_in must match ^\\d+(\\.\\d+)?$ (got "abc")'
+  ]);
+});
+
+test('nested errors name the path to the bad value', () => {
+  const { valid, errors } = validateListing({
+    ...generalListing,
+    title: 'x'.repeat(81),
+    condition: 'Mint',
+    item_specifics: { Artist: '' }
+  }, 'CD_MUSIC');
+
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, [
+    'listing.title must be 80 characters or less (got 81)',
+    'listing.condition must be one of: Brand New, Like New, Very Good, Good, Acceptable (got "Mint")',
+    'listing.item_specifics.Artist must not be empty'
+  ]);
+});
+
+test('unknown listing types validate against the general schema', () => {
+  assert.deepStrictEqual(validateListing(generalListing, 'POSTCARD'), { valid: true, errors: [] });
+});
+
+test('JSON objects are read out of fenced or wrapped model text', () => {
+  const json = JSON.stringify(generalListing);
+
+  assert.deepStrictEqual(extractJsonObject(json), generalListing);
+  assert.deepStrictEqual(extractJsonObject('```json\n' + json + '\n```'), generalListing);
+  assert.deepStrictEqual(extractJsonObject(`Here is the listing: ${json} Let me know!`), generalListing);
+  assert.deepStrictEqual(extractJsonObject('{"title": "Box of {braces}"} trailing }'), { title: 'Box of {braces}' });
+  assert.throws(() => extractJsonObject('no json here'), /No JSON object found/);
+  assert.throws(() => extractJsonObject('{"title": "cut off'), /Incomplete JSON object/);
+});
+
+test('readValidatedListing returns valid listings and throws on invalid ones', () => {
+  assert.deepStrictEqual(readValidatedListing(JSON.stringify(generalListing), 'GENERAL_LISTING'), generalListing);
+  assert.deepStrictEqual(readValidatedListing(generalListing, 'GENERAL_LISTING'), generalListing);
+  assert.throws(
+    () => readValidatedListing({ ...generalListing, price: '24.99' }, 'GENERAL_LISTING'),
+    /Listing failed validation: listing.price must be number \(got string\)/
+  );
+});
+
+test('readValidatedListing maps condition names onto the listing type\'s scale', () => {
+  assert.strictEqual(readValidatedListing({ ...generalListing, condition: 'very good' }, 'GENERAL_LISTING').condition, 'Used');
+  assert.strictEqual(readValidatedListing({ ...generalListing, condition: 'Used', item_specifics: { Artist: 'Nirvana' } }, 'CD_MUSIC').condition, 'Good');
+  assert.throws(() => readValidatedListing({ ...generalListing, condition: 'Mint' }, 'GENERAL_LISTING'), /listing.condition must be one of/);
+});
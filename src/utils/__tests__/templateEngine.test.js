@@ -0,0 +1,127 @@
+/**
+ * Filling templates and merging them into generated listings
+ * Run with `npm test` (node's built-in test runner)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { fillTemplate, applyTemplate, switchTemplate, getTemplatesForType } = require('../templateEngine');
+
+const generatedBook = {
+  listingType: 'BOOK_ITEM',
+  title: 'Dune Frank Herbert 1965 Hardcover Science Fiction',
+  price: 18.5,
+  condition: 'Very Good',
+  category: 'Books > Science Fiction',
+  description: 'First edition hardcover with dust jacket.',
+  format: 'Hardcover',
+  item_specifics: {
+    'Book Title': 'Dune',
+    Author: 'Frank Herbert',
+    'Publication Year': '1965'
+  }
+};
+
+const houseStyle = {
+  id: 'template-1',
+  name: 'House style',
+  title: '[TITLE] by [AUTHOR] ([YEAR]) - [CONDITION]',
+  description: 'Ships in a padded mailer within 1 business day.',
+  category: '',
+  condition: 'Good',
+  shipping: 'USPS Media Mail'
+};
+
+test('placeholders ignore case and spacing and use the aliased title and year', () => {
+  const { text, missing } = fillTemplate('[title] by [Author] - [PUBLICATION YEAR] / [year]', generatedBook);
+
+  assert.strictEqual(text, 'Dune by Frank Herbert - 1965 / 1965');
+  assert.deepStrictEqual(missing, []);
+});
+
+test('item specifics take precedence over top-level fields of the same name', () => {
+  const listing = { ...generatedBook, itemSpecifics: { Format: 'Paperback' }, item_specifics: { ...generatedBook.item_specifics, Format: 'Trade Paperback' } };
+
+  assert.strictEqual(fillTemplate('[FORMAT]', listing).text, 'Trade Paperback');
+  assert.strictEqual(fillTemplate('[FORMAT]', { ...listing, item_specifics: {} }).text, 'Paperback');
+  assert.strictEqual(fillTemplate('[FORMAT]', generatedBook).text, 'Hardcover');
+});
+
+test('unfilled placeholders are reported and their separators tidied from single lines', () => {
+  const { text, missing } = fillTemplate('[TITLE] by [ILLUSTRATOR] - [CONDITION] ([EDITION])', generatedBook, { singleLine: true });
+
+  assert.strictEqual(text, 'Dune - Very Good');
+  assert.deepStrictEqual(missing, ['[ILLUSTRATOR]', '[EDITION]']);
+});
+
+test('template fields replace generated ones and the title is filled with them', () => {
+  const { listing, missingPlaceholders } = applyTemplate(generatedBook, houseStyle);
+
+  assert.strictEqual(listing.condition, 'Good');
+  assert.strictEqual(listing.shipping, 'USPS Media Mail');
+  assert.strictEqual(listing.title, 'Dune by Frank Herbert (1965) - Good');
+  assert.strictEqual(listing.appliedTemplateId, 'template-1');
+  assert.strictEqual(listing.appliedTemplateName, 'House style');
+  assert.deepStrictEqual(missingPlaceholders, []);
+});
+
+test('template conditions are mapped onto the listing type\'s scale', () => {
+  const generalItem = { ...generatedBook, listingType: 'GENERAL_LISTING', condition: 'Used' };
+
+  assert.strictEqual(applyTemplate(generatedBook, { ...houseStyle, condition: 'used' }).listing.condition, 'Good');
+  assert.strictEqual(applyTemplate(generalItem, houseStyle).listing.condition, 'Used');
+  assert.strictEqual(applyTemplate(generatedBook, { ...houseStyle, condition: 'Mint' }).listing.condition, generatedBook.condition);
+});
+
+test('fields the template leaves empty keep the generated values', () => {
+  const { listing } = applyTemplate(generatedBook, { id: 'template-2', name: 'Title only', title: '[TITLE] [FORMAT]' });
+
+  assert.strictEqual(listing.category, generatedBook.category);
+  assert.strictEqual(listing.condition, generatedBook.condition);
+  assert.strictEqual(listing.description, generatedBook.description);
+  assert.strictEqual(listing.price, generatedBook.price);
+  assert.strictEqual(listing.title, 'Dune Hardcover');
+});
+
+test('template descriptions follow the generated description unless they place it', () => {
+  const appended = applyTemplate(generatedBook, houseStyle).listing;
+  assert.strictEqual(appended.description, `${generatedBook.description}\n\n${houseStyle.description}`);
+
+  const placed = applyTemplate(generatedBook, { ...houseStyle, description: 'About this copy:\n[DESCRIPTION]\n\n[SHIPPING NOTES]' });
+  assert.strictEqual(placed.listing.description, `About this copy:\n${generatedBook.description}`);
+  assert.deepStrictEqual(placed.missingPlaceholders, ['[SHIPPING NOTES]']);
+});
+
+test('filled titles over 80 characters are cut at a word', () => {
+  const { listing } = applyTemplate(generatedBook, { id: 'template-3', name: 'Long', title: '[TITLE] '.repeat(20) });
+
+  assert.ok(listing.title.length <= 80);
+  assert.match(listing.title, /^(Dune )+Dune$/);
+});
+
+test('switching templates starts again from the generated listing and keeps other edits', () => {
+  const cardData = { ...applyTemplate(generatedBook, houseStyle).listing, price: 21 };
+
+  const switched = switchTemplate(cardData, generatedBook, { id: 'template-4', name: 'Plain', description: 'Thanks for looking!' });
+  assert.strictEqual(switched.data.title, generatedBook.title);
+  assert.strictEqual(switched.data.condition, generatedBook.condition);
+  assert.strictEqual(switched.data.description, `${generatedBook.description}\n\nThanks for looking!`);
+  assert.strictEqual(switched.data.price, 21);
+  assert.strictEqual(switched.data.appliedTemplateId, 'template-4');
+
+  const removed = switchTemplate(cardData, generatedBook, null);
+  assert.strictEqual(removed.data.description, generatedBook.description);
+  assert.strictEqual(removed.data.appliedTemplateId, null);
+  assert.strictEqual(removed.data.price, 21);
+});
+
+test('a listing type gets its own templates and the any-type ones', () => {
+  const templates = [
+    { id: 'book', listingType: 'BOOK_ITEM' },
+    { id: 'cd', listingType: 'CD_MUSIC' },
+    { id: 'any' }
+  ];
+
+  assert.deepStrictEqual(getTemplatesForType(templates, 'BOOK_ITEM').map(template => template.id), ['book', 'any']);
+  assert.deepStrictEqual(getTemplatesForType(undefined, 'BOOK_ITEM'), []);
+});
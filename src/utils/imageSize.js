@@ -0,0 +1,88 @@
+/**
+ * Read an image's pixel size from its file header
+ * Used by the server to check uploaded photos against eBay's requirements
+ * without decoding them. Supports JPEG, PNG, GIF and WebP.
+ */
+
+// JPEG start-of-frame markers hold the size; C4 (DHT), C8 (JPG) and CC (DAC) share the range but don't
+const isJpegFrameMarker = (marker) =>
+  marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+
+/**
+ * Find the size in a JPEG's start-of-frame segment
+ * @param {Buffer} buffer - JPEG file
+ * @returns {Object|null} { width, height }
+ */
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xFF) {
+      offset += 1; // Fill byte
+    } else if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+      offset += 2; // Markers without a length
+    } else if (isJpegFrameMarker(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    } else {
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the size in a WebP's first chunk
+ * @param {Buffer} buffer - WebP file
+ * @returns {Object|null} { width, height }
+ */
+function readWebpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * Read an image's type and size
+ * @param {Buffer} buffer - Image file
+ * @returns {Object|null} { type, width, height }, or null if it isn't an image type this reads
+ */
+function readImageSize(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  let size = null;
+  let type = null;
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    type = 'jpeg';
+    size = readJpegSize(buffer);
+  } else if (buffer.toString('hex', 0, 8) === '89504e470d0a1a0a' && buffer.length >= 24) {
+    type = 'png';
+    size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  } else if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    type = 'gif';
+    size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  } else if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    type = 'webp';
+    size = readWebpSize(buffer);
+  }
+
+  return size ? { type, ...size } : null;
+}
+
+module.exports = {
+  readImageSize
+};
@@ -0,0 +1,180 @@
+/**
+ * Item specific normalizers for CD, DVD and VHS listings
+ */
+
+const { MEDIA_ITEM_SPECIFICS } = require('../constants/prompts');
+
+const MPAA_RATINGS = ['G', 'PG', 'PG-13', 'R', 'NC-17', 'NR'];
+
+/**
+ * Normalize a release year to 4 digits
+ */
+const normalizeYear = (value) => {
+  const match = String(value || '').match(/\b(18|19|20)\d{2}\b/);
+  return match ? match[0] : '';
+};
+
+/**
+ * Keep only a 12 (UPC-A) or 13 (EAN-13) digit barcode
+ */
+const normalizeUPC = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length === 12 || digits.length === 13 ? digits : '';
+};
+
+/**
+ * Normalize run times like "1h 58m", "118 minutes" or 118 to "118 min"
+ */
+const normalizeRunTime = (value) => {
+  const text = String(value || '').toLowerCase();
+  const hours = text.match(/(\d+)\s*h/);
+  const minutes = text.match(/(\d+)\s*m/);
+  let total = 0;
+
+  if (hours) {
+    total = parseInt(hours[1], 10) * 60 + (minutes ? parseInt(minutes[1], 10) : 0);
+  } else {
+    const number = text.match(/\d+/);
+    total = number ? parseInt(number[0], 10) : 0;
+  }
+
+  return total > 0 ? `${total} min` : '';
+};
+
+/**
+ * Normalize MPAA ratings ("pg-13", "Rated R", "Unrated")
+ */
+const normalizeRating = (value) => {
+  const text = String(value || '').toUpperCase().replace(/^RATED\s+/, '').trim();
+  if (text === 'UNRATED' || text === 'NOT RATED') {
+    return 'NR';
+  }
+  return MPAA_RATINGS.includes(text) ? text : '';
+};
+
+/**
+ * Normalize DVD/Blu-ray region codes ("Region 1", "0", "ALL", "A") to the values eBay's
+ * Region Code aspect takes ("1", "A", "Region Free")
+ */
+const normalizeRegionCode = (value) => {
+  const text = String(value || '').toUpperCase().replace(/^REGION\s*/, '').trim();
+  if (!text) {
+    return '';
+  }
+  if (text === '0' || text === 'ALL' || text.includes('FREE')) {
+    return 'Region Free';
+  }
+  return text;
+};
+
+/**
+ * Normalize VHS video standards; anything else is left for the seller to fill in
+ */
+const normalizeVideoStandard = (value) => {
+  const text = String(value || '').toUpperCase();
+  if (text.includes('NTSC')) return 'NTSC';
+  if (text.includes('PAL')) return 'PAL';
+  if (text.includes('SECAM')) return 'SECAM';
+  return '';
+};
+
+/**
+ * Join actor lists into a comma-separated string
+ */
+const normalizeActors = (value) => {
+  const actors = Array.isArray(value) ? value : String(value || '').split(',');
+  return actors.map(actor => String(actor).trim()).filter(Boolean).join(', ');
+};
+
+/**
+ * Normalize CD formats to the ones eBay's CDs category takes; vinyl and cassettes
+ * aren't CDs, so they're left empty rather than listed under the wrong format
+ */
+const normalizeMusicFormat = (value) => {
+  const text = String(value || '').toLowerCase();
+  if (text.includes('box set')) return 'Box Set';
+  if (text.includes('sacd') || text.includes('super audio')) return 'SACD';
+  if (text.includes('hdcd')) return 'HDCD';
+  if (text.includes('cd') || text.includes('compact disc')) return 'CD';
+  return '';
+};
+
+const normalizeVideoFormat = (value) => {
+  const text = String(value || '').toLowerCase();
+  if (text.includes('4k') || text.includes('uhd')) return '4K UHD';
+  if (text.includes('blu')) return 'Blu-ray';
+  return 'DVD';
+};
+
+const MEDIA_NORMALIZERS = {
+  CD_MUSIC: {
+    'Format': normalizeMusicFormat,
+    'Release Year': normalizeYear,
+    'UPC': normalizeUPC
+  },
+  DVD_MOVIE: {
+    'Format': normalizeVideoFormat,
+    'Rating': normalizeRating,
+    'Region Code': normalizeRegionCode,
+    'Run Time': normalizeRunTime,
+    'Actors': normalizeActors,
+    'Release Year': normalizeYear,
+    'UPC': normalizeUPC
+  },
+  VHS_LISTING: {
+    'Format': () => 'VHS',
+    'Rating': normalizeRating,
+    'Region Code': normalizeVideoStandard,
+    'Run Time': normalizeRunTime,
+    'Actors': normalizeActors,
+    'Release Year': normalizeYear,
+    'UPC': normalizeUPC
+  }
+};
+
+/**
+ * Validate and normalize the item specifics of a CD, DVD or VHS listing
+ * @param {Object} listing - Parsed JSON listing from OpenAI
+ * @param {string} listingType - CD_MUSIC, DVD_MOVIE or VHS_LISTING
+ * @param {Array} requiredSpecifics - Item specifics that must not be empty
+ * @returns {Object} Listing with normalized item_specifics and price
+ */
+function normalizeMediaListing(listing, listingType, requiredSpecifics) {
+  if (!listing.title) {
+    throw new Error('Missing required field: title');
+  }
+
+  const rawSpecifics = listing.item_specifics || {};
+  const normalizers = MEDIA_NORMALIZERS[listingType];
+  // Keep the other specifics the category asked for; the listing type's own are normalized below
+  const itemSpecifics = { ...rawSpecifics };
+
+  MEDIA_ITEM_SPECIFICS[listingType].forEach((name) => {
+    // Fall back to top-level keys in case the model flattened item_specifics
+    const rawValue = rawSpecifics[name] ?? listing[name] ?? '';
+    const normalize = normalizers[name];
+    itemSpecifics[name] = normalize ? normalize(rawValue) : String(rawValue).trim();
+  });
+
+  requiredSpecifics.forEach((name) => {
+    if (!itemSpecifics[name]) {
+      throw new Error(`Missing required item specific: ${name}`);
+    }
+  });
+
+  const missing = MEDIA_ITEM_SPECIFICS[listingType].filter(name => !itemSpecifics[name]);
+  if (missing.length > 0) {
+    console.warn(`⚠️ ${listingType} listing is missing item specifics:`, missing);
+  }
+
+  return {
+    ...listing,
+    price: parseFloat(listing.price) || 0,
+    item_specifics: itemSpecifics
+  };
+}
+
+module.exports = {
+  MEDIA_NORMALIZERS,
+  normalizeMediaListing
+};
@@ -1,6 +1,35 @@
 /**
  * Utility functions for photo processing and management
  */
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import { File } from 'expo-file-system';
+import { getHighQualityImages } from '../services/photoSettings';
+import { checkPhotoRequirements } from '../constants/photoRequirements';
+
+// Longest side (px) and JPEG quality photos are saved at before upload, per the "High quality images"
+// setting. High keeps most photos over eBay's recommended 1600px on both sides; standard uploads faster.
+// Either way a phone photo ends up well under the server's 12MB upload limit (PHOTO_REQUIREMENTS.maxFileSize).
+export const PHOTO_SIZE_PRESETS = {
+  high: { maxDimension: 2400, quality: 0.9 },
+  standard: { maxDimension: 1600, quality: 0.8 },
+};
+
+const THUMBNAIL_QUALITY = 0.7;
+
+// Size of a saved file in bytes, or null where it can't be read (e.g. on web)
+const getFileSize = (uri) => {
+  try {
+    return new File(uri).size || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Resize so the longest side (or the shortest, for thumbnails) is `size`, keeping the aspect ratio
+const fitSide = (image, size, side = 'longest') => {
+  const widthIsLonger = image.width >= image.height;
+  return (side === 'longest') === widthIsLonger ? { width: size } : { height: size };
+};
 
 /**
  * Group photos based on photos per listing setting
@@ -49,70 +78,118 @@ export const calculateEstimatedListings = (photoCount, photosPerListing) => {
 
 /**
  * Resize image for optimal upload
+ * The photo is drawn upright (its EXIF orientation applied to the pixels) and saved as a new
+ * JPEG without EXIF metadata, so GPS location and the orientation tag don't go to the server.
+ * Photos already within maxDimension keep their size.
  * @param {string} uri - Image URI
- * @param {Object} options - Resize options
- * @returns {Promise} Resized image URI
+ * @param {Object} options - { maxDimension, quality } (default: the high quality preset)
+ * @returns {Promise<Object>} { uri, width, height, fileSize }
  */
 export const resizeImage = async (uri, options = {}) => {
-  const { width = 1200, height = 1200, quality = 0.8 } = options;
-  
-  // This would integrate with expo-image-manipulator in a real implementation
-  // For now, return original URI
-  return uri;
+  const { maxDimension = PHOTO_SIZE_PRESETS.high.maxDimension, quality = PHOTO_SIZE_PRESETS.high.quality } = options;
+
+  let image = await ImageManipulator.manipulate(uri).renderAsync();
+  if (Math.max(image.width, image.height) > maxDimension) {
+    image = await ImageManipulator.manipulate(image).resize(fitSide(image, maxDimension)).renderAsync();
+  }
+
+  const saved = await image.saveAsync({ compress: quality, format: SaveFormat.JPEG });
+  return { uri: saved.uri, width: saved.width, height: saved.height, fileSize: getFileSize(saved.uri) };
 };
 
 /**
  * Validate photo for eBay requirements
- * @param {Object} photo - Photo object with width, height, size
- * @returns {Object} Validation result
+ * Same checks /api/analyze runs on the uploaded photo (see src/constants/photoRequirements.js)
+ * @param {Object} photo - Photo object with width, height and fileSize (or size) in bytes
+ * @returns {Object} Validation result ({ isValid, errors, warnings })
  */
 export const validatePhoto = (photo) => {
-  const errors = [];
-  const warnings = [];
-  
-  // eBay photo requirements
-  const MIN_SIZE = 500;
-  const MAX_SIZE = 12 * 1024 * 1024; // 12MB
-  const RECOMMENDED_MIN = 1600;
-  
-  if (photo.width < MIN_SIZE || photo.height < MIN_SIZE) {
-    errors.push('Photo must be at least 500x500 pixels');
-  }
-  
-  if (photo.size && photo.size > MAX_SIZE) {
-    errors.push('Photo size must be less than 12MB');
-  }
-  
-  if (photo.width < RECOMMENDED_MIN || photo.height < RECOMMENDED_MIN) {
-    warnings.push('Photo should be at least 1600x1600 pixels for best quality');
-  }
-  
-  return {
-    isValid: errors.length === 0,
-    errors,
-    warnings,
-  };
+  return checkPhotoRequirements({
+    width: photo.width,
+    height: photo.height,
+    fileSize: photo.fileSize || photo.size,
+  });
+};
+
+/**
+ * Errors for the photos that can't be sent to eBay, one line per photo
+ * @param {Array} photos - Array of photo objects
+ * @returns {Array} e.g. ['Photo 2: Photo must be at least 500x500 pixels']
+ */
+export const getPhotoErrors = (photos = []) => {
+  return photos
+    .map((photo, index) => ({ index, validation: validatePhoto(photo) }))
+    .filter(({ validation }) => !validation.isValid)
+    .map(({ index, validation }) => `Photo ${index + 1}: ${validation.errors.join(', ')}`);
 };
 
 /**
  * Generate thumbnail from photo
+ * Small enough to fill a size x size square preview without decoding the full photo.
  * @param {string} uri - Photo URI
  * @param {number} size - Thumbnail size
  * @returns {Promise} Thumbnail URI
  */
 export const generateThumbnail = async (uri, size = 150) => {
-  // This would use expo-image-manipulator to create thumbnail
-  // For now, return original URI
-  return uri;
+  const image = await ImageManipulator.manipulate(uri).renderAsync();
+  const thumbnail = Math.min(image.width, image.height) > size
+    ? await ImageManipulator.manipulate(image).resize(fitSide(image, size, 'shortest')).renderAsync()
+    : image;
+
+  const saved = await thumbnail.saveAsync({ compress: THUMBNAIL_QUALITY, format: SaveFormat.JPEG });
+  return saved.uri;
 };
 
 /**
  * Extract EXIF data from photo
- * @param {string} uri - Photo URI
- * @returns {Promise} EXIF data object
+ * Reads the EXIF the image picker returns (launch it with exif: true). GPS coordinates are
+ * never copied - only whether the photo had them.
+ * @param {Object} asset - Image picker asset
+ * @returns {Object} { orientation, takenAt, cameraMake, cameraModel, hadLocation }
  */
-export const extractExifData = async (uri) => {
-  // This would extract EXIF data for auto-rotation and metadata
-  // For now, return empty object
-  return {};
-};
\ No newline at end of file
+export const extractExifData = (asset) => {
+  const exif = asset?.exif || {};
+  // iOS groups tags ({TIFF}, {Exif}, {GPS}); Android returns them flat
+  const tiff = exif['{TIFF}'] || {};
+  const exifGroup = exif['{Exif}'] || {};
+
+  return {
+    orientation: Number(exif.Orientation ?? tiff.Orientation) || 1,
+    takenAt: exif.DateTimeOriginal || exifGroup.DateTimeOriginal || null,
+    cameraMake: exif.Make || tiff.Make || null,
+    cameraModel: exif.Model || tiff.Model || null,
+    hadLocation: !!exif['{GPS}'] || Object.keys(exif).some(tag => tag.startsWith('GPS')),
+  };
+};
+
+/**
+ * Get a photo from the camera or library ready to analyze and post
+ * Resized per the "High quality images" setting, upright and without EXIF metadata, with a
+ * thumbnail for previews. If the photo can't be processed it's used as it is.
+ * @param {Object} asset - Image picker asset (picked with exif: true)
+ * @returns {Promise<Object>} Photo { id, uri, width, height, fileSize, thumbnailUri, exif, originalWidth, originalHeight }
+ */
+export const preparePhoto = async (asset) => {
+  const photo = {
+    id: Math.random().toString(36).substr(2, 9),
+    uri: asset.uri,
+    width: asset.width,
+    height: asset.height,
+    fileSize: asset.fileSize || null,
+    thumbnailUri: null,
+    exif: extractExifData(asset),
+    originalWidth: asset.width,
+    originalHeight: asset.height,
+  };
+
+  try {
+    const preset = (await getHighQualityImages()) ? PHOTO_SIZE_PRESETS.high : PHOTO_SIZE_PRESETS.standard;
+    const resized = await resizeImage(asset.uri, preset);
+    const thumbnailUri = await generateThumbnail(resized.uri);
+    console.log(`🖼️ Prepared photo ${asset.width}x${asset.height} -> ${resized.width}x${resized.height}${photo.exif.hadLocation ? ' (location removed)' : ''}`);
+    return { ...photo, ...resized, thumbnailUri };
+  } catch (error) {
+    console.error('⚠️ Could not resize photo, using the original:', error.message);
+    return photo;
+  }
+};
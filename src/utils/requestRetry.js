@@ -0,0 +1,82 @@
+/**
+ * Retry rules for the offline request queue (src/services/requestQueue.js)
+ * When a queued job is due, how long it backs off, and whether a failed
+ * request is retried (the server couldn't be reached) or dropped (it rejected it).
+ */
+
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Whether a request failed because the server could not be reached (rather than rejecting it)
+ * React Native's fetch rejects with a TypeError "Network request failed" when there is no connection
+ * @param {Error|string} error - Error thrown by fetch, or its message
+ * @returns {boolean} True if the request should be retried once the connection is back
+ */
+function isNetworkError(error) {
+  const message = typeof error === 'string' ? error : error?.message || '';
+  return /network request failed|failed to fetch|network error|cannot connect to server/i.test(message);
+}
+
+/**
+ * Delay before the next attempt - 5s, 10s, 20s, ... up to 5 minutes
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Count a failed attempt and set when the job is next due
+ * @param {Object} job - Queued job, updated in place
+ * @param {string} errorMessage - Why the attempt failed
+ * @param {number} now - Current time in ms
+ */
+function scheduleRetry(job, errorMessage, now = Date.now()) {
+  job.attempts += 1;
+  job.lastError = errorMessage;
+  job.nextAttemptAt = new Date(now + getRetryDelay(job.attempts)).toISOString();
+}
+
+/**
+ * Jobs whose next attempt is due
+ * @param {Array} jobs - Queued jobs
+ * @param {number} now - Current time in ms
+ * @param {boolean} force - Every job is due, ignoring the backoff
+ * @returns {Array} Due jobs, in queue order
+ */
+function getDueJobs(jobs, now = Date.now(), force = false) {
+  return jobs.filter(job => force || new Date(job.nextAttemptAt).getTime() <= now);
+}
+
+/**
+ * Send a queued job's request and decide what happens to the job
+ * A network error - thrown, or flagged on the result as networkError - means retry later;
+ * any other error means the server rejected the request, which is not retried.
+ * @param {Object} job - Queued job
+ * @param {Function} runner - Sends the job's payload
+ * @returns {Promise<Object>} { outcome: 'completed', result }, { outcome: 'retry', error }
+ *   or { outcome: 'failed', error }
+ */
+async function runQueuedJob(job, runner) {
+  try {
+    const result = await runner(job.payload);
+    if (result?.networkError) {
+      return { outcome: 'retry', error: result.error };
+    }
+    return { outcome: 'completed', result };
+  } catch (error) {
+    return { outcome: isNetworkError(error) ? 'retry' : 'failed', error: error.message };
+  }
+}
+
+module.exports = {
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
+  isNetworkError,
+  getRetryDelay,
+  scheduleRetry,
+  getDueJobs,
+  runQueuedJob
+};
@@ -2,42 +2,25 @@
  * Response parser for different listing types
  */
 
+import { readValidatedListing } from './schemaValidator';
+import { normalizeMediaListing } from './mediaNormalizers';
+
 /**
  * Parse OpenAI response for Book listings
  */
-export const parseBookResponse = (rawResponse) => {
+export const parseBookResponse = (response) => {
   try {
     console.log('📖 Parsing Book response...');
-    console.log('📖 Raw OpenAI response:', rawResponse);
-    
-    // Try to extract JSON from the response
-    let jsonMatch = rawResponse.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      // Sometimes OpenAI returns just JSON without extra text
-      const listing = JSON.parse(rawResponse.trim());
-      console.log('✅ Parsed book listing (no match):', listing);
-      console.log('📖 Book item_specifics:', listing.item_specifics);
-      console.log('📖 Author found:', listing.item_specifics?.Author);
-      console.log('📖 ISBN found:', listing.item_specifics?.ISBN);
-      return listing;
-    }
-
-    const listing = JSON.parse(jsonMatch[0]);
-    console.log('✅ Parsed book listing (with match):', listing);
+    
+    const listing = readValidatedListing(response, 'BOOK_ITEM');
+    console.log('✅ Parsed book listing:', listing);
     console.log('📖 Book item_specifics:', listing.item_specifics);
     console.log('📖 Author found:', listing.item_specifics?.Author);
     console.log('📖 ISBN found:', listing.item_specifics?.ISBN);
-    console.log('📖 Full listing structure:', JSON.stringify(listing, null, 2));
-    
-    // Validate required book fields
-    if (!listing.title) {
-      throw new Error('Missing required field: title');
-    }
     
     return listing;
   } catch (error) {
     console.error('❌ Error parsing book response:', error);
-    console.error('❌ Failed response text:', rawResponse);
     throw new Error(`Failed to parse book listing: ${error.message}`);
   }
 };
@@ -45,22 +28,33 @@ export const parseBookResponse = (rawResponse) => {
 /**
  * Parse OpenAI response for Book Lots listings
  */
-export const parseBookLotsResponse = (rawResponse) => {
+export const parseBookLotsResponse = (response) => {
   try {
     console.log('📚 Parsing Book Lots response...');
     
-    // Book lots might return an array of books or a single lot listing
-    let jsonMatch = rawResponse.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      const listing = JSON.parse(rawResponse.trim());
-      console.log('✅ Parsed book lots listing:', listing);
-      return listing;
+    const listing = readValidatedListing(response, 'BOOK_LOTS');
+
+    const books = listing.books
+      .map(book => ({
+        title: String(book.title || '').trim(),
+        author: String(book.author || '').trim(),
+        isbn: String(book.isbn || '').replace(/[^\dX]/gi, '')
+      }))
+      .filter(book => book.title);
+
+    if (books.length === 0) {
+      throw new Error('No identifiable books in lot');
     }
 
-    const listing = JSON.parse(jsonMatch[0]);
-    console.log('✅ Parsed book lots listing:', listing);
-    
-    return listing;
+    const lotListing = {
+      ...listing,
+      price: parseFloat(listing.price) || 0,
+      books,
+      item_specifics: listing.item_specifics || {}
+    };
+    console.log(`✅ Parsed book lots listing with ${books.length} books:`, lotListing);
+    
+    return lotListing;
   } catch (error) {
     console.error('❌ Error parsing book lots response:', error);
     throw new Error(`Failed to parse book lots listing: ${error.message}`);
@@ -70,21 +64,17 @@ export const parseBookLotsResponse = (rawResponse) => {
 /**
  * Parse OpenAI response for CD/Music listings
  */
-export const parseCDMusicResponse = (rawResponse) => {
+export const parseCDMusicResponse = (response) => {
   try {
     console.log('🎵 Parsing CD/Music response...');
     
-    let jsonMatch = rawResponse.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      const listing = JSON.parse(rawResponse.trim());
-      console.log('✅ Parsed CD/Music listing:', listing);
-      return listing;
-    }
-
-    const listing = JSON.parse(jsonMatch[0]);
-    console.log('✅ Parsed CD/Music listing:', listing);
+    const listing = readValidatedListing(response, 'CD_MUSIC');
     
-    return listing;
+    // Normalize the music item specifics
+    const normalizedListing = normalizeMediaListing(listing, 'CD_MUSIC', ['Artist']);
+    console.log('✅ Parsed CD/Music listing:', normalizedListing);
+    
+    return normalizedListing;
   } catch (error) {
     console.error('❌ Error parsing CD/Music response:', error);
     throw new Error(`Failed to parse CD/Music listing: ${error.message}`);
@@ -94,21 +84,17 @@ export const parseCDMusicResponse = (rawResponse) => {
 /**
  * Parse OpenAI response for DVD/Movie listings
  */
-export const parseDVDMovieResponse = (rawResponse) => {
+export const parseDVDMovieResponse = (response) => {
   try {
     console.log('🎬 Parsing DVD/Movie response...');
     
-    let jsonMatch = rawResponse.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      const listing = JSON.parse(rawResponse.trim());
-      console.log('✅ Parsed DVD/Movie listing:', listing);
-      return listing;
-    }
-
-    const listing = JSON.parse(jsonMatch[0]);
-    console.log('✅ Parsed DVD/Movie listing:', listing);
+    const listing = readValidatedListing(response, 'DVD_MOVIE');
     
-    return listing;
+    // Normalize the movie item specifics
+    const normalizedListing = normalizeMediaListing(listing, 'DVD_MOVIE', ['Movie/TV Title']);
+    console.log('✅ Parsed DVD/Movie listing:', normalizedListing);
+    
+    return normalizedListing;
   } catch (error) {
     console.error('❌ Error parsing DVD/Movie response:', error);
     throw new Error(`Failed to parse DVD/Movie listing: ${error.message}`);
@@ -118,21 +104,17 @@ export const parseDVDMovieResponse = (rawResponse) => {
 /**
  * Parse OpenAI response for VHS listings
  */
-export const parseVHSResponse = (rawResponse) => {
+export const parseVHSResponse = (response) => {
   try {
     console.log('📼 Parsing VHS response...');
     
-    let jsonMatch = rawResponse.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      const listing = JSON.parse(rawResponse.trim());
-      console.log('✅ Parsed VHS listing:', listing);
-      return listing;
-    }
-
-    const listing = JSON.parse(jsonMatch[0]);
-    console.log('✅ Parsed VHS listing:', listing);
+    const listing = readValidatedListing(response, 'VHS_LISTING');
     
-    return listing;
+    // Normalize the VHS item specifics
+    const normalizedListing = normalizeMediaListing(listing, 'VHS_LISTING', ['Movie/TV Title']);
+    console.log('✅ Parsed VHS listing:', normalizedListing);
+    
+    return normalizedListing;
   } catch (error) {
     console.error('❌ Error parsing VHS response:', error);
     throw new Error(`Failed to parse VHS listing: ${error.message}`);
@@ -142,18 +124,11 @@ export const parseVHSResponse = (rawResponse) => {
 /**
  * Parse OpenAI response for General listings
  */
-export const parseGeneralResponse = (rawResponse) => {
+export const parseGeneralResponse = (response) => {
   try {
     console.log('📦 Parsing General response...');
     
-    let jsonMatch = rawResponse.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      const listing = JSON.parse(rawResponse.trim());
-      console.log('✅ Parsed general listing:', listing);
-      return listing;
-    }
-
-    const listing = JSON.parse(jsonMatch[0]);
+    const listing = readValidatedListing(response, 'GENERAL_LISTING');
     console.log('✅ Parsed general listing:', listing);
     
     return listing;
@@ -165,35 +140,37 @@ export const parseGeneralResponse = (rawResponse) => {
 
 /**
  * Main parser that routes to the appropriate listing type parser
+ * @param {Object|string} response - `listing` from /api/analyze (or raw model text)
+ * @param {string} listingType - Listing type the photos were analyzed as
  */
-export const parseListingResponse = (rawResponse, listingType) => {
+export const parseListingResponse = (response, listingType) => {
   console.log(`🔍 Parsing response for listing type: ${listingType}`);
   
-  if (!rawResponse) {
+  if (!response) {
     throw new Error('No response provided');
   }
 
   switch (listingType) {
     case 'BOOK_ITEM':
-      return parseBookResponse(rawResponse);
+      return parseBookResponse(response);
     
     case 'BOOK_LOTS':
-      return parseBookLotsResponse(rawResponse);
+      return parseBookLotsResponse(response);
     
     case 'CD_MUSIC':
-      return parseCDMusicResponse(rawResponse);
+      return parseCDMusicResponse(response);
     
     case 'DVD_MOVIE':
-      return parseDVDMovieResponse(rawResponse);
+      return parseDVDMovieResponse(response);
     
     case 'VHS_LISTING':
-      return parseVHSResponse(rawResponse);
+      return parseVHSResponse(response);
     
     case 'GENERAL_LISTING':
-      return parseGeneralResponse(rawResponse);
+      return parseGeneralResponse(response);
     
     default:
       console.warn(`Unknown listing type: ${listingType}, using general parser`);
-      return parseGeneralResponse(rawResponse);
+      return parseGeneralResponse(response);
   }
 };
\ No newline at end of file
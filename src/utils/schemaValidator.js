@@ -0,0 +1,194 @@
+/**
+ * Listing schema validation shared by the server and the app
+ * Supports the JSON-schema subset used in src/constants/listingSchemas.js:
+ * type, required, properties, items, enum, minLength, maxLength, pattern, minimum, minItems
+ */
+
+const { LISTING_SCHEMAS } = require('../constants/listingSchemas');
+const { normalizeCondition } = require('../constants/conditions');
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Any value
+ * @returns {string} JSON-schema type name
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema type (or list of types)
+ * @param {*} value - Value to check
+ * @param {string|Array} type - Schema type(s)
+ * @returns {boolean} Whether the value matches
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = getJsonType(value);
+
+  return types.some(expected => {
+    if (expected === 'integer') return Number.isInteger(value);
+    if (expected === 'number') return actual === 'number' && !Number.isNaN(value);
+    return actual === expected;
+  });
+}
+
+/**
+ * Validate a value against a JSON schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Dotted path used in error messages
+ * @returns {Array} Array of error messages (empty when valid)
+ */
+function validateSchema(value, schema, path = 'listing') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    errors.push(`${path} must be ${expected} (got ${getJsonType(value)})`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')} (got "${value}")`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path} must not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be ${schema.maxLength} characters or less (got ${value.length})`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match ${schema.pattern} (got "${value}")`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (getJsonType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed listing against the schema for its listing type
+ * @param {Object} listing - Parsed listing object
+ * @param {string} listingType - Listing type (BOOK_ITEM, CD_MUSIC, etc.)
+ * @returns {Object} { valid, errors }
+ */
+function validateListing(listing, listingType) {
+  const schema = LISTING_SCHEMAS[listingType] || LISTING_SCHEMAS.GENERAL_LISTING;
+  const errors = validateSchema(listing, schema);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Extract the first complete JSON object from model text
+ * Handles bare JSON, ```json fences and text around the object
+ * @param {string} text - Raw model response
+ * @returns {Object} Parsed JSON object
+ */
+function extractJsonObject(text) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Response is not a string');
+  }
+
+  const trimmed = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    // Fall through to scanning for a balanced object
+  }
+
+  const start = trimmed.indexOf('{');
+  if (start === -1) {
+    throw new Error('No JSON object found in response');
+  }
+
+  // Walk forward to the matching closing brace, skipping braces inside strings
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < trimmed.length; i++) {
+    const char = trimmed[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return JSON.parse(trimmed.slice(start, i + 1));
+      }
+    }
+  }
+
+  throw new Error('Incomplete JSON object in response');
+}
+
+/**
+ * Read a listing from the analyze response and validate it against its schema
+ * The server already validates, so this mainly guards against stale servers
+ * @param {Object|string} response - Validated listing object, or raw model text
+ * @param {string} listingType - Listing type used to pick the schema
+ * @returns {Object} Listing object
+ */
+function readValidatedListing(response, listingType) {
+  const parsed = typeof response === 'string' ? extractJsonObject(response) : response;
+  const listing = { ...parsed, condition: normalizeCondition(parsed.condition, listingType) || parsed.condition };
+  const { valid, errors } = validateListing(listing, listingType);
+
+  if (!valid) {
+    throw new Error(`Listing failed validation: ${errors.join('; ')}`);
+  }
+
+  return listing;
+}
+
+module.exports = {
+  validateSchema,
+  validateListing,
+  extractJsonObject,
+  readValidatedListing
+};
@@ -0,0 +1,202 @@
+/**
+ * Template engine - fills saved listing templates from a generated listing
+ *
+ * Template titles and descriptions use [PLACEHOLDERS], e.g.
+ *   "[TITLE] by [AUTHOR] - [CONDITION]"
+ * Each placeholder is looked up in the listing's fields and item specifics,
+ * ignoring case, spaces and punctuation, so [PUBLICATION YEAR], [publicationYear]
+ * and the "Publication Year" item specific all match.
+ */
+
+const { normalizeCondition } = require('../constants/conditions');
+
+const PLACEHOLDER_PATTERN = /\[([^\[\]]+)\]/g;
+const MAX_TITLE_LENGTH = 80;
+
+// Fields a template sets on the listing
+const TEMPLATE_LISTING_FIELDS = ['title', 'description', 'category', 'condition', 'shipping'];
+
+// Placeholders whose best value has a different name depending on the listing type
+const PLACEHOLDER_ALIASES = {
+  title: ['Book Title', 'Release Title', 'Movie/TV Title', 'title'],
+  item: ['Type', 'title'],
+  year: ['Publication Year', 'Release Year', 'Year'],
+  label: ['Record Label']
+};
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Build a lookup of every value a placeholder can be filled from
+ * Item specifics come first so [TITLE] etc. resolve via the aliases, then top-level fields
+ */
+const buildValueLookup = (listing) => {
+  const lookup = {};
+  const addValues = (source) => {
+    Object.entries(source || {}).forEach(([key, value]) => {
+      const normalized = normalizeKey(key);
+      const isFillable = typeof value === 'string' || typeof value === 'number';
+      if (isFillable && String(value).trim() && lookup[normalized] === undefined) {
+        lookup[normalized] = String(value).trim();
+      }
+    });
+  };
+
+  addValues(listing.item_specifics);
+  addValues(listing.itemSpecifics);
+  addValues(listing);
+
+  return lookup;
+};
+
+const resolvePlaceholder = (name, lookup) => {
+  const key = normalizeKey(name);
+  const candidates = PLACEHOLDER_ALIASES[key] || [name];
+
+  for (const candidate of candidates) {
+    const value = lookup[normalizeKey(candidate)];
+    if (value) {
+      return value;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Tidy a single line after unfilled placeholders are removed,
+ * e.g. "Dune by  - Very Good" -> "Dune - Very Good", "by Frank Herbert - " -> "Frank Herbert"
+ */
+const tidyLine = (text) => text
+  .replace(/\s{2,}/g, ' ')
+  .replace(/\s*\(\s*\)/g, '')
+  .replace(/\bby\s+(?=[-–|,:])/gi, '')
+  .replace(/([-–|,:])(\s*[-–|,:])+/g, '$1')
+  .replace(/^\s*(?:[-–|,:]|by\b)\s*/i, '')
+  .replace(/\s*(?:[-–|,:]|\bby)\s*$/i, '')
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+const truncateTitle = (title) => {
+  if (title.length <= MAX_TITLE_LENGTH) {
+    return title;
+  }
+  const cut = title.slice(0, MAX_TITLE_LENGTH);
+  return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : MAX_TITLE_LENGTH).trim();
+};
+
+/**
+ * Fill a template string's placeholders from a listing
+ * @param {string} pattern - Template text with [PLACEHOLDERS]
+ * @param {Object} listing - Parsed listing (fields and item_specifics)
+ * @param {Object} options - { singleLine } to tidy separators left by unfilled placeholders
+ * @returns {Object} { text, missing } - filled text and the placeholders with no value
+ */
+const fillTemplate = (pattern, listing, { singleLine = false } = {}) => {
+  const lookup = buildValueLookup(listing || {});
+  const missing = [];
+
+  const filled = String(pattern || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = resolvePlaceholder(name.trim(), lookup);
+    if (value === null) {
+      missing.push(match);
+      return '';
+    }
+    return value;
+  });
+
+  const text = singleLine
+    ? tidyLine(filled)
+    : filled.split('\n').map(line => line.replace(/[ \t]{2,}/g, ' ').trimEnd()).join('\n').trim();
+
+  return { text, missing };
+};
+
+/**
+ * Apply a saved template to a listing
+ * The title pattern replaces the title, the description is added as boilerplate after the
+ * generated description (or wherever the template puts [DESCRIPTION]), and the category,
+ * condition and shipping replace the generated values when the template sets them.
+ * @param {Object} listing - Parsed or edited listing
+ * @param {Object} template - Saved template ({ id, name, title, description, category, condition, shipping })
+ * @returns {Object} { listing, missingPlaceholders }
+ */
+const applyTemplate = (listing, template) => {
+  const missing = [];
+  const applied = { ...listing, appliedTemplateId: template.id, appliedTemplateName: template.name };
+
+  // Set fields first so [CONDITION] etc. in the title show the template's values
+  ['category', 'condition', 'shipping'].forEach(field => {
+    if (template[field]) {
+      applied[field] = template[field];
+    }
+  });
+  if (template.condition) {
+    // Templates hold free text - keep the listing's condition if eBay has no match for it
+    applied.condition = normalizeCondition(template.condition, listing.listingType) || listing.condition;
+  }
+
+  if (template.title) {
+    const { text, missing: missingInTitle } = fillTemplate(template.title, applied, { singleLine: true });
+    missing.push(...missingInTitle);
+    if (text) {
+      applied.title = truncateTitle(text);
+    }
+  }
+
+  if (template.description) {
+    const generatedDescription = listing.description || '';
+    const hasDescriptionSlot = /\[DESCRIPTION\]/i.test(template.description);
+    const { text, missing: missingInDescription } = fillTemplate(template.description, { ...applied, description: generatedDescription });
+    missing.push(...missingInDescription.filter(placeholder => !/\[DESCRIPTION\]/i.test(placeholder)));
+
+    applied.description = hasDescriptionSlot
+      ? text
+      : [generatedDescription.trim(), text].filter(Boolean).join('\n\n');
+  }
+
+  return { listing: applied, missingPlaceholders: [...new Set(missing)] };
+};
+
+/**
+ * Switch the template on a listing card's data, or remove it with null
+ * Always starts again from the generated title, description, etc. so switching
+ * templates never stacks one template's boilerplate on top of another's.
+ * @param {Object} cardData - The card's current (possibly edited) data
+ * @param {Object} generatedListing - The listing as the model generated it
+ * @param {Object|null} template - Template to apply, or null for none
+ * @returns {Object} { data, missingPlaceholders }
+ */
+const switchTemplate = (cardData, generatedListing, template) => {
+  const base = { ...cardData };
+  TEMPLATE_LISTING_FIELDS.forEach(field => {
+    if (generatedListing?.[field] !== undefined) {
+      base[field] = generatedListing[field];
+    }
+  });
+
+  if (!template) {
+    return { data: { ...base, appliedTemplateId: null, appliedTemplateName: null }, missingPlaceholders: [] };
+  }
+
+  const { listing, missingPlaceholders } = applyTemplate(base, template);
+  return { data: listing, missingPlaceholders };
+};
+
+/**
+ * Templates that can be used for a listing type - its own plus any-type templates
+ * @param {Array} templates - Saved templates
+ * @param {string} listingType - Listing type (BOOK_ITEM, CD_MUSIC, etc.)
+ * @returns {Array} Matching templates
+ */
+const getTemplatesForType = (templates, listingType) => {
+  return (templates || []).filter(template => !template.listingType || template.listingType === listingType);
+};
+
+module.exports = {
+  TEMPLATE_LISTING_FIELDS,
+  fillTemplate,
+  applyTemplate,
+  switchTemplate,
+  getTemplatesForType
+};